@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+// Session tokens are "<base64url payload>.<base64url HMAC>" with payload { sub, iat }
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function sign(data, secret) {
+  return base64url(crypto.createHmac('sha256', secret).update(data).digest());
+}
+
+// Issue a token proving the holder controls odIdentifier
+function signSessionToken(odIdentifier, secret) {
+  const payload = base64url(JSON.stringify({ sub: odIdentifier, iat: Date.now() }));
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// Returns the odIdentifier a token was issued for, or null if it is forged, malformed or too old
+function verifySessionToken(token, secret, maxAgeMs) {
+  if (typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = sign(payload, secret);
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+    if (typeof data.sub !== 'string' || typeof data.iat !== 'number') return null;
+    if (maxAgeMs && Date.now() - data.iat > maxAgeMs) return null;
+    return data.sub;
+  } catch (err) {
+    return null;
+  }
+}
+
+// One-time transfer codes - no 0/O/1/I so they can be read out loud
+const TRANSFER_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generateTransferCode(length = 8) {
+  const bytes = crypto.randomBytes(length);
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += TRANSFER_CODE_ALPHABET[bytes[i] % TRANSFER_CODE_ALPHABET.length];
+  }
+  return code;
+}
+
+// Codes are stored hashed so a leaked table can't be redeemed
+function hashTransferCode(code) {
+  const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = { signSessionToken, verifySessionToken, generateTransferCode, hashTransferCode };
@@ -0,0 +1,67 @@
+// Bot strategies. A bot sees the pit the way a player does - who is idle, defending or
+// attacking, their points and streak, who its revenge target is - never anyone's player number.
+//
+// A strategy is decide(self, pit, rng): self is the bot's own pit entry, pit the other fighters
+// it may pick (getPitView entries, disconnected ones already left out). It returns
+// { action: 'attack', targetId, attackType }, { action: 'defend' }, or null to wait a beat.
+
+const ATTACK_TYPES = ['distance', 'melee'];
+
+// Most bots an admin may put in one arena
+const MAX_BOTS_PER_ARENA = 20;
+
+function randomAttack(target, rng, distanceChance = 0.5) {
+  return { action: 'attack', targetId: target.id, attackType: rng.chance(distanceChance) ? 'distance' : 'melee' };
+}
+
+function strongest(pit) {
+  return pit.reduce((best, p) => (p.streak * 100 + p.points > best.streak * 100 + best.points ? p : best));
+}
+
+const BOT_STRATEGIES = {
+  // Coin flips all the way down
+  random(self, pit, rng) {
+    if (pit.length === 0 || rng.chance(0.3)) return { action: 'defend' };
+    return { action: 'attack', targetId: rng.pick(pit).id, attackType: rng.pick(ATTACK_TYPES) };
+  },
+
+  // Always swinging, at whoever is on the longest streak - mostly from a distance,
+  // since distance wins a mutual attack against melee
+  aggressive(self, pit, rng) {
+    if (pit.length === 0) return null;
+    const revenge = pit.find(p => p.isRevenge);
+    return randomAttack(revenge || strongest(pit), rng, 0.7);
+  },
+
+  // Sits behind its guard and only strikes fighters caught attacking someone
+  defensive(self, pit, rng) {
+    const exposed = pit.filter(p => p.action === 'attacking');
+    if (exposed.length > 0 && rng.chance(0.6)) return randomAttack(rng.pick(exposed), rng);
+    return { action: 'defend' };
+  },
+
+  // Punishes anyone attacking, takes revenge when it can, otherwise picks on idle fighters now and then
+  opportunist(self, pit, rng) {
+    const exposed = pit.filter(p => p.action === 'attacking');
+    if (exposed.length > 0) return randomAttack(rng.pick(exposed), rng);
+    const revenge = pit.find(p => p.isRevenge);
+    if (revenge) return randomAttack(revenge, rng);
+    const idle = pit.filter(p => p.action === 'idle');
+    if (idle.length > 0 && rng.chance(0.4)) return randomAttack(rng.pick(idle), rng);
+    return rng.chance(0.5) ? { action: 'defend' } : null;
+  }
+};
+
+const BOT_STRATEGY_NAMES = Object.keys(BOT_STRATEGIES);
+
+// 'mixed' gives every bot one of the strategies at random
+function pickBotStrategy(strategy, rng) {
+  return strategy === 'mixed' || !BOT_STRATEGIES[strategy] ? rng.pick(BOT_STRATEGY_NAMES) : strategy;
+}
+
+// What a bot does next - its chosen strategy, judged on the fighters it can see
+function decideBotAction(self, pit, rng) {
+  return BOT_STRATEGIES[self.strategy](self, pit.filter(p => p.id !== self.id && !p.disconnected), rng);
+}
+
+module.exports = { MAX_BOTS_PER_ARENA, BOT_STRATEGIES, BOT_STRATEGY_NAMES, pickBotStrategy, decideBotAction };
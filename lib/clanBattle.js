@@ -0,0 +1,115 @@
+const { createRng } = require('./rng');
+
+// Clan battle simulation. Pure - given the seed and the member snapshot taken when the
+// battle started it always plays out the same way, which is how past battles are replayed.
+
+const DEFAULT_ROUNDS = 3; // Best of 3, for snapshots taken before the rules set the number
+
+// Snapshot of a clan's fighters as they were when the battle started
+function snapshotMembers(members) {
+  return members.map(m => ({
+    od_identifier: m.od_identifier,
+    public_id: m.public_id,
+    name: m.name,
+    player_number: m.player_number,
+    character_image: m.character_image
+  }));
+}
+
+// The fighters a clan sends, in the order its leader picked. Lineup entries that are no
+// longer members are dropped; with no (usable) lineup every member fights, top scorers first.
+function pickLineup(members, lineup) {
+  const byId = new Map(members.map(m => [m.od_identifier, m]));
+  const picked = (lineup || []).map(id => byId.get(id)).filter(Boolean);
+  return picked.length > 0 ? picked : members;
+}
+
+// Execute a clan battle round - each character battles once.
+// Lineups fight in order (first against first); battles from before lineups were shuffled.
+function fightRound(rng, clanAMembers, clanBMembers, ordered) {
+  const results = [];
+  const minSize = Math.min(clanAMembers.length, clanBMembers.length);
+
+  // Shuffle for random matchups
+  const shuffledA = ordered ? clanAMembers : rng.shuffle(clanAMembers);
+  const shuffledB = ordered ? clanBMembers : rng.shuffle(clanBMembers);
+
+  for (let i = 0; i < minSize; i++) {
+    const fighterA = shuffledA[i];
+    const fighterB = shuffledB[i];
+
+    // Coin flip for attack type!
+    const attackType = rng.chance(0.5) ? 'distance' : 'melee';
+
+    // Determine winner based on attack type
+    let winner, loser;
+    if (attackType === 'distance') {
+      // Distance: higher number wins
+      if (fighterA.player_number >= fighterB.player_number) {
+        winner = fighterA;
+        loser = fighterB;
+      } else {
+        winner = fighterB;
+        loser = fighterA;
+      }
+    } else {
+      // Melee: lower number wins
+      if (fighterA.player_number <= fighterB.player_number) {
+        winner = fighterA;
+        loser = fighterB;
+      } else {
+        winner = fighterB;
+        loser = fighterA;
+      }
+    }
+
+    results.push({
+      fighterA: { id: fighterA.od_identifier, name: fighterA.name, number: fighterA.player_number, characterImage: fighterA.character_image },
+      fighterB: { id: fighterB.od_identifier, name: fighterB.name, number: fighterB.player_number, characterImage: fighterB.character_image },
+      winner: { id: winner.od_identifier, name: winner.name },
+      loser: { id: loser.od_identifier, name: loser.name },
+      attackType: attackType
+    });
+  }
+
+  // Return unbattled fighters
+  const unbattledA = shuffledA.slice(minSize);
+  const unbattledB = shuffledB.slice(minSize);
+
+  return { results, unbattledA, unbattledB };
+}
+
+// Play a whole battle from its seed and snapshot ({ challenger: [...], defender: [...], ordered, rounds }).
+// An ordered snapshot holds the picked lineups and keeps their matchups every round; rounds is
+// the best-of the war was fought over. Returns every round fought and the number of rounds each side won.
+function simulateClanBattle(seed, snapshot) {
+  const rng = createRng(seed);
+  const maxRounds = snapshot.rounds || DEFAULT_ROUNDS;
+  const roundsToWin = Math.floor(maxRounds / 2) + 1;
+  const rounds = [];
+  let challengerWins = 0;
+  let defenderWins = 0;
+
+  for (let roundNum = 1; roundNum <= maxRounds; roundNum++) {
+    // Check if battle is already decided
+    if (challengerWins >= roundsToWin || defenderWins >= roundsToWin) break;
+
+    const { results } = fightRound(rng, snapshot.challenger, snapshot.defender, !!snapshot.ordered);
+    const challengerIds = new Set(snapshot.challenger.map(m => m.od_identifier));
+    const challengerRoundWins = results.filter(r => challengerIds.has(r.winner.id)).length;
+    const defenderRoundWins = results.length - challengerRoundWins;
+
+    // Tie = no one gets a round win
+    if (challengerRoundWins > defenderRoundWins) {
+      challengerWins++;
+    } else if (defenderRoundWins > challengerRoundWins) {
+      defenderWins++;
+    }
+
+    rounds.push({ round: roundNum, results, challengerRoundWins, defenderRoundWins, challengerWins, defenderWins });
+  }
+
+  return { rounds, challengerWins, defenderWins };
+}
+
+module.exports = { pickLineup, snapshotMembers, simulateClanBattle };
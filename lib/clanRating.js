@@ -0,0 +1,37 @@
+// Clan ratings (Elo). Every clan starts at INITIAL_RATING; each finished war moves the
+// winner up and the loser down by how surprising the result was.
+
+const INITIAL_RATING = 1000; // Keep in step with the clans.rating column default
+const K_FACTOR = 32;
+const PROVISIONAL_K_FACTOR = 48; // New clans find their level faster
+const PROVISIONAL_BATTLES = 10;
+
+// Chance that a clan rated `rating` beats one rated `opponentRating`
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+function kFactor(ratedBattles) {
+  return ratedBattles < PROVISIONAL_BATTLES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+}
+
+// Rating changes for both sides of a war. Each side is { rating, rated_battles }.
+// Returns { challenger, defender } as whole-point deltas.
+function ratingChanges(challenger, defender, challengerWon) {
+  const score = challengerWon ? 1 : 0;
+  const expected = expectedScore(challenger.rating, defender.rating);
+  return {
+    challenger: Math.round(kFactor(challenger.rated_battles) * (score - expected)),
+    defender: Math.round(kFactor(defender.rated_battles) * ((1 - score) - (1 - expected)))
+  };
+}
+
+// The closest-rated opponents for a clan - clans is [{ name, rating }], own clan excluded
+function suggestOpponents(clanName, rating, clans, count = 3) {
+  return clans
+    .filter(c => c.name !== clanName)
+    .sort((a, b) => Math.abs(a.rating - rating) - Math.abs(b.rating - rating) || b.rating - a.rating)
+    .slice(0, count);
+}
+
+module.exports = { INITIAL_RATING, expectedScore, ratingChanges, suggestOpponents };
@@ -0,0 +1,30 @@
+// Clan roles and what each one may do.
+// Every clan has exactly one leader; officers help run it; everyone else is a member.
+
+const CLAN_ROLES = ['member', 'officer', 'leader']; // Lowest to highest rank
+
+// How new members get in: anyone, by request that officers approve, or by invitation only
+const JOIN_POLICIES = ['open', 'request', 'invite'];
+
+const CLAN_PERMISSIONS = {
+  rename: { roles: ['leader'], error: 'Only the clan leader can rename the clan!' },
+  manageBattles: { roles: ['leader', 'officer'], error: 'Only the clan leader or officers can manage clan wars!' },
+  pickLineup: { roles: ['leader'], error: 'Only the clan leader can pick the war lineup!' },
+  enterTournaments: { roles: ['leader', 'officer'], error: 'Only the clan leader or officers can organise or enter tournaments!' },
+  recruit: { roles: ['leader', 'officer'], error: 'Only the clan leader or officers can recruit, invite or approve members!' },
+  setJoinPolicy: { roles: ['leader'], error: 'Only the clan leader can change who may join!' },
+  kick: { roles: ['leader', 'officer'], error: 'Only the clan leader or officers can kick members!' },
+  promote: { roles: ['leader'], error: 'Only the clan leader can promote or demote members!' },
+  transferLeadership: { roles: ['leader'], error: 'Only the clan leader can hand over leadership!' }
+};
+
+function hasClanPermission(role, permission) {
+  return CLAN_PERMISSIONS[permission].roles.includes(role);
+}
+
+// Higher-ranked roles can act on lower-ranked ones, never the other way round
+function outranks(role, otherRole) {
+  return CLAN_ROLES.indexOf(role) > CLAN_ROLES.indexOf(otherRole);
+}
+
+module.exports = { CLAN_ROLES, JOIN_POLICIES, CLAN_PERMISSIONS, hasClanPermission, outranks };
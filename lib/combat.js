@@ -0,0 +1,205 @@
+// Pit combat rules. Everything here is pure - the server applies points and captures.
+//
+// Attacks are declared during a tick and resolved together when it ends, so the outcome
+// depends only on what was declared, never on the order the packets arrived in.
+
+function byId(a, b) {
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+// Same attack type on both sides - the number rule decides, identical numbers fall back to the lower odIdentifier
+function resolveSameType(attacker, target, attackType) {
+  if (attacker.playerNumber !== target.playerNumber) {
+    const attackerWins = attackType === 'distance'
+      ? attacker.playerNumber > target.playerNumber
+      : attacker.playerNumber < target.playerNumber;
+    return { attackerWins, reason: attackType === 'distance' ? 'higher number' : 'lower number' };
+  }
+  return { attackerWins: attacker.odIdentifier < target.odIdentifier, reason: 'dead heat' };
+}
+
+// Determine winner based on attack types and player numbers
+function determineWinner(attacker, target) {
+  const attackType = attacker.attackType; // 'distance' or 'melee'
+  const targetAction = target.action;
+  const targetAttackType = target.attackType;
+
+  let result = {
+    attacker: { id: attacker.id, name: attacker.name },
+    defender: { id: target.id, name: target.name },
+    winner: null,
+    loser: null,
+    reason: '',
+    attackerNumber: attacker.playerNumber,
+    defenderNumber: target.playerNumber,
+    attackType: attackType
+  };
+
+  // Target is attacking someone else - attacker auto-wins
+  if (targetAction === 'attack' && target.actionTarget !== attacker.id) {
+    result.winner = attacker;
+    result.loser = target;
+    result.reason = 'caught attacking';
+    return result;
+  }
+
+  // Mutual attack - both attacking each other
+  if (targetAction === 'attack' && target.actionTarget === attacker.id) {
+    // Distance vs Melee - Distance wins
+    if (attackType === 'distance' && targetAttackType === 'melee') {
+      result.winner = attacker;
+      result.loser = target;
+      result.reason = 'distance beats melee';
+      return result;
+    }
+    if (attackType === 'melee' && targetAttackType === 'distance') {
+      result.winner = target;
+      result.loser = attacker;
+      result.reason = 'distance beats melee';
+      result.attackType = targetAttackType;
+      return result;
+    }
+    // Same attack type in the same tick - nobody drew first
+    const { attackerWins, reason } = resolveSameType(attacker, target, attackType);
+    result.winner = attackerWins ? attacker : target;
+    result.loser = attackerWins ? target : attacker;
+    result.reason = reason;
+    return result;
+  }
+
+  // Target is defending or idle - compare numbers based on attack type
+  if (attackType === 'distance') {
+    // Higher number wins
+    if (attacker.playerNumber >= target.playerNumber) {
+      result.winner = attacker;
+      result.loser = target;
+      result.reason = attacker.playerNumber === target.playerNumber ? 'tie - attacker wins' : 'higher number';
+    } else {
+      result.winner = target;
+      result.loser = attacker;
+      result.reason = 'higher number';
+    }
+  } else {
+    // Melee - lower number wins
+    if (attacker.playerNumber <= target.playerNumber) {
+      result.winner = attacker;
+      result.loser = target;
+      result.reason = attacker.playerNumber === target.playerNumber ? 'tie - attacker wins' : 'lower number';
+    } else {
+      result.winner = target;
+      result.loser = attacker;
+      result.reason = 'lower number';
+    }
+  }
+
+  return result;
+}
+
+// Resolve every attack declared by these pit fighters in one tick.
+// Each fight is judged against the declared state, independently of the others:
+// - two or more attackers on one target is a gang attack - the target loses to each of them
+// - a mutual attack is one fight, not two
+// - a fighter can win one fight and lose another in the same tick; losing takes precedence
+// Returns results in a stable order (by target, then attacker).
+function resolveAttacks(fighters) {
+  const fightersById = new Map(fighters.map(f => [f.id, f]));
+  const attacksByTarget = new Map();
+
+  for (const fighter of fighters) {
+    if (fighter.action !== 'attack' || !fightersById.has(fighter.actionTarget)) continue;
+    if (!attacksByTarget.has(fighter.actionTarget)) {
+      attacksByTarget.set(fighter.actionTarget, []);
+    }
+    attacksByTarget.get(fighter.actionTarget).push(fighter);
+  }
+
+  const results = [];
+  const resolvedPairs = new Set();
+  const targets = Array.from(attacksByTarget.keys()).map(id => fightersById.get(id)).sort(byId);
+
+  for (const target of targets) {
+    const attackers = attacksByTarget.get(target.id).sort(byId);
+
+    // Multiple attackers - target auto-loses
+    if (attackers.length > 1) {
+      for (const attacker of attackers) {
+        results.push({
+          attacker: { id: attacker.id, name: attacker.name },
+          defender: { id: target.id, name: target.name },
+          winner: attacker,
+          loser: target,
+          reason: 'gang attack',
+          attackType: attacker.attackType,
+          attackerNumber: attacker.playerNumber,
+          defenderNumber: target.playerNumber
+        });
+      }
+      continue;
+    }
+
+    const attacker = attackers[0];
+    const pair = [attacker.id, target.id].sort().join('|');
+    if (resolvedPairs.has(pair)) continue;
+    resolvedPairs.add(pair);
+    results.push(determineWinner(attacker, target));
+  }
+
+  return results;
+}
+
+// Settle one tick's results under rules (lib/rules.js): the points each loser and winner is
+// owed, and the streaks and revenge that follow. Claimed revenge is cleared from revengeTargets
+// (odIdentifier -> { odIdentifier, expiresAt }) and each loser gets revenge on whoever beat them.
+// Results are marked isRevenge, isStreakKill and isGangAttack; the fighters themselves are left
+// for the caller to update from what this returns:
+// { losers: [{ fighter, winner, delta }], winners: [{ fighter, result, delta, streak, revengeKills }] }
+// A fighter who won one fight and lost another only appears as a loser.
+function settleTick(results, rules, revengeTargets, now) {
+  const revengeKills = new Map(); // Revenge wins per winner, each worth the revenge bonus
+  for (const result of results) {
+    const winner = result.winner;
+    if (winner.id !== result.attacker.id) continue;
+    const revenge = revengeTargets.get(winner.odIdentifier);
+    result.isRevenge = !!revenge && revenge.odIdentifier === result.loser.odIdentifier && revenge.expiresAt > now;
+    if (result.isRevenge) {
+      revengeKills.set(winner.id, (revengeKills.get(winner.id) || 0) + 1);
+      revengeTargets.delete(winner.odIdentifier); // Revenge is claimed once
+    }
+  }
+
+  const losers = [];
+  const loserIds = new Set();
+  for (const result of results) {
+    const loser = result.loser;
+    if (loserIds.has(loser.id)) continue;
+    loserIds.add(loser.id);
+    revengeTargets.set(loser.odIdentifier, {
+      odIdentifier: result.winner.odIdentifier,
+      expiresAt: now + rules.pit.revengeWindowMinutes * 60 * 1000
+    });
+    losers.push({ fighter: loser, winner: result.winner, delta: -rules.pit.lossPoints });
+  }
+
+  const winners = [];
+  const winnerIds = new Set();
+  for (const result of results) {
+    const winner = result.winner;
+    if (loserIds.has(winner.id) || winnerIds.has(winner.id)) continue;
+    winnerIds.add(winner.id);
+    const kills = revengeKills.get(winner.id) || 0;
+    const streak = (winner.streak || 0) + 1;
+    result.isStreakKill = streak >= rules.pit.streakKill;
+    result.isGangAttack = result.reason === 'gang attack';
+    winners.push({
+      fighter: winner,
+      result,
+      delta: (rules.pit.winPoints + kills * rules.pit.revengeBonus) * rules.pointsMultiplier,
+      streak,
+      revengeKills: kills
+    });
+  }
+
+  return { losers, winners };
+}
+
+module.exports = { determineWinner, resolveAttacks, settleTick };
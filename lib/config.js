@@ -0,0 +1,89 @@
+// Runtime configuration, read once from the environment
+const config = {
+  port: process.env.PORT || 3000,
+
+  // Where players reach the server, for shareable links - relative links when unset
+  publicUrl: process.env.PUBLIC_URL ? process.env.PUBLIC_URL.replace(/\/+$/, '') : null,
+
+  databaseUrl: process.env.DATABASE_URL || null,
+
+  // 'postgres' or 'memory' - defaults to postgres when a database is configured
+  storage: process.env.STORAGE_BACKEND || (process.env.DATABASE_URL ? 'postgres' : 'memory'),
+
+  // Signs session tokens - without it a random secret is used and sessions end on restart
+  sessionSecret: process.env.SESSION_SECRET || null,
+  sessionMaxAgeDays: parseInt(process.env.SESSION_MAX_AGE_DAYS || '180', 10),
+  transferCodeTtlMinutes: parseInt(process.env.TRANSFER_CODE_TTL_MINUTES || '15', 10),
+  clanInviteTtlMinutes: parseInt(process.env.CLAN_INVITE_TTL_MINUTES || '1440', 10),
+
+  // Game rules - points, revenge, defend timeout, clan war rounds, challenges - are the defaults
+  // in lib/rules.js, overridden (per arena too) and scheduled into events by this JSON file
+  rulesFile: process.env.RULES_FILE || null,
+
+  // Arena defaults - also the upper bound for player-created arenas
+  arenaMaxPlayers: parseInt(process.env.ARENA_MAX_PLAYERS || '50', 10),
+
+  // Attacks declared within one tick are resolved together
+  combatTickMs: parseInt(process.env.COMBAT_TICK_MS || '500', 10),
+
+  // A player whose connection drops keeps their session - pit place, streak, heckle and declared
+  // action - for this long, and a reconnect picks it back up. 0 ends sessions on disconnect.
+  reconnectGraceSeconds: parseInt(process.env.RECONNECT_GRACE_SECONDS || '30', 10),
+
+  // One session per character. Signing in where the character is already playing either
+  // takes the session over and sends the older tab away ('kick-old') or is turned down
+  // ('reject-new'). Switching to a character someone else is playing is always turned down.
+  sessionPolicy: process.env.SESSION_POLICY === 'reject-new' ? 'reject-new' : 'kick-old',
+
+  // Server-side bots for quiet pits. Every arena starts with botsPerArena bots playing botStrategy
+  // (a strategy from lib/bots.js, or 'mixed' for a random one each); admins change both per arena.
+  // Bots step into the pit while it has fewer than botPitFill fighters and look at it every botThinkMs.
+  botsPerArena: parseInt(process.env.BOTS_PER_ARENA || '0', 10),
+  botStrategy: process.env.BOT_STRATEGY || 'mixed',
+  botPitFill: parseInt(process.env.BOT_PIT_FILL || '4', 10),
+  botThinkMs: parseInt(process.env.BOT_THINK_MS || '1000', 10),
+
+  // Clan wars start this long after the challenge unless the challenger picks a time,
+  // and the server fights one round every clanWarRoundMs
+  clanWarStartMinutes: parseFloat(process.env.CLAN_WAR_START_MINUTES || '5'),
+  clanWarRoundMs: parseInt(process.env.CLAN_WAR_ROUND_MS || '2000', 10),
+
+  // Challenges nobody answers lapse after this long; a background job sweeps them up
+  clanChallengeTtlMinutes: parseFloat(process.env.CLAN_CHALLENGE_TTL_MINUTES || '60'),
+  clanBattleExpiryCheckMs: parseInt(process.env.CLAN_BATTLE_EXPIRY_CHECK_MS || '30000', 10),
+
+  // Tournaments take registrations this long unless the organiser picks a start time. Each
+  // match is a clan war starting tournamentMatchStartMinutes after it is drawn, so the leaders
+  // can pick lineups; every member of the winning clan gets tournamentRewardPoints.
+  tournamentRegistrationMinutes: parseFloat(process.env.TOURNAMENT_REGISTRATION_MINUTES || '30'),
+  tournamentMatchStartMinutes: parseFloat(process.env.TOURNAMENT_MATCH_START_MINUTES || '2'),
+  tournamentRewardPoints: parseInt(process.env.TOURNAMENT_REWARD_POINTS || '10', 10),
+
+  // Accounts (odIdentifiers, comma-separated) that may use the moderation tools
+  adminIds: (process.env.ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+
+  // Heckle word filter: HECKLE_BLOCKED_WORDS (comma-separated, "word*" matches prefixes) replaces the
+  // default list in lib/moderation.js. 'mask' stars blocked words out, 'reject' refuses the heckle.
+  // A heckle is taken down until a moderator looks at it once heckleReportHideThreshold players report it.
+  heckleBlockedWords: process.env.HECKLE_BLOCKED_WORDS !== undefined
+    ? process.env.HECKLE_BLOCKED_WORDS.split(',').map(word => word.trim()).filter(Boolean)
+    : null,
+  heckleFilterMode: process.env.HECKLE_FILTER_MODE === 'reject' ? 'reject' : 'mask',
+  heckleReportHideThreshold: parseInt(process.env.HECKLE_REPORT_HIDE_THRESHOLD || '3', 10),
+
+  // Socket event rate limits. RATE_LIMIT_BUDGETS is JSON overriding the per-event budgets in
+  // lib/rateLimit.js, e.g. {"attack":{"limit":8,"windowMs":1000}} - budgets that don't check out
+  // stop the server before it starts. Going over budget is a strike:
+  // a warning, then a throttle after rateLimitThrottleAfter strikes within the penalty window,
+  // then a disconnect after rateLimitDisconnectAfter.
+  rateLimitBudgets: process.env.RATE_LIMIT_BUDGETS || null,
+  rateLimitThrottleAfter: parseInt(process.env.RATE_LIMIT_THROTTLE_AFTER || '5', 10),
+  rateLimitDisconnectAfter: parseInt(process.env.RATE_LIMIT_DISCONNECT_AFTER || '15', 10),
+  rateLimitThrottleMs: parseInt(process.env.RATE_LIMIT_THROTTLE_MS || '10000', 10),
+  rateLimitPenaltyWindowMs: parseInt(process.env.RATE_LIMIT_PENALTY_WINDOW_MS || '60000', 10),
+
+  // Fixed seed for the server's RNG (player numbers, clan battle seeds) - random when unset
+  rngSeed: process.env.RNG_SEED ? parseInt(process.env.RNG_SEED, 10) : null
+};
+
+module.exports = config;
@@ -0,0 +1,23 @@
+// Express 4 doesn't catch a rejected promise from an async handler - the request would hang and
+// the rejection go unhandled. Routes are wrapped in asyncRoute so the error reaches next() and
+// jsonErrorHandler turns it into a 500.
+
+function asyncRoute(handler) {
+  return (req, res, next) => {
+    Promise.resolve()
+      .then(() => handler(req, res, next))
+      .catch(next);
+  };
+}
+
+// Last in the middleware chain: log the error and answer with a JSON 500
+function jsonErrorHandler(err, req, res, next) {
+  console.error(`Error handling ${req.method} ${req.originalUrl}:`, err.message);
+  if (res.headersSent) {
+    next(err);
+    return;
+  }
+  res.status(500).json({ error: 'Something went wrong. Try again.' });
+}
+
+module.exports = { asyncRoute, jsonErrorHandler };
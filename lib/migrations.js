@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Arbitrary key so two servers starting at once don't migrate concurrently
+const MIGRATION_LOCK_KEY = 7316001;
+
+// Read NNN_name.sql files from the migrations directory, ordered by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .map(file => {
+      const match = file.match(/^(\d+)_(.+)\.sql$/);
+      if (!match) return null;
+      const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex')
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+// Apply every pending migration, each in its own transaction - returns the ones applied.
+// Throws on the first failure, leaving that migration and everything after it unapplied.
+async function runMigrations(pool, migrations = loadMigrations()) {
+  const client = await pool.connect();
+  const applied = [];
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    const done = await getAppliedMigrations(client);
+
+    for (const migration of migrations) {
+      if (done.has(migration.version)) continue;
+
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        await client.query('COMMIT');
+        applied.push(migration);
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw new Error(`Migration ${migration.file} failed: ${err.message}`);
+      }
+    }
+
+    return applied;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+// Compare local migration files against what the database has recorded.
+// state is 'applied', 'pending', 'modified' (file changed since it ran) or 'unknown' (only in the database).
+async function getMigrationStatus(pool, migrations = loadMigrations()) {
+  await ensureMigrationsTable(pool);
+  const done = await getAppliedMigrations(pool);
+  const status = migrations.map(migration => {
+    const row = done.get(migration.version);
+    let state = 'pending';
+    if (row) state = row.checksum === migration.checksum ? 'applied' : 'modified';
+    return { version: migration.version, name: migration.name, state, appliedAt: row ? row.applied_at : null };
+  });
+
+  const known = new Set(migrations.map(m => m.version));
+  for (const row of done.values()) {
+    if (!known.has(row.version)) {
+      status.push({ version: row.version, name: row.name, state: 'unknown', appliedAt: row.applied_at });
+    }
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+module.exports = { loadMigrations, runMigrations, getMigrationStatus };
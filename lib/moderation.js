@@ -0,0 +1,56 @@
+// Heckle word filter. Words are matched case-insensitively and through common letter swaps
+// (0 for o, 4 or @ for a, $ for s...). A plain word only matches on its own - "ass" leaves
+// "assassin" alone - while a trailing * matches anything starting with it ("fuck*").
+
+const DEFAULT_BLOCKED_WORDS = [
+  'fuck*', 'shit*', 'cunt*', 'bitch*', 'bastard*', 'asshole*', 'dickhead*', 'motherfuck*',
+  'ass', 'dick', 'prick', 'twat', 'wanker', 'slut', 'whore', 'retard', 'retarded',
+  'fag', 'faggot', 'nigger', 'nigga', 'kys'
+];
+
+// Swaps are one character for one, so positions in the normalized text match the original
+const LOOKALIKES = { '0': 'o', '1': 'i', '|': 'i', '3': 'e', '4': 'a', '@': 'a', '5': 's', '$': 's', '7': 't' };
+
+function normalize(text) {
+  return Array.from(text, ch => {
+    const lower = ch.toLowerCase();
+    return lower.length === ch.length ? LOOKALIKES[lower] || lower : ch;
+  }).join('');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// words: the blocked list (see above). Returns { check(text), mask(text) }.
+function createWordFilter(words = DEFAULT_BLOCKED_WORDS) {
+  const patterns = words
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean)
+    .map(word => word.endsWith('*')
+      ? `${escapeRegExp(normalize(word.slice(0, -1)))}[a-z]*`
+      : escapeRegExp(normalize(word)));
+  const regex = patterns.length > 0 ? new RegExp(`(?<![a-z])(?:${patterns.join('|')})(?![a-z])`, 'g') : null;
+
+  // The blocked words found in text, as written
+  function check(text) {
+    if (!regex) return [];
+    return Array.from(normalize(text).matchAll(regex), match => text.substr(match.index, match[0].length));
+  }
+
+  // text with every blocked word starred out, first letter kept
+  function mask(text) {
+    if (!regex) return text;
+    let masked = '';
+    let last = 0;
+    for (const match of normalize(text).matchAll(regex)) {
+      masked += text.slice(last, match.index) + text[match.index] + '*'.repeat(match[0].length - 1);
+      last = match.index + match[0].length;
+    }
+    return masked + text.slice(last);
+  }
+
+  return { check, mask };
+}
+
+module.exports = { DEFAULT_BLOCKED_WORDS, createWordFilter };
@@ -0,0 +1,220 @@
+// Rate limiting for socket events. Every event has a budget of `limit` calls per `windowMs`,
+// kept as a token bucket per key - the server checks one key for the socket and one for the
+// character playing on it, so opening more tabs doesn't buy a bigger budget.
+//
+// Each rejected event is a strike against its keys. Strikes escalate: a warning at first,
+// then a throttle that drops everything for a while, then a disconnect. Strikes older than
+// the penalty window are forgiven.
+//
+// Event names come from the client, so they can't each get a bucket: events the limiter wasn't
+// told about, and any past a key's bucket cap, share the UNKNOWN_EVENT bucket.
+
+const { validate } = require('./validation');
+
+const DEFAULT_BUDGET = { limit: 20, windowMs: 10000 };
+const UNKNOWN_EVENT = '*unknown';
+const MAX_BUCKETS_PER_KEY = 100;
+
+const DEFAULT_EVENT_BUDGETS = {
+  // Pit combat - one attack per combat tick is plenty
+  attack: { limit: 5, windowMs: 1000 },
+  defend: { limit: 5, windowMs: 1000 },
+  joinPit: { limit: 6, windowMs: 10000 },
+  leavePit: { limit: 6, windowMs: 10000 },
+  heckle: { limit: 3, windowMs: 10000 },
+  reportHeckle: { limit: 5, windowMs: 60000 },
+  reactToHeckle: { limit: 10, windowMs: 10000 },
+  changeName: { limit: 5, windowMs: 10000 },
+
+  // Sign-in - transfer codes are short, so guessing them must be slow
+  identify: { limit: 10, windowMs: 60000 },
+  confirmCharacter: { limit: 5, windowMs: 60000 },
+  redeemTransferCode: { limit: 5, windowMs: 60000 },
+  createTransferCode: { limit: 5, windowMs: 60000 },
+
+  // Clan actions that write or notify other players
+  createClan: { limit: 3, windowMs: 60000 },
+  changeClanName: { limit: 3, windowMs: 60000 },
+  challengeClan: { limit: 3, windowMs: 60000 },
+  createTournament: { limit: 3, windowMs: 60000 },
+  createArena: { limit: 3, windowMs: 60000 },
+  inviteToClan: { limit: 10, windowMs: 60000 },
+  recruitPlayer: { limit: 10, windowMs: 60000 },
+  switchCharacter: { limit: 5, windowMs: 10000 },
+
+  // Lookups that hit the database
+  getAvailableClans: { limit: 10, windowMs: 10000 },
+  getClanLadder: { limit: 10, windowMs: 10000 },
+  getClanMembers: { limit: 10, windowMs: 10000 },
+  getClanBattleHistory: { limit: 10, windowMs: 10000 },
+  getClanBattle: { limit: 10, windowMs: 10000 },
+  getTournaments: { limit: 10, windowMs: 10000 },
+  getTournament: { limit: 10, windowMs: 10000 },
+  spectate: { limit: 10, windowMs: 10000 },
+  getHeckleHistory: { limit: 10, windowMs: 10000 },
+
+  // Names no handler knows - each one only earns an error back, so a few are enough
+  [UNKNOWN_EVENT]: { limit: 5, windowMs: 10000 }
+};
+
+const PENALTY_LEVELS = ['warn', 'throttle', 'disconnect'];
+
+const BUDGET_SCHEMA = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer', min: 1, max: 10000 },
+    windowMs: { type: 'integer', min: 1, max: 24 * 60 * 60 * 1000 }
+  }
+};
+
+// What is wrong with a set of budget overrides, or null if they can be used. Given knownEvents,
+// only those events and UNKNOWN_EVENT can have a budget - no other name is ever charged to one.
+function validateBudgets(budgets, knownEvents = null) {
+  if (typeof budgets !== 'object' || budgets === null || Array.isArray(budgets)) return 'budgets should be an object';
+  for (const [event, budget] of Object.entries(budgets)) {
+    if (knownEvents && event !== UNKNOWN_EVENT && !knownEvents.includes(event)) return `${event} is not an event`;
+    const error = validate(BUDGET_SCHEMA, budget, event);
+    if (error) return error;
+  }
+  return null;
+}
+
+// Read and check RATE_LIMIT_BUDGETS - throws with what is wrong if the budgets can't be used
+function parseBudgets(json, knownEvents = null) {
+  let budgets;
+  try {
+    budgets = JSON.parse(json);
+  } catch (err) {
+    throw new Error(`Could not read RATE_LIMIT_BUDGETS: ${err.message}`);
+  }
+  const error = validateBudgets(budgets, knownEvents);
+  if (error) throw new Error(`Invalid RATE_LIMIT_BUDGETS: ${error}`);
+  return budgets;
+}
+
+// budgets override DEFAULT_EVENT_BUDGETS per event, and must pass validateBudgets. A rejected event is a 'warn' until a key
+// has throttleAfter strikes, a 'throttle' (every event dropped for throttleMs) until it has
+// disconnectAfter, then a 'disconnect'. knownEvents, if given, lists the event names that get
+// buckets of their own; without it every name does, up to maxBucketsPerKey.
+function createRateLimiter({
+  budgets = {},
+  knownEvents = null,
+  maxBucketsPerKey = MAX_BUCKETS_PER_KEY,
+  throttleAfter = 5,
+  disconnectAfter = 15,
+  throttleMs = 10000,
+  penaltyWindowMs = 60000,
+  now = Date.now
+} = {}) {
+  const error = validateBudgets(budgets, knownEvents);
+  if (error) throw new Error(`Invalid rate limit budgets: ${error}`);
+  const eventBudgets = { ...DEFAULT_EVENT_BUDGETS, ...budgets };
+  const known = knownEvents && new Set(knownEvents);
+  const keys = new Map(); // key -> { buckets: Map(event -> { tokens, updatedAt }), strikes, lastStrikeAt, throttledUntil }
+  const metrics = { allowed: 0, rejected: 0, rejectedByEvent: {}, penalties: { warn: 0, throttle: 0, disconnect: 0 } };
+
+  function budgetFor(event) {
+    return eventBudgets[event] || DEFAULT_BUDGET;
+  }
+
+  function stateFor(key) {
+    let state = keys.get(key);
+    if (!state) {
+      state = { buckets: new Map(), strikes: 0, lastStrikeAt: 0, throttledUntil: 0 };
+      keys.set(key, state);
+    }
+    return state;
+  }
+
+  // The bucket an event is charged to across these keys
+  function bucketName(states, event) {
+    if (known && !known.has(event)) return UNKNOWN_EVENT;
+    const full = states.some(state => !state.buckets.has(event) && state.buckets.size >= maxBucketsPerKey);
+    return full ? UNKNOWN_EVENT : event;
+  }
+
+  // Refill a bucket for the time since it was last used
+  function refill(state, event, at) {
+    const { limit, windowMs } = budgetFor(event);
+    let bucket = state.buckets.get(event);
+    if (!bucket) {
+      bucket = { tokens: limit, updatedAt: at };
+      state.buckets.set(event, bucket);
+    }
+    bucket.tokens = Math.min(limit, bucket.tokens + (at - bucket.updatedAt) * limit / windowMs);
+    bucket.updatedAt = at;
+    return bucket;
+  }
+
+  function strike(state, at) {
+    if (at - state.lastStrikeAt > penaltyWindowMs) state.strikes = 0;
+    state.strikes++;
+    state.lastStrikeAt = at;
+    if (state.strikes >= disconnectAfter) return 'disconnect';
+    if (state.strikes >= throttleAfter) {
+      state.throttledUntil = Math.max(state.throttledUntil, at + throttleMs);
+      return 'throttle';
+    }
+    return 'warn';
+  }
+
+  // Spend one call of `eventName` against every key (falsy keys are skipped).
+  // Returns { allowed: true } or { allowed: false, level, retryAfterMs }.
+  function consume(keyList, eventName) {
+    const at = now();
+    const states = keyList.filter(Boolean).map(stateFor);
+    const event = bucketName(states, eventName);
+    const buckets = states.map(state => refill(state, event, at));
+    const throttled = states.some(state => state.throttledUntil > at);
+
+    if (!throttled && buckets.every(bucket => bucket.tokens >= 1)) {
+      for (const bucket of buckets) bucket.tokens -= 1;
+      metrics.allowed++;
+      return { allowed: true };
+    }
+
+    // The harshest penalty any key has earned wins
+    let level = 'warn';
+    for (const state of states) {
+      const keyLevel = strike(state, at);
+      if (PENALTY_LEVELS.indexOf(keyLevel) > PENALTY_LEVELS.indexOf(level)) level = keyLevel;
+    }
+    const { limit, windowMs } = budgetFor(event);
+    const refillMs = Math.max(0, ...buckets.map(bucket => Math.ceil((1 - bucket.tokens) * windowMs / limit)));
+    const throttleLeftMs = Math.max(0, ...states.map(state => state.throttledUntil - at));
+
+    metrics.rejected++;
+    metrics.rejectedByEvent[event] = (metrics.rejectedByEvent[event] || 0) + 1;
+    metrics.penalties[level]++;
+    return { allowed: false, level, retryAfterMs: Math.max(refillMs, throttleLeftMs) };
+  }
+
+  // Drop a key's state, e.g. when its socket disconnects
+  function forget(key) {
+    keys.delete(key);
+  }
+
+  // Drop keys with nothing to remember - no strikes left to forgive and every bucket full again
+  function prune() {
+    const at = now();
+    for (const [key, state] of keys) {
+      if (at - state.lastStrikeAt <= penaltyWindowMs || state.throttledUntil > at) continue;
+      const idle = Array.from(state.buckets.entries()).every(([event, bucket]) => at - bucket.updatedAt >= budgetFor(event).windowMs);
+      if (idle) keys.delete(key);
+    }
+  }
+
+  function getMetrics() {
+    return {
+      allowed: metrics.allowed,
+      rejected: metrics.rejected,
+      rejectedByEvent: { ...metrics.rejectedByEvent },
+      penalties: { ...metrics.penalties },
+      trackedKeys: keys.size
+    };
+  }
+
+  return { consume, forget, prune, getMetrics };
+}
+
+module.exports = { DEFAULT_BUDGET, DEFAULT_EVENT_BUDGETS, UNKNOWN_EVENT, validateBudgets, parseBudgets, createRateLimiter };
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+// Seedable PRNG (mulberry32). The same seed always produces the same sequence,
+// so anything driven by it can be replayed from the seed alone.
+
+// Seeds are kept to 31 bits so they fit a Postgres INTEGER column
+function generateSeed() {
+  return crypto.randomBytes(4).readUInt32BE(0) >>> 1;
+}
+
+function createRng(seed = generateSeed()) {
+  let state = seed >>> 0;
+
+  // Float in [0, 1)
+  function next() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Integer in [0, n)
+  function int(n) {
+    return Math.floor(next() * n);
+  }
+
+  function chance(probability = 0.5) {
+    return next() < probability;
+  }
+
+  function pick(items) {
+    return items[int(items.length)];
+  }
+
+  // Unbiased Fisher-Yates shuffle - returns a new array
+  function shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = int(i + 1);
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  return { seed, next, int, chance, pick, shuffle };
+}
+
+module.exports = { createRng, generateSeed };
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const { validate } = require('./validation');
+
+// Game rules - the numbers that decide how the game plays. The defaults are below. A rules file
+// (RULES_FILE) can override any of them, for every arena or for one, and schedule events: rule
+// changes that only hold for a while, like a double points weekend.
+//
+// {
+//   "rules": { "pit": { "revengeBonus": 3 } },
+//   "arenas": { "main": { "pit": { "defendTimeoutSeconds": 8 } } },
+//   "events": [
+//     { "name": "Double points weekend", "from": "2026-10-24T00:00:00Z", "until": "2026-10-26T00:00:00Z",
+//       "rules": { "pointsMultiplier": 2 } }
+//   ]
+// }
+//
+// An event applies everywhere unless it lists "arenas"; with no "from" it has already started,
+// with no "until" it runs until it is taken out of the file. Later entries win where they overlap.
+// Rules are looked up whenever they are used, so events start and end on their own.
+
+const DEFAULT_RULES = {
+  startingPoints: 10, // New characters and bots start with these
+  pointsMultiplier: 1, // Scales every point won - pit wins, revenge bonuses, clan war fights, challenge rewards
+  pit: {
+    winPoints: 1,
+    lossPoints: 1,
+    revengeBonus: 2, // On top of winPoints, for beating whoever beat you last...
+    revengeWindowMinutes: 3, // ...within this long
+    defendTimeoutSeconds: 10, // A raised guard drops after this long - player-created arenas may pick their own
+    streakKill: 5 // Wins in a row that make a streak kill
+  },
+  clans: {
+    creationPoints: 10 // Points a player needs to found a clan
+  },
+  clanWars: {
+    rounds: 3, // Best of - odd, so a war can't end level
+    winPoints: 1, // Per fight, settled when the war ends
+    lossPoints: 1
+  },
+  challenges: {
+    revengeKills: 3, // Daily revenge challenge: this many revenge kills...
+    revengeReward: 5, // ...pays this
+    streakLength: 5, // Daily streak challenge: a streak this long...
+    streakReward: 3 // ...pays this
+  }
+};
+
+const points = { type: 'integer', min: 0, max: 1000 };
+
+const RULES_SCHEMA = {
+  type: 'object',
+  properties: {
+    startingPoints: { type: 'integer', min: 1, max: 1000 },
+    pointsMultiplier: { type: 'integer', min: 1, max: 10 },
+    pit: {
+      type: 'object',
+      properties: {
+        winPoints: points,
+        lossPoints: points,
+        revengeBonus: points,
+        revengeWindowMinutes: { type: 'integer', min: 0, max: 24 * 60 },
+        defendTimeoutSeconds: { type: 'integer', min: 3, max: 60 },
+        streakKill: { type: 'integer', min: 2, max: 100 }
+      }
+    },
+    clans: {
+      type: 'object',
+      properties: { creationPoints: points }
+    },
+    clanWars: {
+      type: 'object',
+      properties: {
+        rounds: { type: 'integer', min: 1, max: 9 },
+        winPoints: points,
+        lossPoints: points
+      }
+    },
+    challenges: {
+      type: 'object',
+      properties: {
+        revengeKills: { type: 'integer', min: 1, max: 100 },
+        revengeReward: points,
+        streakLength: { type: 'integer', min: 2, max: 100 },
+        streakReward: points
+      }
+    }
+  }
+};
+
+// The schema for overrides - the same shape, every value optional
+function partial(schema) {
+  if (schema.type !== 'object') return { ...schema, optional: true };
+  const properties = {};
+  for (const [key, propertySchema] of Object.entries(schema.properties)) properties[key] = partial(propertySchema);
+  return { ...schema, properties, optional: true };
+}
+
+const RULES_OVERRIDE_SCHEMA = partial(RULES_SCHEMA);
+
+const EVENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 60 },
+    from: { type: 'string', maxLength: 40, optional: true },
+    until: { type: 'string', maxLength: 40, optional: true },
+    arenas: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 40 }, maxItems: 100, optional: true },
+    rules: RULES_OVERRIDE_SCHEMA
+  }
+};
+
+// A rule override's problems, or null. Beyond the schema, war rounds must be odd.
+function checkOverride(rules, path) {
+  const error = validate(RULES_OVERRIDE_SCHEMA, rules, path);
+  if (error) return error;
+  if (rules && rules.clanWars && rules.clanWars.rounds !== undefined && rules.clanWars.rounds % 2 === 0) {
+    return `${path}.clanWars.rounds should be odd`;
+  }
+  return null;
+}
+
+// What is wrong with a parsed rules file, or null if it can be used
+function validateRulesFile(file) {
+  if (typeof file !== 'object' || file === null || Array.isArray(file)) return 'the file should hold an object';
+  for (const key of Object.keys(file)) {
+    if (!['rules', 'arenas', 'events'].includes(key)) return `${key} is not expected`;
+  }
+
+  const error = checkOverride(file.rules, 'rules');
+  if (error) return error;
+
+  if (file.arenas !== undefined) {
+    if (typeof file.arenas !== 'object' || file.arenas === null || Array.isArray(file.arenas)) return 'arenas should be an object';
+    for (const [arenaId, rules] of Object.entries(file.arenas)) {
+      const arenaError = checkOverride(rules, `arenas.${arenaId}`);
+      if (arenaError) return arenaError;
+    }
+  }
+
+  if (file.events !== undefined) {
+    const eventsError = validate({ type: 'array', items: EVENT_SCHEMA, maxItems: 100 }, file.events, 'events');
+    if (eventsError) return eventsError;
+    for (let i = 0; i < file.events.length; i++) {
+      const event = file.events[i];
+      for (const bound of ['from', 'until']) {
+        if (event[bound] !== undefined && Number.isNaN(Date.parse(event[bound]))) return `events[${i}].${bound} is not a date`;
+      }
+      const eventError = checkOverride(event.rules, `events[${i}].rules`);
+      if (eventError) return eventError;
+    }
+  }
+  return null;
+}
+
+// Read and check a rules file - throws with what is wrong if it can't be used
+function loadRulesFile(path) {
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read rules file ${path}: ${err.message}`);
+  }
+  const error = validateRulesFile(file);
+  if (error) throw new Error(`Invalid rules file ${path}: ${error}`);
+  return file;
+}
+
+// base with override laid over it, section by section
+function mergeRules(base, override) {
+  if (!override) return base;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    if (value === undefined || value === null) continue;
+    merged[key] = typeof value === 'object' && !Array.isArray(value) ? mergeRules(base[key] || {}, value) : value;
+  }
+  return merged;
+}
+
+// Rules as a validated file sets them. rulesFor(arenaId) gives the rules in force in an arena
+// right now - pass null for rules outside any arena, like clan wars - and activeEvents(arenaId)
+// the events behind them.
+function createRulebook(file = {}, now = Date.now) {
+  const error = validateRulesFile(file);
+  if (error) throw new Error(`Invalid rules: ${error}`);
+  const base = mergeRules(DEFAULT_RULES, file.rules);
+  const arenaRules = file.arenas || {};
+  const events = (file.events || []).map(event => ({
+    name: event.name,
+    from: event.from ? Date.parse(event.from) : null,
+    until: event.until ? Date.parse(event.until) : null,
+    arenas: event.arenas || null,
+    rules: event.rules
+  }));
+
+  function activeEvents(arenaId) {
+    const at = now();
+    return events.filter(event =>
+      (event.from === null || event.from <= at) &&
+      (event.until === null || at < event.until) &&
+      (!event.arenas || event.arenas.includes(arenaId)));
+  }
+
+  function rulesFor(arenaId) {
+    let rules = mergeRules(base, arenaId ? arenaRules[arenaId] : null);
+    for (const event of activeEvents(arenaId)) rules = mergeRules(rules, event.rules);
+    return rules;
+  }
+
+  return { rulesFor, activeEvents };
+}
+
+module.exports = { DEFAULT_RULES, RULES_SCHEMA, validateRulesFile, loadRulesFile, mergeRules, createRulebook };
@@ -0,0 +1,297 @@
+const { createRng } = require('./rng');
+const { resolveAttacks, settleTick } = require('./combat');
+const { simulateClanBattle, snapshotMembers, pickLineup } = require('./clanBattle');
+const { BOT_STRATEGY_NAMES, decideBotAction } = require('./bots');
+const { DEFAULT_RULES } = require('./rules');
+
+// Balance simulator for `node server.js simulate`. Runs pit sessions full of bots through the
+// same resolveAttacks the server uses, and clan wars through simulateClanBattle, and tallies
+// who wins and why - so a rule change can be judged before it ships. Pure: the same seed and
+// options always give the same report.
+//
+// The pit is played on a simulated clock that ticks like the server's combat tick. Points,
+// streaks and revenge are settled by the same settleTick as processAllAttacks, under
+// options.rules (lib/rules.js) - pass a rules file's rules to see what it would change.
+
+const NUMBER_BUCKET = 10; // Player numbers are reported in bands of ten: 0-9, 10-19...
+const MAX_STREAK_BUCKET = 10; // Streaks this long or longer share the last bucket
+
+const DEFAULT_OPTIONS = {
+  seed: 1,
+  sessions: 1000,
+  ticks: 240, // Two minutes of 500ms combat ticks
+  fighters: 6, // Bots per pit session
+  strategies: BOT_STRATEGY_NAMES, // Handed out to fighters at random
+  wars: 1000,
+  minClanSize: 3,
+  maxClanSize: 8,
+  tickMs: 500,
+  thinkMs: 1000,
+  rules: DEFAULT_RULES
+};
+
+function numberBucket(playerNumber) {
+  const low = Math.floor(playerNumber / NUMBER_BUCKET) * NUMBER_BUCKET;
+  return `${low}-${low + NUMBER_BUCKET - 1}`;
+}
+
+// Count a win or a loss under a key of a { key: { wins, fights } } tally
+function tally(table, key, won) {
+  if (!table[key]) table[key] = { wins: 0, fights: 0 };
+  table[key].fights++;
+  if (won) table[key].wins++;
+}
+
+function winRates(table) {
+  const rates = {};
+  for (const key of Object.keys(table).sort((a, b) => parseInt(a, 10) - parseInt(b, 10) || (a < b ? -1 : a > b ? 1 : 0))) {
+    const { wins, fights } = table[key];
+    rates[key] = { wins, fights, winRate: fights > 0 ? wins / fights : 0 };
+  }
+  return rates;
+}
+
+// What a bot sees of the pit - the same fields getPitView gives players
+function pitView(fighters, self, revengeTargets, now) {
+  const revenge = revengeTargets.get(self.odIdentifier);
+  const revengeId = revenge && revenge.expiresAt > now ? revenge.odIdentifier : null;
+  return fighters.filter(f => f.inPit).map(f => ({
+    id: f.id,
+    odIdentifier: f.odIdentifier,
+    name: f.name,
+    points: f.points,
+    streak: f.streak,
+    action: f.action ? (f.action === 'defend' ? 'defending' : 'attacking') : 'idle',
+    disconnected: false,
+    isBot: true,
+    isRevenge: f.odIdentifier === revengeId
+  }));
+}
+
+function clearAction(fighter) {
+  fighter.action = null;
+  fighter.actionTarget = null;
+  fighter.actionTime = null;
+  fighter.attackType = null;
+}
+
+// Each fighter's current streak ends here - count it in the streak distribution
+function endStreak(stats, fighter, rules) {
+  const bucket = Math.min(fighter.streak, MAX_STREAK_BUCKET);
+  stats.streaks[bucket] = (stats.streaks[bucket] || 0) + 1;
+  if (fighter.streak >= rules.pit.streakKill) stats.streakKillRuns++;
+  fighter.streak = 0;
+}
+
+// One pit session: options.fighters bots, options.ticks combat ticks
+function simulatePitSession(rng, options, stats) {
+  const { rules } = options;
+  const defendTimeoutMs = rules.pit.defendTimeoutSeconds * 1000;
+  const fighters = [];
+  for (let i = 0; i < options.fighters; i++) {
+    const id = `sim_${i}`;
+    fighters.push({
+      id,
+      odIdentifier: id,
+      name: id,
+      playerNumber: rng.int(100),
+      strategy: rng.pick(options.strategies),
+      points: rules.startingPoints,
+      streak: 0,
+      inPit: true,
+      action: null,
+      actionTarget: null,
+      actionTime: null,
+      attackType: null,
+      nextMoveAt: rng.int(options.thinkMs),
+      restUntil: null
+    });
+  }
+  const revengeTargets = new Map();
+
+  for (let tick = 1; tick <= options.ticks; tick++) {
+    const now = tick * options.tickMs;
+
+    // Bots come back after a rest, raise their guard or declare attacks - as runArenaBots has them do
+    for (const fighter of fighters) {
+      if (!fighter.inPit) {
+        if (fighter.restUntil === null) fighter.restUntil = now + options.thinkMs * (2 + rng.int(3));
+        if (now >= fighter.restUntil) {
+          fighter.inPit = true;
+          fighter.restUntil = null;
+          fighter.nextMoveAt = now + options.thinkMs;
+        }
+        continue;
+      }
+      if (fighter.action === 'defend' && now - fighter.actionTime > defendTimeoutMs) clearAction(fighter);
+      if (fighter.action === 'attack' || now < fighter.nextMoveAt) continue;
+
+      fighter.nextMoveAt = now + options.thinkMs * (1 + rng.next());
+      const move = decideBotAction(fighter, pitView(fighters, fighter, revengeTargets, now), rng);
+      if (move && move.action === 'attack') {
+        fighter.action = 'attack';
+        fighter.actionTarget = move.targetId;
+        fighter.actionTime = now;
+        fighter.attackType = move.attackType;
+      } else if (move && move.action === 'defend' && !fighter.action) {
+        fighter.action = 'defend';
+        fighter.actionTime = now;
+      }
+    }
+
+    // The tick ends - settle it the way processAllAttacks does
+    const inPit = fighters.filter(f => f.inPit);
+    const results = resolveAttacks(inPit);
+    if (results.length === 0) continue;
+
+    for (const result of results) {
+      const attackerWon = result.winner.id === result.attacker.id;
+      const attacker = attackerWon ? result.winner : result.loser;
+      stats.fights++;
+      stats.reasons[result.reason] = (stats.reasons[result.reason] || 0) + 1;
+      tally(stats.byAttackType, attacker.attackType, attackerWon);
+      tally(stats.byStrategy, result.winner.strategy, true);
+      tally(stats.byStrategy, result.loser.strategy, false);
+      tally(stats.byNumber, numberBucket(result.winner.playerNumber), true);
+      tally(stats.byNumber, numberBucket(result.loser.playerNumber), false);
+    }
+
+    const { losers, winners } = settleTick(results, rules, revengeTargets, now);
+    stats.revengeKills += results.filter(result => result.isRevenge).length;
+    for (const { fighter: loser, delta } of losers) {
+      loser.points = Math.max(0, loser.points + delta);
+      if (loser.points === 0) stats.captures++;
+      endStreak(stats, loser, rules);
+      loser.inPit = false;
+      clearAction(loser);
+    }
+    for (const { fighter: winner, result, delta, streak } of winners) {
+      winner.points += delta;
+      winner.streak = streak;
+      if (result.isStreakKill) stats.streakKills++;
+      clearAction(winner);
+    }
+  }
+
+  for (const fighter of fighters) endStreak(stats, fighter, rules);
+}
+
+// Run options.sessions pit sessions. Returns win rates by player number band, attack type
+// and strategy, how fights were decided, the streak distribution and how often captures happen.
+function simulatePit(options = {}) {
+  options = { ...DEFAULT_OPTIONS, ...options };
+  const rng = createRng(options.seed);
+  const stats = {
+    fights: 0,
+    reasons: {},
+    byNumber: {},
+    byAttackType: {},
+    byStrategy: {},
+    streaks: {},
+    streakKills: 0,
+    streakKillRuns: 0,
+    revengeKills: 0,
+    captures: 0
+  };
+
+  for (let i = 0; i < options.sessions; i++) simulatePitSession(rng, options, stats);
+
+  const streakRuns = Object.values(stats.streaks).reduce((sum, n) => sum + n, 0);
+  return {
+    sessions: options.sessions,
+    fights: stats.fights,
+    fightsPerSession: stats.fights / options.sessions,
+    reasons: stats.reasons,
+    byNumber: winRates(stats.byNumber),
+    byAttackType: winRates(stats.byAttackType), // Attacker's win rate by the attack they chose
+    byStrategy: winRates(stats.byStrategy),
+    streaks: stats.streaks, // Streak length (MAX_STREAK_BUCKET = that or longer) -> how many ended there
+    streakKills: stats.streakKills, // Wins that were streak kills - rules.pit.streakKill or more in a row
+    streakKillRate: streakRuns > 0 ? stats.streakKillRuns / streakRuns : 0, // Share of streaks that got there
+    revengeKills: stats.revengeKills,
+    captures: stats.captures,
+    capturesPerSession: stats.captures / options.sessions,
+    capturesPerThousandFights: stats.fights > 0 ? stats.captures * 1000 / stats.fights : 0
+  };
+}
+
+function randomClan(rng, options, side) {
+  const size = options.minClanSize + rng.int(options.maxClanSize - options.minClanSize + 1);
+  const members = [];
+  for (let i = 0; i < size; i++) {
+    members.push({
+      od_identifier: `${side}_${i}`,
+      name: `${side}_${i}`,
+      player_number: rng.int(100),
+      character_image: 1,
+      points: 1 + rng.int(options.rules.startingPoints * 2)
+    });
+  }
+  return members;
+}
+
+// Run options.wars clan wars between random clans, half with picked lineups. Returns how often
+// the challenger wins, how long wars last, fighter win rates by player number band and attack
+// type, and how many fighters the losing side has captured.
+function simulateClanWars(options = {}) {
+  options = { ...DEFAULT_OPTIONS, ...options };
+  const rng = createRng(options.seed);
+  const byNumber = {};
+  const byAttackType = {};
+  const roundsPlayed = {};
+  let challengerWins = 0;
+  let tiedRounds = 0;
+  let rounds = 0;
+  let captures = 0;
+
+  for (let i = 0; i < options.wars; i++) {
+    const challenger = randomClan(rng, options, 'a');
+    const defender = randomClan(rng, options, 'b');
+    const ordered = rng.chance(0.5);
+    const snapshot = {
+      challenger: snapshotMembers(ordered ? pickLineup(challenger, rng.shuffle(challenger).map(m => m.od_identifier)) : challenger),
+      defender: snapshotMembers(ordered ? pickLineup(defender, rng.shuffle(defender).map(m => m.od_identifier)) : defender),
+      ordered,
+      rounds: options.rules.clanWars.rounds
+    };
+    const battle = simulateClanBattle(rng.int(0x7fffffff), snapshot);
+
+    // Ties go to the challenger, as fightClanWar settles them
+    const challengerWon = battle.challengerWins >= battle.defenderWins;
+    if (challengerWon) challengerWins++;
+    roundsPlayed[battle.rounds.length] = (roundsPlayed[battle.rounds.length] || 0) + 1;
+
+    const pointChanges = new Map();
+    for (const round of battle.rounds) {
+      rounds++;
+      if (round.challengerRoundWins === round.defenderRoundWins) tiedRounds++;
+      for (const result of round.results) {
+        const higher = result.fighterA.number >= result.fighterB.number ? result.fighterA : result.fighterB;
+        tally(byAttackType, result.attackType, result.winner.id === higher.id); // How often the higher number wins
+        for (const fighter of [result.fighterA, result.fighterB]) {
+          tally(byNumber, numberBucket(fighter.number), result.winner.id === fighter.id);
+        }
+        pointChanges.set(result.winner.id, (pointChanges.get(result.winner.id) || 0) + options.rules.clanWars.winPoints * options.rules.pointsMultiplier);
+        pointChanges.set(result.loser.id, (pointChanges.get(result.loser.id) || 0) - options.rules.clanWars.lossPoints);
+      }
+    }
+
+    // Fighters on the losing side who drop to 0 are captured
+    for (const member of challengerWon ? defender : challenger) {
+      if (member.points + (pointChanges.get(member.od_identifier) || 0) <= 0) captures++;
+    }
+  }
+
+  return {
+    wars: options.wars,
+    challengerWinRate: options.wars > 0 ? challengerWins / options.wars : 0,
+    roundsPlayed, // Rounds a war took -> how many wars
+    tiedRoundRate: rounds > 0 ? tiedRounds / rounds : 0,
+    byNumber: winRates(byNumber),
+    byAttackType: winRates(byAttackType), // Higher number's win rate by the attack type drawn
+    captures,
+    capturesPerWar: options.wars > 0 ? captures / options.wars : 0
+  };
+}
+
+module.exports = { DEFAULT_OPTIONS, simulatePit, simulateClanWars };
@@ -0,0 +1,16 @@
+const { createPostgresStorage } = require('./postgres');
+const { createMemoryStorage } = require('./memory');
+
+// Pick the storage backend named in config
+function createStorage(config) {
+  switch (config.storage) {
+    case 'postgres':
+      return createPostgresStorage({ connectionString: config.databaseUrl });
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown storage backend: ${config.storage}`);
+  }
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,1103 @@
+const crypto = require('crypto');
+const { INITIAL_RATING } = require('../clanRating');
+
+// In-memory storage backend - same behaviour as Postgres, nothing persists across restarts
+function createMemoryStorage() {
+  const players = new Map(); // od_identifier -> row
+  const clans = new Map(); // name -> row
+  const clanBattles = new Map(); // id -> row
+  const battleRounds = [];
+  const transferCodes = new Map(); // code_hash -> row
+  const clanNameHistory = [];
+  const clanInvites = [];
+  const clanJoinRequests = [];
+  const tournaments = new Map(); // id -> row
+  const tournamentEntries = [];
+  const tournamentMatches = [];
+  const playerSanctions = [];
+  const heckleReports = [];
+  const heckles = new Map(); // id -> row
+  const heckleReactions = new Set(); // `${heckle_id}:${od_identifier}`
+  let nextClanId = 1;
+  let nextInviteId = 1;
+  let nextJoinRequestId = 1;
+  let nextBattleId = 1;
+  let nextRoundId = 1;
+  let nextTournamentId = 1;
+  let nextTournamentMatchId = 1;
+  let nextSanctionId = 1;
+  let nextHeckleReportId = 1;
+  let nextHeckleId = 1;
+
+  function today() {
+    return new Date().toISOString().split('T')[0];
+  }
+
+  // Rows are copied in and out so callers can't mutate stored state
+  function copy(row) {
+    return row ? { ...row } : null;
+  }
+
+  function byPointsDesc(a, b) {
+    return b.points - a.points;
+  }
+
+  function touch(row) {
+    row.updated_at = new Date();
+  }
+
+  async function init() {}
+
+  // Nothing to migrate - the in-memory tables always have the current shape
+  async function migrate() {
+    return [];
+  }
+
+  async function migrationStatus() {
+    return [];
+  }
+
+  async function close() {}
+
+  // Players
+
+  async function getPlayer(odIdentifier) {
+    return copy(players.get(odIdentifier));
+  }
+
+  // Returns the character's public id
+  async function createPlayer({ odIdentifier, name, playerNumber, characterImage, points }) {
+    const existing = players.get(odIdentifier);
+    if (existing) {
+      existing.character_image = characterImage;
+      return existing.public_id;
+    }
+    const publicId = crypto.randomBytes(8).toString('hex');
+    players.set(odIdentifier, {
+      od_identifier: odIdentifier,
+      public_id: publicId,
+      name,
+      player_number: playerNumber,
+      character_image: characterImage,
+      points,
+      clan_name: null,
+      clan_role: null,
+      owner_id: null,
+      daily_revenge_kills: 0,
+      daily_max_streak: 0,
+      daily_challenge_date: today(),
+      challenge_revenge_claimed: false,
+      challenge_streak_claimed: false,
+      auth_claimed: true,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+    return publicId;
+  }
+
+  async function getPlayerByPublicId(publicId) {
+    return copy(Array.from(players.values()).find(p => p.public_id === publicId));
+  }
+
+  // A player's public id, or null for ids with no character row (bots)
+  function publicIdOf(odIdentifier) {
+    const row = players.get(odIdentifier);
+    return row ? row.public_id : null;
+  }
+
+  async function claimPlayerAuth(odIdentifier) {
+    const row = players.get(odIdentifier);
+    if (!row || row.auth_claimed) return false;
+    row.auth_claimed = true;
+    touch(row);
+    return true;
+  }
+
+  async function createTransferCode(odIdentifier, codeHash, ttlMinutes) {
+    for (const [hash, code] of transferCodes) {
+      if (code.od_identifier === odIdentifier && !code.used_at) transferCodes.delete(hash);
+    }
+    transferCodes.set(codeHash, {
+      code_hash: codeHash,
+      od_identifier: odIdentifier,
+      expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000),
+      used_at: null,
+      created_at: new Date()
+    });
+  }
+
+  async function redeemTransferCode(codeHash) {
+    const code = transferCodes.get(codeHash);
+    if (!code || code.used_at || code.expires_at <= new Date()) return null;
+    code.used_at = new Date();
+    return code.od_identifier;
+  }
+
+  async function updatePlayerName(odIdentifier, name) {
+    const row = players.get(odIdentifier);
+    if (!row) return;
+    row.name = name;
+    touch(row);
+  }
+
+  async function resetDailyChallenges(odIdentifier) {
+    const row = players.get(odIdentifier);
+    if (!row) return;
+    row.daily_revenge_kills = 0;
+    row.daily_max_streak = 0;
+    row.daily_challenge_date = today();
+    row.challenge_revenge_claimed = false;
+    row.challenge_streak_claimed = false;
+  }
+
+  async function updateDailyChallenge(odIdentifier, revengeKills, maxStreak) {
+    const row = players.get(odIdentifier);
+    if (!row) return;
+    row.daily_revenge_kills = Math.max(row.daily_revenge_kills, revengeKills);
+    row.daily_max_streak = Math.max(row.daily_max_streak, maxStreak);
+    touch(row);
+  }
+
+  async function claimChallengeReward(odIdentifier, challengeType, bonus) {
+    const row = players.get(odIdentifier);
+    const column = challengeType === 'revenge' ? 'challenge_revenge_claimed' : 'challenge_streak_claimed';
+    if (!row || row[column]) return null;
+    row[column] = true;
+    row.points += bonus;
+    touch(row);
+    return row.points;
+  }
+
+  async function getLeaderboard(limit) {
+    return Array.from(players.values())
+      .sort(byPointsDesc)
+      .slice(0, limit)
+      .map(p => ({
+        od_identifier: p.od_identifier,
+        public_id: p.public_id,
+        name: p.name,
+        points: p.points,
+        character_image: p.character_image,
+        clan_name: p.clan_name
+      }));
+  }
+
+  // Characters and clans
+
+  async function getOwnedCharacters(ownerOdIdentifier) {
+    return Array.from(players.values())
+      .filter(p => p.owner_id === ownerOdIdentifier || (p.owner_id === null && p.od_identifier === ownerOdIdentifier))
+      .map(p => ({
+        od_identifier: p.od_identifier,
+        public_id: p.public_id,
+        name: p.name,
+        points: p.points,
+        character_image: p.character_image,
+        clan_name: p.clan_name,
+        player_number: p.player_number
+      }));
+  }
+
+  async function getClanCharacters(clanName, playerOdIdentifier) {
+    return Array.from(players.values())
+      .filter(p => p.clan_name === clanName)
+      .filter(p => p.od_identifier === playerOdIdentifier || p.owner_id === playerOdIdentifier || p.owner_id === null)
+      .sort(byPointsDesc)
+      .map(p => ({
+        od_identifier: p.od_identifier,
+        public_id: p.public_id,
+        name: p.name,
+        points: p.points,
+        character_image: p.character_image,
+        player_number: p.player_number,
+        owner_id: p.owner_id
+      }));
+  }
+
+  function clanMemberRows(clanName) {
+    return Array.from(players.values()).filter(p => p.clan_name === clanName);
+  }
+
+  function promoteSuccessor(clanName) {
+    const members = clanMemberRows(clanName);
+    if (members.length === 0 || members.some(p => p.clan_role === 'leader')) return;
+    const successor = members.sort((a, b) =>
+      (b.clan_role === 'officer') - (a.clan_role === 'officer') || b.points - a.points)[0];
+    successor.clan_role = 'leader';
+    touch(successor);
+  }
+
+  function moveToClan(row, clanName, role) {
+    const previousClan = row.clan_name;
+    row.clan_name = clanName;
+    row.clan_role = role;
+    touch(row);
+    if (previousClan && previousClan !== clanName) promoteSuccessor(previousClan);
+  }
+
+  // Nothing awaits in here, so the whole batch lands at once like the Postgres transaction
+  async function applyPointChanges(changes, { floor = null } = {}) {
+    const captured = new Set();
+    for (const change of changes) {
+      const row = players.get(change.odIdentifier);
+      if (!row) continue;
+      row.points = floor === null ? row.points + change.delta : Math.max(floor, row.points + change.delta);
+      touch(row);
+      if (!change.capture) continue;
+
+      const { clanName, ownerId, fromClan } = change.capture;
+      if (row.points <= 0 && (fromClan === undefined || row.clan_name === fromClan)) {
+        row.owner_id = ownerId;
+        moveToClan(row, clanName, clanName ? 'member' : null);
+        captured.add(change.odIdentifier);
+      }
+    }
+    return [...new Set(changes.map(c => c.odIdentifier))]
+      .map(odIdentifier => players.get(odIdentifier))
+      .filter(Boolean)
+      .sort((a, b) => (a.od_identifier < b.od_identifier ? -1 : 1))
+      .map(p => ({
+        od_identifier: p.od_identifier,
+        name: p.name,
+        points: p.points,
+        clan_name: p.clan_name,
+        clan_role: p.clan_role,
+        owner_id: p.owner_id,
+        captured: captured.has(p.od_identifier)
+      }));
+  }
+
+  async function setPlayerClan(odIdentifier, clanName, role = clanName ? 'member' : null) {
+    const row = players.get(odIdentifier);
+    if (!row) return;
+    moveToClan(row, clanName, role);
+  }
+
+  async function transferCharacter(odIdentifier, clanName, ownerId) {
+    const row = players.get(odIdentifier);
+    if (!row) return;
+    row.owner_id = ownerId;
+    moveToClan(row, clanName, clanName ? 'member' : null);
+  }
+
+  async function setClanRole(odIdentifier, role) {
+    const row = players.get(odIdentifier);
+    if (!row) return;
+    row.clan_role = role;
+    touch(row);
+  }
+
+  async function createClan(name, creatorId) {
+    if (clans.has(name) && clanMemberRows(name).length > 0) return false;
+    clans.set(name, {
+      id: nextClanId++,
+      name,
+      creator_id: creatorId,
+      pending_leader_id: null,
+      join_policy: 'open',
+      rating: INITIAL_RATING,
+      rated_battles: 0,
+      wins: 0,
+      losses: 0,
+      created_at: new Date()
+    });
+    await setPlayerClan(creatorId, name, 'leader');
+    return true;
+  }
+
+  async function renameClan(oldName, newName, renamedBy) {
+    const clan = clans.get(oldName);
+    if (!clan) return 'missing';
+    if (clans.has(newName) || clanMemberRows(newName).length > 0) return 'taken';
+    const atWar = Array.from(clanBattles.values())
+      .some(b => b.status === 'in_progress' && (b.challenger_clan === oldName || b.defender_clan === oldName));
+    if (atWar) return 'at_war';
+
+    clans.delete(oldName);
+    clan.name = newName;
+    clans.set(newName, clan);
+    for (const row of clanMemberRows(oldName)) {
+      row.clan_name = newName;
+      touch(row);
+    }
+    for (const battle of clanBattles.values()) {
+      if (!['pending', 'accepted', 'in_progress'].includes(battle.status)) continue;
+      if (battle.challenger_clan === oldName) battle.challenger_clan = newName;
+      if (battle.defender_clan === oldName) battle.defender_clan = newName;
+      touch(battle);
+    }
+    const openTournaments = new Set(Array.from(tournaments.values())
+      .filter(t => ['registration', 'in_progress'].includes(t.status))
+      .map(t => t.id));
+    for (const entry of tournamentEntries) {
+      if (openTournaments.has(entry.tournament_id) && entry.clan_name === oldName) entry.clan_name = newName;
+    }
+    for (const match of tournamentMatches) {
+      if (!openTournaments.has(match.tournament_id)) continue;
+      if (match.clan_a === oldName) match.clan_a = newName;
+      if (match.clan_b === oldName) match.clan_b = newName;
+      if (match.winner_clan === oldName) match.winner_clan = newName;
+    }
+    clanNameHistory.push({ clan_id: clan.id, old_name: oldName, new_name: newName, renamed_by: renamedBy, renamed_at: new Date() });
+    return 'renamed';
+  }
+
+  async function getClanNameHistory(clanName) {
+    const clan = clans.get(clanName);
+    if (!clan) return [];
+    return clanNameHistory
+      .filter(h => h.clan_id === clan.id)
+      .map(({ old_name, new_name, renamed_by, renamed_at }) => ({ old_name, new_name, renamed_by, renamed_at }));
+  }
+
+  async function getClan(clanName) {
+    return copy(clans.get(clanName));
+  }
+
+  async function getClanLeader(clanName) {
+    const leader = clanMemberRows(clanName).find(p => p.clan_role === 'leader');
+    return leader ? leader.od_identifier : null;
+  }
+
+  async function setPendingLeader(clanName, odIdentifier) {
+    const clan = clans.get(clanName);
+    if (clan) clan.pending_leader_id = odIdentifier;
+  }
+
+  async function acceptClanLeadership(clanName, odIdentifier) {
+    const clan = clans.get(clanName);
+    const row = players.get(odIdentifier);
+    if (!clan || clan.pending_leader_id !== odIdentifier || !row || row.clan_name !== clanName) return null;
+
+    const previous = clanMemberRows(clanName).find(p => p.clan_role === 'leader');
+    if (previous) {
+      previous.clan_role = 'officer';
+      touch(previous);
+    }
+    row.clan_role = 'leader';
+    touch(row);
+    clan.pending_leader_id = null;
+    return { previousLeaderId: previous ? previous.od_identifier : null };
+  }
+
+  function clanById(clanId) {
+    return Array.from(clans.values()).find(c => c.id === clanId) || null;
+  }
+
+  async function setClanJoinPolicy(clanName, policy) {
+    const clan = clans.get(clanName);
+    if (clan) clan.join_policy = policy;
+  }
+
+  async function createClanInvite(clanName, odIdentifier, invitedBy, ttlMinutes) {
+    const clan = clans.get(clanName);
+    if (!clan) return null;
+    for (let i = clanInvites.length - 1; i >= 0; i--) {
+      const invite = clanInvites[i];
+      if (invite.clan_id === clan.id && invite.od_identifier === odIdentifier && !invite.responded_at) clanInvites.splice(i, 1);
+    }
+    const invite = {
+      id: nextInviteId++,
+      clan_id: clan.id,
+      od_identifier: odIdentifier,
+      invited_by: invitedBy,
+      expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000),
+      responded_at: null,
+      created_at: new Date()
+    };
+    clanInvites.push(invite);
+    return { id: invite.id, expires_at: invite.expires_at };
+  }
+
+  function openInvite(invite) {
+    return !invite.responded_at && invite.expires_at > new Date() && clanById(invite.clan_id);
+  }
+
+  async function getClanInvites(odIdentifier) {
+    return clanInvites
+      .filter(i => i.od_identifier === odIdentifier && openInvite(i))
+      .map(i => {
+        const inviter = players.get(i.invited_by);
+        return { id: i.id, clan_name: clanById(i.clan_id).name, invited_by_name: inviter ? inviter.name : null, expires_at: i.expires_at };
+      });
+  }
+
+  async function respondToClanInvite(inviteId, odIdentifier, accept) {
+    const invite = clanInvites.find(i => i.id === inviteId && i.od_identifier === odIdentifier);
+    const row = players.get(odIdentifier);
+    if (!invite || !openInvite(invite) || !row || (accept && row.clan_name)) return null;
+
+    const clanName = clanById(invite.clan_id).name;
+    invite.responded_at = new Date();
+    if (accept) {
+      row.clan_name = clanName;
+      row.clan_role = 'member';
+      touch(row);
+    }
+    return clanName;
+  }
+
+  async function createJoinRequest(clanName, odIdentifier) {
+    const clan = clans.get(clanName);
+    if (!clan) return null;
+    for (let i = clanJoinRequests.length - 1; i >= 0; i--) {
+      const request = clanJoinRequests[i];
+      if (request.clan_id === clan.id && request.od_identifier === odIdentifier && request.status === 'pending') clanJoinRequests.splice(i, 1);
+    }
+    const request = {
+      id: nextJoinRequestId++,
+      clan_id: clan.id,
+      od_identifier: odIdentifier,
+      status: 'pending',
+      decided_by: null,
+      decided_at: null,
+      created_at: new Date()
+    };
+    clanJoinRequests.push(request);
+    return request.id;
+  }
+
+  async function getJoinRequests(clanName) {
+    const clan = clans.get(clanName);
+    if (!clan) return [];
+    return clanJoinRequests
+      .filter(r => r.clan_id === clan.id && r.status === 'pending' && players.has(r.od_identifier))
+      .map(r => {
+        const p = players.get(r.od_identifier);
+        return { id: r.id, od_identifier: r.od_identifier, public_id: p.public_id, name: p.name, points: p.points, character_image: p.character_image, created_at: r.created_at };
+      });
+  }
+
+  async function decideJoinRequest(requestId, clanName, approve, decidedBy) {
+    const clan = clans.get(clanName);
+    const request = clanJoinRequests.find(r => r.id === requestId && clan && r.clan_id === clan.id && r.status === 'pending');
+    if (!request) return null;
+
+    const row = players.get(request.od_identifier);
+    request.status = approve && row && !row.clan_name ? 'approved' : 'rejected';
+    request.decided_by = decidedBy;
+    request.decided_at = new Date();
+    if (request.status === 'approved') {
+      row.clan_name = clanName;
+      row.clan_role = 'member';
+      touch(row);
+    }
+    return approve && request.status === 'rejected' ? null : request.od_identifier;
+  }
+
+  async function getClanMembers(clanName) {
+    return Array.from(players.values())
+      .filter(p => p.clan_name === clanName)
+      .sort(byPointsDesc)
+      .map(p => ({
+        od_identifier: p.od_identifier,
+        public_id: p.public_id,
+        name: p.name,
+        points: p.points,
+        character_image: p.character_image,
+        player_number: p.player_number,
+        clan_role: p.clan_role
+      }));
+  }
+
+  async function getClanSummaries() {
+    const counts = new Map();
+    for (const p of players.values()) {
+      if (p.clan_name) counts.set(p.clan_name, (counts.get(p.clan_name) || 0) + 1);
+    }
+    return Array.from(counts, ([name, count]) => ({ name, member_count: count, rating: clans.has(name) ? clans.get(name).rating : INITIAL_RATING }))
+      .sort((a, b) => b.member_count - a.member_count);
+  }
+
+  async function getClanLadder(limit) {
+    return Array.from(clans.values())
+      .map(c => ({ name: c.name, rating: c.rating, rated_battles: c.rated_battles, wins: c.wins, losses: c.losses, member_count: clanMemberRows(c.name).length }))
+      .filter(c => c.member_count > 0)
+      .sort((a, b) => b.rating - a.rating || b.rated_battles - a.rated_battles || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+      .slice(0, limit);
+  }
+
+  async function rateClanBattle(battleId, challengerChange, defenderChange) {
+    const battle = clanBattles.get(battleId);
+    if (!battle || battle.status !== 'completed' || battle.challenger_rating_change !== null) return null;
+    battle.challenger_rating_change = challengerChange;
+    battle.defender_rating_change = defenderChange;
+
+    const rows = [];
+    for (const [clanName, change] of [[battle.challenger_clan, challengerChange], [battle.defender_clan, defenderChange]]) {
+      const clan = clans.get(clanName);
+      if (!clan) continue;
+      const won = clanName === battle.winner_clan;
+      clan.rating += change;
+      clan.rated_battles++;
+      if (won) clan.wins++;
+      else clan.losses++;
+      rows.push({ name: clan.name, rating: clan.rating });
+    }
+    return rows;
+  }
+
+  // Clan battles
+
+  // Snapshots and lineups are nested, so they get copied too
+  function copyBattle(battle) {
+    if (!battle) return null;
+    return {
+      ...battle,
+      snapshot: battle.snapshot && JSON.parse(JSON.stringify(battle.snapshot)),
+      challenger_lineup: battle.challenger_lineup && [...battle.challenger_lineup],
+      defender_lineup: battle.defender_lineup && [...battle.defender_lineup],
+      captures: battle.captures && battle.captures.map(c => ({ ...c }))
+    };
+  }
+
+  async function createClanBattle(challengerClan, defenderClan, startsInMinutes, expiresInMinutes) {
+    const id = nextBattleId++;
+    clanBattles.set(id, {
+      id,
+      challenger_clan: challengerClan,
+      defender_clan: defenderClan,
+      challenger_clan_id: clans.has(challengerClan) ? clans.get(challengerClan).id : null,
+      defender_clan_id: clans.has(defenderClan) ? clans.get(defenderClan).id : null,
+      status: 'pending',
+      winner_clan: null,
+      current_round: 0,
+      seed: null,
+      snapshot: null,
+      scheduled_at: new Date(Date.now() + startsInMinutes * 60 * 1000),
+      expires_at: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+      end_reason: null,
+      captures: null,
+      challenger_rating_change: null,
+      defender_rating_change: null,
+      tournament_id: null,
+      challenger_lineup: null,
+      defender_lineup: null,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+    return id;
+  }
+
+  async function getActiveClanBattle(clanName) {
+    const active = Array.from(clanBattles.values())
+      .filter(b => b.challenger_clan === clanName || b.defender_clan === clanName)
+      .filter(b => ['pending', 'accepted', 'in_progress'].includes(b.status))
+      .sort((a, b) => b.id - a.id);
+    return copyBattle(active[0]);
+  }
+
+  async function acceptClanBattle(battleId) {
+    const battle = clanBattles.get(battleId);
+    if (!battle || battle.status !== 'pending' || battle.expires_at <= new Date()) return false;
+    battle.status = 'accepted';
+    touch(battle);
+    return true;
+  }
+
+  async function endClanBattle(battleId, status, reason, fromStatuses) {
+    const battle = clanBattles.get(battleId);
+    if (!battle || !fromStatuses.includes(battle.status)) return false;
+    battle.status = status;
+    battle.end_reason = reason;
+    touch(battle);
+    return true;
+  }
+
+  async function expireClanBattles(reason) {
+    const now = new Date();
+    const expired = Array.from(clanBattles.values()).filter(b => b.status === 'pending' && b.expires_at <= now);
+    for (const battle of expired) {
+      battle.status = 'expired';
+      battle.end_reason = reason;
+      touch(battle);
+    }
+    return expired.map(copyBattle);
+  }
+
+  async function getClanBattleHistory(clanName, limit) {
+    const renamed = clanNameHistory.filter(h => h.old_name === clanName).pop();
+    const clanId = clans.has(clanName) ? clans.get(clanName).id : renamed ? renamed.clan_id : null;
+    if (clanId === null) return [];
+    return Array.from(clanBattles.values())
+      .filter(b => b.challenger_clan_id === clanId || b.defender_clan_id === clanId)
+      .filter(b => !['pending', 'accepted', 'in_progress'].includes(b.status))
+      .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+      .slice(0, limit)
+      .map(b => ({
+        id: b.id,
+        challenger_clan: b.challenger_clan,
+        defender_clan: b.defender_clan,
+        status: b.status,
+        winner_clan: b.winner_clan,
+        end_reason: b.end_reason,
+        challenger_rating_change: b.challenger_rating_change,
+        defender_rating_change: b.defender_rating_change,
+        scheduled_at: b.scheduled_at,
+        created_at: b.created_at,
+        updated_at: b.updated_at
+      }));
+  }
+
+  async function getScheduledClanBattles() {
+    return Array.from(clanBattles.values())
+      .filter(b => b.status === 'accepted' || b.status === 'in_progress')
+      .sort((a, b) => a.scheduled_at - b.scheduled_at)
+      .map(copyBattle);
+  }
+
+  async function setClanBattleLineup(battleId, side, lineup) {
+    const battle = clanBattles.get(battleId);
+    if (!battle || !['pending', 'accepted'].includes(battle.status)) return false;
+    battle[side === 'challenger' ? 'challenger_lineup' : 'defender_lineup'] = [...lineup];
+    touch(battle);
+    return true;
+  }
+
+  async function settleClanBattle(battleId, winnerClan, changes, options) {
+    const battle = clanBattles.get(battleId);
+    if (!battle || battle.status !== 'in_progress') return null;
+    battle.status = 'completed';
+    battle.winner_clan = winnerClan;
+    touch(battle);
+    return applyPointChanges(changes, options);
+  }
+
+  async function startClanBattle(battleId, seed, snapshot) {
+    const battle = clanBattles.get(battleId);
+    if (!battle || battle.status !== 'accepted') return false;
+    battle.status = 'in_progress';
+    battle.seed = seed;
+    battle.snapshot = JSON.parse(JSON.stringify(snapshot));
+    touch(battle);
+    return true;
+  }
+
+  async function getClanBattle(battleId) {
+    return copyBattle(clanBattles.get(battleId));
+  }
+
+  async function recordBattleRound(battleId, roundNumber, matchups) {
+    for (let i = battleRounds.length - 1; i >= 0; i--) {
+      if (battleRounds[i].battle_id === battleId && battleRounds[i].round_number === roundNumber) battleRounds.splice(i, 1);
+    }
+    for (const m of matchups) {
+      battleRounds.push({
+        id: nextRoundId++,
+        battle_id: battleId,
+        round_number: roundNumber,
+        fighter1_id: m.fighter1Id,
+        fighter2_id: m.fighter2Id,
+        winner_id: m.winnerId,
+        fighter1_number: m.fighter1Number,
+        fighter2_number: m.fighter2Number,
+        attack_type: m.attackType,
+        created_at: new Date()
+      });
+    }
+    const battle = clanBattles.get(battleId);
+    if (battle) {
+      battle.current_round = roundNumber;
+      touch(battle);
+    }
+  }
+
+  async function getBattleRounds(battleId) {
+    return battleRounds
+      .filter(r => r.battle_id === battleId)
+      .sort((a, b) => a.round_number - b.round_number || a.id - b.id)
+      .map(r => {
+        const p1 = players.get(r.fighter1_id);
+        const p2 = players.get(r.fighter2_id);
+        return {
+          round_number: r.round_number,
+          fighter1_id: r.fighter1_id,
+          fighter2_id: r.fighter2_id,
+          winner_id: r.winner_id,
+          fighter1_number: r.fighter1_number,
+          fighter2_number: r.fighter2_number,
+          attack_type: r.attack_type,
+          fighter1_public_id: p1 ? p1.public_id : null,
+          fighter1_name: p1 ? p1.name : null,
+          fighter1_image: p1 ? p1.character_image : null,
+          fighter2_public_id: p2 ? p2.public_id : null,
+          fighter2_name: p2 ? p2.name : null,
+          fighter2_image: p2 ? p2.character_image : null
+        };
+      });
+  }
+
+  async function setClanBattleCaptures(battleId, captures) {
+    const battle = clanBattles.get(battleId);
+    if (!battle) return;
+    battle.captures = captures.map(c => ({ ...c }));
+  }
+
+  // Clan tournaments
+
+  async function createTournament({ name, format, maxClans, rewardPoints, createdBy, startsInMinutes }) {
+    const id = nextTournamentId++;
+    tournaments.set(id, {
+      id,
+      name,
+      format,
+      status: 'registration',
+      max_clans: maxClans,
+      reward_points: rewardPoints,
+      created_by: createdBy,
+      winner_clan: null,
+      end_reason: null,
+      starts_at: new Date(Date.now() + startsInMinutes * 60 * 1000),
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+    return id;
+  }
+
+  // A tournament row with its creator's public id
+  function tournamentRow(tournament) {
+    return tournament ? { ...tournament, created_by_public_id: publicIdOf(tournament.created_by) } : null;
+  }
+
+  async function getTournament(tournamentId) {
+    return tournamentRow(tournaments.get(tournamentId));
+  }
+
+  async function getTournaments(limit) {
+    const isOpen = t => ['registration', 'in_progress'].includes(t.status);
+    return Array.from(tournaments.values())
+      .sort((a, b) => isOpen(b) - isOpen(a) || b.created_at - a.created_at || b.id - a.id)
+      .slice(0, limit)
+      .map(tournamentRow);
+  }
+
+  async function getOpenTournaments() {
+    return Array.from(tournaments.values())
+      .filter(t => ['registration', 'in_progress'].includes(t.status))
+      .sort((a, b) => a.starts_at - b.starts_at)
+      .map(tournamentRow);
+  }
+
+  async function getTournamentEntries(tournamentId) {
+    return tournamentEntries
+      .filter(e => e.tournament_id === tournamentId)
+      .sort((a, b) => (a.seed ?? Infinity) - (b.seed ?? Infinity) || a.registered_at - b.registered_at)
+      .map(e => ({
+        clan_name: e.clan_name,
+        seed: e.seed,
+        registered_by: e.registered_by,
+        registered_at: e.registered_at,
+        rating: clans.has(e.clan_name) ? clans.get(e.clan_name).rating : INITIAL_RATING
+      }));
+  }
+
+  async function registerTournamentClan(tournamentId, clanName, registeredBy) {
+    const tournament = tournaments.get(tournamentId);
+    if (!tournament || tournament.status !== 'registration') return false;
+    const entries = tournamentEntries.filter(e => e.tournament_id === tournamentId);
+    if (entries.length >= tournament.max_clans || entries.some(e => e.clan_name === clanName)) return false;
+    tournamentEntries.push({ tournament_id: tournamentId, clan_name: clanName, seed: null, registered_by: registeredBy, registered_at: new Date() });
+    return true;
+  }
+
+  async function withdrawTournamentClan(tournamentId, clanName) {
+    const tournament = tournaments.get(tournamentId);
+    if (!tournament || tournament.status !== 'registration') return false;
+    const index = tournamentEntries.findIndex(e => e.tournament_id === tournamentId && e.clan_name === clanName);
+    if (index === -1) return false;
+    tournamentEntries.splice(index, 1);
+    return true;
+  }
+
+  async function startTournament(tournamentId, seeds, matches) {
+    const tournament = tournaments.get(tournamentId);
+    if (!tournament || tournament.status !== 'registration') return false;
+    tournament.status = 'in_progress';
+    touch(tournament);
+    for (const entry of tournamentEntries) {
+      if (entry.tournament_id === tournamentId) entry.seed = seeds.indexOf(entry.clan_name) + 1 || null;
+    }
+    for (const m of matches) {
+      tournamentMatches.push({
+        id: nextTournamentMatchId++,
+        tournament_id: tournamentId,
+        round: m.round,
+        slot: m.slot,
+        clan_a: m.clanA,
+        clan_b: m.clanB,
+        status: m.status,
+        winner_clan: m.winnerClan,
+        battle_id: null
+      });
+    }
+    return true;
+  }
+
+  async function getTournamentMatches(tournamentId) {
+    return tournamentMatches
+      .filter(m => m.tournament_id === tournamentId)
+      .sort((a, b) => a.round - b.round || a.slot - b.slot)
+      .map(copy);
+  }
+
+  async function scheduleTournamentMatch(matchId, startsInMinutes) {
+    const match = tournamentMatches.find(m => m.id === matchId);
+    if (!match || match.status !== 'ready') return null;
+    const battleId = await createClanBattle(match.clan_a, match.clan_b, startsInMinutes, startsInMinutes);
+    const battle = clanBattles.get(battleId);
+    battle.status = 'accepted';
+    battle.expires_at = null;
+    battle.tournament_id = match.tournament_id;
+    match.status = 'scheduled';
+    match.battle_id = battleId;
+    return battleId;
+  }
+
+  async function completeTournamentMatch(matchId, winnerClan, nextMatch) {
+    const match = tournamentMatches.find(m => m.id === matchId);
+    if (!match || match.status !== 'scheduled') return false;
+    match.status = 'completed';
+    match.winner_clan = winnerClan;
+    const next = nextMatch && tournamentMatches.find(m => m.id === nextMatch.id);
+    if (next) {
+      next.clan_a = nextMatch.clanA;
+      next.clan_b = nextMatch.clanB;
+      next.status = nextMatch.status;
+    }
+    return true;
+  }
+
+  async function endTournament(tournamentId, status, winnerClan, reason) {
+    const tournament = tournaments.get(tournamentId);
+    if (!tournament || !['registration', 'in_progress'].includes(tournament.status)) return false;
+    tournament.status = status;
+    tournament.winner_clan = winnerClan;
+    tournament.end_reason = reason;
+    touch(tournament);
+    return true;
+  }
+
+  // Moderation
+
+  function activeSanction(sanction) {
+    return !sanction.lifted_at && (!sanction.expires_at || sanction.expires_at > new Date());
+  }
+
+  async function addSanction({ odIdentifier, kind, reason, createdBy, minutes }) {
+    await liftSanctions(odIdentifier, kind, createdBy);
+    const sanction = {
+      id: nextSanctionId++,
+      od_identifier: odIdentifier,
+      kind,
+      reason,
+      created_by: createdBy,
+      expires_at: minutes === null || minutes === undefined ? null : new Date(Date.now() + minutes * 60 * 1000),
+      lifted_by: null,
+      lifted_at: null,
+      created_at: new Date()
+    };
+    playerSanctions.push(sanction);
+    return copy(sanction);
+  }
+
+  async function liftSanctions(odIdentifier, kind, liftedBy) {
+    let lifted = 0;
+    for (const sanction of playerSanctions) {
+      if (sanction.od_identifier !== odIdentifier || sanction.kind !== kind || !activeSanction(sanction)) continue;
+      sanction.lifted_by = liftedBy;
+      sanction.lifted_at = new Date();
+      lifted++;
+    }
+    return lifted;
+  }
+
+  async function getActiveSanctions(odIdentifier) {
+    return playerSanctions.filter(s => s.od_identifier === odIdentifier && activeSanction(s)).map(copy);
+  }
+
+  async function reportHeckle({ heckleId, arenaId, authorId, authorName, message, reportedBy, reason }) {
+    if (heckleReports.some(r => r.heckle_id === heckleId && r.reported_by === reportedBy)) return null;
+    heckleReports.push({
+      id: nextHeckleReportId++,
+      heckle_id: heckleId,
+      arena_id: arenaId,
+      author_id: authorId,
+      author_name: authorName,
+      message,
+      reported_by: reportedBy,
+      reason,
+      status: 'open',
+      resolved_by: null,
+      resolved_at: null,
+      created_at: new Date()
+    });
+    return heckleReports.filter(r => r.heckle_id === heckleId && r.status === 'open').length;
+  }
+
+  async function getHeckleReports(limit) {
+    return heckleReports.filter(r => r.status === 'open').slice(0, limit).map(copy);
+  }
+
+  async function resolveHeckleReports(heckleId, status, resolvedBy) {
+    let resolved = 0;
+    for (const report of heckleReports) {
+      if (report.heckle_id !== heckleId || report.status !== 'open') continue;
+      report.status = status;
+      report.resolved_by = resolvedBy;
+      report.resolved_at = new Date();
+      resolved++;
+    }
+    return resolved;
+  }
+
+  // Heckles
+
+  // A heckle row with the public ids of its author and target (bots have none)
+  function heckleRow(heckle) {
+    if (!heckle) return null;
+    return { ...heckle, author_public_id: publicIdOf(heckle.author_od_identifier), target_public_id: publicIdOf(heckle.target_od_identifier) };
+  }
+
+  async function createHeckle({ arenaId, authorId, authorOdIdentifier, authorName, characterImage, message, targetOdIdentifier, targetName, battleId, targetClan }) {
+    const heckle = {
+      id: nextHeckleId++,
+      arena_id: arenaId,
+      author_id: authorId,
+      author_od_identifier: authorOdIdentifier,
+      author_name: authorName,
+      character_image: characterImage,
+      message,
+      target_od_identifier: targetOdIdentifier || null,
+      target_name: targetName || null,
+      battle_id: battleId || null,
+      target_clan: targetClan || null,
+      upvotes: 0,
+      status: 'visible',
+      moderated_by: null,
+      created_at: new Date()
+    };
+    heckles.set(heckle.id, heckle);
+    return heckleRow(heckle);
+  }
+
+  async function getHeckle(heckleId) {
+    return heckleRow(heckles.get(heckleId));
+  }
+
+  async function getHeckles({ arenaId, before, limit }) {
+    return Array.from(heckles.values())
+      .filter(h => h.status === 'visible' && (!arenaId || h.arena_id === arenaId) && (!before || h.id < before))
+      .sort((a, b) => b.id - a.id)
+      .slice(0, limit)
+      .map(heckleRow);
+  }
+
+  async function setHeckleStatus(heckleId, status, moderatedBy) {
+    const heckle = heckles.get(heckleId);
+    if (!heckle) return false;
+    heckle.status = status;
+    heckle.moderated_by = moderatedBy;
+    return true;
+  }
+
+  async function reactToHeckle(heckleId, odIdentifier, upvote) {
+    const heckle = heckles.get(heckleId);
+    if (!heckle || heckle.status !== 'visible') return null;
+    const key = `${heckleId}:${odIdentifier}`;
+    if (upvote) heckleReactions.add(key);
+    else heckleReactions.delete(key);
+    heckle.upvotes = Array.from(heckleReactions).filter(k => k.startsWith(`${heckleId}:`)).length;
+    return heckle.upvotes;
+  }
+
+  async function getHeckleOfTheDay() {
+    const todayStart = new Date(today());
+    const best = Array.from(heckles.values())
+      .filter(h => h.status === 'visible' && h.upvotes > 0 && h.created_at >= todayStart)
+      .sort((a, b) => b.upvotes - a.upvotes || a.id - b.id)[0];
+    return heckleRow(best);
+  }
+
+  return {
+    name: 'memory',
+    init,
+    migrate,
+    migrationStatus,
+    close,
+    getPlayer,
+    createPlayer,
+    getPlayerByPublicId,
+    claimPlayerAuth,
+    createTransferCode,
+    redeemTransferCode,
+    updatePlayerName,
+    applyPointChanges,
+    resetDailyChallenges,
+    updateDailyChallenge,
+    claimChallengeReward,
+    getLeaderboard,
+    getOwnedCharacters,
+    getClanCharacters,
+    setPlayerClan,
+    transferCharacter,
+    setClanRole,
+    createClan,
+    renameClan,
+    getClanNameHistory,
+    getClan,
+    getClanLeader,
+    setPendingLeader,
+    acceptClanLeadership,
+    setClanJoinPolicy,
+    createClanInvite,
+    getClanInvites,
+    respondToClanInvite,
+    createJoinRequest,
+    getJoinRequests,
+    decideJoinRequest,
+    getClanMembers,
+    getClanSummaries,
+    getClanLadder,
+    rateClanBattle,
+    createClanBattle,
+    getActiveClanBattle,
+    getScheduledClanBattles,
+    acceptClanBattle,
+    endClanBattle,
+    expireClanBattles,
+    getClanBattleHistory,
+    setClanBattleLineup,
+    startClanBattle,
+    settleClanBattle,
+    getClanBattle,
+    recordBattleRound,
+    getBattleRounds,
+    setClanBattleCaptures,
+    createTournament,
+    getTournament,
+    getTournaments,
+    getOpenTournaments,
+    getTournamentEntries,
+    registerTournamentClan,
+    withdrawTournamentClan,
+    startTournament,
+    getTournamentMatches,
+    scheduleTournamentMatch,
+    completeTournamentMatch,
+    endTournament,
+    addSanction,
+    liftSanctions,
+    getActiveSanctions,
+    reportHeckle,
+    getHeckleReports,
+    resolveHeckleReports,
+    createHeckle,
+    getHeckle,
+    getHeckles,
+    setHeckleStatus,
+    reactToHeckle,
+    getHeckleOfTheDay
+  };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,1233 @@
+const { Pool } = require('pg');
+const { runMigrations, getMigrationStatus } = require('../migrations');
+
+// Postgres storage backend
+function createPostgresStorage({ connectionString }) {
+  if (!connectionString) {
+    throw new Error('Postgres storage requires DATABASE_URL');
+  }
+
+  const db = new Pool({
+    connectionString,
+    ssl: { rejectUnauthorized: false }
+  });
+
+  // Bring the schema up to date before serving
+  async function init() {
+    const applied = await runMigrations(db);
+    for (const migration of applied) {
+      console.log(`Applied migration ${migration.file}`);
+    }
+  }
+
+  async function migrate() {
+    return runMigrations(db);
+  }
+
+  async function migrationStatus() {
+    return getMigrationStatus(db);
+  }
+
+  async function close() {
+    await db.end();
+  }
+
+  // Players
+
+  async function getPlayer(odIdentifier) {
+    const result = await db.query('SELECT * FROM players WHERE od_identifier = $1', [odIdentifier]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  // The public id comes from the column default (migration 014) - returns it
+  async function createPlayer({ odIdentifier, name, playerNumber, characterImage, points }) {
+    const result = await db.query(
+      'INSERT INTO players (od_identifier, name, player_number, character_image, points, auth_claimed) VALUES ($1, $2, $3, $4, $5, TRUE) ON CONFLICT (od_identifier) DO UPDATE SET character_image = $4 RETURNING public_id',
+      [odIdentifier, name, playerNumber, characterImage, points]
+    );
+    return result.rows[0].public_id;
+  }
+
+  async function getPlayerByPublicId(publicId) {
+    const result = await db.query('SELECT * FROM players WHERE public_id = $1', [publicId]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  // Bind an unclaimed legacy character to a session - returns false if it was already claimed
+  async function claimPlayerAuth(odIdentifier) {
+    const result = await db.query(
+      'UPDATE players SET auth_claimed = TRUE, updated_at = CURRENT_TIMESTAMP WHERE od_identifier = $1 AND auth_claimed = FALSE RETURNING od_identifier',
+      [odIdentifier]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Store a new transfer code, replacing any unused one for the same character
+  async function createTransferCode(odIdentifier, codeHash, ttlMinutes) {
+    await db.query('DELETE FROM transfer_codes WHERE od_identifier = $1 AND used_at IS NULL', [odIdentifier]);
+    await db.query(
+      `INSERT INTO transfer_codes (code_hash, od_identifier, expires_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))`,
+      [codeHash, odIdentifier, ttlMinutes]
+    );
+  }
+
+  // Use up a transfer code - returns the character it unlocks, or null if invalid/expired/used
+  async function redeemTransferCode(codeHash) {
+    const result = await db.query(
+      `UPDATE transfer_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE code_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING od_identifier`,
+      [codeHash]
+    );
+    return result.rows.length > 0 ? result.rows[0].od_identifier : null;
+  }
+
+  async function updatePlayerName(odIdentifier, name) {
+    await db.query('UPDATE players SET name = $1, updated_at = CURRENT_TIMESTAMP WHERE od_identifier = $2', [name, odIdentifier]);
+  }
+
+  // Apply a batch of point deltas, and the captures they cause, in one transaction.
+  // changes: [{ odIdentifier, delta, capture }] with one entry per character. A character
+  // with a capture ({ clanName, ownerId, fromClan }) is taken when its points end at or below
+  // zero - and, if fromClan is given, only while it still belongs to that clan.
+  // Rows are locked in a fixed order so overlapping batches queue instead of deadlocking.
+  // Returns the committed rows, each flagged with whether it was captured.
+  async function applyPointChanges(changes, { floor = null } = {}) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const rows = await applyPointChangesWith(client, changes, floor);
+      await client.query('COMMIT');
+      return rows;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // The body of applyPointChanges, inside a transaction the caller opened on client
+  async function applyPointChangesWith(client, changes, floor) {
+    const ids = changes.map(c => c.odIdentifier);
+    await client.query('SELECT od_identifier FROM players WHERE od_identifier = ANY($1) ORDER BY od_identifier FOR UPDATE', [ids]);
+
+    const captured = new Set();
+    for (const change of changes) {
+      const result = await client.query(
+        `UPDATE players SET
+           points = CASE WHEN $3::INTEGER IS NULL THEN points + $1 ELSE GREATEST($3::INTEGER, points + $1) END,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE od_identifier = $2
+         RETURNING points, clan_name`,
+        [change.delta, change.odIdentifier, floor]
+      );
+      if (result.rows.length === 0 || !change.capture) continue;
+
+      const row = result.rows[0];
+      const { clanName, ownerId, fromClan } = change.capture;
+      if (row.points <= 0 && (fromClan === undefined || row.clan_name === fromClan)) {
+        await moveToClan(change.odIdentifier, 'clan_name = $2, clan_role = $3, owner_id = $4', [clanName, clanName ? 'member' : null, ownerId], client);
+        captured.add(change.odIdentifier);
+      }
+    }
+
+    const result = await client.query(
+      'SELECT od_identifier, name, points, clan_name, clan_role, owner_id FROM players WHERE od_identifier = ANY($1) ORDER BY od_identifier',
+      [ids]
+    );
+    return result.rows.map(row => ({ ...row, captured: captured.has(row.od_identifier) }));
+  }
+
+  async function resetDailyChallenges(odIdentifier) {
+    await db.query(`UPDATE players SET
+      daily_revenge_kills = 0,
+      daily_max_streak = 0,
+      daily_challenge_date = CURRENT_DATE,
+      challenge_revenge_claimed = FALSE,
+      challenge_streak_claimed = FALSE
+      WHERE od_identifier = $1`, [odIdentifier]);
+  }
+
+  async function updateDailyChallenge(odIdentifier, revengeKills, maxStreak) {
+    await db.query(`UPDATE players SET
+      daily_revenge_kills = GREATEST(daily_revenge_kills, $1),
+      daily_max_streak = GREATEST(daily_max_streak, $2),
+      updated_at = CURRENT_TIMESTAMP
+      WHERE od_identifier = $3`, [revengeKills, maxStreak, odIdentifier]);
+  }
+
+  // Mark a challenge claimed and add the bonus - returns new points, or null if already claimed
+  async function claimChallengeReward(odIdentifier, challengeType, bonus) {
+    const column = challengeType === 'revenge' ? 'challenge_revenge_claimed' : 'challenge_streak_claimed';
+    const result = await db.query(`UPDATE players SET
+      ${column} = TRUE,
+      points = points + $1,
+      updated_at = CURRENT_TIMESTAMP
+      WHERE od_identifier = $2 AND ${column} = FALSE
+      RETURNING points`, [bonus, odIdentifier]);
+    return result.rows.length > 0 ? result.rows[0].points : null;
+  }
+
+  async function getLeaderboard(limit) {
+    const result = await db.query('SELECT od_identifier, public_id, name, points, character_image, clan_name FROM players ORDER BY points DESC LIMIT $1', [limit]);
+    return result.rows;
+  }
+
+  // Characters and clans
+
+  async function getOwnedCharacters(ownerOdIdentifier) {
+    const result = await db.query(
+      'SELECT od_identifier, public_id, name, points, character_image, clan_name, player_number FROM players WHERE owner_id = $1 OR (owner_id IS NULL AND od_identifier = $1)',
+      [ownerOdIdentifier]
+    );
+    return result.rows;
+  }
+
+  // Characters in a clan that are the player, owned by the player, or unowned
+  async function getClanCharacters(clanName, playerOdIdentifier) {
+    const result = await db.query(`
+      SELECT od_identifier, public_id, name, points, character_image, player_number, owner_id
+      FROM players
+      WHERE clan_name = $1
+      AND (od_identifier = $2 OR owner_id = $2 OR owner_id IS NULL)
+      ORDER BY points DESC
+    `, [clanName, playerOdIdentifier]);
+    return result.rows;
+  }
+
+  // A clan whose leader has gone promotes its top officer, or failing that its top scorer
+  async function promoteSuccessor(clanName, client = db) {
+    await client.query(`
+      UPDATE players SET clan_role = 'leader', updated_at = CURRENT_TIMESTAMP
+      WHERE od_identifier = (
+        SELECT od_identifier FROM players
+        WHERE clan_name = $1
+        AND NOT EXISTS (SELECT 1 FROM players WHERE clan_name = $1 AND clan_role = 'leader')
+        ORDER BY (clan_role = 'officer') DESC, points DESC
+        LIMIT 1
+      )
+    `, [clanName]);
+  }
+
+  // Move a character to another clan (or none), fixing up the leadership of the clan it left
+  async function moveToClan(odIdentifier, setClause, params, client = db) {
+    const previous = await client.query('SELECT clan_name FROM players WHERE od_identifier = $1', [odIdentifier]);
+    await client.query(`UPDATE players SET ${setClause}, updated_at = CURRENT_TIMESTAMP WHERE od_identifier = $1`, [odIdentifier, ...params]);
+    const previousClan = previous.rows.length > 0 ? previous.rows[0].clan_name : null;
+    if (previousClan && previousClan !== params[0]) {
+      await promoteSuccessor(previousClan, client);
+    }
+  }
+
+  async function setPlayerClan(odIdentifier, clanName, role = clanName ? 'member' : null) {
+    await moveToClan(odIdentifier, 'clan_name = $2, clan_role = $3', [clanName, role]);
+  }
+
+  // Move a character into a clan under a new owner (capture or recruitment)
+  async function transferCharacter(odIdentifier, clanName, ownerId) {
+    await moveToClan(odIdentifier, 'clan_name = $2, clan_role = $3, owner_id = $4', [clanName, clanName ? 'member' : null, ownerId]);
+  }
+
+  async function setClanRole(odIdentifier, role) {
+    await db.query('UPDATE players SET clan_role = $1, updated_at = CURRENT_TIMESTAMP WHERE od_identifier = $2', [role, odIdentifier]);
+  }
+
+  // Found a clan led by creatorId - returns false if the name belongs to a clan that still has members
+  async function createClan(name, creatorId) {
+    const result = await db.query(`
+      INSERT INTO clans (name, creator_id) VALUES ($1, $2)
+      ON CONFLICT (name) DO UPDATE SET id = DEFAULT, creator_id = EXCLUDED.creator_id, pending_leader_id = NULL, join_policy = DEFAULT,
+        rating = DEFAULT, rated_battles = DEFAULT, wins = DEFAULT, losses = DEFAULT, created_at = CURRENT_TIMESTAMP
+      WHERE NOT EXISTS (SELECT 1 FROM players WHERE clan_name = EXCLUDED.name)
+      RETURNING name
+    `, [name, creatorId]);
+    if (result.rows.length === 0) return false;
+    await setPlayerClan(creatorId, name, 'leader');
+    return true;
+  }
+
+  // Rename a clan everywhere it is referenced, in one transaction: the clans row, every member
+  // and any battle or tournament still open. Returns 'renamed', or why not: 'missing' if the clan
+  // is gone, 'taken' if another clan has the name and 'at_war' while one of its wars is being fought.
+  async function renameClan(oldName, newName, renamedBy) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const clan = await client.query('SELECT id FROM clans WHERE name = $1 FOR UPDATE', [oldName]);
+      if (clan.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return 'missing';
+      }
+      const taken = await client.query(
+        'SELECT 1 FROM clans WHERE name = $1 UNION ALL SELECT 1 FROM players WHERE clan_name = $1 LIMIT 1',
+        [newName]
+      );
+      if (taken.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return 'taken';
+      }
+      // Locking its open battles keeps a war from starting until the rename is done
+      const battles = await client.query(
+        `SELECT status FROM clan_battles WHERE (challenger_clan = $1 OR defender_clan = $1)
+         AND status IN ('pending', 'accepted', 'in_progress') FOR UPDATE`,
+        [oldName]
+      );
+      if (battles.rows.some(b => b.status === 'in_progress')) {
+        await client.query('ROLLBACK');
+        return 'at_war';
+      }
+
+      await client.query('UPDATE clans SET name = $1 WHERE name = $2', [newName, oldName]);
+      await client.query('UPDATE players SET clan_name = $1, updated_at = CURRENT_TIMESTAMP WHERE clan_name = $2', [newName, oldName]);
+      await client.query(
+        `UPDATE clan_battles SET
+           challenger_clan = CASE WHEN challenger_clan = $2 THEN $1 ELSE challenger_clan END,
+           defender_clan = CASE WHEN defender_clan = $2 THEN $1 ELSE defender_clan END,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE (challenger_clan = $2 OR defender_clan = $2)
+         AND status IN ('pending', 'accepted', 'in_progress')`,
+        [newName, oldName]
+      );
+      await client.query(
+        `UPDATE clan_tournament_entries SET clan_name = $1
+         WHERE clan_name = $2 AND tournament_id IN (SELECT id FROM clan_tournaments WHERE status IN ('registration', 'in_progress'))`,
+        [newName, oldName]
+      );
+      await client.query(
+        `UPDATE clan_tournament_matches SET
+           clan_a = CASE WHEN clan_a = $2 THEN $1 ELSE clan_a END,
+           clan_b = CASE WHEN clan_b = $2 THEN $1 ELSE clan_b END,
+           winner_clan = CASE WHEN winner_clan = $2 THEN $1 ELSE winner_clan END
+         WHERE (clan_a = $2 OR clan_b = $2)
+         AND tournament_id IN (SELECT id FROM clan_tournaments WHERE status = 'in_progress')`,
+        [newName, oldName]
+      );
+      await client.query(
+        'INSERT INTO clan_name_history (clan_id, old_name, new_name, renamed_by) VALUES ($1, $2, $3, $4)',
+        [clan.rows[0].id, oldName, newName, renamedBy]
+      );
+      await client.query('COMMIT');
+      return 'renamed';
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      if (err.code === '23505') return 'taken'; // Someone else took the name first
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Past names of a clan, oldest first
+  async function getClanNameHistory(clanName) {
+    const result = await db.query(`
+      SELECT h.old_name, h.new_name, h.renamed_by, h.renamed_at
+      FROM clan_name_history h
+      JOIN clans c ON c.id = h.clan_id
+      WHERE c.name = $1
+      ORDER BY h.renamed_at, h.id
+    `, [clanName]);
+    return result.rows;
+  }
+
+  async function getClan(clanName) {
+    const result = await db.query('SELECT * FROM clans WHERE name = $1', [clanName]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  async function getClanLeader(clanName) {
+    const result = await db.query("SELECT od_identifier FROM players WHERE clan_name = $1 AND clan_role = 'leader'", [clanName]);
+    return result.rows.length > 0 ? result.rows[0].od_identifier : null;
+  }
+
+  // Offer leadership to a member (null withdraws the offer)
+  async function setPendingLeader(clanName, odIdentifier) {
+    await db.query('UPDATE clans SET pending_leader_id = $1 WHERE name = $2', [odIdentifier, clanName]);
+  }
+
+  // Accept a pending leadership offer - the old leader steps down to officer.
+  // Returns { previousLeaderId }, or null if there was no valid offer.
+  async function acceptClanLeadership(clanName, odIdentifier) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const clan = await client.query('SELECT pending_leader_id FROM clans WHERE name = $1 FOR UPDATE', [clanName]);
+      const member = await client.query('SELECT clan_name FROM players WHERE od_identifier = $1', [odIdentifier]);
+      if (clan.rows.length === 0 || clan.rows[0].pending_leader_id !== odIdentifier ||
+          member.rows.length === 0 || member.rows[0].clan_name !== clanName) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const previous = await client.query(
+        "UPDATE players SET clan_role = 'officer', updated_at = CURRENT_TIMESTAMP WHERE clan_name = $1 AND clan_role = 'leader' RETURNING od_identifier",
+        [clanName]
+      );
+      await client.query("UPDATE players SET clan_role = 'leader', updated_at = CURRENT_TIMESTAMP WHERE od_identifier = $1", [odIdentifier]);
+      await client.query('UPDATE clans SET pending_leader_id = NULL WHERE name = $1', [clanName]);
+      await client.query('COMMIT');
+      return { previousLeaderId: previous.rows.length > 0 ? previous.rows[0].od_identifier : null };
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function setClanJoinPolicy(clanName, policy) {
+    await db.query('UPDATE clans SET join_policy = $1 WHERE name = $2', [policy, clanName]);
+  }
+
+  // Invite a player, replacing any unanswered invite from the same clan - returns the new invite
+  async function createClanInvite(clanName, odIdentifier, invitedBy, ttlMinutes) {
+    const clan = await db.query('SELECT id FROM clans WHERE name = $1', [clanName]);
+    if (clan.rows.length === 0) return null;
+    await db.query(
+      'DELETE FROM clan_invites WHERE clan_id = $1 AND od_identifier = $2 AND responded_at IS NULL',
+      [clan.rows[0].id, odIdentifier]
+    );
+    const result = await db.query(
+      `INSERT INTO clan_invites (clan_id, od_identifier, invited_by, expires_at)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))
+       RETURNING id, expires_at`,
+      [clan.rows[0].id, odIdentifier, invitedBy, ttlMinutes]
+    );
+    return result.rows[0];
+  }
+
+  // Unanswered, unexpired invites for a player, with the inviting clan's current name
+  async function getClanInvites(odIdentifier) {
+    const result = await db.query(`
+      SELECT i.id, c.name as clan_name, p.name as invited_by_name, i.expires_at
+      FROM clan_invites i
+      JOIN clans c ON c.id = i.clan_id
+      LEFT JOIN players p ON p.od_identifier = i.invited_by
+      WHERE i.od_identifier = $1 AND i.responded_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP
+      ORDER BY i.created_at
+    `, [odIdentifier]);
+    return result.rows;
+  }
+
+  // Answer an invite. Accepting joins the clan as a member - returns its name,
+  // or null if the invite is invalid, expired or the player is already in a clan.
+  async function respondToClanInvite(inviteId, odIdentifier, accept) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const invite = await client.query(`
+        SELECT c.name as clan_name FROM clan_invites i
+        JOIN clans c ON c.id = i.clan_id
+        WHERE i.id = $1 AND i.od_identifier = $2 AND i.responded_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP
+        FOR UPDATE OF i
+      `, [inviteId, odIdentifier]);
+      const player = await client.query('SELECT clan_name FROM players WHERE od_identifier = $1 FOR UPDATE', [odIdentifier]);
+      if (invite.rows.length === 0 || player.rows.length === 0 || (accept && player.rows[0].clan_name)) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const clanName = invite.rows[0].clan_name;
+      await client.query('UPDATE clan_invites SET responded_at = CURRENT_TIMESTAMP WHERE id = $1', [inviteId]);
+      if (accept) {
+        await client.query(
+          "UPDATE players SET clan_name = $1, clan_role = 'member', updated_at = CURRENT_TIMESTAMP WHERE od_identifier = $2",
+          [clanName, odIdentifier]
+        );
+      }
+      await client.query('COMMIT');
+      return clanName;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Ask to join a clan, replacing any pending request to the same clan - returns the request id
+  async function createJoinRequest(clanName, odIdentifier) {
+    const clan = await db.query('SELECT id FROM clans WHERE name = $1', [clanName]);
+    if (clan.rows.length === 0) return null;
+    await db.query(
+      "DELETE FROM clan_join_requests WHERE clan_id = $1 AND od_identifier = $2 AND status = 'pending'",
+      [clan.rows[0].id, odIdentifier]
+    );
+    const result = await db.query(
+      'INSERT INTO clan_join_requests (clan_id, od_identifier) VALUES ($1, $2) RETURNING id',
+      [clan.rows[0].id, odIdentifier]
+    );
+    return result.rows[0].id;
+  }
+
+  // Pending requests to join a clan, with who is asking
+  async function getJoinRequests(clanName) {
+    const result = await db.query(`
+      SELECT r.id, r.od_identifier, p.public_id, p.name, p.points, p.character_image, r.created_at
+      FROM clan_join_requests r
+      JOIN clans c ON c.id = r.clan_id
+      JOIN players p ON p.od_identifier = r.od_identifier
+      WHERE c.name = $1 AND r.status = 'pending'
+      ORDER BY r.created_at
+    `, [clanName]);
+    return result.rows;
+  }
+
+  // Approve or reject a pending request. Approving adds the player as a member.
+  // Returns the requester's odIdentifier, or null if the request is gone or they have since joined a clan.
+  async function decideJoinRequest(requestId, clanName, approve, decidedBy) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const request = await client.query(`
+        SELECT r.od_identifier FROM clan_join_requests r
+        JOIN clans c ON c.id = r.clan_id
+        WHERE r.id = $1 AND c.name = $2 AND r.status = 'pending'
+        FOR UPDATE OF r
+      `, [requestId, clanName]);
+      if (request.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const odIdentifier = request.rows[0].od_identifier;
+      const player = await client.query('SELECT clan_name FROM players WHERE od_identifier = $1 FOR UPDATE', [odIdentifier]);
+      const status = approve && !player.rows[0].clan_name ? 'approved' : 'rejected';
+      await client.query(
+        'UPDATE clan_join_requests SET status = $1, decided_by = $2, decided_at = CURRENT_TIMESTAMP WHERE id = $3',
+        [status, decidedBy, requestId]
+      );
+      if (status === 'approved') {
+        await client.query(
+          "UPDATE players SET clan_name = $1, clan_role = 'member', updated_at = CURRENT_TIMESTAMP WHERE od_identifier = $2",
+          [clanName, odIdentifier]
+        );
+      }
+      await client.query('COMMIT');
+      return approve && status === 'rejected' ? null : odIdentifier;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function getClanMembers(clanName) {
+    const result = await db.query('SELECT od_identifier, public_id, name, points, character_image, player_number, clan_role FROM players WHERE clan_name = $1 ORDER BY points DESC', [clanName]);
+    return result.rows;
+  }
+
+  // Clans with their member counts, largest first
+  async function getClanSummaries() {
+    const result = await db.query(`
+      SELECT p.clan_name as name, COUNT(*) as member_count, COALESCE(MAX(c.rating), 1000) as rating
+      FROM players p
+      LEFT JOIN clans c ON c.name = p.clan_name
+      WHERE p.clan_name IS NOT NULL
+      GROUP BY p.clan_name
+      ORDER BY member_count DESC
+    `);
+    return result.rows;
+  }
+
+  // Clans that still have members, best rated first
+  async function getClanLadder(limit) {
+    const result = await db.query(`
+      SELECT c.name, c.rating, c.rated_battles, c.wins, c.losses, COUNT(p.od_identifier) as member_count
+      FROM clans c
+      JOIN players p ON p.clan_name = c.name
+      GROUP BY c.name, c.rating, c.rated_battles, c.wins, c.losses
+      ORDER BY c.rating DESC, c.rated_battles DESC, c.name
+      LIMIT $1
+    `, [limit]);
+    return result.rows;
+  }
+
+  // Settle the ratings of a completed battle, once: record each side's change on the battle and
+  // apply it to the clans along with the win and the loss. Returns the clans' new
+  // { name, rating } rows, or null if the battle was already rated or isn't completed.
+  async function rateClanBattle(battleId, challengerChange, defenderChange) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const battle = await client.query(
+        `UPDATE clan_battles SET challenger_rating_change = $2, defender_rating_change = $3
+         WHERE id = $1 AND status = 'completed' AND challenger_rating_change IS NULL
+         RETURNING challenger_clan, defender_clan, winner_clan`,
+        [battleId, challengerChange, defenderChange]
+      );
+      if (battle.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      const { challenger_clan: challengerClan, defender_clan: defenderClan, winner_clan: winnerClan } = battle.rows[0];
+      const rows = [];
+      for (const [clanName, change] of [[challengerClan, challengerChange], [defenderClan, defenderChange]]) {
+        const won = clanName === winnerClan ? 1 : 0;
+        const result = await client.query(
+          `UPDATE clans SET rating = rating + $2, rated_battles = rated_battles + 1, wins = wins + $3, losses = losses + $4
+           WHERE name = $1 RETURNING name, rating`,
+          [clanName, change, won, 1 - won]
+        );
+        rows.push(...result.rows);
+      }
+      await client.query('COMMIT');
+      return rows;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Clan battles
+
+  // A challenge for a war that starts startsInMinutes from now, open for expiresInMinutes
+  async function createClanBattle(challengerClan, defenderClan, startsInMinutes, expiresInMinutes) {
+    const result = await db.query(
+      `INSERT INTO clan_battles (challenger_clan, defender_clan, challenger_clan_id, defender_clan_id, status, scheduled_at, expires_at)
+       VALUES ($1::text, $2::text, (SELECT id FROM clans WHERE name = $1::text), (SELECT id FROM clans WHERE name = $2::text), $3,
+         CURRENT_TIMESTAMP + make_interval(secs => $4), CURRENT_TIMESTAMP + make_interval(secs => $5)) RETURNING id`,
+      [challengerClan, defenderClan, 'pending', startsInMinutes * 60, expiresInMinutes * 60]
+    );
+    return result.rows[0].id;
+  }
+
+  async function getActiveClanBattle(clanName) {
+    const result = await db.query(
+      `SELECT * FROM clan_battles
+       WHERE (challenger_clan = $1 OR defender_clan = $1)
+       AND status IN ('pending', 'accepted', 'in_progress')
+       ORDER BY created_at DESC LIMIT 1`,
+      [clanName]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  // Accept a challenge that is still open - returns false once it was answered, cancelled or expired
+  async function acceptClanBattle(battleId) {
+    const result = await db.query(
+      `UPDATE clan_battles SET status = 'accepted', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'pending' AND expires_at > CURRENT_TIMESTAMP RETURNING id`,
+      [battleId]
+    );
+    return result.rows.length > 0;
+  }
+
+  // End a battle that never got fought out - only if it is still in one of fromStatuses.
+  // Returns false if it had already moved on (accepted, started, ended by someone else).
+  async function endClanBattle(battleId, status, reason, fromStatuses) {
+    const result = await db.query(
+      `UPDATE clan_battles SET status = $1, end_reason = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND status = ANY($4) RETURNING id`,
+      [status, reason, battleId, fromStatuses]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Expire every challenge nobody answered in time - returns the battles it expired
+  async function expireClanBattles(reason) {
+    const result = await db.query(
+      `UPDATE clan_battles SET status = 'expired', end_reason = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'pending' AND expires_at <= CURRENT_TIMESTAMP RETURNING *`,
+      [reason]
+    );
+    return result.rows;
+  }
+
+  // A clan's finished battles, newest first, under whatever names it fought them. clanName is
+  // its name now or, for a clan that has since been renamed, one it went by.
+  async function getClanBattleHistory(clanName, limit) {
+    const result = await db.query(
+      `WITH clan AS (
+         SELECT COALESCE(
+           (SELECT id FROM clans WHERE name = $1),
+           (SELECT clan_id FROM clan_name_history WHERE old_name = $1 ORDER BY renamed_at DESC, id DESC LIMIT 1)
+         ) AS id
+       )
+       SELECT b.id, b.challenger_clan, b.defender_clan, b.status, b.winner_clan, b.end_reason,
+         b.challenger_rating_change, b.defender_rating_change, b.scheduled_at, b.created_at, b.updated_at
+       FROM clan_battles b, clan
+       WHERE (b.challenger_clan_id = clan.id OR b.defender_clan_id = clan.id)
+       AND b.status NOT IN ('pending', 'accepted', 'in_progress')
+       ORDER BY b.created_at DESC, b.id DESC LIMIT $2`,
+      [clanName, limit]
+    );
+    return result.rows;
+  }
+
+  // Wars the server has to run - waiting for their start time or part-way through
+  async function getScheduledClanBattles() {
+    const result = await db.query(
+      "SELECT * FROM clan_battles WHERE status IN ('accepted', 'in_progress') ORDER BY scheduled_at"
+    );
+    return result.rows;
+  }
+
+  // Store one side's lineup (od_identifiers in fighting order) - only before the war starts
+  async function setClanBattleLineup(battleId, side, lineup) {
+    const column = side === 'challenger' ? 'challenger_lineup' : 'defender_lineup';
+    const result = await db.query(
+      `UPDATE clan_battles SET ${column} = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status IN ('pending', 'accepted') RETURNING id`,
+      [JSON.stringify(lineup), battleId]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Move an accepted battle in progress along with the seed and roster snapshot it is fought from
+  // Only an accepted battle can start, and only once - returns false if someone else got there first
+  async function startClanBattle(battleId, seed, snapshot) {
+    const result = await db.query(
+      "UPDATE clan_battles SET status = $1, seed = $2, snapshot = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4 AND status = 'accepted' RETURNING id",
+      ['in_progress', seed, JSON.stringify(snapshot), battleId]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Close a war that is in progress - returns false if it was already closed, so it is only settled once
+  // Close a battle that is in progress and apply its point changes (as applyPointChanges does)
+  // in one transaction, so a battle is never settled twice or closed without its points.
+  // Returns the committed player rows, or null if the battle was not in progress.
+  async function settleClanBattle(battleId, winnerClan, changes, { floor = null } = {}) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `UPDATE clan_battles SET status = 'completed', winner_clan = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND status = 'in_progress' RETURNING id`,
+        [winnerClan, battleId]
+      );
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      const rows = await applyPointChangesWith(client, changes, floor);
+      await client.query('COMMIT');
+      return rows;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function getClanBattle(battleId) {
+    const result = await db.query('SELECT * FROM clan_battles WHERE id = $1', [battleId]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  // Record every matchup of one round and move the battle on to it, in one transaction.
+  // Recording a round again replaces it, so a war resumed after a crash can't double up.
+  async function recordBattleRound(battleId, roundNumber, matchups) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM battle_rounds WHERE battle_id = $1 AND round_number = $2', [battleId, roundNumber]);
+      for (const m of matchups) {
+        await client.query(
+          `INSERT INTO battle_rounds (battle_id, round_number, fighter1_id, fighter2_id, winner_id, fighter1_number, fighter2_number, attack_type)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          [battleId, roundNumber, m.fighter1Id, m.fighter2Id, m.winnerId, m.fighter1Number, m.fighter2Number, m.attackType]
+        );
+      }
+      await client.query('UPDATE clan_battles SET current_round = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [roundNumber, battleId]);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Every recorded matchup of a battle, with the fighters' public ids and current names and images
+  async function getBattleRounds(battleId) {
+    const result = await db.query(`
+      SELECT r.round_number, r.fighter1_id, r.fighter2_id, r.winner_id, r.fighter1_number, r.fighter2_number, r.attack_type,
+        p1.public_id AS fighter1_public_id, p1.name AS fighter1_name, p1.character_image AS fighter1_image,
+        p2.public_id AS fighter2_public_id, p2.name AS fighter2_name, p2.character_image AS fighter2_image
+      FROM battle_rounds r
+      LEFT JOIN players p1 ON p1.od_identifier = r.fighter1_id
+      LEFT JOIN players p2 ON p2.od_identifier = r.fighter2_id
+      WHERE r.battle_id = $1
+      ORDER BY r.round_number, r.id
+    `, [battleId]);
+    return result.rows;
+  }
+
+  async function setClanBattleCaptures(battleId, captures) {
+    await db.query('UPDATE clan_battles SET captures = $1 WHERE id = $2', [JSON.stringify(captures), battleId]);
+  }
+
+  // Clan tournaments
+
+  async function createTournament({ name, format, maxClans, rewardPoints, createdBy, startsInMinutes }) {
+    const result = await db.query(
+      `INSERT INTO clan_tournaments (name, format, max_clans, reward_points, created_by, starts_at)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(secs => $6)) RETURNING id`,
+      [name, format, maxClans, rewardPoints, createdBy, startsInMinutes * 60]
+    );
+    return result.rows[0].id;
+  }
+
+  // Tournament rows come with their creator's public id
+  const TOURNAMENT_ROWS = `
+    SELECT t.*, p.public_id AS created_by_public_id FROM clan_tournaments t
+    LEFT JOIN players p ON p.od_identifier = t.created_by`;
+
+  async function getTournament(tournamentId) {
+    const result = await db.query(`${TOURNAMENT_ROWS} WHERE t.id = $1`, [tournamentId]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  // Open tournaments first, then the most recent finished ones
+  async function getTournaments(limit) {
+    const result = await db.query(`${TOURNAMENT_ROWS}
+      ORDER BY (t.status IN ('registration', 'in_progress')) DESC, t.created_at DESC, t.id DESC
+      LIMIT $1
+    `, [limit]);
+    return result.rows;
+  }
+
+  // Tournaments the server still has to run
+  async function getOpenTournaments() {
+    const result = await db.query(`${TOURNAMENT_ROWS} WHERE t.status IN ('registration', 'in_progress') ORDER BY t.starts_at`);
+    return result.rows;
+  }
+
+  // Registered clans with their current rating, in seed order once the bracket is drawn
+  async function getTournamentEntries(tournamentId) {
+    const result = await db.query(`
+      SELECT e.clan_name, e.seed, e.registered_by, e.registered_at, COALESCE(c.rating, 1000) as rating
+      FROM clan_tournament_entries e
+      LEFT JOIN clans c ON c.name = e.clan_name
+      WHERE e.tournament_id = $1
+      ORDER BY e.seed NULLS LAST, e.registered_at, e.clan_name
+    `, [tournamentId]);
+    return result.rows;
+  }
+
+  // Enter a clan while registration is open and there is room - returns false otherwise
+  async function registerTournamentClan(tournamentId, clanName, registeredBy) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const tournament = await client.query(
+        "SELECT max_clans FROM clan_tournaments WHERE id = $1 AND status = 'registration' FOR UPDATE",
+        [tournamentId]
+      );
+      const entries = await client.query('SELECT clan_name FROM clan_tournament_entries WHERE tournament_id = $1', [tournamentId]);
+      if (tournament.rows.length === 0 || entries.rows.length >= tournament.rows[0].max_clans ||
+          entries.rows.some(e => e.clan_name === clanName)) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+      await client.query(
+        'INSERT INTO clan_tournament_entries (tournament_id, clan_name, registered_by) VALUES ($1, $2, $3)',
+        [tournamentId, clanName, registeredBy]
+      );
+      await client.query('COMMIT');
+      return true;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function withdrawTournamentClan(tournamentId, clanName) {
+    const result = await db.query(`
+      DELETE FROM clan_tournament_entries e
+      USING clan_tournaments t
+      WHERE t.id = e.tournament_id AND t.status = 'registration'
+      AND e.tournament_id = $1 AND e.clan_name = $2
+    `, [tournamentId, clanName]);
+    return result.rowCount > 0;
+  }
+
+  // Close registration and draw the bracket: seeds are the clans in order, matches come from
+  // lib/tournament.js. Returns false if the tournament was no longer taking registrations.
+  async function startTournament(tournamentId, seeds, matches) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const started = await client.query(
+        `UPDATE clan_tournaments SET status = 'in_progress', updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'registration'`,
+        [tournamentId]
+      );
+      if (started.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+      for (let i = 0; i < seeds.length; i++) {
+        await client.query(
+          'UPDATE clan_tournament_entries SET seed = $1 WHERE tournament_id = $2 AND clan_name = $3',
+          [i + 1, tournamentId, seeds[i]]
+        );
+      }
+      for (const m of matches) {
+        await client.query(
+          `INSERT INTO clan_tournament_matches (tournament_id, round, slot, clan_a, clan_b, status, winner_clan)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [tournamentId, m.round, m.slot, m.clanA, m.clanB, m.status, m.winnerClan]
+        );
+      }
+      await client.query('COMMIT');
+      return true;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function getTournamentMatches(tournamentId) {
+    const result = await db.query(
+      'SELECT * FROM clan_tournament_matches WHERE tournament_id = $1 ORDER BY round, slot',
+      [tournamentId]
+    );
+    return result.rows;
+  }
+
+  // Set up the clan war for a ready match, starting startsInMinutes from now - its lineup phase.
+  // Returns the new battle id, or null if the match wasn't ready.
+  async function scheduleTournamentMatch(matchId, startsInMinutes) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const match = await client.query(
+        "SELECT * FROM clan_tournament_matches WHERE id = $1 AND status = 'ready' FOR UPDATE",
+        [matchId]
+      );
+      if (match.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      const { tournament_id: tournamentId, clan_a: clanA, clan_b: clanB } = match.rows[0];
+      const battle = await client.query(
+        `INSERT INTO clan_battles (challenger_clan, defender_clan, challenger_clan_id, defender_clan_id, status, scheduled_at, tournament_id)
+         VALUES ($1::text, $2::text, (SELECT id FROM clans WHERE name = $1::text), (SELECT id FROM clans WHERE name = $2::text), 'accepted',
+           CURRENT_TIMESTAMP + make_interval(secs => $3), $4) RETURNING id`,
+        [clanA, clanB, startsInMinutes * 60, tournamentId]
+      );
+      await client.query(
+        "UPDATE clan_tournament_matches SET status = 'scheduled', battle_id = $1 WHERE id = $2",
+        [battle.rows[0].id, matchId]
+      );
+      await client.query('COMMIT');
+      return battle.rows[0].id;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Settle a scheduled match and fill in the match its winner moves on to ({ id, clanA, clanB, status },
+  // or null). Returns false if the match had already been settled.
+  async function completeTournamentMatch(matchId, winnerClan, nextMatch) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const completed = await client.query(
+        "UPDATE clan_tournament_matches SET status = 'completed', winner_clan = $1 WHERE id = $2 AND status = 'scheduled'",
+        [winnerClan, matchId]
+      );
+      if (completed.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+      if (nextMatch) {
+        await client.query(
+          'UPDATE clan_tournament_matches SET clan_a = $1, clan_b = $2, status = $3 WHERE id = $4',
+          [nextMatch.clanA, nextMatch.clanB, nextMatch.status, nextMatch.id]
+        );
+      }
+      await client.query('COMMIT');
+      return true;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Close a tournament that is still open - returns false if it had already ended
+  async function endTournament(tournamentId, status, winnerClan, reason) {
+    const result = await db.query(
+      `UPDATE clan_tournaments SET status = $2, winner_clan = $3, end_reason = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status IN ('registration', 'in_progress')`,
+      [tournamentId, status, winnerClan, reason]
+    );
+    return result.rowCount > 0;
+  }
+
+  // Moderation
+
+  // Mute or ban an account for `minutes` (null = until lifted), replacing any active sanction of the same kind
+  async function addSanction({ odIdentifier, kind, reason, createdBy, minutes }) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE player_sanctions SET lifted_by = $3, lifted_at = CURRENT_TIMESTAMP
+         WHERE od_identifier = $1 AND kind = $2 AND lifted_at IS NULL`,
+        [odIdentifier, kind, createdBy]
+      );
+      const result = await client.query(
+        `INSERT INTO player_sanctions (od_identifier, kind, reason, created_by, expires_at)
+         VALUES ($1, $2, $3, $4, CASE WHEN $5::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP + make_interval(mins => $5::int) END)
+         RETURNING *`,
+        [odIdentifier, kind, reason, createdBy, minutes]
+      );
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Lift an account's active sanctions of one kind - returns how many there were
+  async function liftSanctions(odIdentifier, kind, liftedBy) {
+    const result = await db.query(
+      `UPDATE player_sanctions SET lifted_by = $3, lifted_at = CURRENT_TIMESTAMP
+       WHERE od_identifier = $1 AND kind = $2 AND lifted_at IS NULL
+         AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+      [odIdentifier, kind, liftedBy]
+    );
+    return result.rowCount;
+  }
+
+  // Sanctions on an account that haven't been lifted or run out
+  async function getActiveSanctions(odIdentifier) {
+    const result = await db.query(`
+      SELECT * FROM player_sanctions
+      WHERE od_identifier = $1 AND lifted_at IS NULL AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+      ORDER BY created_at
+    `, [odIdentifier]);
+    return result.rows;
+  }
+
+  // File a report on a heckle - returns how many open reports it now has,
+  // or null if this player has reported it already
+  async function reportHeckle({ heckleId, arenaId, authorId, authorName, message, reportedBy, reason }) {
+    const inserted = await db.query(
+      `INSERT INTO heckle_reports (heckle_id, arena_id, author_id, author_name, message, reported_by, reason)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (heckle_id, reported_by) DO NOTHING
+       RETURNING id`,
+      [heckleId, arenaId, authorId, authorName, message, reportedBy, reason]
+    );
+    if (inserted.rows.length === 0) return null;
+    const count = await db.query(
+      "SELECT COUNT(*)::int as count FROM heckle_reports WHERE heckle_id = $1 AND status = 'open'",
+      [heckleId]
+    );
+    return count.rows[0].count;
+  }
+
+  // Open reports, oldest first
+  async function getHeckleReports(limit) {
+    const result = await db.query(
+      "SELECT * FROM heckle_reports WHERE status = 'open' ORDER BY created_at, id LIMIT $1",
+      [limit]
+    );
+    return result.rows;
+  }
+
+  // Close every open report on a heckle as 'actioned' or 'dismissed' - returns how many there were
+  async function resolveHeckleReports(heckleId, status, resolvedBy) {
+    const result = await db.query(
+      `UPDATE heckle_reports SET status = $2, resolved_by = $3, resolved_at = CURRENT_TIMESTAMP
+       WHERE heckle_id = $1 AND status = 'open'`,
+      [heckleId, status, resolvedBy]
+    );
+    return result.rowCount;
+  }
+
+  // Heckles
+
+  // Heckle rows come with the public ids of their author and target (bots have none)
+  const heckleRows = from => `
+    SELECT h.*, a.public_id AS author_public_id, t.public_id AS target_public_id FROM ${from} h
+    LEFT JOIN players a ON a.od_identifier = h.author_od_identifier
+    LEFT JOIN players t ON t.od_identifier = h.target_od_identifier`;
+
+  async function createHeckle({ arenaId, authorId, authorOdIdentifier, authorName, characterImage, message, targetOdIdentifier, targetName, battleId, targetClan }) {
+    const result = await db.query(
+      `WITH created AS (
+         INSERT INTO heckles (arena_id, author_id, author_od_identifier, author_name, character_image, message,
+           target_od_identifier, target_name, battle_id, target_clan)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *
+       ) ${heckleRows('created')}`,
+      [arenaId, authorId, authorOdIdentifier, authorName, characterImage, message,
+        targetOdIdentifier || null, targetName || null, battleId || null, targetClan || null]
+    );
+    return result.rows[0];
+  }
+
+  async function getHeckle(heckleId) {
+    const result = await db.query(`${heckleRows('heckles')} WHERE h.id = $1`, [heckleId]);
+    return result.rows[0] || null;
+  }
+
+  // Visible heckles newest first - in one arena unless arenaId is null, older than the `before` id if given
+  async function getHeckles({ arenaId, before, limit }) {
+    const result = await db.query(
+      `${heckleRows('heckles')}
+       WHERE h.status = 'visible' AND ($1::varchar IS NULL OR h.arena_id = $1) AND ($2::int IS NULL OR h.id < $2)
+       ORDER BY h.id DESC LIMIT $3`,
+      [arenaId || null, before || null, limit]
+    );
+    return result.rows;
+  }
+
+  // 'visible', 'hidden' or 'deleted' - returns false if there is no such heckle
+  async function setHeckleStatus(heckleId, status, moderatedBy) {
+    const result = await db.query(
+      'UPDATE heckles SET status = $2, moderated_by = $3 WHERE id = $1',
+      [heckleId, status, moderatedBy]
+    );
+    return result.rowCount > 0;
+  }
+
+  // Add or take back an account's upvote - returns the heckle's upvotes, or null if it isn't visible
+  async function reactToHeckle(heckleId, odIdentifier, upvote) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const heckle = await client.query("SELECT id FROM heckles WHERE id = $1 AND status = 'visible' FOR UPDATE", [heckleId]);
+      if (heckle.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      if (upvote) {
+        await client.query(
+          'INSERT INTO heckle_reactions (heckle_id, od_identifier) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+          [heckleId, odIdentifier]
+        );
+      } else {
+        await client.query('DELETE FROM heckle_reactions WHERE heckle_id = $1 AND od_identifier = $2', [heckleId, odIdentifier]);
+      }
+      const result = await client.query(
+        `UPDATE heckles SET upvotes = (SELECT COUNT(*) FROM heckle_reactions WHERE heckle_id = $1)
+         WHERE id = $1 RETURNING upvotes`,
+        [heckleId]
+      );
+      await client.query('COMMIT');
+      return result.rows[0].upvotes;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // The most upvoted visible heckle posted today - the earliest wins a tie
+  async function getHeckleOfTheDay() {
+    const result = await db.query(`${heckleRows('heckles')}
+      WHERE h.status = 'visible' AND h.upvotes > 0 AND h.created_at >= CURRENT_DATE
+      ORDER BY h.upvotes DESC, h.id
+      LIMIT 1
+    `);
+    return result.rows[0] || null;
+  }
+
+  return {
+    name: 'postgres',
+    init,
+    migrate,
+    migrationStatus,
+    close,
+    getPlayer,
+    createPlayer,
+    getPlayerByPublicId,
+    claimPlayerAuth,
+    createTransferCode,
+    redeemTransferCode,
+    updatePlayerName,
+    applyPointChanges,
+    resetDailyChallenges,
+    updateDailyChallenge,
+    claimChallengeReward,
+    getLeaderboard,
+    getOwnedCharacters,
+    getClanCharacters,
+    setPlayerClan,
+    transferCharacter,
+    setClanRole,
+    createClan,
+    renameClan,
+    getClanNameHistory,
+    getClan,
+    getClanLeader,
+    setPendingLeader,
+    acceptClanLeadership,
+    setClanJoinPolicy,
+    createClanInvite,
+    getClanInvites,
+    respondToClanInvite,
+    createJoinRequest,
+    getJoinRequests,
+    decideJoinRequest,
+    getClanMembers,
+    getClanSummaries,
+    getClanLadder,
+    rateClanBattle,
+    createClanBattle,
+    getActiveClanBattle,
+    getScheduledClanBattles,
+    acceptClanBattle,
+    endClanBattle,
+    expireClanBattles,
+    getClanBattleHistory,
+    setClanBattleLineup,
+    startClanBattle,
+    settleClanBattle,
+    getClanBattle,
+    recordBattleRound,
+    getBattleRounds,
+    setClanBattleCaptures,
+    createTournament,
+    getTournament,
+    getTournaments,
+    getOpenTournaments,
+    getTournamentEntries,
+    registerTournamentClan,
+    withdrawTournamentClan,
+    startTournament,
+    getTournamentMatches,
+    scheduleTournamentMatch,
+    completeTournamentMatch,
+    endTournament,
+    addSanction,
+    liftSanctions,
+    getActiveSanctions,
+    reportHeckle,
+    getHeckleReports,
+    resolveHeckleReports,
+    createHeckle,
+    getHeckle,
+    getHeckles,
+    setHeckleStatus,
+    reactToHeckle,
+    getHeckleOfTheDay
+  };
+}
+
+module.exports = { createPostgresStorage };
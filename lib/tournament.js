@@ -0,0 +1,123 @@
+// Clan tournament brackets. Pure - the server stores the matches, fights them as clan wars
+// and feeds the results back through advanceWinner.
+
+const TOURNAMENT_FORMATS = ['single_elimination', 'round_robin'];
+const MIN_TOURNAMENT_CLANS = 2;
+const MAX_TOURNAMENT_CLANS = 16;
+
+// Bracket positions of the seeds for a bracket of `size` (a power of 2), so the top seeds
+// can only meet late: 4 -> [1, 4, 2, 3], 8 -> [1, 8, 4, 5, 2, 7, 3, 6]
+function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const sum = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, sum - seed]);
+  }
+  return order;
+}
+
+// Every match of a single-elimination bracket. clans is ordered by seed (best first).
+// Top seeds get a bye when the field isn't a power of 2 and go straight into round 2.
+function singleEliminationMatches(clans) {
+  let size = 2;
+  while (size < clans.length) size *= 2;
+  const order = bracketOrder(size);
+
+  const matches = [];
+  for (let round = 1, slots = size / 2; slots >= 1; round++, slots /= 2) {
+    for (let slot = 0; slot < slots; slot++) {
+      matches.push({ round, slot, clanA: null, clanB: null, status: 'pending', winnerClan: null });
+    }
+  }
+
+  for (let slot = 0; slot < size / 2; slot++) {
+    const match = matches[slot];
+    match.clanA = clans[order[slot * 2] - 1] || null;
+    match.clanB = clans[order[slot * 2 + 1] - 1] || null;
+    if (match.clanA && match.clanB) {
+      match.status = 'ready';
+    } else {
+      match.status = 'bye';
+      match.winnerClan = match.clanA || match.clanB;
+      advanceWinner(matches, match);
+    }
+  }
+  return matches;
+}
+
+// Every clan plays every other once (circle method) - nobody plays twice in a round
+function roundRobinMatches(clans) {
+  const circle = clans.length % 2 === 0 ? [...clans] : [...clans, null];
+  const matches = [];
+  for (let round = 1; round < circle.length; round++) {
+    let slot = 0;
+    for (let i = 0; i < circle.length / 2; i++) {
+      const clanA = circle[i];
+      const clanB = circle[circle.length - 1 - i];
+      if (clanA && clanB) {
+        // Alternate who challenges so nobody is always the challenger
+        const [challenger, defender] = round % 2 === 0 ? [clanB, clanA] : [clanA, clanB];
+        matches.push({ round, slot: slot++, clanA: challenger, clanB: defender, status: 'ready', winnerClan: null });
+      }
+    }
+    circle.splice(1, 0, circle.pop()); // Rotate everyone but the first
+  }
+  return matches;
+}
+
+function createBracket(format, clans) {
+  return format === 'round_robin' ? roundRobinMatches(clans) : singleEliminationMatches(clans);
+}
+
+// Move the winner of a single-elimination match into its next match - returns the match
+// it was placed in (now 'ready' if both sides are known), or null after the final
+function advanceWinner(matches, match) {
+  const next = matches.find(m => m.round === match.round + 1 && m.slot === Math.floor(match.slot / 2));
+  if (!next) return null;
+  if (match.slot % 2 === 0) next.clanA = match.winnerClan;
+  else next.clanB = match.winnerClan;
+  if (next.clanA && next.clanB && next.status === 'pending') next.status = 'ready';
+  return next;
+}
+
+// Round robin table: most wins first, then the better seed. clans is ordered by seed.
+function roundRobinStandings(clans, matches) {
+  const table = clans.map((clanName, i) => ({ clanName, seed: i + 1, wins: 0, losses: 0 }));
+  const byName = new Map(table.map(row => [row.clanName, row]));
+  for (const match of matches) {
+    if (match.status !== 'completed') continue;
+    const loser = match.winnerClan === match.clanA ? match.clanB : match.clanA;
+    if (byName.has(match.winnerClan)) byName.get(match.winnerClan).wins++;
+    if (byName.has(loser)) byName.get(loser).losses++;
+  }
+  return table.sort((a, b) => b.wins - a.wins || a.seed - b.seed);
+}
+
+// The matches to fight next: every ready match in an elimination bracket, or the ready
+// matches of the earliest unfinished round of a round robin
+function playableMatches(format, matches) {
+  if (format !== 'round_robin') return matches.filter(m => m.status === 'ready');
+  const open = matches.filter(m => m.status !== 'completed');
+  if (open.length === 0) return [];
+  const round = Math.min(...open.map(m => m.round));
+  return open.filter(m => m.round === round && m.status === 'ready');
+}
+
+// The tournament winner once every match is played, otherwise null
+function tournamentWinner(format, clans, matches) {
+  if (matches.some(m => m.status !== 'completed' && m.status !== 'bye')) return null;
+  if (format === 'round_robin') return roundRobinStandings(clans, matches)[0].clanName;
+  const finalRound = Math.max(...matches.map(m => m.round));
+  return matches.find(m => m.round === finalRound).winnerClan;
+}
+
+module.exports = {
+  TOURNAMENT_FORMATS,
+  MIN_TOURNAMENT_CLANS,
+  MAX_TOURNAMENT_CLANS,
+  createBracket,
+  advanceWinner,
+  roundRobinStandings,
+  playableMatches,
+  tournamentWinner
+};
@@ -0,0 +1,275 @@
+const { JOIN_POLICIES } = require('./clans');
+const { TOURNAMENT_FORMATS, MIN_TOURNAMENT_CLANS, MAX_TOURNAMENT_CLANS } = require('./tournament');
+const { MAX_BOTS_PER_ARENA, BOT_STRATEGY_NAMES } = require('./bots');
+
+// Payload schemas for every socket event a client may send. The server checks each incoming
+// event against its schema before any handler runs, and drops unknown events altogether.
+//
+// A schema describes one value:
+//   { type: 'string', minLength, maxLength, pattern }
+//   { type: 'integer', min, max }
+//   { type: 'boolean' }
+//   { type: 'enum', values }
+//   { type: 'array', items, maxItems }
+//   { type: 'object', properties }  - properties not listed are rejected
+//   { type: 'none' }                - the event takes no payload
+//   { anyOf: [schema, ...] }
+// optional: true also lets the value be missing (undefined or null).
+
+// Names players choose - no markup, quotes or control characters, since they are shown to everyone
+const SAFE_TEXT = /^[^<>'"`\\\u0000-\u001f\u007f]*$/;
+
+const odIdentifier = { type: 'string', minLength: 1, maxLength: 50, pattern: /^[\w-]+$/ };
+const characterId = { type: 'string', minLength: 1, maxLength: 50, pattern: /^[\w-]+$/ }; // A character's public_id (migration 014)
+const recordId = { type: 'integer', min: 1 };
+const playerName = { type: 'string', maxLength: 20, pattern: SAFE_TEXT };
+const clanName = { type: 'string', minLength: 1, maxLength: 30 }; // An existing clan, whatever it was called
+const newClanName = { type: 'string', maxLength: 30, pattern: SAFE_TEXT };
+const arenaId = { type: 'string', minLength: 1, maxLength: 40, pattern: /^[\w-]+$/ };
+const noPayload = { type: 'none' };
+
+const optional = schema => ({ ...schema, optional: true });
+
+const moderationReason = { type: 'string', maxLength: 200, pattern: SAFE_TEXT };
+const sanction = {
+  type: 'object',
+  properties: {
+    odIdentifier,
+    minutes: optional({ type: 'integer', min: 1, max: 365 * 24 * 60 }), // Missing means until lifted
+    reason: optional(moderationReason)
+  }
+};
+
+const EVENT_SCHEMAS = {
+  // Signing in
+  identify: {
+    type: 'object',
+    properties: {
+      token: optional({ type: 'string', maxLength: 1000 }),
+      playerId: optional(odIdentifier),
+      name: optional(playerName)
+    }
+  },
+  confirmCharacter: {
+    type: 'object',
+    properties: {
+      odIdentifier: optional(odIdentifier), // Ignored - the server remembers who it offered
+      name: optional(playerName),
+      characterImage: { type: 'integer', min: 1, max: 52 }
+    }
+  },
+  redeemTransferCode: { type: 'string', minLength: 1, maxLength: 32 },
+  createTransferCode: noPayload,
+  changeName: { type: 'string', minLength: 1, maxLength: 20, pattern: SAFE_TEXT },
+
+  // Clans
+  createClan: optional(newClanName),
+  changeClanName: { ...newClanName, minLength: 1 },
+  getClanMembers: clanName,
+  joinClan: clanName,
+  leaveClan: noPayload,
+  setClanJoinPolicy: { type: 'enum', values: JOIN_POLICIES },
+  inviteToClan: characterId,
+  getClanInvites: noPayload,
+  respondToClanInvite: {
+    type: 'object',
+    properties: { inviteId: recordId, accept: { type: 'boolean' } }
+  },
+  getClanJoinRequests: noPayload,
+  respondToJoinRequest: {
+    type: 'object',
+    properties: { requestId: recordId, approve: { type: 'boolean' } }
+  },
+  kickClanMember: characterId,
+  setClanRole: {
+    type: 'object',
+    properties: { targetCharacterId: characterId, role: { type: 'enum', values: ['officer', 'member'] } }
+  },
+  transferLeadership: characterId,
+  acceptLeadership: noPayload,
+  declineLeadership: noPayload,
+  recruitPlayer: characterId,
+  getAvailableClans: noPayload,
+  getClanLadder: noPayload,
+  getMyClanCharacters: noPayload,
+  getOwnedCharacters: noPayload,
+  switchCharacter: characterId,
+  claimChallenge: { type: 'enum', values: ['revenge', 'streak'] },
+
+  // Clan wars
+  challengeClan: {
+    anyOf: [
+      clanName,
+      {
+        type: 'object',
+        properties: { clanName, startsInMinutes: optional({ type: 'integer' }) }
+      }
+    ]
+  },
+  acceptClanBattle: recordId,
+  declineClanBattle: recordId,
+  cancelClanBattle: recordId,
+  getClanWar: noPayload,
+  setClanWarLineup: {
+    type: 'object',
+    properties: { battleId: recordId, lineup: { type: 'array', items: characterId, maxItems: 100 } }
+  },
+  getClanBattleHistory: optional(clanName),
+  getClanBattle: recordId,
+
+  // Tournaments
+  getTournaments: noPayload,
+  getTournament: recordId,
+  createTournament: {
+    type: 'object',
+    properties: {
+      name: optional({ type: 'string', maxLength: 40, pattern: SAFE_TEXT }),
+      format: { type: 'enum', values: TOURNAMENT_FORMATS },
+      maxClans: optional({ type: 'integer', min: MIN_TOURNAMENT_CLANS, max: MAX_TOURNAMENT_CLANS }),
+      startsInMinutes: optional({ type: 'integer' })
+    }
+  },
+  enterTournament: recordId,
+  withdrawFromTournament: recordId,
+  startTournament: recordId,
+  cancelTournament: recordId,
+
+  // Arenas and spectating
+  listArenas: noPayload,
+  createArena: {
+    type: 'object',
+    properties: {
+      name: optional({ type: 'string', maxLength: 30, pattern: SAFE_TEXT }),
+      isPrivate: optional({ type: 'boolean' }),
+      maxPlayers: optional({ type: 'integer' }),
+      defendTimeoutSeconds: optional({ type: 'integer' })
+    }
+  },
+  joinArena: arenaId,
+  leaveArena: noPayload,
+  spectate: optional({
+    type: 'object',
+    properties: { arenaId: optional(arenaId), battleId: optional(recordId) }
+  }),
+
+  // The pit
+  joinPit: noPayload,
+  leavePit: noPayload,
+  defend: noPayload,
+  attack: {
+    type: 'object',
+    properties: { targetId: { type: 'string', minLength: 1, maxLength: 50 }, attackType: { type: 'enum', values: ['distance', 'melee'] } }
+  },
+  heckle: { type: 'string', minLength: 1, maxLength: 100 },
+  getHeckleHistory: optional({
+    type: 'object',
+    properties: {
+      arenaId: optional(arenaId),
+      before: optional(recordId),
+      limit: optional({ type: 'integer', min: 1, max: 50 })
+    }
+  }),
+  reactToHeckle: {
+    type: 'object',
+    properties: { heckleId: recordId, upvote: { type: 'boolean' } }
+  },
+
+  // Moderation
+  reportHeckle: {
+    type: 'object',
+    properties: { heckleId: recordId, reason: optional(moderationReason) }
+  },
+  getHeckleReports: noPayload,
+  deleteHeckle: recordId,
+  dismissHeckleReports: recordId,
+  mutePlayer: sanction,
+  banPlayer: sanction,
+  liftSanction: {
+    type: 'object',
+    properties: { odIdentifier, kind: { type: 'enum', values: ['mute', 'ban'] } }
+  },
+
+  // Bots
+  getArenaBots: noPayload,
+  setArenaBots: {
+    type: 'object',
+    properties: {
+      arenaId: optional(arenaId),
+      count: { type: 'integer', min: 0, max: MAX_BOTS_PER_ARENA },
+      strategy: optional({ type: 'enum', values: ['mixed', ...BOT_STRATEGY_NAMES] })
+    }
+  }
+};
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  return typeof value === 'object' ? 'an object' : `a ${typeof value}`;
+}
+
+// Check a value against a schema - returns what is wrong with it, or null if it matches
+function validate(schema, value, path = 'payload') {
+  if (value === undefined || value === null) {
+    if (schema.optional || schema.type === 'none') return null;
+    return `${path} is required`;
+  }
+
+  if (schema.anyOf) {
+    const errors = schema.anyOf.map(option => validate(option, value, path));
+    return errors.includes(null) ? null : errors[errors.length - 1];
+  }
+
+  switch (schema.type) {
+    case 'none':
+      return `${path} should be empty`;
+    case 'string':
+      if (typeof value !== 'string') return `${path} should be a string, not ${describe(value)}`;
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) return `${path} is too short`;
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) return `${path} is longer than ${schema.maxLength} characters`;
+      if (schema.pattern && !schema.pattern.test(value)) return `${path} contains characters that aren't allowed`;
+      return null;
+    case 'integer':
+      if (!Number.isInteger(value)) return `${path} should be a whole number, not ${describe(value)}`;
+      if (schema.min !== undefined && value < schema.min) return `${path} should be at least ${schema.min}`;
+      if (schema.max !== undefined && value > schema.max) return `${path} should be at most ${schema.max}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${path} should be true or false, not ${describe(value)}`;
+    case 'enum':
+      return schema.values.includes(value) ? null : `${path} should be one of ${schema.values.join(', ')}`;
+    case 'array': {
+      if (!Array.isArray(value)) return `${path} should be an array, not ${describe(value)}`;
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) return `${path} has more than ${schema.maxItems} entries`;
+      for (let i = 0; i < value.length; i++) {
+        const error = validate(schema.items, value[i], `${path}[${i}]`);
+        if (error) return error;
+      }
+      return null;
+    }
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return `${path} should be an object, not ${describe(value)}`;
+      for (const key of Object.keys(value)) {
+        if (!Object.prototype.hasOwnProperty.call(schema.properties, key)) return `${path}.${key} is not expected`;
+      }
+      for (const [key, propertySchema] of Object.entries(schema.properties)) {
+        const error = validate(propertySchema, value[key], `${path}.${key}`);
+        if (error) return error;
+      }
+      return null;
+    }
+    default:
+      throw new Error(`Unknown schema type ${schema.type}`);
+  }
+}
+
+// Check an incoming socket event. Returns null if it may go ahead, or { code, message }:
+// 'unknown_event' for events no handler takes, 'invalid_payload' for payloads that don't fit.
+function validateEvent(event, payload) {
+  if (!Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event)) {
+    return { code: 'unknown_event', message: `Unknown event ${event}` };
+  }
+  const error = validate(EVENT_SCHEMAS[event], payload);
+  return error ? { code: 'invalid_payload', message: `Invalid ${event}: ${error}` } : null;
+}
+
+module.exports = { EVENT_SCHEMAS, validate, validateEvent };
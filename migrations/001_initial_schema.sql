@@ -0,0 +1,70 @@
+-- Baseline schema. Safe to run against databases created before migrations existed.
+
+CREATE TABLE IF NOT EXISTS players (
+  od_identifier VARCHAR(50) PRIMARY KEY,
+  name VARCHAR(20) NOT NULL,
+  player_number INT NOT NULL,
+  character_image INT NOT NULL DEFAULT 1,
+  points INT DEFAULT 10,
+  clan_name VARCHAR(30) DEFAULT NULL,
+  owner_id VARCHAR(50) DEFAULT NULL,
+  daily_revenge_kills INT DEFAULT 0,
+  daily_max_streak INT DEFAULT 0,
+  daily_challenge_date DATE DEFAULT CURRENT_DATE,
+  challenge_revenge_claimed BOOLEAN DEFAULT FALSE,
+  challenge_streak_claimed BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS clans (
+  name VARCHAR(30) PRIMARY KEY,
+  creator_id VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS clan_battles (
+  id SERIAL PRIMARY KEY,
+  challenger_clan VARCHAR(30) NOT NULL,
+  defender_clan VARCHAR(30) NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending',
+  winner_clan VARCHAR(30) DEFAULT NULL,
+  current_round INT DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS battle_rounds (
+  id SERIAL PRIMARY KEY,
+  battle_id INT REFERENCES clan_battles(id),
+  round_number INT NOT NULL,
+  fighter1_id VARCHAR(50) NOT NULL,
+  fighter2_id VARCHAR(50) NOT NULL,
+  winner_id VARCHAR(50),
+  fighter1_number INT,
+  fighter2_number INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Older databases stored points as wins
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'players' AND column_name = 'wins')
+     AND NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'players' AND column_name = 'points') THEN
+    ALTER TABLE players RENAME COLUMN wins TO points;
+  END IF;
+END $$;
+
+-- Columns added to players after the table first shipped
+ALTER TABLE players ADD COLUMN IF NOT EXISTS points INT DEFAULT 10;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS player_number INT DEFAULT 0;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS character_image INT DEFAULT 1;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS clan_name VARCHAR(30) DEFAULT NULL;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS owner_id VARCHAR(50) DEFAULT NULL;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS daily_revenge_kills INT DEFAULT 0;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS daily_max_streak INT DEFAULT 0;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS daily_challenge_date DATE DEFAULT CURRENT_DATE;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS challenge_revenge_claimed BOOLEAN DEFAULT FALSE;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS challenge_streak_claimed BOOLEAN DEFAULT FALSE;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
@@ -0,0 +1,13 @@
+-- Characters that have been bound to a session token can no longer be claimed by id alone
+ALTER TABLE players ADD COLUMN IF NOT EXISTS auth_claimed BOOLEAN DEFAULT FALSE;
+
+-- One-time codes for moving a character to a new device
+CREATE TABLE IF NOT EXISTS transfer_codes (
+  code_hash VARCHAR(64) PRIMARY KEY,
+  od_identifier VARCHAR(50) NOT NULL REFERENCES players(od_identifier),
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS transfer_codes_player_idx ON transfer_codes (od_identifier);
@@ -0,0 +1,4 @@
+-- Clan battles are fought from a seeded RNG and a snapshot of both rosters,
+-- so any battle can be replayed exactly. Battles fought before this have neither.
+ALTER TABLE clan_battles ADD COLUMN IF NOT EXISTS seed INTEGER DEFAULT NULL;
+ALTER TABLE clan_battles ADD COLUMN IF NOT EXISTS snapshot JSONB DEFAULT NULL;
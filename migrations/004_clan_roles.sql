@@ -0,0 +1,24 @@
+-- Every clan membership has a role: leader, officer or member
+ALTER TABLE players ADD COLUMN IF NOT EXISTS clan_role VARCHAR(10) DEFAULT NULL;
+
+-- Leadership handovers wait here until the new leader accepts
+ALTER TABLE clans ADD COLUMN IF NOT EXISTS pending_leader_id VARCHAR(50) DEFAULT NULL;
+
+-- Clans that only ever existed as a clan_name on players get a clans row
+INSERT INTO clans (name, creator_id)
+SELECT DISTINCT ON (clan_name) clan_name, od_identifier
+FROM players
+WHERE clan_name IS NOT NULL
+ORDER BY clan_name, points DESC
+ON CONFLICT (name) DO NOTHING;
+
+UPDATE players SET clan_role = 'member' WHERE clan_name IS NOT NULL;
+
+-- The creator leads, or the highest-scoring member if the creator has left
+UPDATE players SET clan_role = 'leader'
+WHERE od_identifier IN (
+  SELECT DISTINCT ON (p.clan_name) p.od_identifier
+  FROM players p
+  JOIN clans c ON c.name = p.clan_name
+  ORDER BY p.clan_name, (p.od_identifier = c.creator_id) DESC, p.points DESC
+);
@@ -0,0 +1,15 @@
+-- Clans are keyed by name, which can now change - give them a stable id for the history
+ALTER TABLE clans ADD COLUMN IF NOT EXISTS id SERIAL;
+ALTER TABLE clans ADD CONSTRAINT clans_id_key UNIQUE (id);
+
+-- Every rename, oldest first
+CREATE TABLE IF NOT EXISTS clan_name_history (
+  id SERIAL PRIMARY KEY,
+  clan_id INT NOT NULL,
+  old_name VARCHAR(30) NOT NULL,
+  new_name VARCHAR(30) NOT NULL,
+  renamed_by VARCHAR(50) DEFAULT NULL,
+  renamed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS clan_name_history_clan_idx ON clan_name_history (clan_id);
@@ -0,0 +1,28 @@
+-- How new members get in: 'open' (anyone), 'request' (officers approve) or 'invite' (invitation only)
+ALTER TABLE clans ADD COLUMN IF NOT EXISTS join_policy VARCHAR(10) DEFAULT 'open';
+
+-- Invitations from a clan to a player - keyed by clan id so they survive a rename
+CREATE TABLE IF NOT EXISTS clan_invites (
+  id SERIAL PRIMARY KEY,
+  clan_id INT NOT NULL,
+  od_identifier VARCHAR(50) NOT NULL REFERENCES players(od_identifier),
+  invited_by VARCHAR(50) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  responded_at TIMESTAMP DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS clan_invites_player_idx ON clan_invites (od_identifier);
+
+-- Requests from a player to join a clan, decided by its leader or officers
+CREATE TABLE IF NOT EXISTS clan_join_requests (
+  id SERIAL PRIMARY KEY,
+  clan_id INT NOT NULL,
+  od_identifier VARCHAR(50) NOT NULL REFERENCES players(od_identifier),
+  status VARCHAR(10) DEFAULT 'pending',
+  decided_by VARCHAR(50) DEFAULT NULL,
+  decided_at TIMESTAMP DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS clan_join_requests_clan_idx ON clan_join_requests (clan_id, status);
@@ -0,0 +1,8 @@
+-- Clan wars start at a set time; until then each leader picks their fighters and their order
+ALTER TABLE clan_battles ADD COLUMN IF NOT EXISTS scheduled_at TIMESTAMP DEFAULT NULL;
+ALTER TABLE clan_battles ADD COLUMN IF NOT EXISTS challenger_lineup JSONB DEFAULT NULL;
+ALTER TABLE clan_battles ADD COLUMN IF NOT EXISTS defender_lineup JSONB DEFAULT NULL;
+
+-- Wars that were waiting for someone to press start get a few minutes to pick lineups
+UPDATE clan_battles SET scheduled_at = CURRENT_TIMESTAMP + INTERVAL '5 minutes'
+WHERE status IN ('pending', 'accepted') AND scheduled_at IS NULL;
@@ -0,0 +1,10 @@
+-- Challenges lapse when the defenders don't answer in time
+ALTER TABLE clan_battles ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP DEFAULT NULL;
+
+-- Why a battle ended without being fought out (declined, cancelled, expired)
+ALTER TABLE clan_battles ADD COLUMN IF NOT EXISTS end_reason VARCHAR(100) DEFAULT NULL;
+
+UPDATE clan_battles SET expires_at = LEAST(scheduled_at, created_at + INTERVAL '1 hour')
+WHERE status = 'pending' AND expires_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_clan_battles_status ON clan_battles(status);
@@ -0,0 +1,17 @@
+-- The attack each clan battle matchup was fought with
+ALTER TABLE battle_rounds ADD COLUMN IF NOT EXISTS attack_type VARCHAR(10) DEFAULT NULL;
+
+-- Fighters a clan battle captured: [{ capturedId, capturedName, fromClan, newClan }]
+ALTER TABLE clan_battles ADD COLUMN IF NOT EXISTS captures JSONB DEFAULT NULL;
+
+-- round_number used to count matchups. Every round of a battle has the same number of
+-- matchups (the smaller side's fighter count), so regroup the existing rows into rounds.
+UPDATE battle_rounds br SET round_number = (br.round_number - 1) / per_round.matchups + 1
+FROM (
+  SELECT battle_id, LEAST(COUNT(DISTINCT fighter1_id), COUNT(DISTINCT fighter2_id)) AS matchups
+  FROM battle_rounds
+  GROUP BY battle_id
+) per_round
+WHERE per_round.battle_id = br.battle_id;
+
+CREATE INDEX IF NOT EXISTS idx_battle_rounds_battle ON battle_rounds(battle_id, round_number);
@@ -0,0 +1,17 @@
+-- Clan ladder: an Elo rating per clan plus its war record
+ALTER TABLE clans ADD COLUMN IF NOT EXISTS rating INTEGER DEFAULT 1000;
+ALTER TABLE clans ADD COLUMN IF NOT EXISTS rated_battles INTEGER DEFAULT 0;
+ALTER TABLE clans ADD COLUMN IF NOT EXISTS wins INTEGER DEFAULT 0;
+ALTER TABLE clans ADD COLUMN IF NOT EXISTS losses INTEGER DEFAULT 0;
+
+-- How far each side's rating moved when the battle was settled (NULL until then)
+ALTER TABLE clan_battles ADD COLUMN IF NOT EXISTS challenger_rating_change INTEGER DEFAULT NULL;
+ALTER TABLE clan_battles ADD COLUMN IF NOT EXISTS defender_rating_change INTEGER DEFAULT NULL;
+
+-- Wars fought before ratings count towards the record, not the rating
+UPDATE clans c SET
+  wins = (SELECT COUNT(*) FROM clan_battles b WHERE b.status = 'completed' AND b.winner_clan = c.name),
+  losses = (SELECT COUNT(*) FROM clan_battles b WHERE b.status = 'completed' AND b.winner_clan IS NOT NULL
+            AND b.winner_clan <> c.name AND (b.challenger_clan = c.name OR b.defender_clan = c.name));
+
+CREATE INDEX IF NOT EXISTS idx_clans_rating ON clans(rating DESC);
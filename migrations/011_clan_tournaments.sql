@@ -0,0 +1,47 @@
+-- Clan tournaments: clans register, then play a single-elimination bracket or a round robin
+-- of ordinary clan wars. Status: 'registration', 'in_progress', 'completed' or 'cancelled'.
+CREATE TABLE IF NOT EXISTS clan_tournaments (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(40) NOT NULL,
+  format VARCHAR(20) NOT NULL,
+  status VARCHAR(20) DEFAULT 'registration',
+  max_clans INT NOT NULL,
+  reward_points INT DEFAULT 0,
+  created_by VARCHAR(50) NOT NULL,
+  winner_clan VARCHAR(30) DEFAULT NULL,
+  end_reason VARCHAR(100) DEFAULT NULL,
+  starts_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Registered clans; seed is set from their rating when the bracket is drawn
+CREATE TABLE IF NOT EXISTS clan_tournament_entries (
+  tournament_id INT NOT NULL REFERENCES clan_tournaments(id),
+  clan_name VARCHAR(30) NOT NULL,
+  seed INT DEFAULT NULL,
+  registered_by VARCHAR(50) NOT NULL,
+  registered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (tournament_id, clan_name)
+);
+
+-- Every match of the bracket. Status: 'pending' (opponents not known yet), 'ready',
+-- 'scheduled' (its clan war is set up), 'completed' or 'bye'
+CREATE TABLE IF NOT EXISTS clan_tournament_matches (
+  id SERIAL PRIMARY KEY,
+  tournament_id INT NOT NULL REFERENCES clan_tournaments(id),
+  round INT NOT NULL,
+  slot INT NOT NULL,
+  clan_a VARCHAR(30) DEFAULT NULL,
+  clan_b VARCHAR(30) DEFAULT NULL,
+  status VARCHAR(20) DEFAULT 'pending',
+  winner_clan VARCHAR(30) DEFAULT NULL,
+  battle_id INT DEFAULT NULL REFERENCES clan_battles(id),
+  UNIQUE (tournament_id, round, slot)
+);
+
+-- Tournament wars are ordinary clan battles that can't be declined or called off
+ALTER TABLE clan_battles ADD COLUMN IF NOT EXISTS tournament_id INT DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_clan_tournaments_status ON clan_tournaments(status);
+CREATE INDEX IF NOT EXISTS idx_clan_tournament_matches_battle ON clan_tournament_matches(battle_id);
@@ -0,0 +1,33 @@
+-- Mutes (no heckling) and bans (no playing) against an account. No expires_at means until lifted.
+CREATE TABLE IF NOT EXISTS player_sanctions (
+  id SERIAL PRIMARY KEY,
+  od_identifier VARCHAR(50) NOT NULL,
+  kind VARCHAR(10) NOT NULL,
+  reason VARCHAR(200) DEFAULT NULL,
+  created_by VARCHAR(50) NOT NULL,
+  expires_at TIMESTAMP DEFAULT NULL,
+  lifted_by VARCHAR(50) DEFAULT NULL,
+  lifted_at TIMESTAMP DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS player_sanctions_player_idx ON player_sanctions (od_identifier, kind);
+
+-- Player reports on heckles. The heckle is copied in, so moderators can judge it after it has scrolled away.
+CREATE TABLE IF NOT EXISTS heckle_reports (
+  id SERIAL PRIMARY KEY,
+  heckle_id VARCHAR(20) NOT NULL,
+  arena_id VARCHAR(40) NOT NULL,
+  author_id VARCHAR(50) NOT NULL,
+  author_name VARCHAR(20) NOT NULL,
+  message VARCHAR(100) NOT NULL,
+  reported_by VARCHAR(50) NOT NULL,
+  reason VARCHAR(200) DEFAULT NULL,
+  status VARCHAR(10) DEFAULT 'open',
+  resolved_by VARCHAR(50) DEFAULT NULL,
+  resolved_at TIMESTAMP DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (heckle_id, reported_by)
+);
+
+CREATE INDEX IF NOT EXISTS heckle_reports_status_idx ON heckle_reports (status, created_at);
@@ -0,0 +1,36 @@
+-- Every heckle ever posted, with what it was about: the pit fight the author won
+-- (target_*) or the clan war their clan won (battle_id, target_clan).
+-- Status: 'visible', 'hidden' (reported until a moderator decides) or 'deleted'.
+CREATE TABLE IF NOT EXISTS heckles (
+  id SERIAL PRIMARY KEY,
+  arena_id VARCHAR(40) NOT NULL,
+  author_id VARCHAR(50) NOT NULL,
+  author_od_identifier VARCHAR(50) NOT NULL,
+  author_name VARCHAR(20) NOT NULL,
+  character_image INT DEFAULT 1,
+  message VARCHAR(100) NOT NULL,
+  target_od_identifier VARCHAR(50) DEFAULT NULL,
+  target_name VARCHAR(20) DEFAULT NULL,
+  battle_id INT DEFAULT NULL REFERENCES clan_battles(id),
+  target_clan VARCHAR(30) DEFAULT NULL,
+  upvotes INT DEFAULT 0,
+  status VARCHAR(10) DEFAULT 'visible',
+  moderated_by VARCHAR(50) DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS heckles_arena_idx ON heckles (arena_id, id);
+CREATE INDEX IF NOT EXISTS heckles_created_idx ON heckles (created_at);
+
+-- One upvote per account per heckle
+CREATE TABLE IF NOT EXISTS heckle_reactions (
+  heckle_id INT NOT NULL REFERENCES heckles(id),
+  od_identifier VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (heckle_id, od_identifier)
+);
+
+-- Reports now point at stored heckles. Reports on heckles that only ever lived in memory
+-- can't be acted on any more, so they go.
+DELETE FROM heckle_reports WHERE heckle_id !~ '^[0-9]+$';
+ALTER TABLE heckle_reports ALTER COLUMN heckle_id TYPE INT USING heckle_id::int;
@@ -0,0 +1,9 @@
+-- The id other players know a character by. The od_identifier is what a session token names, so
+-- it stays on the server; this one is random and says nothing about it.
+ALTER TABLE players ADD COLUMN IF NOT EXISTS public_id VARCHAR(16);
+ALTER TABLE players ALTER COLUMN public_id SET DEFAULT substr(md5(random()::text || clock_timestamp()::text), 1, 16);
+
+UPDATE players SET public_id = substr(md5(random()::text || od_identifier), 1, 16) WHERE public_id IS NULL;
+ALTER TABLE players ALTER COLUMN public_id SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_players_public_id ON players(public_id);
@@ -0,0 +1,17 @@
+-- Battles keep the names the clans fought under, and now their ids too, so a clan's battle
+-- history follows it through renames
+ALTER TABLE clan_battles ADD COLUMN IF NOT EXISTS challenger_clan_id INT DEFAULT NULL;
+ALTER TABLE clan_battles ADD COLUMN IF NOT EXISTS defender_clan_id INT DEFAULT NULL;
+
+-- Battles fought under a name the clan has since dropped, then the ones under current names
+UPDATE clan_battles b SET challenger_clan_id = h.clan_id FROM clan_name_history h
+  WHERE b.challenger_clan_id IS NULL AND h.old_name = b.challenger_clan AND b.created_at <= h.renamed_at;
+UPDATE clan_battles b SET defender_clan_id = h.clan_id FROM clan_name_history h
+  WHERE b.defender_clan_id IS NULL AND h.old_name = b.defender_clan AND b.created_at <= h.renamed_at;
+UPDATE clan_battles b SET challenger_clan_id = c.id FROM clans c
+  WHERE b.challenger_clan_id IS NULL AND c.name = b.challenger_clan;
+UPDATE clan_battles b SET defender_clan_id = c.id FROM clans c
+  WHERE b.defender_clan_id IS NULL AND c.name = b.defender_clan;
+
+CREATE INDEX IF NOT EXISTS idx_clan_battles_challenger_id ON clan_battles(challenger_clan_id);
+CREATE INDEX IF NOT EXISTS idx_clan_battles_defender_id ON clan_battles(defender_clan_id);
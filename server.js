@@ -2,7 +2,32 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
-const { Pool } = require('pg');
+const crypto = require('crypto');
+const config = require('./lib/config');
+const { createStorage } = require('./lib/storage');
+const { signSessionToken, verifySessionToken, generateTransferCode, hashTransferCode } = require('./lib/auth');
+const { resolveAttacks, settleTick } = require('./lib/combat');
+const { createRng, generateSeed } = require('./lib/rng');
+const { pickLineup, snapshotMembers, simulateClanBattle } = require('./lib/clanBattle');
+const { JOIN_POLICIES, CLAN_PERMISSIONS, hasClanPermission, outranks } = require('./lib/clans');
+const { ratingChanges, suggestOpponents } = require('./lib/clanRating');
+const { createRateLimiter, parseBudgets } = require('./lib/rateLimit');
+const { EVENT_SCHEMAS, validateEvent } = require('./lib/validation');
+const { DEFAULT_BLOCKED_WORDS, createWordFilter } = require('./lib/moderation');
+const { BOT_STRATEGY_NAMES, pickBotStrategy, decideBotAction } = require('./lib/bots');
+const { simulatePit, simulateClanWars } = require('./lib/simulator');
+const { createRulebook, loadRulesFile } = require('./lib/rules');
+const { asyncRoute, jsonErrorHandler } = require('./lib/http');
+const {
+  TOURNAMENT_FORMATS,
+  MIN_TOURNAMENT_CLANS,
+  MAX_TOURNAMENT_CLANS,
+  createBracket,
+  advanceWinner,
+  roundRobinStandings,
+  playableMatches,
+  tournamentWinner
+} = require('./lib/tournament');
 
 const app = express();
 const server = http.createServer(app);
@@ -10,129 +35,305 @@ const io = new Server(server);
 
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Database configuration
-const db = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.DATABASE_URL ? { rejectUnauthorized: false } : false
+// Watch links open the normal client, which spectates instead of playing
+app.get(['/watch/arena/:arenaId', '/watch/battle/:battleId'], (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Initialize database
+// Read-only clan war API - mirrors the getClanLadder, getClanBattleHistory and getClanBattle socket events
+app.get('/api/clans/ladder', asyncRoute(async (req, res) => {
+  const limit = Math.max(1, Math.min(100, parseInt(req.query.limit, 10) || 50));
+  res.json({ clans: await getClanLadder(limit) });
+}));
+
+app.get('/api/clans/:clanName/battles', asyncRoute(async (req, res) => {
+  const limit = Math.max(1, Math.min(100, parseInt(req.query.limit, 10) || 20));
+  const battles = await getClanBattleHistory(req.params.clanName, limit);
+  res.json({ clanName: req.params.clanName, battles: battles.map(clanBattleSummary) });
+}));
+
+app.get('/api/battles/:battleId', asyncRoute(async (req, res) => {
+  const battleId = Number(req.params.battleId);
+  if (!Number.isInteger(battleId) || battleId < 1) {
+    res.status(400).json({ error: 'Invalid battle id' });
+    return;
+  }
+  const details = await getBattleDetails(battleId);
+  if (!details) {
+    res.status(404).json({ error: 'No such clan battle' });
+    return;
+  }
+  res.json(details);
+}));
+
+// Heckle history - mirrors the getHeckleHistory socket event (?arenaId=&before=&limit=)
+app.get('/api/heckles', asyncRoute(async (req, res) => {
+  const options = heckleHistoryOptions({
+    arenaId: typeof req.query.arenaId === 'string' ? req.query.arenaId : null,
+    before: parseInt(req.query.before, 10),
+    limit: parseInt(req.query.limit, 10)
+  });
+  const heckles = await getHeckles(options);
+  res.json({
+    arenaId: options.arenaId,
+    heckles: heckles.map(heckleView),
+    nextBefore: heckles.length === options.limit ? heckles[heckles.length - 1].id : null
+  });
+}));
+
+app.get('/api/heckles/today', (req, res) => {
+  res.json({ heckleOfTheDay });
+});
+
+// How often socket events have been turned away, by event and by penalty. Moderators only -
+// they send their session token as "Authorization: Bearer <token>".
+app.get('/api/metrics/rate-limits', (req, res) => {
+  const accountId = requestAccountId(req);
+  if (!accountId) {
+    res.status(401).json({ error: 'Sign in as a moderator' });
+    return;
+  }
+  if (!isAdminAccount(accountId)) {
+    res.status(403).json({ error: 'Only moderators can see this' });
+    return;
+  }
+  res.json(rateLimiter.getMetrics());
+});
+
+app.get('/api/tournaments', asyncRoute(async (req, res) => {
+  res.json({ tournaments: await listTournaments() });
+}));
+
+app.get('/api/tournaments/:tournamentId', asyncRoute(async (req, res) => {
+  const tournamentId = Number(req.params.tournamentId);
+  if (!Number.isInteger(tournamentId) || tournamentId < 1) {
+    res.status(400).json({ error: 'Invalid tournament id' });
+    return;
+  }
+  const details = await getTournamentDetails(tournamentId);
+  if (!details) {
+    res.status(404).json({ error: 'No such tournament' });
+    return;
+  }
+  res.json(details);
+}));
+
+// Errors from any route above become a JSON 500
+app.use(jsonErrorHandler);
+
+// Storage backend (Postgres or in-memory, see lib/config.js)
+const storage = createStorage(config);
+
+// Secret for signing session tokens
+const sessionSecret = config.sessionSecret || crypto.randomBytes(32).toString('hex');
+
+// Initialize database - applies any pending schema migrations
 async function initDatabase() {
+  await storage.init();
+  console.log(`Storage initialized (${storage.name})`);
+}
+
+// Server-wide RNG - set RNG_SEED to make a whole session reproducible.
+// Each clan battle draws its own seed from this and stores it for replays.
+const rng = createRng(config.rngSeed ?? generateSeed());
+
+// Game rules in force, with the rules file's per-arena overrides and events (lib/rules.js).
+// A rules file that doesn't check out stops the server before it starts.
+function loadRulebook() {
   try {
-    // Create players table
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS players (
-        od_identifier VARCHAR(50) PRIMARY KEY,
-        name VARCHAR(20) NOT NULL,
-        player_number INT NOT NULL,
-        character_image INT NOT NULL DEFAULT 1,
-        points INT DEFAULT 10,
-        clan_name VARCHAR(30) DEFAULT NULL,
-        owner_id VARCHAR(50) DEFAULT NULL,
-        daily_revenge_kills INT DEFAULT 0,
-        daily_max_streak INT DEFAULT 0,
-        daily_challenge_date DATE DEFAULT CURRENT_DATE,
-        challenge_revenge_claimed BOOLEAN DEFAULT FALSE,
-        challenge_streak_claimed BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Create clans table
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS clans (
-        name VARCHAR(30) PRIMARY KEY,
-        creator_id VARCHAR(50) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Create clan battles table
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS clan_battles (
-        id SERIAL PRIMARY KEY,
-        challenger_clan VARCHAR(30) NOT NULL,
-        defender_clan VARCHAR(30) NOT NULL,
-        status VARCHAR(20) DEFAULT 'pending',
-        winner_clan VARCHAR(30) DEFAULT NULL,
-        current_round INT DEFAULT 0,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Create battle rounds table
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS battle_rounds (
-        id SERIAL PRIMARY KEY,
-        battle_id INT REFERENCES clan_battles(id),
-        round_number INT NOT NULL,
-        fighter1_id VARCHAR(50) NOT NULL,
-        fighter2_id VARCHAR(50) NOT NULL,
-        winner_id VARCHAR(50),
-        fighter1_number INT,
-        fighter2_number INT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Add columns if they don't exist (for existing tables)
-    await db.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS player_number INT DEFAULT 0`).catch(() => {});
-    await db.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS character_image INT DEFAULT 1`).catch(() => {});
-    await db.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS clan_name VARCHAR(30) DEFAULT NULL`).catch(() => {});
-    await db.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS owner_id VARCHAR(50) DEFAULT NULL`).catch(() => {});
-    await db.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS daily_revenge_kills INT DEFAULT 0`).catch(() => {});
-    await db.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS daily_max_streak INT DEFAULT 0`).catch(() => {});
-    await db.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS daily_challenge_date DATE DEFAULT CURRENT_DATE`).catch(() => {});
-    await db.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS challenge_revenge_claimed BOOLEAN DEFAULT FALSE`).catch(() => {});
-    await db.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS challenge_streak_claimed BOOLEAN DEFAULT FALSE`).catch(() => {});
-    
-    // Rename wins to points if wins column exists
-    await db.query(`ALTER TABLE players RENAME COLUMN wins TO points`).catch(() => {});
-    
-    console.log('Database connected and initialized');
-  } catch (err) {
-    console.error('Database connection error:', err.message);
-    console.log('Running without database - data will not persist');
-  }
-}
-
-// Active session storage
+    return createRulebook(config.rulesFile ? loadRulesFile(config.rulesFile) : {});
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+const rulebook = loadRulebook();
+
+// Active session storage. A player whose socket dropped stays here, flagged disconnected,
+// until they reconnect or their grace window runs out (see holdSession)
 const players = new Map();
 
-// Revenge tracking: odIdentifier -> { odIdentifier, expiresAt }
-const revengeTargets = new Map();
+// Held sessions: account odIdentifier -> timer that ends the session when the grace window runs out
+const reconnectTimers = new Map();
+
+// Character locks: odIdentifier -> id of the one socket allowed to play it. Points and
+// captures are written per character, so two sessions must never play the same one.
+// A held session keeps its lock until it ends.
+const characterLocks = new Map();
+
+// Spectators: socket.id -> { id, arenaId, battleId } - each watches one arena or one clan battle.
+// They have no character and are never in players, so the pit, the leaderboard and attacks never see them
+const spectators = new Map();
+
+// Arenas: id -> { id, name, isPrivate, createdBy, rules, revengeTargets, heckles, bots }
+const HECKLE_BOARD_SIZE = 3;
+// Every player is in exactly one arena; 'main' always exists and is where players land
+const arenas = new Map();
+const DEFAULT_ARENA_ID = 'main';
+
+// Socket.IO room for an arena's players
+function arenaRoom(arenaId) {
+  return `arena:${arenaId}`;
+}
+
+// Spectators of an arena are in its arenaRoom too (for battle results); this room gets their gameState
+function arenaSpectatorRoom(arenaId) {
+  return `arena:${arenaId}:spectators`;
+}
+
+// Socket.IO room for the spectators of a clan battle
+function battleRoom(battleId) {
+  return `battle:${battleId}`;
+}
+
+// Shareable link that opens the client as a spectator of an arena or a battle
+function watchUrl(kind, id) {
+  return `${config.publicUrl || ''}/watch/${kind}/${encodeURIComponent(id)}`;
+}
+
+// Clamp requested arena rules to what the server allows. An arena without its own defend
+// timeout follows the game rules.
+function sanitizeArenaRules(rules = {}) {
+  const maxPlayers = parseInt(rules.maxPlayers, 10);
+  const defendTimeoutSeconds = parseInt(rules.defendTimeoutSeconds, 10);
+  return {
+    maxPlayers: Number.isFinite(maxPlayers) ? Math.max(2, Math.min(config.arenaMaxPlayers, maxPlayers)) : config.arenaMaxPlayers,
+    defendTimeoutMs: Number.isFinite(defendTimeoutSeconds) ? Math.max(3, Math.min(60, defendTimeoutSeconds)) * 1000 : null
+  };
+}
+
+function getDefendTimeoutMs(arena) {
+  return arena.rules.defendTimeoutMs ?? rulebook.rulesFor(arena.id).pit.defendTimeoutSeconds * 1000;
+}
+
+function createArena({ id, name, isPrivate = false, createdBy = null, rules = {} }) {
+  const arena = {
+    id: id || 'arena_' + crypto.randomBytes(4).toString('hex'),
+    name,
+    isPrivate,
+    createdBy,
+    rules: sanitizeArenaRules(rules),
+    revengeTargets: new Map(), // odIdentifier -> { odIdentifier, expiresAt }
+    heckles: [], // The newest heckles posted here (HECKLE_BOARD_SIZE), cached from the database
+    bots: { count: config.botsPerArena, strategy: config.botStrategy }, // How many bots play here, and how
+    tickId: 0, // Last combat tick resolved
+    resolvingTick: false
+  };
+  arenas.set(arena.id, arena);
+  return arena;
+}
+
+createArena({ id: DEFAULT_ARENA_ID, name: 'The Rumble Pit' });
+
+function getArenaPlayers(arenaId) {
+  return Array.from(players.values()).filter(p => p.arenaId === arenaId);
+}
+
+function getArenaSpectators(arenaId) {
+  return Array.from(spectators.values()).filter(s => s.arenaId === arenaId);
+}
+
+function countBattleSpectators(battleId) {
+  return Array.from(spectators.values()).filter(s => s.battleId === battleId).length;
+}
+
+function getArenaBots(arenaId) {
+  return getArenaPlayers(arenaId).filter(p => p.isBot);
+}
+
+// Public view of an arena for clients - bots fight in the pit but aren't counted as players
+function getArenaInfo(arena) {
+  const arenaPlayers = getArenaPlayers(arena.id);
+  return {
+    id: arena.id,
+    name: arena.name,
+    isPrivate: arena.isPrivate,
+    maxPlayers: arena.rules.maxPlayers,
+    defendTimeoutSeconds: getDefendTimeoutMs(arena) / 1000,
+    playerCount: arenaPlayers.filter(p => !p.isBot).length,
+    botCount: arenaPlayers.length - arenaPlayers.filter(p => !p.isBot).length,
+    pitCount: arenaPlayers.filter(p => p.inPit).length,
+    spectatorCount: getArenaSpectators(arena.id).length,
+    watchUrl: watchUrl('arena', arena.id),
+    gameRules: rulebook.rulesFor(arena.id),
+    events: rulebook.activeEvents(arena.id).map(event => ({ name: event.name, until: event.until }))
+  };
+}
+
+// Drop player-created arenas once every player has left - spectators and bots don't keep one open
+function removeArenaIfEmpty(arenaId) {
+  if (arenaId !== DEFAULT_ARENA_ID && arenas.has(arenaId) && getArenaPlayers(arenaId).every(p => p.isBot)) {
+    for (const bot of getArenaBots(arenaId)) players.delete(bot.id);
+    arenas.delete(arenaId);
+    for (const spectator of getArenaSpectators(arenaId)) spectators.delete(spectator.id);
+    io.to(arenaSpectatorRoom(arenaId)).emit('spectateEnded', { arenaId, reason: 'Everyone has left this arena.' });
+    io.in(arenaSpectatorRoom(arenaId)).socketsLeave([arenaRoom(arenaId), arenaSpectatorRoom(arenaId)]);
+  }
+}
+
+// Stop whatever a socket is spectating and update the counts the others see
+function stopSpectating(socket) {
+  const spectator = spectators.get(socket.id);
+  if (!spectator) return;
+  spectators.delete(socket.id);
+  
+  if (spectator.arenaId) {
+    socket.leave(arenaRoom(spectator.arenaId));
+    socket.leave(arenaSpectatorRoom(spectator.arenaId));
+    broadcastState(spectator.arenaId);
+  }
+  if (spectator.battleId) {
+    socket.leave(battleRoom(spectator.battleId));
+    emitBattleSpectatorCount(spectator.battleId);
+  }
+}
+
+// Battle spectators see the count change as people come and go; fighters see it with each round
+function emitBattleSpectatorCount(battleId) {
+  io.to(battleRoom(battleId)).emit('spectatorCount', { battleId, spectatorCount: countBattleSpectators(battleId) });
+}
 
-// Heckle messages (last 3)
-const heckles = [];
+// Move a player (and their socket) into another arena, leaving the pit on the way out
+function movePlayerToArena(socket, player, arenaId) {
+  const previousArenaId = player.arenaId;
+  if (previousArenaId) socket.leave(arenaRoom(previousArenaId));
+  
+  player.arenaId = arenaId;
+  player.inPit = false;
+  clearAction(player);
+  socket.join(arenaRoom(arenaId));
+  
+  if (previousArenaId && previousArenaId !== arenaId) {
+    broadcastState(previousArenaId);
+    removeArenaIfEmpty(previousArenaId);
+  }
+}
 
 // Generate a random name
 function generateName() {
   const adjectives = ['Swift', 'Fierce', 'Shadow', 'Thunder', 'Iron', 'Storm', 'Blazing', 'Silent', 'Crimson', 'Frozen'];
   const nouns = ['Wolf', 'Hawk', 'Viper', 'Bear', 'Tiger', 'Dragon', 'Phoenix', 'Shark', 'Panther', 'Cobra'];
-  return `${adjectives[Math.floor(Math.random() * adjectives.length)]}${nouns[Math.floor(Math.random() * nouns.length)]}${Math.floor(Math.random() * 100)}`;
+  return `${rng.pick(adjectives)}${rng.pick(nouns)}${rng.int(100)}`;
 }
 
-// Generate unique player ID
+// Generate unique player ID - deliberately not from the seeded RNG, ids must never repeat across restarts
 function generatePlayerId() {
   return 'player_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
 }
 
 // Generate random player number (0-99)
 function generatePlayerNumber() {
-  return Math.floor(Math.random() * 100);
+  return rng.int(100);
 }
 
 // Get or create persistent player from database
 async function getOrCreatePlayer(playerId, requestedName) {
   try {
-    if (playerId && process.env.DATABASE_URL) {
-      const result = await db.query('SELECT * FROM players WHERE od_identifier = $1', [playerId]);
-      if (result.rows.length > 0) {
-        const player = result.rows[0];
+    if (playerId) {
+      const player = await storage.getPlayer(playerId);
+      if (player) {
         if (requestedName && requestedName.trim() && requestedName.trim() !== player.name) {
-          await db.query('UPDATE players SET name = $1, updated_at = CURRENT_TIMESTAMP WHERE od_identifier = $2', [requestedName.trim(), playerId]);
+          await storage.updatePlayerName(playerId, requestedName.trim());
           player.name = requestedName.trim();
         }
         
@@ -140,13 +341,7 @@ async function getOrCreatePlayer(playerId, requestedName) {
         const today = new Date().toISOString().split('T')[0];
         const challengeDate = player.daily_challenge_date ? new Date(player.daily_challenge_date).toISOString().split('T')[0] : null;
         if (challengeDate !== today) {
-          await db.query(`UPDATE players SET 
-            daily_revenge_kills = 0, 
-            daily_max_streak = 0, 
-            daily_challenge_date = CURRENT_DATE,
-            challenge_revenge_claimed = FALSE,
-            challenge_streak_claimed = FALSE
-            WHERE od_identifier = $1`, [playerId]);
+          await storage.resetDailyChallenges(playerId);
           player.daily_revenge_kills = 0;
           player.daily_max_streak = 0;
           player.challenge_revenge_claimed = false;
@@ -155,11 +350,13 @@ async function getOrCreatePlayer(playerId, requestedName) {
         
         return { 
           odIdentifier: player.od_identifier, 
+          characterId: player.public_id,
           name: player.name, 
           points: player.points,
           playerNumber: player.player_number,
           characterImage: player.character_image || 1,
           clanName: player.clan_name,
+          clanRole: player.clan_role,
           dailyRevengeKills: player.daily_revenge_kills || 0,
           dailyMaxStreak: player.daily_max_streak || 0,
           challengeRevengeClaimed: player.challenge_revenge_claimed || false,
@@ -176,8 +373,9 @@ async function getOrCreatePlayer(playerId, requestedName) {
     
     return { 
       odIdentifier: newId, 
+      characterId: null, // Given when the character is created
       name: newName, 
-      points: 10, // Start with 10 points
+      points: rulebook.rulesFor(null).startingPoints,
       playerNumber, 
       characterImage: null, // Will be selected by player
       clanName: null,
@@ -191,7 +389,7 @@ async function getOrCreatePlayer(playerId, requestedName) {
     console.error('Database error in getOrCreatePlayer:', err.message);
     const newId = playerId || generatePlayerId();
     const newName = (requestedName && requestedName.trim()) || generateName();
-    return { odIdentifier: newId, name: newName, points: 10, playerNumber: generatePlayerNumber(), characterImage: 1, clanName: null, dailyRevengeKills: 0, dailyMaxStreak: 0, challengeRevengeClaimed: false, challengeStreakClaimed: false, isNew: true };
+    return { odIdentifier: newId, characterId: null, name: newName, points: rulebook.rulesFor(null).startingPoints, playerNumber: generatePlayerNumber(), characterImage: 1, clanName: null, dailyRevengeKills: 0, dailyMaxStreak: 0, challengeRevengeClaimed: false, challengeStreakClaimed: false, isNew: true };
   }
 }
 
@@ -199,892 +397,2397 @@ async function getOrCreatePlayer(playerId, requestedName) {
 async function createNewPlayer(playerId, name, characterImage) {
   const playerNumber = generatePlayerNumber();
   const validImage = Math.max(1, Math.min(52, characterImage || 1));
+  const points = rulebook.rulesFor(null).startingPoints;
   
-  if (process.env.DATABASE_URL) {
-    try {
-      await db.query(
-        'INSERT INTO players (od_identifier, name, player_number, character_image, points) VALUES ($1, $2, $3, $4, 10) ON CONFLICT (od_identifier) DO UPDATE SET character_image = $4', 
-        [playerId, name, playerNumber, validImage]
-      );
-    } catch (err) {
-      console.error('Error creating player:', err.message);
-    }
+  let characterId = null;
+  try {
+    characterId = await storage.createPlayer({ odIdentifier: playerId, name, playerNumber, characterImage: validImage, points });
+  } catch (err) {
+    console.error('Error creating player:', err.message);
   }
   
-  return { odIdentifier: playerId, name, points: 10, playerNumber, characterImage: validImage, clanName: null, dailyRevengeKills: 0, dailyMaxStreak: 0, challengeRevengeClaimed: false, challengeStreakClaimed: false };
+  return { odIdentifier: playerId, characterId, name, points, playerNumber, characterImage: validImage, clanName: null, dailyRevengeKills: 0, dailyMaxStreak: 0, challengeRevengeClaimed: false, challengeStreakClaimed: false };
 }
 
 // Generate random clan name
 function generateClanName() {
   const prefixes = ['Shadow', 'Iron', 'Blood', 'Storm', 'Dark', 'Fire', 'Thunder', 'Frost', 'Night', 'Steel', 'Chaos', 'Savage', 'Ghost', 'War', 'Death'];
   const suffixes = ['Legion', 'Pack', 'Clan', 'Order', 'Brotherhood', 'Horde', 'Alliance', 'Squad', 'Warriors', 'Syndicate', 'Raiders', 'Reapers', 'Knights', 'Wolves', 'Dragons'];
-  return `${prefixes[Math.floor(Math.random() * prefixes.length)]} ${suffixes[Math.floor(Math.random() * suffixes.length)]}`;
+  return `${rng.pick(prefixes)} ${rng.pick(suffixes)}`;
 }
 
-// Create clan for player
+// Create clan for player - they become its leader
 async function createClan(odIdentifier, clanName) {
-  if (!process.env.DATABASE_URL) return null;
   try {
     const name = clanName && clanName.trim() ? clanName.trim().substring(0, 30) : generateClanName();
     
-    // Create clan record with creator
-    await db.query('INSERT INTO clans (name, creator_id) VALUES ($1, $2) ON CONFLICT (name) DO NOTHING', [name, odIdentifier]);
-    
-    // Update player's clan
-    await db.query('UPDATE players SET clan_name = $1, updated_at = CURRENT_TIMESTAMP WHERE od_identifier = $2', [name, odIdentifier]);
-    return name;
+    // Create clan record with creator and update player's clan
+    if (!await storage.createClan(name, odIdentifier)) {
+      return { success: false, error: 'That clan name is already taken!' };
+    }
+    return { success: true, name };
   } catch (err) {
     console.error('Error creating clan:', err.message);
-    return null;
+    return { success: false, error: 'Database error' };
   }
 }
 
-// Get clan creator
-async function getClanCreator(clanName) {
-  if (!process.env.DATABASE_URL || !clanName) return null;
+// Get clan leader - captured characters are handed to them
+async function getClanLeader(clanName) {
+  if (!clanName) return null;
   try {
-    const result = await db.query('SELECT creator_id FROM clans WHERE name = $1', [clanName]);
-    return result.rows.length > 0 ? result.rows[0].creator_id : null;
+    return await storage.getClanLeader(clanName);
   } catch (err) {
-    console.error('Error getting clan creator:', err.message);
+    console.error('Error getting clan leader:', err.message);
     return null;
   }
 }
 
-// Get all characters owned by a player (including captured ones)
-async function getOwnedCharacters(ownerOdIdentifier) {
-  if (!process.env.DATABASE_URL) return [];
+// Check the player's stored clan role allows the action `event` asked for.
+// Returns their player row, or emits the reason and returns null.
+async function authorizeClanAction(socket, event, p, permission) {
+  if (!p || !p.clanName) {
+    emitError(socket, event, 'forbidden', 'You are not in a clan!');
+    return null;
+  }
+  
+  let member;
   try {
-    const result = await db.query(
-      'SELECT od_identifier, name, points, character_image, clan_name, player_number FROM players WHERE owner_id = $1 OR (owner_id IS NULL AND od_identifier = $1)',
-      [ownerOdIdentifier]
-    );
-    return result.rows;
+    member = await storage.getPlayer(p.odIdentifier);
   } catch (err) {
-    console.error('Error getting owned characters:', err.message);
-    return [];
+    console.error('Database error checking clan role:', err.message);
+    emitError(socket, event, 'server_error', 'Database error');
+    return null;
+  }
+  
+  if (!member || member.clan_name !== p.clanName) {
+    emitError(socket, event, 'forbidden', 'You are no longer in that clan!');
+    return null;
+  }
+  p.clanRole = member.clan_role;
+  if (!hasClanPermission(member.clan_role, permission)) {
+    emitError(socket, event, 'forbidden', CLAN_PERMISSIONS[permission].error);
+    return null;
   }
+  return member;
 }
 
-// Transfer character ownership after capture
-async function captureCharacter(capturedId, newClanName, newOwnerId) {
-  if (!process.env.DATABASE_URL) return false;
+// Change a clan member's role
+async function setClanRole(odIdentifier, role) {
   try {
-    await db.query(
-      'UPDATE players SET clan_name = $1, owner_id = $2, updated_at = CURRENT_TIMESTAMP WHERE od_identifier = $3',
-      [newClanName, newOwnerId, capturedId]
-    );
+    await storage.setClanRole(odIdentifier, role);
     return true;
   } catch (err) {
-    console.error('Error capturing character:', err.message);
+    console.error('Database error setting clan role:', err.message);
     return false;
   }
 }
 
-// Create a clan battle challenge
-async function createClanBattle(challengerClan, defenderClan) {
-  if (!process.env.DATABASE_URL) return null;
+// Remove a character from their clan (kicks)
+async function removeFromClan(odIdentifier) {
   try {
-    const result = await db.query(
-      'INSERT INTO clan_battles (challenger_clan, defender_clan, status) VALUES ($1, $2, $3) RETURNING id',
-      [challengerClan, defenderClan, 'pending']
-    );
-    return result.rows[0].id;
+    await storage.setPlayerClan(odIdentifier, null);
+    return true;
   } catch (err) {
-    console.error('Error creating clan battle:', err.message);
-    return null;
+    console.error('Database error removing clan member:', err.message);
+    return false;
   }
 }
 
-// Get active clan battle
-async function getActiveClanBattle(clanName) {
-  if (!process.env.DATABASE_URL) return null;
+async function getClan(clanName) {
   try {
-    const result = await db.query(
-      `SELECT * FROM clan_battles 
-       WHERE (challenger_clan = $1 OR defender_clan = $1) 
-       AND status IN ('pending', 'accepted', 'in_progress')
-       ORDER BY created_at DESC LIMIT 1`,
-      [clanName]
-    );
-    return result.rows.length > 0 ? result.rows[0] : null;
+    return await storage.getClan(clanName);
   } catch (err) {
-    console.error('Error getting clan battle:', err.message);
+    console.error('Database error getting clan:', err.message);
     return null;
   }
 }
 
-// Update clan battle status
-async function updateClanBattleStatus(battleId, status, winnerClan = null) {
-  if (!process.env.DATABASE_URL) return false;
+// Offer leadership to a member, or withdraw the offer with null
+async function setPendingLeader(clanName, odIdentifier) {
   try {
-    if (winnerClan) {
-      await db.query(
-        'UPDATE clan_battles SET status = $1, winner_clan = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
-        [status, winnerClan, battleId]
-      );
-    } else {
-      await db.query(
-        'UPDATE clan_battles SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-        [status, battleId]
-      );
-    }
+    await storage.setPendingLeader(clanName, odIdentifier);
     return true;
   } catch (err) {
-    console.error('Error updating clan battle:', err.message);
+    console.error('Database error offering leadership:', err.message);
     return false;
   }
 }
 
-// Execute a clan battle round - returns battle results
-async function executeClanBattleRound(battleId, clanAMembers, clanBMembers) {
-  const results = [];
-  const minSize = Math.min(clanAMembers.length, clanBMembers.length);
-  
-  // Shuffle for random matchups
-  const shuffledA = [...clanAMembers].sort(() => Math.random() - 0.5);
-  const shuffledB = [...clanBMembers].sort(() => Math.random() - 0.5);
-  
-  for (let i = 0; i < minSize; i++) {
-    const fighterA = shuffledA[i];
-    const fighterB = shuffledB[i];
-    
-    // Coin flip for attack type!
-    const attackType = Math.random() < 0.5 ? 'distance' : 'melee';
-    
-    // Determine winner based on attack type
-    let winner, loser;
-    if (attackType === 'distance') {
-      // Distance: higher number wins
-      if (fighterA.player_number >= fighterB.player_number) {
-        winner = fighterA;
-        loser = fighterB;
-      } else {
-        winner = fighterB;
-        loser = fighterA;
-      }
-    } else {
-      // Melee: lower number wins
-      if (fighterA.player_number <= fighterB.player_number) {
-        winner = fighterA;
-        loser = fighterB;
-      } else {
-        winner = fighterB;
-        loser = fighterA;
-      }
+// Take over a clan whose leader offered it to this character
+async function acceptClanLeadership(clanName, odIdentifier) {
+  try {
+    const accepted = await storage.acceptClanLeadership(clanName, odIdentifier);
+    if (!accepted) {
+      return { success: false, error: 'You have not been offered the leadership!' };
     }
-    
-    // Record round result
-    if (process.env.DATABASE_URL) {
-      try {
-        await db.query(
-          `INSERT INTO battle_rounds (battle_id, round_number, fighter1_id, fighter2_id, winner_id, fighter1_number, fighter2_number)
-           VALUES ($1, (SELECT COALESCE(MAX(round_number), 0) + 1 FROM battle_rounds WHERE battle_id = $1), $2, $3, $4, $5, $6)`,
-          [battleId, fighterA.od_identifier, fighterB.od_identifier, winner.od_identifier, fighterA.player_number, fighterB.player_number]
-        );
-      } catch (err) {
-        console.error('Error recording battle round:', err.message);
-      }
+    return { success: true, previousLeaderId: accepted.previousLeaderId };
+  } catch (err) {
+    console.error('Database error transferring leadership:', err.message);
+    return { success: false, error: 'Database error' };
+  }
+}
+
+// Send an event to every socket currently playing a character
+function emitToCharacter(odIdentifier, event, data) {
+  for (const player of players.values()) {
+    if (player.odIdentifier === odIdentifier) io.to(player.id).emit(event, data);
+  }
+}
+
+// Send an event to every online player in a clan
+function emitToClan(clanName, event, data) {
+  for (const player of players.values()) {
+    if (player.clanName === clanName) io.to(player.id).emit(event, data);
+  }
+}
+
+// Send an event to every online player in a clan whose role has a permission
+function emitToClanWith(clanName, permission, event, data) {
+  for (const player of players.values()) {
+    if (player.clanName === clanName && hasClanPermission(player.clanRole, permission)) io.to(player.id).emit(event, data);
+  }
+}
+
+// Keep online sessions of a character in step with a clan change made by someone else
+function updateOnlineClanMembership(odIdentifier, clanName, clanRole) {
+  for (const player of players.values()) {
+    if (player.odIdentifier === odIdentifier) {
+      player.clanName = clanName;
+      player.clanRole = clanRole;
     }
-    
-    results.push({
-      fighterA: { id: fighterA.od_identifier, name: fighterA.name, number: fighterA.player_number, characterImage: fighterA.character_image },
-      fighterB: { id: fighterB.od_identifier, name: fighterB.name, number: fighterB.player_number, characterImage: fighterB.character_image },
-      winner: { id: winner.od_identifier, name: winner.name },
-      loser: { id: loser.od_identifier, name: loser.name },
-      attackType: attackType
-    });
   }
-  
-  // Return unbattled fighters
-  const unbattledA = shuffledA.slice(minSize);
-  const unbattledB = shuffledB.slice(minSize);
-  
-  return { results, unbattledA, unbattledB };
 }
 
-// Process battle results - update points and handle captures
-async function processBattleResults(results, winnerClanName, winnerClanCreatorId) {
-  const captures = [];
-  
-  for (const result of results) {
-    // Winner gains 1 point
-    if (process.env.DATABASE_URL) {
-      await db.query('UPDATE players SET points = points + 1, updated_at = CURRENT_TIMESTAMP WHERE od_identifier = $1', [result.winner.id]);
-    }
-    
-    // Loser loses 1 point
-    if (process.env.DATABASE_URL) {
-      const loserResult = await db.query(
-        'UPDATE players SET points = points - 1, updated_at = CURRENT_TIMESTAMP WHERE od_identifier = $1 RETURNING points',
-        [result.loser.id]
-      );
-      
-      // Check if captured (points <= 0)
-      if (loserResult.rows.length > 0 && loserResult.rows[0].points <= 0) {
-        // Capture the character!
-        await captureCharacter(result.loser.id, winnerClanName, winnerClanCreatorId);
-        captures.push({
-          capturedId: result.loser.id,
-          capturedName: result.loser.name,
-          newClan: winnerClanName,
-          newOwner: winnerClanCreatorId
-        });
-      }
+// Bring every online session of a character in line with its committed row
+function syncOnlineCharacter(row) {
+  for (const player of players.values()) {
+    if (player.odIdentifier === row.od_identifier) {
+      player.points = row.points;
+      player.clanName = row.clan_name;
+      player.clanRole = row.clan_role;
     }
   }
-  
-  return captures;
 }
 
-// Update clan name
-async function updateClanName(odIdentifier, clanName) {
-  if (!process.env.DATABASE_URL) return null;
+// Get all characters owned by a player (including captured ones)
+async function getOwnedCharacters(ownerOdIdentifier) {
   try {
-    const name = clanName && clanName.trim() ? clanName.trim().substring(0, 30) : null;
-    await db.query('UPDATE players SET clan_name = $1, updated_at = CURRENT_TIMESTAMP WHERE od_identifier = $2', [name, odIdentifier]);
-    return name;
+    return await storage.getOwnedCharacters(ownerOdIdentifier);
   } catch (err) {
-    console.error('Error updating clan name:', err.message);
-    return null;
+    console.error('Error getting owned characters:', err.message);
+    return [];
   }
 }
 
-// Update player points in database
-async function updatePlayerPoints(odIdentifier, points) {
-  if (!process.env.DATABASE_URL) return;
+// Create a clan battle challenge for a war starting startsInMinutes from now, open for expiresInMinutes
+async function createClanBattle(challengerClan, defenderClan, startsInMinutes, expiresInMinutes) {
   try {
-    await db.query('UPDATE players SET points = $1, updated_at = CURRENT_TIMESTAMP WHERE od_identifier = $2', [points, odIdentifier]);
+    return await storage.createClanBattle(challengerClan, defenderClan, startsInMinutes, expiresInMinutes);
   } catch (err) {
-    console.error('Database error updating points:', err.message);
+    console.error('Error creating clan battle:', err.message);
+    return null;
   }
 }
 
-// Update daily challenge progress
-async function updateDailyChallenge(odIdentifier, revengeKills, maxStreak) {
-  if (!process.env.DATABASE_URL) return;
+// Get active clan battle
+async function getActiveClanBattle(clanName) {
   try {
-    await db.query(`UPDATE players SET 
-      daily_revenge_kills = GREATEST(daily_revenge_kills, $1),
-      daily_max_streak = GREATEST(daily_max_streak, $2),
-      updated_at = CURRENT_TIMESTAMP 
-      WHERE od_identifier = $3`, [revengeKills, maxStreak, odIdentifier]);
+    return await storage.getActiveClanBattle(clanName);
   } catch (err) {
-    console.error('Database error updating daily challenge:', err.message);
+    console.error('Error getting clan battle:', err.message);
+    return null;
   }
 }
 
-// Claim daily challenge reward
-async function claimChallengeReward(odIdentifier, challengeType) {
-  if (!process.env.DATABASE_URL) return false;
+// Get any clan battle by id
+async function getClanBattle(battleId) {
   try {
-    const column = challengeType === 'revenge' ? 'challenge_revenge_claimed' : 'challenge_streak_claimed';
-    const bonus = challengeType === 'revenge' ? 5 : 3;
-    
-    const result = await db.query(`UPDATE players SET 
-      ${column} = TRUE,
-      points = points + $1,
-      updated_at = CURRENT_TIMESTAMP 
-      WHERE od_identifier = $2 AND ${column} = FALSE
-      RETURNING points`, [bonus, odIdentifier]);
-    
-    return result.rows.length > 0 ? result.rows[0].points : null;
+    return await storage.getClanBattle(battleId);
   } catch (err) {
-    console.error('Database error claiming challenge:', err.message);
+    console.error('Error getting clan battle:', err.message);
     return null;
   }
 }
 
-// Get clan members
-async function getClanMembers(clanName) {
-  if (!process.env.DATABASE_URL || !clanName) return [];
+// Wars waiting for their start time or part-way through
+async function getScheduledClanBattles() {
   try {
-    const result = await db.query('SELECT od_identifier, name, points, character_image, player_number FROM players WHERE clan_name = $1 ORDER BY points DESC', [clanName]);
-    return result.rows.map(p => ({
-      od_identifier: p.od_identifier, // Keep raw format for battle logic
-      odIdentifier: p.od_identifier,
-      name: p.name,
-      points: p.points,
-      characterImage: p.character_image,
-      character_image: p.character_image, // Keep raw format for battle logic
-      player_number: p.player_number
-    }));
+    return await storage.getScheduledClanBattles();
   } catch (err) {
-    console.error('Database error getting clan members:', err.message);
+    console.error('Error getting scheduled clan battles:', err.message);
     return [];
   }
 }
 
-// Get all clans with member counts
-async function getAvailableClans() {
-  if (!process.env.DATABASE_URL) return [];
-  try {
-    const result = await db.query(`
-      SELECT clan_name as name, COUNT(*) as member_count 
-      FROM players 
-      WHERE clan_name IS NOT NULL 
-      GROUP BY clan_name 
-      ORDER BY member_count DESC
-    `);
-    return result.rows.map(c => ({
-      name: c.name,
-      memberCount: parseInt(c.member_count)
-    }));
+// Store one side's lineup - returns false once the war has started
+async function setClanBattleLineup(battleId, side, lineup) {
+  try {
+    return await storage.setClanBattleLineup(battleId, side, lineup);
   } catch (err) {
-    console.error('Database error getting clans:', err.message);
+    console.error('Error setting clan battle lineup:', err.message);
+    return false;
+  }
+}
+
+// Close a war - returns false if it was already closed
+// Close a war in progress and apply its point changes - returns the changed rows, or null
+// if it was already settled or could not be
+async function settleClanBattle(battleId, winnerClan, changes, options) {
+  try {
+    return await storage.settleClanBattle(battleId, winnerClan, changes, options);
+  } catch (err) {
+    console.error('Error settling clan battle:', err.message);
+    return null;
+  }
+}
+
+// Accept an open challenge - returns false if it was already answered, cancelled or expired
+async function acceptClanBattle(battleId) {
+  try {
+    return await storage.acceptClanBattle(battleId);
+  } catch (err) {
+    console.error('Error accepting clan battle:', err.message);
+    return false;
+  }
+}
+
+// End a battle that was never fought out (declined, cancelled) - returns false if it had already moved on
+async function endClanBattle(battleId, status, reason, fromStatuses) {
+  try {
+    return await storage.endClanBattle(battleId, status, reason, fromStatuses);
+  } catch (err) {
+    console.error('Error ending clan battle:', err.message);
+    return false;
+  }
+}
+
+// Expire unanswered challenges - returns the battles that lapsed
+async function expireClanBattles() {
+  try {
+    return await storage.expireClanBattles('The challenge was not answered in time');
+  } catch (err) {
+    console.error('Error expiring clan battles:', err.message);
     return [];
   }
 }
 
-// Get characters controllable by a player in their clan
-async function getMyClanCharacters(playerOdIdentifier, clanName) {
-  if (!process.env.DATABASE_URL || !clanName) return [];
+// A clan's past battles, newest first
+async function getClanBattleHistory(clanName, limit) {
   try {
-    // Get characters that are either:
-    // 1. The player themselves
-    // 2. Owned by the player (captured/recruited)
-    // 3. In their clan with no specific owner (can be controlled by clan members)
-    const result = await db.query(`
-      SELECT od_identifier, name, points, character_image, player_number, owner_id
-      FROM players 
-      WHERE clan_name = $1 
-      AND (od_identifier = $2 OR owner_id = $2 OR owner_id IS NULL)
-      ORDER BY points DESC
-    `, [clanName, playerOdIdentifier]);
-    return result.rows;
+    return await storage.getClanBattleHistory(clanName, limit);
   } catch (err) {
-    console.error('Database error getting clan characters:', err.message);
+    console.error('Error getting clan battle history:', err.message);
     return [];
   }
 }
 
-// Get a specific player's data for switching
-async function getPlayerForSwitch(odIdentifier) {
-  if (!process.env.DATABASE_URL) return null;
+// Mark a clan battle in progress, storing the seed and snapshot it will be fought (and replayed) from.
+// Returns false if the battle was not waiting to start
+async function startClanBattle(battleId, seed, snapshot) {
   try {
-    const result = await db.query('SELECT * FROM players WHERE od_identifier = $1', [odIdentifier]);
-    return result.rows.length > 0 ? result.rows[0] : null;
+    return await storage.startClanBattle(battleId, seed, snapshot);
   } catch (err) {
-    console.error('Database error getting player:', err.message);
-    return null;
+    console.error('Error starting clan battle:', err.message);
+    return false;
   }
 }
 
-// Join a clan
-async function joinClan(odIdentifier, clanName) {
-  if (!process.env.DATABASE_URL) return false;
+// Record every fight of a clan battle round and move the battle on to it - returns false if it couldn't be saved
+async function recordBattleRound(battleId, roundNumber, results) {
   try {
-    await db.query('UPDATE players SET clan_name = $1, updated_at = CURRENT_TIMESTAMP WHERE od_identifier = $2', [clanName, odIdentifier]);
+    await storage.recordBattleRound(battleId, roundNumber, results.map(result => ({
+      fighter1Id: result.fighterA.id,
+      fighter2Id: result.fighterB.id,
+      winnerId: result.winner.id,
+      fighter1Number: result.fighterA.number,
+      fighter2Number: result.fighterB.number,
+      attackType: result.attackType
+    })));
     return true;
   } catch (err) {
-    console.error('Database error joining clan:', err.message);
+    console.error('Error recording battle round:', err.message);
     return false;
   }
 }
 
-// Recruit a player with 0 points into your clan
-async function recruitPlayer(targetOdIdentifier, clanName, recruiterId) {
-  if (!process.env.DATABASE_URL) return { success: false, error: 'No database' };
+// Apply the rating changes of a completed battle - returns the clans' new ratings, or null if it was already rated
+async function rateClanBattle(battleId, challengerChange, defenderChange) {
   try {
-    // Check target has 0 points and no clan
-    const targetResult = await db.query(
-      'SELECT points, clan_name, name FROM players WHERE od_identifier = $1',
-      [targetOdIdentifier]
-    );
-    
-    if (targetResult.rows.length === 0) {
-      return { success: false, error: 'Player not found' };
-    }
-    
-    const target = targetResult.rows[0];
-    
-    if (target.points > 0) {
-      return { success: false, error: 'Can only recruit players with 0 points' };
-    }
-    
-    if (target.clan_name) {
-      return { success: false, error: 'Player is already in a clan' };
-    }
-    
-    // Recruit them - they join the clan and are owned by the recruiter
-    await db.query(
-      'UPDATE players SET clan_name = $1, owner_id = $2, updated_at = CURRENT_TIMESTAMP WHERE od_identifier = $3',
-      [clanName, recruiterId, targetOdIdentifier]
-    );
-    
-    return { success: true, name: target.name };
+    return await storage.rateClanBattle(battleId, challengerChange, defenderChange);
   } catch (err) {
-    console.error('Database error recruiting player:', err.message);
-    return { success: false, error: 'Database error' };
+    console.error('Error rating clan battle:', err.message);
+    return null;
   }
 }
 
-// Update player name in database
-async function updatePlayerName(odIdentifier, name) {
-  if (!process.env.DATABASE_URL) return;
+// Every recorded fight of a battle, in round order
+async function getBattleRounds(battleId) {
   try {
-    await db.query('UPDATE players SET name = $1, updated_at = CURRENT_TIMESTAMP WHERE od_identifier = $2', [name, odIdentifier]);
+    return await storage.getBattleRounds(battleId);
   } catch (err) {
-    console.error('Database error updating name:', err.message);
+    console.error('Error getting battle rounds:', err.message);
+    return [];
   }
 }
 
-// Get all-time leaderboard from database
-async function getAllTimeLeaderboard() {
-  if (!process.env.DATABASE_URL) return [];
+// Keep who a finished battle captured so it can be shown again later
+async function setClanBattleCaptures(battleId, captures) {
   try {
-    const onlineIds = new Set(Array.from(players.values()).map(p => p.odIdentifier));
-    const result = await db.query('SELECT od_identifier, name, points, character_image, clan_name FROM players ORDER BY points DESC LIMIT 100');
-    
-    return result.rows.map(p => ({
-      odIdentifier: p.od_identifier,
-      name: p.name,
-      points: p.points,
-      characterImage: p.character_image || 1,
-      clanName: p.clan_name,
-      online: onlineIds.has(p.od_identifier)
-    }));
+    await storage.setClanBattleCaptures(battleId, captures);
   } catch (err) {
-    console.error('Database error getting leaderboard:', err.message);
-    return [];
+    console.error('Error saving clan battle captures:', err.message);
   }
 }
 
-// Get online players sorted by points (hide player_number)
-function getLeaderboard() {
-  return Array.from(players.values())
-    .sort((a, b) => b.points - a.points)
-    .map(p => ({ 
-      id: p.id, 
-      odIdentifier: p.odIdentifier, 
-      name: p.name, 
+// Clan tournaments
+
+async function createTournament(options) {
+  try {
+    return await storage.createTournament(options);
+  } catch (err) {
+    console.error('Error creating tournament:', err.message);
+    return null;
+  }
+}
+
+async function getTournament(tournamentId) {
+  try {
+    return await storage.getTournament(tournamentId);
+  } catch (err) {
+    console.error('Error getting tournament:', err.message);
+    return null;
+  }
+}
+
+// Tournaments still taking registrations or being played
+async function getOpenTournaments() {
+  try {
+    return await storage.getOpenTournaments();
+  } catch (err) {
+    console.error('Error getting open tournaments:', err.message);
+    return [];
+  }
+}
+
+async function getTournaments(limit) {
+  try {
+    return await storage.getTournaments(limit);
+  } catch (err) {
+    console.error('Error getting tournaments:', err.message);
+    return [];
+  }
+}
+
+async function getTournamentEntries(tournamentId) {
+  try {
+    return await storage.getTournamentEntries(tournamentId);
+  } catch (err) {
+    console.error('Error getting tournament entries:', err.message);
+    return [];
+  }
+}
+
+async function getTournamentMatches(tournamentId) {
+  try {
+    return await storage.getTournamentMatches(tournamentId);
+  } catch (err) {
+    console.error('Error getting tournament matches:', err.message);
+    return [];
+  }
+}
+
+// Enter a clan - returns false if registration is closed, the tournament is full or the clan is in already
+async function registerTournamentClan(tournamentId, clanName, registeredBy) {
+  try {
+    return await storage.registerTournamentClan(tournamentId, clanName, registeredBy);
+  } catch (err) {
+    console.error('Error registering for tournament:', err.message);
+    return false;
+  }
+}
+
+async function withdrawTournamentClan(tournamentId, clanName) {
+  try {
+    return await storage.withdrawTournamentClan(tournamentId, clanName);
+  } catch (err) {
+    console.error('Error withdrawing from tournament:', err.message);
+    return false;
+  }
+}
+
+// Close registration and store the drawn bracket - returns false if registration had already closed
+async function startTournament(tournamentId, seeds, matches) {
+  try {
+    return await storage.startTournament(tournamentId, seeds, matches);
+  } catch (err) {
+    console.error('Error starting tournament:', err.message);
+    return false;
+  }
+}
+
+// Set up the clan war for a ready match - returns its battle id, or null
+async function scheduleTournamentMatch(matchId) {
+  try {
+    return await storage.scheduleTournamentMatch(matchId, config.tournamentMatchStartMinutes);
+  } catch (err) {
+    console.error('Error scheduling tournament match:', err.message);
+    return null;
+  }
+}
+
+async function completeTournamentMatch(matchId, winnerClan, nextMatch) {
+  try {
+    return await storage.completeTournamentMatch(matchId, winnerClan, nextMatch);
+  } catch (err) {
+    console.error('Error completing tournament match:', err.message);
+    return false;
+  }
+}
+
+// Returns false if the tournament had already ended
+async function endTournament(tournamentId, status, winnerClan, reason) {
+  try {
+    return await storage.endTournament(tournamentId, status, winnerClan, reason);
+  } catch (err) {
+    console.error('Error ending tournament:', err.message);
+    return false;
+  }
+}
+
+// Commit a batch of point changes and captures atomically - returns the committed rows, or null if nothing was applied
+async function applyPointChanges(changes, options) {
+  if (changes.length === 0) return [];
+  try {
+    return await storage.applyPointChanges(changes, options);
+  } catch (err) {
+    console.error('Database error applying point changes:', err.message);
+    return null;
+  }
+}
+
+// Rename a whole clan - its record, every member and any open battles
+async function renameClan(oldName, newName, renamedBy) {
+  const name = newName && newName.trim() ? newName.trim().substring(0, 30) : null;
+  if (!name) return { success: false, error: 'Enter a new clan name!' };
+  if (name === oldName) return { success: false, error: 'That is already your clan name!' };
+  
+  try {
+    const outcome = await storage.renameClan(oldName, name, renamedBy);
+    if (outcome === 'at_war') {
+      return { success: false, error: 'You cannot rename your clan in the middle of a clan war!' };
+    }
+    if (outcome === 'taken') {
+      return { success: false, error: 'That clan name is already taken!' };
+    }
+    if (outcome !== 'renamed') {
+      return { success: false, error: 'That clan does not exist!' };
+    }
+    return { success: true, name };
+  } catch (err) {
+    console.error('Error renaming clan:', err.message);
+    return { success: false, error: 'Database error' };
+  }
+}
+
+// Names a clan has gone by before, oldest first
+async function getFormerClanNames(clanName) {
+  try {
+    const history = await storage.getClanNameHistory(clanName);
+    return history.map(h => h.old_name);
+  } catch (err) {
+    console.error('Error getting clan name history:', err.message);
+    return [];
+  }
+}
+
+// Update daily challenge progress
+async function updateDailyChallenge(odIdentifier, revengeKills, maxStreak) {
+  try {
+    await storage.updateDailyChallenge(odIdentifier, revengeKills, maxStreak);
+  } catch (err) {
+    console.error('Database error updating daily challenge:', err.message);
+  }
+}
+
+// Claim daily challenge reward
+async function claimChallengeReward(odIdentifier, challengeType, bonus) {
+  try {
+    return await storage.claimChallengeReward(odIdentifier, challengeType, bonus);
+  } catch (err) {
+    console.error('Database error claiming challenge:', err.message);
+    return null;
+  }
+}
+
+// Get clan members
+async function getClanMembers(clanName) {
+  if (!clanName) return [];
+  try {
+    const rows = await storage.getClanMembers(clanName);
+    return rows.map(p => ({
+      od_identifier: p.od_identifier, // Keep raw format for battle logic
+      odIdentifier: p.od_identifier,
+      public_id: p.public_id,
+      name: p.name,
+      points: p.points,
+      characterImage: p.character_image,
+      character_image: p.character_image, // Keep raw format for battle logic
+      player_number: p.player_number,
+      clanRole: p.clan_role
+    }));
+  } catch (err) {
+    console.error('Database error getting clan members:', err.message);
+    return [];
+  }
+}
+
+// A clan member as clients see it
+function clanMemberView(member) {
+  return {
+    characterId: member.public_id,
+    name: member.name,
+    points: member.points,
+    characterImage: member.character_image,
+    clanRole: member.clanRole
+  };
+}
+
+// Get all clans with member counts
+async function getAvailableClans() {
+  try {
+    const rows = await storage.getClanSummaries();
+    return rows.map(c => ({
+      name: c.name,
+      memberCount: parseInt(c.member_count),
+      rating: parseInt(c.rating)
+    }));
+  } catch (err) {
+    console.error('Database error getting clans:', err.message);
+    return [];
+  }
+}
+
+// The clan ladder, best rated first
+async function getClanLadder(limit) {
+  try {
+    const rows = await storage.getClanLadder(limit);
+    return rows.map((c, i) => ({
+      rank: i + 1,
+      name: c.name,
+      rating: c.rating,
+      wins: c.wins,
+      losses: c.losses,
+      ratedBattles: c.rated_battles,
+      memberCount: parseInt(c.member_count)
+    }));
+  } catch (err) {
+    console.error('Database error getting clan ladder:', err.message);
+    return [];
+  }
+}
+
+// Get characters controllable by a player in their clan
+async function getMyClanCharacters(playerOdIdentifier, clanName) {
+  if (!clanName) return [];
+  try {
+    // Get characters that are either:
+    // 1. The player themselves
+    // 2. Owned by the player (captured/recruited)
+    // 3. In their clan with no specific owner (can be controlled by clan members)
+    return await storage.getClanCharacters(clanName, playerOdIdentifier);
+  } catch (err) {
+    console.error('Database error getting clan characters:', err.message);
+    return [];
+  }
+}
+
+// A character in a player's collection or clan, as their client sees it
+function characterView(row) {
+  return {
+    characterId: row.public_id,
+    name: row.name,
+    points: row.points,
+    characterImage: row.character_image,
+    clanName: row.clan_name,
+    captured: !!row.owner_id && row.owner_id !== row.od_identifier
+  };
+}
+
+// Get a specific player's data for switching
+async function getPlayerForSwitch(odIdentifier) {
+  try {
+    return await storage.getPlayer(odIdentifier);
+  } catch (err) {
+    console.error('Database error getting player:', err.message);
+    return null;
+  }
+}
+
+// A character by the public id clients know it by
+async function getPlayerByPublicId(characterId) {
+  try {
+    return await storage.getPlayerByPublicId(characterId);
+  } catch (err) {
+    console.error('Database error getting player:', err.message);
+    return null;
+  }
+}
+
+// The odIdentifier behind a public id, or null if there is no such character
+async function characterOdIdentifier(characterId) {
+  const target = await getPlayerByPublicId(characterId);
+  return target ? target.od_identifier : null;
+}
+
+// A member of a clan by their public id - their player row, or null if the clan has no such member
+async function getClanMember(clanName, characterId) {
+  const target = await getPlayerByPublicId(characterId);
+  return target && target.clan_name === clanName ? target : null;
+}
+
+// Join a clan as its join policy allows - open clans take anyone straight away,
+// request-only clans queue a join request for officers, invite-only clans turn everyone away
+async function joinClan(odIdentifier, clanName) {
+  try {
+    const clan = clanName ? await storage.getClan(clanName) : null;
+    if (!clan) {
+      return { success: false, error: 'That clan does not exist!' };
+    }
+    if (clan.join_policy === 'invite') {
+      return { success: false, error: `${clanName} is invite only!` };
+    }
+    if (clan.join_policy === 'request') {
+      const requestId = await storage.createJoinRequest(clanName, odIdentifier);
+      return { success: true, requestId };
+    }
+    await storage.setPlayerClan(odIdentifier, clanName, 'member');
+    return { success: true };
+  } catch (err) {
+    console.error('Database error joining clan:', err.message);
+    return { success: false, error: 'Database error' };
+  }
+}
+
+async function setClanJoinPolicy(clanName, policy) {
+  try {
+    await storage.setClanJoinPolicy(clanName, policy);
+    return true;
+  } catch (err) {
+    console.error('Database error setting join policy:', err.message);
+    return false;
+  }
+}
+
+// Invite a player who isn't in a clan yet
+async function inviteToClan(clanName, targetOdIdentifier, invitedBy) {
+  try {
+    const target = targetOdIdentifier ? await storage.getPlayer(targetOdIdentifier) : null;
+    if (!target) {
+      return { success: false, error: 'Player not found' };
+    }
+    if (target.clan_name) {
+      return { success: false, error: 'Player is already in a clan' };
+    }
+    const invite = await storage.createClanInvite(clanName, targetOdIdentifier, invitedBy, config.clanInviteTtlMinutes);
+    return { success: true, invite, name: target.name };
+  } catch (err) {
+    console.error('Database error inviting player:', err.message);
+    return { success: false, error: 'Database error' };
+  }
+}
+
+// A player's open clan invitations, shaped for the client
+async function getClanInvites(odIdentifier) {
+  try {
+    const rows = await storage.getClanInvites(odIdentifier);
+    return rows.map(i => ({ inviteId: i.id, clanName: i.clan_name, invitedByName: i.invited_by_name, expiresAt: i.expires_at }));
+  } catch (err) {
+    console.error('Database error getting clan invites:', err.message);
+    return [];
+  }
+}
+
+// Accept or decline an invitation - returns the clan's name, or null if the invite can't be used
+async function respondToClanInvite(inviteId, odIdentifier, accept) {
+  try {
+    return await storage.respondToClanInvite(inviteId, odIdentifier, accept);
+  } catch (err) {
+    console.error('Database error answering clan invite:', err.message);
+    return null;
+  }
+}
+
+// Pending requests to join a clan, shaped for the client
+async function getJoinRequests(clanName) {
+  try {
+    const rows = await storage.getJoinRequests(clanName);
+    return rows.map(r => ({ requestId: r.id, characterId: r.public_id, name: r.name, points: r.points, characterImage: r.character_image, createdAt: r.created_at }));
+  } catch (err) {
+    console.error('Database error getting join requests:', err.message);
+    return [];
+  }
+}
+
+// Approve or reject a join request - returns the requester's odIdentifier, or null if it can't be decided
+async function decideJoinRequest(requestId, clanName, approve, decidedBy) {
+  try {
+    return await storage.decideJoinRequest(requestId, clanName, approve, decidedBy);
+  } catch (err) {
+    console.error('Database error deciding join request:', err.message);
+    return null;
+  }
+}
+
+// Leave a clan - the leader has to hand over leadership first unless they're the last one in it
+async function leaveClan(odIdentifier, clanName) {
+  try {
+    const member = await storage.getPlayer(odIdentifier);
+    if (member && member.clan_role === 'leader') {
+      const members = await storage.getClanMembers(clanName);
+      if (members.length > 1) {
+        return { success: false, error: 'Hand over leadership before leaving your clan!' };
+      }
+    }
+    await storage.setPlayerClan(odIdentifier, null);
+    return { success: true };
+  } catch (err) {
+    console.error('Database error leaving clan:', err.message);
+    return { success: false, error: 'Database error' };
+  }
+}
+
+// Recruit a player with 0 points into your clan
+async function recruitPlayer(targetOdIdentifier, clanName, recruiterId) {
+  try {
+    // Check target has 0 points and no clan
+    const target = targetOdIdentifier ? await storage.getPlayer(targetOdIdentifier) : null;
+    
+    if (!target) {
+      return { success: false, error: 'Player not found' };
+    }
+    
+    if (target.points > 0) {
+      return { success: false, error: 'Can only recruit players with 0 points' };
+    }
+    
+    if (target.clan_name) {
+      return { success: false, error: 'Player is already in a clan' };
+    }
+    
+    // Recruit them - they join the clan and are owned by the recruiter
+    await storage.transferCharacter(targetOdIdentifier, clanName, recruiterId);
+    
+    return { success: true, name: target.name };
+  } catch (err) {
+    console.error('Database error recruiting player:', err.message);
+    return { success: false, error: 'Database error' };
+  }
+}
+
+// Update player name in database
+async function updatePlayerName(odIdentifier, name) {
+  try {
+    await storage.updatePlayerName(odIdentifier, name);
+  } catch (err) {
+    console.error('Database error updating name:', err.message);
+  }
+}
+
+// Mute or ban an account - minutes null means until lifted. Returns the sanction row.
+async function addSanction(odIdentifier, kind, reason, createdBy, minutes) {
+  try {
+    return await storage.addSanction({ odIdentifier, kind, reason, createdBy, minutes });
+  } catch (err) {
+    console.error('Database error adding sanction:', err.message);
+    return null;
+  }
+}
+
+// Lift an account's mutes or bans - returns how many were lifted
+async function liftSanctions(odIdentifier, kind, liftedBy) {
+  try {
+    return await storage.liftSanctions(odIdentifier, kind, liftedBy);
+  } catch (err) {
+    console.error('Database error lifting sanctions:', err.message);
+    return 0;
+  }
+}
+
+// Mutes and bans in force against an account
+async function getActiveSanctions(odIdentifier) {
+  try {
+    return await storage.getActiveSanctions(odIdentifier);
+  } catch (err) {
+    console.error('Database error getting sanctions:', err.message);
+    return [];
+  }
+}
+
+// File a report on a heckle - returns its open report count, or null if already reported by this player
+async function reportHeckle(report) {
+  try {
+    return await storage.reportHeckle(report);
+  } catch (err) {
+    console.error('Database error reporting heckle:', err.message);
+    return null;
+  }
+}
+
+// Open heckle reports, oldest first
+async function getHeckleReports(limit) {
+  try {
+    return await storage.getHeckleReports(limit);
+  } catch (err) {
+    console.error('Database error getting heckle reports:', err.message);
+    return [];
+  }
+}
+
+// Close every open report on a heckle as 'actioned' or 'dismissed'
+async function resolveHeckleReports(heckleId, status, resolvedBy) {
+  try {
+    return await storage.resolveHeckleReports(heckleId, status, resolvedBy);
+  } catch (err) {
+    console.error('Database error resolving heckle reports:', err.message);
+    return 0;
+  }
+}
+
+// Store a heckle - returns the row
+async function createHeckle(heckle) {
+  try {
+    return await storage.createHeckle(heckle);
+  } catch (err) {
+    console.error('Database error storing heckle:', err.message);
+    return null;
+  }
+}
+
+async function getHeckle(heckleId) {
+  try {
+    return await storage.getHeckle(heckleId);
+  } catch (err) {
+    console.error('Database error getting heckle:', err.message);
+    return null;
+  }
+}
+
+// A page of visible heckles, newest first - see storage getHeckles
+async function getHeckles(options) {
+  try {
+    return await storage.getHeckles(options);
+  } catch (err) {
+    console.error('Database error getting heckles:', err.message);
+    return [];
+  }
+}
+
+async function setHeckleStatus(heckleId, status, moderatedBy) {
+  try {
+    return await storage.setHeckleStatus(heckleId, status, moderatedBy);
+  } catch (err) {
+    console.error('Database error moderating heckle:', err.message);
+    return false;
+  }
+}
+
+// Add or take back an upvote - returns the heckle's upvotes, or null if it can't be voted on
+async function reactToHeckle(heckleId, odIdentifier, upvote) {
+  try {
+    return await storage.reactToHeckle(heckleId, odIdentifier, upvote);
+  } catch (err) {
+    console.error('Database error reacting to heckle:', err.message);
+    return null;
+  }
+}
+
+async function getHeckleOfTheDay() {
+  try {
+    return await storage.getHeckleOfTheDay();
+  } catch (err) {
+    console.error('Database error getting heckle of the day:', err.message);
+    return null;
+  }
+}
+
+// Get all-time leaderboard from database
+async function getAllTimeLeaderboard() {
+  try {
+    const onlineIds = new Set(Array.from(players.values()).map(p => p.odIdentifier));
+    const rows = await storage.getLeaderboard(100);
+    
+    return rows.map(p => ({
+      characterId: p.public_id,
+      name: p.name,
+      points: p.points,
+      characterImage: p.character_image || 1,
+      clanName: p.clan_name,
+      online: onlineIds.has(p.od_identifier)
+    }));
+  } catch (err) {
+    console.error('Database error getting leaderboard:', err.message);
+    return [];
+  }
+}
+
+// Get online players in an arena sorted by points (hide player_number)
+function getLeaderboard(arenaId) {
+  return getArenaPlayers(arenaId)
+    .sort((a, b) => b.points - a.points)
+    .map(p => ({ 
+      id: p.id, 
+      characterId: p.characterId, 
+      name: p.name, 
       points: p.points, 
       streak: p.streak || 0,
       inPit: p.inPit, 
+      disconnected: !!p.disconnected,
+      isBot: !!p.isBot,
       characterImage: p.characterImage,
       clanName: p.clanName
     }));
 }
 
-// Get players in the pit (hide player_number)
-function getPitPlayers(requestingPlayerId) {
-  const now = Date.now();
-  const requestingPlayer = players.get(requestingPlayerId);
-  const myOdIdentifier = requestingPlayer ? requestingPlayer.odIdentifier : null;
+// Get players in the requesting player's pit (hide player_number)
+function getPitPlayers(requestingPlayerId) {
+  const now = Date.now();
+  const requestingPlayer = players.get(requestingPlayerId);
+  if (!requestingPlayer) return [];
+  const arena = arenas.get(requestingPlayer.arenaId);
+  
+  // Get my revenge targets
+  const myRevengeTarget = arena.revengeTargets.get(requestingPlayer.odIdentifier);
+  const isMyRevenge = myRevengeTarget && myRevengeTarget.expiresAt > now ? myRevengeTarget.odIdentifier : null;
+  
+  return getPitView(arena, isMyRevenge);
+}
+
+// An arena's pit, with revengeOdIdentifier's character marked as a revenge target.
+// Disconnected fighters keep their place but can't be picked as a new target until they are back.
+function getPitView(arena, revengeOdIdentifier) {
+  return getArenaPlayers(arena.id)
+    .filter(p => p.inPit)
+    .map(p => ({ 
+      id: p.id, 
+      characterId: p.characterId,
+      name: p.name, 
+      points: p.points,
+      streak: p.streak || 0,
+      characterImage: p.characterImage,
+      action: p.action ? (p.action === 'defend' ? 'defending' : 'attacking') : 'idle',
+      disconnected: !!p.disconnected,
+      isBot: !!p.isBot,
+      isRevenge: p.odIdentifier === revengeOdIdentifier
+    }));
+}
+
+// A stored heckle as clients see it - the account that wrote it stays on the server for moderators.
+// It was posted after beating targetName in the pit, or after the author's clan beat targetClan in battleId.
+function heckleView(row) {
+  return {
+    id: row.id,
+    arenaId: row.arena_id,
+    characterId: row.author_public_id,
+    name: row.author_name,
+    message: row.message,
+    characterImage: row.character_image || 1,
+    targetCharacterId: row.target_public_id,
+    targetName: row.target_name,
+    battleId: row.battle_id,
+    targetClan: row.target_clan,
+    upvotes: row.upvotes,
+    timestamp: new Date(row.created_at).getTime()
+  };
+}
+
+function publicHeckles(arena) {
+  return arena.heckles.map(heckleView);
+}
+
+// Paging options for heckle history requests - limit is clamped to 1-50, 20 by default
+function heckleHistoryOptions({ arenaId, before, limit }) {
+  return {
+    arenaId: arenaId || null,
+    before: Number.isInteger(before) && before > 0 ? before : null,
+    limit: Math.max(1, Math.min(50, Number.isInteger(limit) ? limit : 20))
+  };
+}
+
+// Refill an arena's heckle board from the database
+async function loadArenaHeckles(arena) {
+  arena.heckles = await getHeckles({ arenaId: arena.id, before: null, limit: HECKLE_BOARD_SIZE });
+}
+
+// The most upvoted heckle posted today, shown to everyone
+let heckleOfTheDay = null;
+
+// Re-read the heckle of the day - returns whether it changed
+async function refreshHeckleOfTheDay() {
+  const row = await getHeckleOfTheDay();
+  const next = row ? heckleView(row) : null;
+  const changed = JSON.stringify(next) !== JSON.stringify(heckleOfTheDay);
+  heckleOfTheDay = next;
+  return changed;
+}
+
+// Broadcast an arena's state to the players and spectators in it - every arena if none given
+async function broadcastState(arenaId) {
+  const allTime = await getAllTimeLeaderboard();
+  const arenaIds = arenaId ? [arenaId] : Array.from(arenas.keys());
+  
+  for (const id of arenaIds) {
+    const arena = arenas.get(id);
+    if (!arena) continue;
+    const leaderboard = getLeaderboard(id);
+    const arenaInfo = getArenaInfo(arena);
+    
+    // Send personalized pit info to each player
+    for (const player of getArenaPlayers(id)) {
+      if (player.isBot) continue;
+      io.to(player.id).emit('gameState', {
+        arena: arenaInfo,
+        leaderboard: leaderboard,
+        pit: getPitPlayers(player.id),
+        allTimeLeaderboard: allTime,
+        heckles: publicHeckles(arena),
+        heckleOfTheDay
+      });
+    }
+    
+    // Spectators all get the same view - nobody is their revenge target
+    io.to(arenaSpectatorRoom(id)).emit('gameState', {
+      arena: arenaInfo,
+      leaderboard: leaderboard,
+      pit: getPitView(arena, null),
+      allTimeLeaderboard: allTime,
+      heckles: publicHeckles(arena),
+      heckleOfTheDay
+    });
+  }
+}
+
+// Clear a fighter's declared action
+function clearAction(player) {
+  player.action = null;
+  player.actionTarget = null;
+  player.actionTime = null;
+  player.attackType = null;
+}
+
+// Step into the arena's pit - returns why not, or null. A full pit makes room for players
+// by sending a bot out.
+function enterPit(player) {
+  const arena = arenas.get(player.arenaId);
+  const fighters = getArenaPlayers(arena.id).filter(other => other.inPit);
+  if (fighters.length >= arena.rules.maxPlayers) {
+    const bot = !player.isBot && fighters.find(other => other.isBot);
+    if (!bot) return 'The pit is full!';
+    leavePit(bot);
+  }
+  
+  player.inPit = true;
+  clearAction(player);
+  return null;
+}
+
+function leavePit(player) {
+  player.inPit = false;
+  clearAction(player);
+}
+
+// Raise a guard - returns false if the player can't right now
+function declareDefend(player) {
+  if (!player.inPit || player.action) return false;
+  player.action = 'defend';
+  player.actionTime = Date.now();
+  player.attackType = null;
+  return true;
+}
+
+// Declare an attack, resolved with everyone else's at the end of the combat tick.
+// Returns why it can't be made, or null.
+function declareAttack(player, targetId, attackType) {
+  const target = players.get(targetId);
+  if (!player.inPit) return 'You are not in the pit';
+  if (!target || !target.inPit || target.arenaId !== player.arenaId) return 'Invalid target';
+  if (target.disconnected) return `${target.name} has lost connection - pick another target`;
+  if (targetId === player.id) return 'Cannot attack yourself';
+  if (attackType !== 'distance' && attackType !== 'melee') return 'Invalid attack type';
+  if (player.action === 'attack') return 'You have already attacked this round';
+  
+  player.action = 'attack';
+  player.actionTarget = targetId;
+  player.actionTime = Date.now();
+  player.attackType = attackType;
+  return null;
+}
+
+// Resolve the attacks declared in one arena during a combat tick
+async function processAllAttacks(arenaId) {
+  const arena = arenas.get(arenaId);
+  const revengeTargets = arena.revengeTargets;
+  const now = Date.now();
+  const rules = rulebook.rulesFor(arenaId);
+  const fighters = getArenaPlayers(arenaId).filter(p => p.inPit);
+  const fighterIds = new Set(fighters.map(p => p.id));
+
+  // Attacks on someone who left the pit before the tick came round fizzle out
+  for (const player of fighters) {
+    if (player.action === 'attack' && !fighterIds.has(player.actionTarget)) {
+      clearAction(player);
+      io.to(player.id).emit('actionSet', { action: null });
+    }
+  }
+
+  const results = resolveAttacks(fighters);
+  const { losers, winners } = settleTick(results, rules, revengeTargets, now);
+
+  // Settle the session side first, collecting the point changes to commit in one go
+  const pointChanges = [];
+  for (const { fighter: loser, winner, delta } of losers) {
+    // Lose points (minimum 0) - CAPTURE: if that leaves 0 points, the winner takes control!
+    // Bots keep their points in the session, and nobody captures or is captured by one.
+    if (loser.isBot) {
+      loser.points = Math.max(0, loser.points + delta);
+    } else {
+      pointChanges.push({
+        odIdentifier: loser.odIdentifier,
+        delta,
+        capture: winner.isBot ? null : { clanName: winner.clanName, ownerId: winner.odIdentifier }
+      });
+    }
+    loser.streak = 0; // Reset streak on loss
+    loser.inPit = false;
+    clearAction(loser);
+  }
+
+  for (const { fighter: winner, result, delta, streak, revengeKills } of winners) {
+    if (winner.isBot) winner.points += delta;
+    else pointChanges.push({ odIdentifier: winner.odIdentifier, delta });
+    winner.streak = streak;
+
+    // Track daily challenges
+    if (revengeKills > 0) {
+      winner.dailyRevengeKills = (winner.dailyRevengeKills || 0) + 1;
+    }
+    if (winner.streak > (winner.dailyMaxStreak || 0)) {
+      winner.dailyMaxStreak = winner.streak;
+    }
+
+    clearAction(winner);
+    winner.canHeckle = true; // Winner can now heckle
+    winner.heckleContext = { targetOdIdentifier: result.loser.odIdentifier, targetName: result.loser.name };
+
+    if (!winner.isBot) await updateDailyChallenge(winner.odIdentifier, winner.dailyRevengeKills || 0, winner.dailyMaxStreak || 0);
+  }
+
+  // Points and captures are applied as deltas in one transaction, then every session reads back what was committed
+  const rows = await applyPointChanges(pointChanges, { floor: 0 });
+  for (const row of rows || []) {
+    syncOnlineCharacter(row);
+    if (row.captured) {
+      const resultEntry = results.find(r => r.loser.odIdentifier === row.od_identifier);
+      resultEntry.captured = true;
+      resultEntry.capturedBy = resultEntry.winner.name;
+    }
+  }
+
+  return results;
+}
+
+// A pit fight as clients see it - winner and loser are whole sessions until here
+function battleResultView(result) {
+  const fighter = p => ({ id: p.id, characterId: p.characterId, name: p.name, isBot: !!p.isBot });
+  return { ...result, winner: fighter(result.winner), loser: fighter(result.loser) };
+}
+
+// End an arena's combat tick - resolve what was declared and report it under the tick id
+async function runCombatTick(arena) {
+  if (arena.resolvingTick) return; // Previous tick still writing - its attacks roll into the next one
+  arena.resolvingTick = true;
+  const tickId = ++arena.tickId;
+  
+  try {
+    const results = await processAllAttacks(arena.id);
+    if (results.length > 0) {
+      io.to(arenaRoom(arena.id)).emit('battleResults', { tickId, results: results.map(battleResultView) });
+      broadcastState(arena.id);
+    }
+  } catch (err) {
+    console.error(`Error resolving combat tick ${tickId} in ${arena.id}:`, err.message);
+  } finally {
+    arena.resolvingTick = false;
+  }
+}
+
+// Bots keep quiet pits going. Each is an entry in players with isBot set and no socket: it joins
+// the pit, attacks and defends through the same calls as players' events, and its fights resolve
+// in processAllAttacks with everyone else's. Bots have no character row - their points live in
+// the session, they never join a clan and they can't be captured. Strategies are in lib/bots.js.
+function createBot(arena) {
+  const id = 'bot_' + crypto.randomBytes(4).toString('hex');
+  const bot = {
+    id,
+    odIdentifier: id,
+    characterId: crypto.randomBytes(8).toString('hex'),
+    name: generateName(),
+    points: rulebook.rulesFor(arena.id).startingPoints,
+    playerNumber: generatePlayerNumber(),
+    characterImage: 1 + rng.int(52),
+    clanName: null,
+    clanRole: null,
+    streak: 0,
+    inPit: false,
+    action: null,
+    actionTarget: null,
+    actionTime: null,
+    attackType: null,
+    canHeckle: false,
+    accountId: null,
+    arenaId: arena.id,
+    disconnected: false,
+    isBot: true,
+    strategy: pickBotStrategy(arena.bots.strategy, rng),
+    nextMoveAt: 0, // Bots take a moment between moves, like anyone would
+    restUntil: null // Out of the pit after a loss until then
+  };
+  players.set(id, bot);
+  return bot;
+}
+
+// Add or retire bots until the arena has as many as it should - returns whether any came or went
+function staffArenaBots(arena) {
+  const bots = getArenaBots(arena.id);
+  for (let i = bots.length; i < arena.bots.count; i++) createBot(arena);
+  for (const bot of bots.slice(arena.bots.count)) players.delete(bot.id);
+  return bots.length !== arena.bots.count;
+}
+
+// Let each of an arena's bots look at the pit and make a move - returns whether anything changed.
+// Bots keep the pit at config.botPitFill fighters and step out once players fill it on their own.
+function runArenaBots(arena, now) {
+  let changed = staffArenaBots(arena);
+  const fighters = getArenaPlayers(arena.id).filter(p => p.inPit);
+  const playersInPit = fighters.filter(p => !p.isBot).length;
+  let pitCount = fighters.length;
+  
+  for (const bot of getArenaBots(arena.id)) {
+    if (!bot.inPit) {
+      if (bot.restUntil === null) bot.restUntil = now + config.botThinkMs * (2 + rng.int(3));
+      if (now >= bot.restUntil && pitCount < config.botPitFill && !enterPit(bot)) {
+        bot.restUntil = null;
+        bot.nextMoveAt = now + config.botThinkMs;
+        pitCount++;
+        changed = true;
+      }
+      continue;
+    }
+    if (playersInPit >= config.botPitFill) {
+      leavePit(bot);
+      pitCount--;
+      changed = true;
+      continue;
+    }
+    if (bot.action === 'attack' || now < bot.nextMoveAt) continue;
+    
+    bot.nextMoveAt = now + config.botThinkMs * (1 + rng.next());
+    const move = decideBotAction(bot, getPitPlayers(bot.id), rng);
+    if (move && move.action === 'attack') changed = !declareAttack(bot, move.targetId, move.attackType) || changed;
+    if (move && move.action === 'defend') changed = declareDefend(bot) || changed;
+  }
+  return changed;
+}
+
+// Admin view of the bots in every arena
+function getBotSettings() {
+  return Array.from(arenas.values()).map(arena => ({
+    arenaId: arena.id,
+    name: arena.name,
+    count: arena.bots.count,
+    strategy: arena.bots.strategy,
+    bots: getArenaBots(arena.id).map(bot => ({
+      id: bot.id,
+      name: bot.name,
+      strategy: bot.strategy,
+      points: bot.points,
+      streak: bot.streak,
+      inPit: bot.inPit
+    }))
+  }));
+}
+
+// Clan wars run on the server clock: each accepted war has a timer for its start time,
+// and once started it fights a round every clanWarRoundMs until it is decided.
+// Progress lives in clan_battles (status, current_round), so a restart picks up where it left off.
+const clanWarTimers = new Map(); // battleId -> timeout
+const MAX_CLAN_WAR_START_MINUTES = 7 * 24 * 60;
+const runningClanWars = new Set();
+
+function scheduleClanWar(battle) {
+  clearTimeout(clanWarTimers.get(battle.id));
+  const delay = battle.status === 'in_progress' ? 0 : Math.max(0, new Date(battle.scheduled_at).getTime() - Date.now());
+  clanWarTimers.set(battle.id, setTimeout(() => runClanWar(battle.id), delay));
+}
+
+// Send an event to the online players of both clans in a battle, and to its spectators
+function emitToClans(battle, event, data) {
+  emitToClan(battle.challenger_clan, event, data);
+  emitToClan(battle.defender_clan, event, data);
+  io.to(battleRoom(battle.id)).emit(event, data);
+}
+
+// Lapse challenges nobody answered and tell both sides
+async function expireStaleClanBattles() {
+  for (const battle of await expireClanBattles()) {
+    emitToClans(battle, 'clanBattleExpired', {
+      battleId: battle.id,
+      challengerClan: battle.challenger_clan,
+      defenderClan: battle.defender_clan,
+      reason: battle.end_reason
+    });
+  }
+}
+
+// Broadcast shape shared by the start/accept events
+function clanWarSummary(battle) {
+  return {
+    battleId: battle.id,
+    challengerClan: battle.challenger_clan,
+    defenderClan: battle.defender_clan,
+    status: battle.status,
+    scheduledAt: battle.scheduled_at ? new Date(battle.scheduled_at).toISOString() : null,
+    expiresAt: battle.expires_at ? new Date(battle.expires_at).toISOString() : null,
+    currentRound: battle.current_round || 0,
+    watchUrl: watchUrl('battle', battle.id)
+  };
+}
+
+// How a past battle is listed in a clan's history
+function clanBattleSummary(battle) {
+  return {
+    battleId: battle.id,
+    challengerClan: battle.challenger_clan,
+    defenderClan: battle.defender_clan,
+    status: battle.status,
+    winnerClan: battle.winner_clan,
+    reason: battle.end_reason,
+    ratingChanges: battle.challenger_rating_change !== null ? {
+      [battle.challenger_clan]: battle.challenger_rating_change,
+      [battle.defender_clan]: battle.defender_rating_change
+    } : null,
+    scheduledAt: battle.scheduled_at,
+    endedAt: battle.updated_at,
+    watchUrl: watchUrl('battle', battle.id)
+  };
+}
+
+// Move both clans' ratings after a war - returns { [clanName]: { before, after, change } },
+// or null if the clans are gone or the battle was rated already
+async function settleClanRatings(battle, winnerClan) {
+  const challenger = await getClan(battle.challenger_clan);
+  const defender = await getClan(battle.defender_clan);
+  if (!challenger || !defender) return null;
   
-  // Get my revenge targets
-  const myRevengeTarget = revengeTargets.get(myOdIdentifier);
-  const isMyRevenge = myRevengeTarget && myRevengeTarget.expiresAt > now ? myRevengeTarget.odIdentifier : null;
+  const changes = ratingChanges(challenger, defender, winnerClan === battle.challenger_clan);
+  const rows = await rateClanBattle(battle.id, changes.challenger, changes.defender);
+  if (!rows) return null;
   
-  return Array.from(players.values())
-    .filter(p => p.inPit)
-    .map(p => ({ 
-      id: p.id, 
-      odIdentifier: p.odIdentifier,
-      name: p.name, 
-      points: p.points,
-      streak: p.streak || 0,
-      characterImage: p.characterImage,
-      action: p.action ? (p.action === 'defend' ? 'defending' : 'attacking') : 'idle',
-      isRevenge: p.odIdentifier === isMyRevenge
-    }));
+  const result = {};
+  for (const [clan, change] of [[challenger, changes.challenger], [defender, changes.defender]]) {
+    const row = rows.find(r => r.name === clan.name);
+    result[clan.name] = { before: clan.rating, after: row ? row.rating : clan.rating + change, change };
+  }
+  return result;
 }
 
-// Broadcast game state to all players
-async function broadcastState() {
-  const allTime = await getAllTimeLeaderboard();
-  const leaderboard = getLeaderboard();
+// A clan battle fight as clients see it - the fighters by public id, from publicIds (odIdentifier -> public id)
+function clanFightView(fight, publicIds) {
+  const fighter = f => ({ ...f, id: publicIds.get(f.id) || null });
+  return { ...fight, fighterA: fighter(fight.fighterA), fighterB: fighter(fight.fighterB), winner: fighter(fight.winner), loser: fighter(fight.loser) };
+}
+
+function captureView(capture, publicIds) {
+  return { ...capture, capturedId: publicIds.get(capture.capturedId) || null };
+}
+
+// A battle with every round read back from battle_rounds, its fights in the same shape
+// as the live clanBattleRound events so the client can replay them. Names and images come
+// from the snapshot taken when it started; fights recorded before attack types were stored
+// get theirs from a re-run of the seed. Returns null if there is no such battle.
+async function getBattleDetails(battleId) {
+  const battle = await getClanBattle(battleId);
+  if (!battle) return null;
   
-  // Send personalized pit info to each player
-  for (const [socketId, player] of players) {
-    io.to(socketId).emit('gameState', {
-      leaderboard: leaderboard,
-      pit: getPitPlayers(socketId),
-      allTimeLeaderboard: allTime,
-      heckles: heckles
+  const { challenger_clan: challengerClan, defender_clan: defenderClan } = battle;
+  const snapshot = battle.snapshot;
+  const fighters = new Map(snapshot ? [...snapshot.challenger, ...snapshot.defender].map(m => [m.od_identifier, m]) : []);
+  const replayed = battle.seed !== null && snapshot ? simulateClanBattle(battle.seed, snapshot).rounds : [];
+  
+  const fighter = (id, number, name, image) => {
+    const known = fighters.get(id);
+    return { id, name: known ? known.name : name || 'Unknown', number, characterImage: known ? known.character_image : image };
+  };
+  
+  const rounds = [];
+  const publicIds = new Map();
+  for (const row of await getBattleRounds(battleId)) {
+    publicIds.set(row.fighter1_id, row.fighter1_public_id);
+    publicIds.set(row.fighter2_id, row.fighter2_public_id);
+    let round = rounds[rounds.length - 1];
+    if (!round || round.round !== row.round_number) {
+      round = { round: row.round_number, results: [] };
+      rounds.push(round);
+    }
+    const fighterA = fighter(row.fighter1_id, row.fighter1_number, row.fighter1_name, row.fighter1_image);
+    const fighterB = fighter(row.fighter2_id, row.fighter2_number, row.fighter2_name, row.fighter2_image);
+    const [winner, loser] = row.winner_id === fighterA.id ? [fighterA, fighterB] : [fighterB, fighterA];
+    const replayedRound = replayed.find(r => r.round === row.round_number);
+    const replayedFight = replayedRound && replayedRound.results[round.results.length];
+    round.results.push(clanFightView({
+      fighterA,
+      fighterB,
+      winner: { id: winner.id, name: winner.name },
+      loser: { id: loser.id, name: loser.name },
+      attackType: row.attack_type || (replayedFight ? replayedFight.attackType : null)
+    }, publicIds));
+  }
+  
+  // fighter1 is always the challenger's fighter
+  let challengerWins = 0;
+  let defenderWins = 0;
+  for (const round of rounds) {
+    const roundAWins = round.results.filter(r => r.winner.id === r.fighterA.id).length;
+    const roundBWins = round.results.length - roundAWins;
+    if (roundAWins > roundBWins) challengerWins++;
+    else if (roundBWins > roundAWins) defenderWins++;
+    round.roundWinner = roundAWins > roundBWins ? challengerClan : roundBWins > roundAWins ? defenderClan : 'TIE';
+    round.roundScore = { [challengerClan]: roundAWins, [defenderClan]: roundBWins };
+    round.overallScore = { [challengerClan]: challengerWins, [defenderClan]: defenderWins };
+  }
+  
+  return {
+    ...clanBattleSummary(battle),
+    challengerCount: snapshot ? snapshot.challenger.length : null,
+    defenderCount: snapshot ? snapshot.defender.length : null,
+    rounds,
+    finalScore: { [challengerClan]: challengerWins, [defenderClan]: defenderWins },
+    captures: (battle.captures || []).map(capture => captureView(capture, publicIds))
+  };
+}
+
+// Lock in the lineups and seed of a war whose start time has come
+async function beginClanWar(battle) {
+  const snapshot = {
+    challenger: snapshotMembers(pickLineup(await getClanMembers(battle.challenger_clan), battle.challenger_lineup)),
+    defender: snapshotMembers(pickLineup(await getClanMembers(battle.defender_clan), battle.defender_lineup)),
+    ordered: true,
+    rounds: rulebook.rulesFor(null).clanWars.rounds // Kept with the snapshot so replays fight as many
+  };
+  
+  // A clan that has emptied out since accepting can't fight
+  if (snapshot.challenger.length === 0 || snapshot.defender.length === 0) {
+    const reason = 'A clan has no fighters left';
+    if (await endClanBattle(battle.id, 'cancelled', reason, ['accepted'])) {
+      emitToClans(battle, 'clanBattleCancelled', { battleId: battle.id, reason });
+      if (battle.tournament_id) advanceTournament(battle.tournament_id);
+    }
+    return null;
+  }
+  
+  const seed = rng.int(0x80000000);
+  if (!await startClanBattle(battle.id, seed, snapshot)) return null;
+  
+  const started = await getClanBattle(battle.id);
+  io.emit('clanBattleStarted', {
+    ...clanWarSummary(started),
+    challengerCount: snapshot.challenger.length,
+    defenderCount: snapshot.defender.length,
+    spectatorCount: countBattleSpectators(battle.id)
+  });
+  return started;
+}
+
+// Fight the rounds a war still has to go, then settle points and captures
+async function fightClanWar(battle) {
+  const { challenger_clan: challengerClan, defender_clan: defenderClan } = battle;
+  
+  // Best of the snapshot's rounds, fought entirely from the seed and snapshot
+  const { rounds, challengerWins: clanAWins, defenderWins: clanBWins } = simulateClanBattle(battle.seed, battle.snapshot);
+  const fighters = [...battle.snapshot.challenger, ...battle.snapshot.defender];
+  const publicIds = new Map(fighters.map(m => [m.od_identifier, m.public_id]));
+  
+  for (const round of rounds) {
+    if (round.round <= battle.current_round) continue; // Fought before a restart
+    const { results, challengerRoundWins: roundAWins, defenderRoundWins: roundBWins } = round;
+    
+    await recordBattleRound(battle.id, round.round, results);
+    
+    // Emit round results with round winner info
+    io.emit('clanBattleRound', {
+      battleId: battle.id,
+      round: round.round,
+      results: results.map(fight => clanFightView(fight, publicIds)),
+      roundWinner: roundAWins > roundBWins ? challengerClan : 
+                   roundBWins > roundAWins ? defenderClan : 'TIE',
+      roundScore: { 
+        [challengerClan]: roundAWins, 
+        [defenderClan]: roundBWins 
+      },
+      overallScore: {
+        [challengerClan]: round.challengerWins,
+        [defenderClan]: round.defenderWins
+      },
+      spectatorCount: countBattleSpectators(battle.id)
     });
+    
+    // Delay between rounds for animation
+    await new Promise(resolve => setTimeout(resolve, config.clanWarRoundMs));
+  }
+  
+  // Determine overall winner
+  const winnerClan = clanAWins >= clanBWins ? challengerClan : defenderClan;
+  const loserClan = winnerClan === challengerClan ? defenderClan : challengerClan;
+  const winnerLeader = await getClanLeader(winnerClan);
+  
+  // Track all point changes to apply at end
+  const rules = rulebook.rulesFor(null);
+  const pointChanges = {}; // odIdentifier -> change
+  for (const round of rounds) {
+    for (const result of round.results) {
+      pointChanges[result.winner.id] = (pointChanges[result.winner.id] || 0) + rules.clanWars.winPoints * rules.pointsMultiplier;
+      pointChanges[result.loser.id] = (pointChanges[result.loser.id] || 0) - rules.clanWars.lossPoints;
+    }
+  }
+  
+  // Close the war and apply all point changes together, so it can't be settled twice -
+  // fighters on the losing side who drop to 0 are captured
+  const rows = await settleClanBattle(battle.id, winnerClan, Object.entries(pointChanges).map(([odId, change]) => ({
+    odIdentifier: odId,
+    delta: change,
+    capture: { clanName: winnerClan, ownerId: winnerLeader, fromClan: loserClan }
+  })), { floor: 0 });
+  if (!rows) return;
+  
+  const pendingCaptures = [];
+  for (const row of rows) {
+    syncOnlineCharacter(row);
+    if (row.captured) {
+      pendingCaptures.push({
+        capturedId: row.od_identifier,
+        capturedName: row.name,
+        fromClan: loserClan,
+        newClan: winnerClan
+      });
+    }
+  }
+  await setClanBattleCaptures(battle.id, pendingCaptures);
+  const clanRatings = await settleClanRatings(battle, winnerClan);
+  
+  // The winning clan's members online get a heckle about the war
+  for (const player of players.values()) {
+    if (player.clanName !== winnerClan) continue;
+    player.canHeckle = true;
+    player.heckleContext = { battleId: battle.id, targetClan: loserClan };
+  }
+  
+  io.emit('clanBattleComplete', {
+    battleId: battle.id,
+    winnerClan,
+    finalScore: {
+      [challengerClan]: clanAWins,
+      [defenderClan]: clanBWins
+    },
+    totalCaptures: pendingCaptures.map(capture => captureView(capture, publicIds)),
+    ratingChanges: clanRatings
+  });
+  
+  broadcastState();
+  if (battle.tournament_id) advanceTournament(battle.tournament_id);
+}
+
+async function runClanWar(battleId) {
+  clanWarTimers.delete(battleId);
+  if (runningClanWars.has(battleId)) return;
+  runningClanWars.add(battleId);
+  
+  try {
+    let battle = await getClanBattle(battleId);
+    if (battle && battle.status === 'accepted') {
+      battle = await beginClanWar(battle);
+    }
+    if (battle && battle.status === 'in_progress') {
+      await fightClanWar(battle);
+    }
+  } catch (err) {
+    console.error(`Error running clan war ${battleId}:`, err.message);
+  } finally {
+    runningClanWars.delete(battleId);
+  }
+}
+
+// Pick up wars that were scheduled or being fought when the server last stopped
+async function resumeClanWars() {
+  const battles = await getScheduledClanBattles();
+  for (const battle of battles) {
+    if (battle.status === 'in_progress' && !battle.snapshot) {
+      // Started before battles were recorded - there's nothing to resume it from
+      await endClanBattle(battle.id, 'cancelled', 'Interrupted before it could be recorded', ['in_progress']);
+      continue;
+    }
+    scheduleClanWar(battle);
   }
+  if (battles.length > 0) console.log(`Resumed ${battles.length} clan war(s)`);
+}
+
+// Clan tournaments - registration closes at the start time, the bracket is drawn by rating,
+// and every match is fought as an ordinary clan war. advanceTournament settles the wars that
+// have finished and sets up the ones that can now be fought, so it is safe to run any time.
+const tournamentTimers = new Map(); // tournamentId -> timeout
+const tournamentUpdates = new Map(); // tournamentId -> update in flight
+const MAX_TOURNAMENT_START_MINUTES = 7 * 24 * 60;
+
+function scheduleTournament(tournament) {
+  clearTimeout(tournamentTimers.get(tournament.id));
+  const delay = Math.max(0, new Date(tournament.starts_at).getTime() - Date.now());
+  tournamentTimers.set(tournament.id, setTimeout(() => beginTournament(tournament.id), delay));
 }
 
-// Determine winner based on attack types and player numbers
-function determineWinner(attacker, target) {
-  const attackType = attacker.attackType; // 'distance' or 'melee'
-  const targetAction = target.action;
-  const targetAttackType = target.attackType;
+// One update at a time per tournament - two wars finishing together must not both move the bracket on
+function queueTournamentUpdate(tournamentId, update) {
+  const previous = tournamentUpdates.get(tournamentId) || Promise.resolve();
+  const next = previous.then(update).catch(err => {
+    console.error(`Error updating tournament ${tournamentId}:`, err.message);
+  });
+  tournamentUpdates.set(tournamentId, next);
+  next.then(() => {
+    if (tournamentUpdates.get(tournamentId) === next) tournamentUpdates.delete(tournamentId);
+  });
+  return next;
+}
 
-  let result = {
-    attacker: { id: attacker.id, name: attacker.name },
-    defender: { id: target.id, name: target.name },
-    winner: null,
-    loser: null,
-    reason: '',
-    attackerNumber: attacker.playerNumber,
-    defenderNumber: target.playerNumber,
-    attackType: attackType
+function bracketMatch(row) {
+  return {
+    id: row.id,
+    round: row.round,
+    slot: row.slot,
+    clanA: row.clan_a,
+    clanB: row.clan_b,
+    status: row.status,
+    winnerClan: row.winner_clan,
+    battleId: row.battle_id
   };
+}
 
-  // Target is attacking someone else - attacker auto-wins
-  if (targetAction === 'attack' && target.actionTarget !== attacker.id) {
-    result.winner = attacker;
-    result.loser = target;
-    result.reason = 'caught attacking';
-    return result;
-  }
-
-  // Mutual attack - both attacking each other
-  if (targetAction === 'attack' && target.actionTarget === attacker.id) {
-    // Distance vs Melee - Distance wins
-    if (attackType === 'distance' && targetAttackType === 'melee') {
-      result.winner = attacker;
-      result.loser = target;
-      result.reason = 'distance beats melee';
-      return result;
-    }
-    if (attackType === 'melee' && targetAttackType === 'distance') {
-      result.winner = target;
-      result.loser = attacker;
-      result.reason = 'distance beats melee';
-      result.attackType = targetAttackType;
-      return result;
-    }
-    // Same attack type - first click wins
-    if (attacker.actionTime < target.actionTime) {
-      result.winner = attacker;
-      result.loser = target;
-      result.reason = 'faster draw';
-    } else {
-      result.winner = target;
-      result.loser = attacker;
-      result.reason = 'faster draw';
-    }
-    return result;
+// Listing shape for a tournament - entries are its getTournamentEntries rows
+function tournamentSummary(tournament, entries) {
+  return {
+    tournamentId: tournament.id,
+    name: tournament.name,
+    format: tournament.format,
+    status: tournament.status,
+    maxClans: tournament.max_clans,
+    rewardPoints: tournament.reward_points,
+    createdBy: tournament.created_by_public_id,
+    startsAt: new Date(tournament.starts_at).toISOString(),
+    winnerClan: tournament.winner_clan,
+    reason: tournament.end_reason,
+    clans: entries.map(e => e.clan_name)
+  };
+}
+
+// A tournament with its entries, bracket and (round robin) standings - null if there is no such tournament
+async function getTournamentDetails(tournamentId) {
+  const tournament = await getTournament(tournamentId);
+  if (!tournament) return null;
+  const entries = await getTournamentEntries(tournamentId);
+  const matches = (await getTournamentMatches(tournamentId)).map(bracketMatch);
+  const seeded = tournament.status !== 'registration' && matches.length > 0;
+  return {
+    ...tournamentSummary(tournament, entries),
+    entries: entries.map(e => ({ clanName: e.clan_name, seed: e.seed, rating: e.rating })),
+    matches: matches.map(({ id, ...m }) => ({ matchId: id, ...m })),
+    standings: tournament.format === 'round_robin' && seeded
+      ? roundRobinStandings(entries.map(e => e.clan_name), matches)
+      : null
+  };
+}
+
+// Recent tournaments, open ones first
+async function listTournaments() {
+  const tournaments = await getTournaments(20);
+  const summaries = [];
+  for (const tournament of tournaments) {
+    summaries.push(tournamentSummary(tournament, await getTournamentEntries(tournament.id)));
   }
+  return summaries;
+}
 
-  // Target is defending or idle - compare numbers based on attack type
-  if (attackType === 'distance') {
-    // Higher number wins
-    if (attacker.playerNumber >= target.playerNumber) {
-      result.winner = attacker;
-      result.loser = target;
-      result.reason = attacker.playerNumber === target.playerNumber ? 'tie - attacker wins' : 'higher number';
-    } else {
-      result.winner = target;
-      result.loser = attacker;
-      result.reason = 'higher number';
+async function broadcastTournament(tournamentId) {
+  const details = await getTournamentDetails(tournamentId);
+  if (details) io.emit('tournamentUpdated', details);
+}
+
+// Close registration and draw the bracket, best rated clan first
+function beginTournament(tournamentId) {
+  tournamentTimers.delete(tournamentId);
+  return queueTournamentUpdate(tournamentId, async () => {
+    const tournament = await getTournament(tournamentId);
+    if (!tournament || tournament.status !== 'registration') return;
+    
+    const entries = await getTournamentEntries(tournamentId);
+    if (entries.length < MIN_TOURNAMENT_CLANS) {
+      if (await endTournament(tournamentId, 'cancelled', null, 'Not enough clans entered')) {
+        await broadcastTournament(tournamentId);
+      }
+      return;
     }
-  } else {
-    // Melee - lower number wins
-    if (attacker.playerNumber <= target.playerNumber) {
-      result.winner = attacker;
-      result.loser = target;
-      result.reason = attacker.playerNumber === target.playerNumber ? 'tie - attacker wins' : 'lower number';
-    } else {
-      result.winner = target;
-      result.loser = attacker;
-      result.reason = 'lower number';
+    
+    const seeds = entries
+      .sort((a, b) => b.rating - a.rating || new Date(a.registered_at) - new Date(b.registered_at))
+      .map(e => e.clan_name);
+    if (!await startTournament(tournamentId, seeds, createBracket(tournament.format, seeds))) return;
+    await updateBracket(tournamentId);
+  });
+}
+
+function advanceTournament(tournamentId) {
+  return queueTournamentUpdate(tournamentId, () => updateBracket(tournamentId));
+}
+
+// A tournament war called off because a side had no fighters goes to the side that still has some
+async function forfeitWinner(match) {
+  if ((await getClanMembers(match.clanA)).length > 0) return match.clanA;
+  return (await getClanMembers(match.clanB)).length > 0 ? match.clanB : match.clanA;
+}
+
+async function updateBracket(tournamentId) {
+  const tournament = await getTournament(tournamentId);
+  if (!tournament || tournament.status !== 'in_progress') return;
+  const seeds = (await getTournamentEntries(tournamentId)).map(e => e.clan_name);
+  const matches = (await getTournamentMatches(tournamentId)).map(bracketMatch);
+  
+  // Settle the matches whose wars are over
+  for (const match of matches.filter(m => m.status === 'scheduled')) {
+    const battle = await getClanBattle(match.battleId);
+    if (!battle || ['pending', 'accepted', 'in_progress'].includes(battle.status)) continue;
+    
+    match.status = 'completed';
+    match.winnerClan = battle.status === 'completed' ? battle.winner_clan : await forfeitWinner(match);
+    const next = tournament.format === 'single_elimination' ? advanceWinner(matches, match) : null;
+    await completeTournamentMatch(match.id, match.winnerClan, next && {
+      id: next.id,
+      clanA: next.clanA,
+      clanB: next.clanB,
+      status: next.status
+    });
+  }
+  
+  const winnerClan = tournamentWinner(tournament.format, seeds, matches);
+  if (winnerClan) {
+    await finishTournament(tournament, winnerClan);
+    return;
+  }
+  
+  for (const match of playableMatches(tournament.format, matches)) {
+    const battleId = await scheduleTournamentMatch(match.id);
+    const battle = battleId && await getClanBattle(battleId);
+    if (!battle) continue;
+    scheduleClanWar(battle);
+    emitToClans(battle, 'clanBattleAccepted', { ...clanWarSummary(battle), tournamentId, tournamentName: tournament.name });
+  }
+  await broadcastTournament(tournamentId);
+}
+
+// Crown the winner and reward every member of the winning clan
+async function finishTournament(tournament, winnerClan) {
+  if (!await endTournament(tournament.id, 'completed', winnerClan, null)) return;
+  
+  const members = await getClanMembers(winnerClan);
+  const rows = await applyPointChanges(members.map(m => ({ odIdentifier: m.odIdentifier, delta: tournament.reward_points })));
+  for (const row of rows || []) {
+    syncOnlineCharacter(row);
+  }
+  
+  io.emit('tournamentComplete', {
+    tournamentId: tournament.id,
+    name: tournament.name,
+    winnerClan,
+    rewardPoints: tournament.reward_points,
+    rewardedMembers: rows ? rows.length : 0
+  });
+  await broadcastTournament(tournament.id);
+  broadcastState();
+}
+
+// Put the main arena's latest heckles back up after a restart
+async function loadHeckles() {
+  await loadArenaHeckles(arenas.get(DEFAULT_ARENA_ID));
+  await refreshHeckleOfTheDay();
+}
+
+// Pick up tournaments that were taking registrations or being played when the server last stopped
+async function resumeTournaments() {
+  const tournaments = await getOpenTournaments();
+  for (const tournament of tournaments) {
+    if (tournament.status === 'registration') scheduleTournament(tournament);
+    else advanceTournament(tournament.id);
+  }
+  if (tournaments.length > 0) console.log(`Resumed ${tournaments.length} tournament(s)`);
+}
+
+// Work out which character a connecting client may play.
+// Returns { odIdentifier } (null for a brand new player) or { error }.
+async function authenticateIdentity(data) {
+  if (data.token) {
+    const odIdentifier = verifySessionToken(data.token, sessionSecret, config.sessionMaxAgeDays * 24 * 60 * 60 * 1000);
+    if (!odIdentifier) return { error: 'Your session has expired. Enter a transfer code to recover your character.' };
+    return { odIdentifier };
+  }
+  
+  // Legacy clients only have the raw id - it can be used once to bind the character to a token
+  if (data.playerId) {
+    try {
+      const existing = await storage.getPlayer(data.playerId);
+      if (!existing) return { odIdentifier: null };
+      if (await storage.claimPlayerAuth(data.playerId)) return { odIdentifier: data.playerId };
+      return { error: 'This character is protected. Enter a transfer code to play it on this device.' };
+    } catch (err) {
+      console.error('Database error authenticating player:', err.message);
+      return { error: 'Could not verify your character. Try again.' };
     }
   }
+  
+  return { odIdentifier: null };
+}
 
-  return result;
+// Create a one-time transfer code for a character - returns the plain code
+async function createTransferCode(odIdentifier) {
+  try {
+    const code = generateTransferCode();
+    await storage.createTransferCode(odIdentifier, hashTransferCode(code), config.transferCodeTtlMinutes);
+    return code;
+  } catch (err) {
+    console.error('Database error creating transfer code:', err.message);
+    return null;
+  }
 }
 
-// Handle attacks
-async function processAllAttacks() {
-  const attacksByTarget = new Map();
-  const now = Date.now();
+// Use up a transfer code - returns the character it unlocks
+async function redeemTransferCode(code) {
+  if (typeof code !== 'string' || !code.trim()) return null;
+  try {
+    return await storage.redeemTransferCode(hashTransferCode(code));
+  } catch (err) {
+    console.error('Database error redeeming transfer code:', err.message);
+    return null;
+  }
+}
+
+// Heckle word filter - see lib/moderation.js
+const wordFilter = createWordFilter(config.heckleBlockedWords || DEFAULT_BLOCKED_WORDS);
+
+// Moderators are the accounts listed in ADMIN_IDS
+function isAdminAccount(accountId) {
+  return !!accountId && config.adminIds.includes(accountId);
+}
+
+function isAdmin(socket) {
+  return isAdminAccount(socket.data.accountId);
+}
+
+// The account an HTTP request's bearer session token signs in as, or null
+function requestAccountId(req) {
+  const match = /^Bearer (\S+)$/.exec(req.get('Authorization') || '');
+  return match ? verifySessionToken(match[1], sessionSecret, config.sessionMaxAgeDays * 24 * 60 * 60 * 1000) : null;
+}
+
+// Turn away moderation events from everyone else
+function authorizeAdmin(socket, event) {
+  if (isAdmin(socket)) return true;
+  emitError(socket, event, 'forbidden', 'Only moderators can do that!');
+  return false;
+}
+
+// What a muted or banned player is told - until is a timestamp, or null until a moderator lifts it
+function sanctionNotice(sanction) {
+  return { reason: sanction.reason, until: sanction.expires_at ? new Date(sanction.expires_at).getTime() : null };
+}
+
+function isMuted(player) {
+  return !!player.mute && (player.mute.until === null || player.mute.until > Date.now());
+}
+
+// Online players signed in as an account, whichever character they are playing
+function getAccountPlayers(accountId) {
+  return Array.from(players.values()).filter(p => p.accountId === accountId);
+}
+
+// Hide, delete or restore a heckle and bring its arena's board and the heckle of the day in line.
+// Returns false if there is no such heckle.
+async function moderateHeckle(heckleId, status, moderatedBy) {
+  const heckle = await getHeckle(heckleId);
+  if (!heckle || !await setHeckleStatus(heckleId, status, moderatedBy)) return false;
   
-  for (const player of players.values()) {
-    if (player.inPit && player.action === 'attack' && player.actionTarget) {
-      const targetId = player.actionTarget;
-      if (!attacksByTarget.has(targetId)) {
-        attacksByTarget.set(targetId, []);
-      }
-      attacksByTarget.get(targetId).push(player);
+  const arena = arenas.get(heckle.arena_id);
+  if (arena) await loadArenaHeckles(arena);
+  if (await refreshHeckleOfTheDay()) broadcastState();
+  else if (arena) broadcastState(arena.id);
+  return true;
+}
+
+// Open reports grouped by heckle, most reported first
+async function getReportedHeckles() {
+  const byHeckle = new Map();
+  for (const report of await getHeckleReports(500)) {
+    let heckle = byHeckle.get(report.heckle_id);
+    if (!heckle) {
+      heckle = {
+        heckleId: report.heckle_id,
+        arenaId: report.arena_id,
+        authorId: report.author_id,
+        authorName: report.author_name,
+        message: report.message,
+        reasons: [],
+        reportCount: 0,
+        firstReportedAt: report.created_at,
+        status: null
+      };
+      byHeckle.set(report.heckle_id, heckle);
     }
+    heckle.reportCount++;
+    if (report.reason) heckle.reasons.push(report.reason);
+  }
+  for (const heckle of byHeckle.values()) {
+    const row = await getHeckle(heckle.heckleId);
+    heckle.status = row ? row.status : 'deleted';
   }
+  return Array.from(byHeckle.values()).sort((a, b) => b.reportCount - a.reportCount);
+}
 
-  const results = [];
-  const losers = new Set();
-  const winners = new Set();
-  const winnerBonuses = new Map(); // Track bonus wins for revenge
+// The session playing a character, if any
+function getCharacterController(odIdentifier) {
+  const socketId = characterLocks.get(odIdentifier);
+  return socketId ? players.get(socketId) || null : null;
+}
 
-  for (const [targetId, attackers] of attacksByTarget) {
-    const target = players.get(targetId);
-    if (!target || !target.inPit) continue;
+function lockCharacter(odIdentifier, socketId) {
+  characterLocks.set(odIdentifier, socketId);
+}
 
-    // Multiple attackers - target auto-loses
-    if (attackers.length > 1) {
-      losers.add(targetId);
-      for (const attacker of attackers) {
-        winners.add(attacker.id);
-        
-        // Check for revenge bonus
-        const myRevenge = revengeTargets.get(attacker.odIdentifier);
-        const isRevenge = myRevenge && myRevenge.odIdentifier === target.odIdentifier && myRevenge.expiresAt > now;
-        if (isRevenge) {
-          winnerBonuses.set(attacker.id, (winnerBonuses.get(attacker.id) || 0) + 2);
-          revengeTargets.delete(attacker.odIdentifier); // Clear revenge after claiming
-        }
-        
-        results.push({
-          attacker: { id: attacker.id, name: attacker.name },
-          defender: { id: target.id, name: target.name },
-          winner: attacker,
-          loser: target,
-          reason: 'gang attack',
-          attackType: attacker.attackType,
-          attackerNumber: attacker.playerNumber,
-          defenderNumber: target.playerNumber,
-          isRevenge: isRevenge
-        });
-      }
-    } else {
-      const attacker = attackers[0];
-      if (losers.has(attacker.id)) continue;
-      
-      const result = determineWinner(attacker, target);
-      if (result) {
-        // Check for revenge bonus
-        if (result.winner && result.winner.id === attacker.id) {
-          const myRevenge = revengeTargets.get(attacker.odIdentifier);
-          const isRevenge = myRevenge && myRevenge.odIdentifier === target.odIdentifier && myRevenge.expiresAt > now;
-          result.isRevenge = isRevenge;
-          if (isRevenge) {
-            winnerBonuses.set(attacker.id, (winnerBonuses.get(attacker.id) || 0) + 2);
-            revengeTargets.delete(attacker.odIdentifier);
-          }
-        }
-        
-        results.push(result);
-        if (result.loser) losers.add(result.loser.id);
-        if (result.winner) winners.add(result.winner.id);
-      }
+function unlockCharacter(odIdentifier, socketId) {
+  if (characterLocks.get(odIdentifier) === socketId) characterLocks.delete(odIdentifier);
+}
+
+// Put a character's row on a session - the persistent side of switching characters
+function playCharacter(player, row) {
+  unlockCharacter(player.odIdentifier, player.id);
+  player.odIdentifier = row.od_identifier;
+  player.characterId = row.public_id;
+  player.name = row.name;
+  player.points = row.points;
+  player.playerNumber = row.player_number;
+  player.characterImage = row.character_image || 1;
+  player.clanName = row.clan_name;
+  player.clanRole = row.clan_role;
+  lockCharacter(player.odIdentifier, player.id);
+}
+
+// Move a session onto another socket, taking its character lock and the attacks aimed at it along
+function moveSession(player, socket) {
+  const oldId = player.id;
+  players.delete(oldId);
+  player.id = socket.id;
+  players.set(socket.id, player);
+  lockCharacter(player.odIdentifier, socket.id);
+  socket.join(arenaRoom(player.arenaId));
+  
+  for (const other of players.values()) {
+    if (other.actionTarget === oldId) other.actionTarget = socket.id;
+  }
+}
+
+// Drop a player's session for good
+function endSession(player) {
+  unlockCharacter(player.odIdentifier, player.id);
+  players.delete(player.id);
+  broadcastState(player.arenaId);
+  removeArenaIfEmpty(player.arenaId);
+}
+
+// Keep a player whose connection dropped in the game for the grace window. Their declared
+// action still resolves and attacks already aimed at them still land, but nobody can pick
+// them as a new target while they are away. An account only has one session held at a time.
+function holdSession(player) {
+  const earlier = reconnectTimers.get(player.accountId);
+  if (earlier) {
+    clearTimeout(earlier.timer);
+    const held = players.get(earlier.socketId);
+    if (held) endSession(held);
+  }
+  
+  player.disconnected = true;
+  player.disconnectedAt = Date.now();
+  const timer = setTimeout(() => {
+    reconnectTimers.delete(player.accountId);
+    if (players.get(player.id) === player) endSession(player);
+  }, config.reconnectGraceSeconds * 1000);
+  reconnectTimers.set(player.accountId, { socketId: player.id, timer });
+  broadcastState(player.arenaId);
+}
+
+// Hand an account's held session to its new socket - returns the player, or null if none is held
+function resumeSession(socket, accountId) {
+  const held = reconnectTimers.get(accountId);
+  if (!held) return null;
+  clearTimeout(held.timer);
+  reconnectTimers.delete(accountId);
+  
+  const player = players.get(held.socketId);
+  if (!player) return null;
+  
+  // Re-identifying on a socket that is already playing gives up what it was doing
+  const current = players.get(socket.id);
+  if (current) {
+    if (current.arenaId !== player.arenaId) socket.leave(arenaRoom(current.arenaId));
+    endSession(current);
+  }
+  player.disconnected = false;
+  player.disconnectedAt = null;
+  moveSession(player, socket);
+  return player;
+}
+
+// Make sure nobody else plays the character signing in on this socket. Under 'kick-old' the
+// account's older tab hands its session over and is sent away, and a clan member playing the
+// character is switched back to their own - or sent away too, if their own is playing in another
+// tab; under 'reject-new' the sign-in is turned down.
+// Returns { allowed, session } - session is the one taken over, if any.
+async function claimCharacter(socket, odIdentifier) {
+  const controller = getCharacterController(odIdentifier);
+  if (!controller || controller.id === socket.id) return { allowed: true, session: null };
+  if (config.sessionPolicy === 'reject-new') return { allowed: false, session: null };
+  
+  if (controller.accountId === odIdentifier) {
+    const current = players.get(socket.id);
+    if (current) {
+      if (current.arenaId !== controller.arenaId) socket.leave(arenaRoom(current.arenaId));
+      endSession(current);
     }
+    const oldSocket = io.sockets.sockets.get(controller.id);
+    moveSession(controller, socket);
+    if (oldSocket) {
+      oldSocket.emit('sessionReplaced', { message: 'You started playing this character somewhere else.' });
+      oldSocket.disconnect(true);
+    }
+    return { allowed: true, session: controller };
   }
+  
+  const ownCharacter = await getPlayerForSwitch(controller.accountId);
+  if (getCharacterController(odIdentifier) !== controller) return { allowed: true, session: null }; // Let go while we looked
+  if (!ownCharacter) return { allowed: false, session: null };
 
-  // Apply results
-  for (const loserId of losers) {
-    const loser = players.get(loserId);
-    if (loser) {
-      // Set revenge target for the loser
-      const winner = results.find(r => r.loser && r.loser.id === loserId)?.winner;
-      const winnerPlayer = winner ? players.get(winner.id) : null;
-      
-      if (winnerPlayer) {
-        revengeTargets.set(loser.odIdentifier, {
-          odIdentifier: winnerPlayer.odIdentifier,
-          expiresAt: now + (3 * 60 * 1000) // 3 minutes
-        });
-      }
-      
-      // Subtract 1 point from loser (minimum 0)
-      loser.points = Math.max(0, loser.points - 1);
-      await updatePlayerPoints(loser.odIdentifier, loser.points);
-      
-      // CAPTURE: If loser hits 0 points, winner takes control!
-      if (loser.points === 0 && winnerPlayer) {
-        await captureCharacter(loser.odIdentifier, winnerPlayer.clanName, winnerPlayer.odIdentifier);
-        loser.clanName = winnerPlayer.clanName;
-        
-        // Mark capture in results
-        const resultEntry = results.find(r => r.loser && r.loser.id === loserId);
-        if (resultEntry) {
-          resultEntry.captured = true;
-          resultEntry.capturedBy = winnerPlayer.name;
-        }
-      }
-      
-      loser.streak = 0; // Reset streak on loss
-      loser.inPit = false;
-      loser.action = null;
-      loser.actionTarget = null;
-      loser.actionTime = null;
-      loser.attackType = null;
+  // Their own character is being played in another tab - switching back would put two sessions
+  // on it, so this one is sent away instead
+  const ownController = getCharacterController(controller.accountId);
+  if (ownController && ownController !== controller) {
+    endSession(controller);
+    const controllerSocket = io.sockets.sockets.get(controller.id);
+    if (controllerSocket) {
+      controllerSocket.emit('sessionReplaced', { message: `${controller.name}'s owner signed in, and your own character is playing somewhere else.` });
+      controllerSocket.disconnect(true);
+    }
+    return { allowed: true, session: null };
+  }
+
+  controller.inPit = false;
+  clearAction(controller);
+  playCharacter(controller, ownCharacter);
+  io.to(controller.id).emit('characterSwitched', {
+    characterId: controller.characterId,
+    name: controller.name,
+    points: controller.points,
+    characterImage: controller.characterImage,
+    clanName: controller.clanName,
+    clanRole: controller.clanRole,
+    reason: 'Its owner signed in'
+  });
+  broadcastState(controller.arenaId);
+  return { allowed: true, session: null };
+}
+
+// A fresh session for a character that has just signed in
+function newSession(socket, persistent, mute) {
+  const player = {
+    id: socket.id,
+    odIdentifier: persistent.odIdentifier,
+    characterId: persistent.characterId, // What other clients know the character by
+    name: persistent.name,
+    points: persistent.points,
+    playerNumber: persistent.playerNumber,
+    characterImage: persistent.characterImage,
+    clanName: persistent.clanName,
+    clanRole: persistent.clanRole || null,
+    dailyRevengeKills: persistent.dailyRevengeKills,
+    dailyMaxStreak: persistent.dailyMaxStreak,
+    challengeRevengeClaimed: persistent.challengeRevengeClaimed,
+    challengeStreakClaimed: persistent.challengeStreakClaimed,
+    streak: 0,
+    inPit: false,
+    action: null,
+    actionTarget: null,
+    actionTime: null,
+    attackType: null,
+    canHeckle: false,
+    heckleContext: null, // What the win that earned canHeckle was against - stored with the heckle
+    accountId: persistent.odIdentifier, // Who signed in - stays put when switching characters
+    mute: mute ? sanctionNotice(mute) : null,
+    arenaId: null,
+    disconnected: false, // Socket dropped - the session is held for a reconnect
+    disconnectedAt: null
+  };
+  
+  // Re-identifying on the same socket keeps the arena it was in
+  const previous = players.get(socket.id);
+  if (previous) unlockCharacter(previous.odIdentifier, socket.id);
+  players.set(socket.id, player);
+  lockCharacter(player.odIdentifier, socket.id);
+  movePlayerToArena(socket, player, previous && arenas.has(previous.arenaId) ? previous.arenaId : DEFAULT_ARENA_ID);
+  return player;
+}
+
+// Register an authenticated socket as an active player and send them the game
+async function enterGame(socket, persistent) {
+  // Banned accounts don't get in; muted ones play but can't heckle
+  const sanctions = await getActiveSanctions(persistent.odIdentifier);
+  const ban = sanctions.find(s => s.kind === 'ban');
+  if (ban) {
+    socket.emit('banned', sanctionNotice(ban));
+    socket.disconnect(true);
+    return;
+  }
+  const mute = sanctions.find(s => s.kind === 'mute');
+  
+  // Coming back inside the grace window picks up the session where it was left.
+  // Otherwise the character must not be playing anywhere else.
+  let playerData = resumeSession(socket, persistent.odIdentifier);
+  const resumed = !!playerData;
+  if (!resumed) {
+    const claim = await claimCharacter(socket, persistent.odIdentifier);
+    if (!claim.allowed) {
+      emitError(socket, 'identify', 'rejected', 'This character is already playing in another tab or on another device!');
+      return;
     }
+    playerData = claim.session;
+  }
+  
+  socket.data.accountId = persistent.odIdentifier;
+  stopSpectating(socket);
+  
+  if (playerData) {
+    playerData.mute = mute ? sanctionNotice(mute) : null;
+  } else {
+    playerData = newSession(socket, persistent, mute);
+  }
+  const arena = arenas.get(playerData.arenaId);
+
+  const allTime = await getAllTimeLeaderboard();
+  
+  // Don't send playerNumber to client
+  socket.emit('welcome', { 
+    you: { 
+      id: playerData.id, 
+      characterId: playerData.characterId, 
+      name: playerData.name, 
+      points: playerData.points,
+      characterImage: playerData.characterImage,
+      clanName: playerData.clanName,
+      clanRole: playerData.clanRole,
+      streak: playerData.streak,
+      inPit: playerData.inPit,
+      action: playerData.action,
+      canHeckle: playerData.canHeckle,
+      dailyRevengeKills: playerData.dailyRevengeKills,
+      dailyMaxStreak: playerData.dailyMaxStreak,
+      challengeRevengeClaimed: playerData.challengeRevengeClaimed,
+      challengeStreakClaimed: playerData.challengeStreakClaimed,
+      mute: playerData.mute,
+      isAdmin: isAdmin(socket)
+    },
+    resumed,
+    token: signSessionToken(playerData.accountId, sessionSecret),
+    arena: getArenaInfo(arena),
+    leaderboard: getLeaderboard(arena.id),
+    pit: getPitPlayers(socket.id),
+    allTimeLeaderboard: allTime,
+    heckles: publicHeckles(arena),
+    heckleOfTheDay
+  });
+
+  broadcastState(arena.id);
+}
+
+// Socket event budgets - see lib/rateLimit.js. Limiting runs before validation, so made-up
+// event names all draw on one shared budget rather than a bucket each. Budgets that don't
+// check out stop the server before it starts.
+function loadRateLimiter() {
+  const knownEvents = Object.keys(EVENT_SCHEMAS);
+  try {
+    return createRateLimiter({
+      budgets: config.rateLimitBudgets ? parseBudgets(config.rateLimitBudgets, knownEvents) : {},
+      knownEvents,
+      throttleAfter: config.rateLimitThrottleAfter,
+      disconnectAfter: config.rateLimitDisconnectAfter,
+      throttleMs: config.rateLimitThrottleMs,
+      penaltyWindowMs: config.rateLimitPenaltyWindowMs
+    });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
   }
+}
+const rateLimiter = loadRateLimiter();
 
-  for (const winnerId of winners) {
-    const winner = players.get(winnerId);
-    if (winner && !losers.has(winnerId)) {
-      const bonus = winnerBonuses.get(winnerId) || 0;
-      const isRevengeKill = bonus > 0;
-      
-      winner.points += 1 + bonus;
-      winner.streak = (winner.streak || 0) + 1;
-      
-      // Track daily challenges
-      if (isRevengeKill) {
-        winner.dailyRevengeKills = (winner.dailyRevengeKills || 0) + 1;
-      }
-      if (winner.streak > (winner.dailyMaxStreak || 0)) {
-        winner.dailyMaxStreak = winner.streak;
-      }
-      await updateDailyChallenge(winner.odIdentifier, winner.dailyRevengeKills || 0, winner.dailyMaxStreak || 0);
-      
-      winner.action = null;
-      winner.actionTarget = null;
-      winner.actionTime = null;
-      winner.attackType = null;
-      winner.canHeckle = true; // Winner can now heckle
-      await updatePlayerPoints(winner.odIdentifier, winner.points);
-      
-      // Add extra info to results for sound effects
-      const resultEntry = results.find(r => r.winner && r.winner.id === winnerId);
-      if (resultEntry) {
-        resultEntry.isStreakKill = winner.streak >= 5;
-        resultEntry.isGangAttack = resultEntry.reason === 'gang attack';
-      }
+// Every incoming event spends from the socket's budget and, once signed in, the account's.
+// Events over budget never reach their handler.
+function limitSocketEvents(socket) {
+  socket.use(([event], next) => {
+    const accountId = socket.data.accountId;
+    const verdict = rateLimiter.consume([`socket:${socket.id}`, accountId && `account:${accountId}`], event);
+    if (verdict.allowed) {
+      next();
+      return;
     }
-  }
+    
+    socket.emit('rateLimited', { event, level: verdict.level, retryAfterMs: verdict.retryAfterMs });
+    if (verdict.level === 'disconnect') {
+      console.warn(`Disconnecting ${socket.id}${accountId ? ` (${accountId})` : ''} for flooding ${event}`);
+      socket.disconnect(true);
+    }
+  });
+}
 
-  return results;
+// Tell a client why an event was turned down. Every error is { code, message, event }, where code is
+// 'invalid_payload' or 'unknown_event' (see lib/validation.js), 'not_found', 'forbidden',
+// 'rejected' (against the rules of the game) or 'server_error'.
+function emitError(socket, event, code, message) {
+  socket.emit('error', { code, message, event });
+}
+
+// Events that aren't in lib/validation.js, or whose payload doesn't fit its schema, never reach a handler
+function validateSocketEvents(socket) {
+  socket.use(([event, payload], next) => {
+    const error = validateEvent(event, payload);
+    if (error) {
+      emitError(socket, event, error.code, error.message);
+      return;
+    }
+    next();
+  });
 }
 
 io.on('connection', (socket) => {
   console.log('Player connected:', socket.id);
+  limitSocketEvents(socket);
+  validateSocketEvents(socket);
 
   socket.on('identify', async (data) => {
-    const playerId = data.playerId;
     const requestedName = data.name;
     
-    const persistent = await getOrCreatePlayer(playerId, requestedName);
+    const auth = await authenticateIdentity(data);
+    if (auth.error) {
+      socket.emit('authRequired', { message: auth.error });
+      return;
+    }
+    
+    const persistent = await getOrCreatePlayer(auth.odIdentifier, requestedName);
     
     // If new player, ask them to select character
     if (persistent.isNew) {
-      socket.emit('selectCharacter', {
-        odIdentifier: persistent.odIdentifier,
-        name: persistent.name
-      });
+      socket.data.pendingPlayer = { odIdentifier: persistent.odIdentifier, name: persistent.name };
+      socket.emit('selectCharacter', { name: persistent.name });
       return;
     }
     
-    const playerData = {
-      id: socket.id,
-      odIdentifier: persistent.odIdentifier,
-      name: persistent.name,
-      points: persistent.points,
-      playerNumber: persistent.playerNumber,
-      characterImage: persistent.characterImage,
-      clanName: persistent.clanName,
-      dailyRevengeKills: persistent.dailyRevengeKills,
-      dailyMaxStreak: persistent.dailyMaxStreak,
-      challengeRevengeClaimed: persistent.challengeRevengeClaimed,
-      challengeStreakClaimed: persistent.challengeStreakClaimed,
-      streak: 0,
-      inPit: false,
-      action: null,
-      actionTarget: null,
-      actionTime: null,
-      attackType: null,
-      canHeckle: false
-    };
-    players.set(socket.id, playerData);
-
-    const allTime = await getAllTimeLeaderboard();
-    
-    // Don't send playerNumber to client
-    socket.emit('welcome', { 
-      you: { 
-        id: playerData.id, 
-        odIdentifier: playerData.odIdentifier, 
-        name: playerData.name, 
-        points: playerData.points,
-        characterImage: playerData.characterImage,
-        clanName: playerData.clanName,
-        streak: playerData.streak,
-        canHeckle: playerData.canHeckle,
-        dailyRevengeKills: playerData.dailyRevengeKills,
-        dailyMaxStreak: playerData.dailyMaxStreak,
-        challengeRevengeClaimed: playerData.challengeRevengeClaimed,
-        challengeStreakClaimed: playerData.challengeStreakClaimed
-      },
-      leaderboard: getLeaderboard(),
-      pit: getPitPlayers(socket.id),
-      allTimeLeaderboard: allTime,
-      heckles: heckles
-    });
-
-    broadcastState();
+    await enterGame(socket, persistent);
   });
 
   socket.on('confirmCharacter', async (data) => {
-    const { odIdentifier, name, characterImage } = data;
-    
-    const persistent = await createNewPlayer(odIdentifier, name, characterImage);
-    
-    const playerData = {
-      id: socket.id,
-      odIdentifier: persistent.odIdentifier,
-      name: persistent.name,
-      points: persistent.points,
-      playerNumber: persistent.playerNumber,
-      characterImage: persistent.characterImage,
-      clanName: persistent.clanName,
-      dailyRevengeKills: 0,
-      dailyMaxStreak: 0,
-      challengeRevengeClaimed: false,
-      challengeStreakClaimed: false,
-      streak: 0,
-      inPit: false,
-      action: null,
-      actionTarget: null,
-      actionTime: null,
-      attackType: null,
-      canHeckle: false
-    };
-    players.set(socket.id, playerData);
-
-    const allTime = await getAllTimeLeaderboard();
-    
-    socket.emit('welcome', { 
-      you: { 
-        id: playerData.id, 
-        odIdentifier: playerData.odIdentifier, 
-        name: playerData.name, 
-        points: playerData.points,
-        characterImage: playerData.characterImage,
-        clanName: playerData.clanName,
-        streak: playerData.streak,
-        canHeckle: playerData.canHeckle,
-        dailyRevengeKills: 0,
-        dailyMaxStreak: 0,
-        challengeRevengeClaimed: false,
-        challengeStreakClaimed: false
-      },
-      leaderboard: getLeaderboard(),
-      pit: getPitPlayers(socket.id),
-      allTimeLeaderboard: allTime,
-      heckles: heckles
-    });
+    // Only the identifier this socket was handed in selectCharacter can be created
+    const pending = socket.data.pendingPlayer;
+    if (!pending) {
+      emitError(socket, 'confirmCharacter', 'rejected', 'No character to confirm!');
+      return;
+    }
+    socket.data.pendingPlayer = null;
+    
+    const name = data.name && String(data.name).trim() ? String(data.name).trim().substring(0, 20) : pending.name;
+    const persistent = await createNewPlayer(pending.odIdentifier, name, data.characterImage);
+    
+    await enterGame(socket, persistent);
+  });
 
-    broadcastState();
+  // Recover a character on a new device with a code generated on the old one
+  socket.on('redeemTransferCode', async (code) => {
+    const odIdentifier = await redeemTransferCode(code);
+    if (!odIdentifier) {
+      emitError(socket, 'redeemTransferCode', 'not_found', 'Invalid or expired transfer code!');
+      return;
+    }
+    
+    const persistent = await getOrCreatePlayer(odIdentifier, null);
+    if (persistent.isNew) {
+      emitError(socket, 'redeemTransferCode', 'not_found', 'That character no longer exists!');
+      return;
+    }
+    
+    socket.data.pendingPlayer = null;
+    await enterGame(socket, persistent);
+  });
+
+  socket.on('createTransferCode', async () => {
+    const p = players.get(socket.id);
+    if (!p || !socket.data.accountId) return;
+    
+    const code = await createTransferCode(socket.data.accountId);
+    if (code) {
+      socket.emit('transferCode', { code, expiresInMinutes: config.transferCodeTtlMinutes });
+    } else {
+      emitError(socket, 'createTransferCode', 'server_error', 'Could not create a transfer code!');
+    }
   });
 
   socket.on('createClan', async (clanName) => {
     const p = players.get(socket.id);
     if (!p) return;
     
-    if (p.points < 10) {
-      socket.emit('error', { message: 'You need 10 points to create a clan!' });
+    const { creationPoints } = rulebook.rulesFor(p.arenaId).clans;
+    if (p.points < creationPoints) {
+      emitError(socket, 'createClan', 'rejected', `You need ${creationPoints} points to create a clan!`);
       return;
     }
     
     if (p.clanName) {
-      socket.emit('error', { message: 'You are already in a clan!' });
+      emitError(socket, 'createClan', 'rejected', 'You are already in a clan!');
       return;
     }
     
-    const newClanName = await createClan(p.odIdentifier, clanName);
-    if (newClanName) {
-      p.clanName = newClanName;
-      socket.emit('clanCreated', { clanName: newClanName });
+    const result = await createClan(p.odIdentifier, clanName);
+    if (result.success) {
+      p.clanName = result.name;
+      p.clanRole = 'leader';
+      socket.emit('clanCreated', { clanName: result.name, clanRole: p.clanRole });
       broadcastState();
+    } else {
+      emitError(socket, 'createClan', 'rejected', result.error);
     }
   });
 
   socket.on('getClanMembers', async (clanName) => {
     const members = await getClanMembers(clanName);
-    socket.emit('clanMembers', { clanName, members });
+    const formerNames = await getFormerClanNames(clanName);
+    const clan = await getClan(clanName);
+    socket.emit('clanMembers', { clanName, members: members.map(clanMemberView), formerNames, joinPolicy: clan ? clan.join_policy : null });
   });
 
   socket.on('joinClan', async (clanName) => {
@@ -1092,253 +2795,573 @@ io.on('connection', (socket) => {
     if (!p) return;
     
     if (p.clanName) {
-      socket.emit('error', { message: 'You are already in a clan! Leave your current clan first.' });
+      emitError(socket, 'joinClan', 'rejected', 'You are already in a clan! Leave your current clan first.');
+      return;
+    }
+    
+    const result = await joinClan(p.odIdentifier, clanName);
+    if (!result.success) {
+      emitError(socket, 'joinClan', 'rejected', result.error);
+      return;
+    }
+    
+    // Request-only clan - wait for an officer
+    if (result.requestId) {
+      socket.emit('joinRequestSent', { clanName });
+      emitToClanWith(clanName, 'recruit', 'clanJoinRequest', {
+        requestId: result.requestId,
+        clanName,
+        characterId: p.characterId,
+        name: p.name
+      });
+      return;
+    }
+    
+    p.clanName = clanName;
+    p.clanRole = 'member';
+    socket.emit('clanJoined', { clanName, clanRole: p.clanRole });
+    emitToClan(clanName, 'clanMemberJoined', { clanName, name: p.name });
+    broadcastState();
+  });
+
+  socket.on('setClanJoinPolicy', async (policy) => {
+    const p = players.get(socket.id);
+    if (!await authorizeClanAction(socket, 'setClanJoinPolicy', p, 'setJoinPolicy')) return;
+    
+    if (!JOIN_POLICIES.includes(policy)) {
+      emitError(socket, 'setClanJoinPolicy', 'rejected', 'Invalid join policy!');
+      return;
+    }
+    if (!await setClanJoinPolicy(p.clanName, policy)) {
+      emitError(socket, 'setClanJoinPolicy', 'server_error', 'Database error');
+      return;
+    }
+    emitToClan(p.clanName, 'clanJoinPolicyChanged', { clanName: p.clanName, joinPolicy: policy });
+  });
+
+  socket.on('inviteToClan', async (characterId) => {
+    const p = players.get(socket.id);
+    if (!await authorizeClanAction(socket, 'inviteToClan', p, 'recruit')) return;
+    
+    const targetOdIdentifier = await characterOdIdentifier(characterId);
+    const result = await inviteToClan(p.clanName, targetOdIdentifier, p.odIdentifier);
+    if (!result.success) {
+      emitError(socket, 'inviteToClan', 'rejected', result.error);
+      return;
+    }
+    socket.emit('clanInviteSent', { name: result.name, clanName: p.clanName });
+    emitToCharacter(targetOdIdentifier, 'clanInvite', {
+      inviteId: result.invite.id,
+      clanName: p.clanName,
+      invitedByName: p.name,
+      expiresAt: result.invite.expires_at
+    });
+  });
+
+  socket.on('getClanInvites', async () => {
+    const p = players.get(socket.id);
+    if (!p) return;
+    
+    const invites = await getClanInvites(p.odIdentifier);
+    socket.emit('clanInvites', { invites });
+  });
+
+  socket.on('respondToClanInvite', async (data) => {
+    const p = players.get(socket.id);
+    if (!p) return;
+    
+    const { inviteId, accept } = data || {};
+    if (accept && p.clanName) {
+      emitError(socket, 'respondToClanInvite', 'rejected', 'You are already in a clan! Leave your current clan first.');
+      return;
+    }
+    
+    const clanName = await respondToClanInvite(inviteId, p.odIdentifier, !!accept);
+    if (!clanName) {
+      emitError(socket, 'respondToClanInvite', 'not_found', 'That invite has expired or is no longer valid!');
       return;
     }
+    if (!accept) return;
+    
+    p.clanName = clanName;
+    p.clanRole = 'member';
+    socket.emit('clanJoined', { clanName, clanRole: p.clanRole });
+    emitToClan(clanName, 'clanMemberJoined', { clanName, name: p.name });
+    broadcastState();
+  });
+
+  socket.on('getClanJoinRequests', async () => {
+    const p = players.get(socket.id);
+    if (!await authorizeClanAction(socket, 'getClanJoinRequests', p, 'recruit')) return;
+    
+    const requests = await getJoinRequests(p.clanName);
+    socket.emit('clanJoinRequests', { clanName: p.clanName, requests });
+  });
+
+  socket.on('respondToJoinRequest', async (data) => {
+    const p = players.get(socket.id);
+    if (!await authorizeClanAction(socket, 'respondToJoinRequest', p, 'recruit')) return;
     
-    const success = await joinClan(p.odIdentifier, clanName);
-    if (success) {
-      p.clanName = clanName;
-      socket.emit('clanJoined', { clanName });
+    const { requestId, approve } = data || {};
+    const requesterId = await decideJoinRequest(requestId, p.clanName, !!approve, p.odIdentifier);
+    if (!requesterId) {
+      emitError(socket, 'respondToJoinRequest', 'rejected', approve ? 'That fighter has already joined a clan or withdrew!' : 'That request is no longer pending!');
+    } else if (approve) {
+      updateOnlineClanMembership(requesterId, p.clanName, 'member');
+      emitToCharacter(requesterId, 'joinRequestApproved', { clanName: p.clanName, clanRole: 'member', approvedBy: p.name });
+      const requester = await getPlayerForSwitch(requesterId);
+      emitToClan(p.clanName, 'clanMemberJoined', { clanName: p.clanName, name: requester ? requester.name : null });
       broadcastState();
+    } else {
+      emitToCharacter(requesterId, 'joinRequestRejected', { clanName: p.clanName });
     }
+    
+    const requests = await getJoinRequests(p.clanName);
+    socket.emit('clanJoinRequests', { clanName: p.clanName, requests });
   });
 
   socket.on('leaveClan', async () => {
     const p = players.get(socket.id);
     if (!p || !p.clanName) return;
     
-    await joinClan(p.odIdentifier, null); // Set clan to null
+    const result = await leaveClan(p.odIdentifier, p.clanName);
+    if (!result.success) {
+      emitError(socket, 'leaveClan', 'rejected', result.error);
+      return;
+    }
     p.clanName = null;
+    p.clanRole = null;
     socket.emit('clanLeft');
     broadcastState();
   });
 
+  // Officers and the leader can remove anyone they outrank
+  socket.on('kickClanMember', async (characterId) => {
+    const p = players.get(socket.id);
+    const me = await authorizeClanAction(socket, 'kickClanMember', p, 'kick');
+    if (!me) return;
+    
+    const target = await getClanMember(p.clanName, characterId);
+    if (!target || target.od_identifier === p.odIdentifier) {
+      emitError(socket, 'kickClanMember', 'forbidden', 'That fighter is not in your clan!');
+      return;
+    }
+    if (!outranks(me.clan_role, target.clan_role)) {
+      emitError(socket, 'kickClanMember', 'rejected', 'You can only kick members ranked below you!');
+      return;
+    }
+    
+    if (!await removeFromClan(target.od_identifier)) {
+      emitError(socket, 'kickClanMember', 'server_error', 'Database error');
+      return;
+    }
+    updateOnlineClanMembership(target.od_identifier, null, null);
+    emitToCharacter(target.od_identifier, 'kickedFromClan', { clanName: p.clanName, kickedBy: p.name });
+    socket.emit('clanMemberKicked', { characterId, name: target.name });
+    broadcastState();
+  });
+
+  // The leader promotes members to officer and demotes officers back
+  socket.on('setClanRole', async (data) => {
+    const p = players.get(socket.id);
+    const me = await authorizeClanAction(socket, 'setClanRole', p, 'promote');
+    if (!me) return;
+    
+    const { targetCharacterId: characterId, role } = data || {};
+    if (role !== 'officer' && role !== 'member') {
+      emitError(socket, 'setClanRole', 'rejected', 'Invalid clan role!');
+      return;
+    }
+    const target = await getClanMember(p.clanName, characterId);
+    if (!target || target.od_identifier === p.odIdentifier) {
+      emitError(socket, 'setClanRole', 'forbidden', 'That fighter is not in your clan!');
+      return;
+    }
+    
+    if (!await setClanRole(target.od_identifier, role)) {
+      emitError(socket, 'setClanRole', 'server_error', 'Database error');
+      return;
+    }
+    updateOnlineClanMembership(target.od_identifier, p.clanName, role);
+    emitToClan(p.clanName, 'clanRoleChanged', { clanName: p.clanName, characterId, name: target.name, role });
+  });
+
+  // Leadership handover: the leader offers, the chosen member accepts or declines
+  socket.on('transferLeadership', async (characterId) => {
+    const p = players.get(socket.id);
+    const me = await authorizeClanAction(socket, 'transferLeadership', p, 'transferLeadership');
+    if (!me) return;
+    
+    const target = await getClanMember(p.clanName, characterId);
+    if (!target || target.od_identifier === p.odIdentifier) {
+      emitError(socket, 'transferLeadership', 'forbidden', 'That fighter is not in your clan!');
+      return;
+    }
+    
+    if (!await setPendingLeader(p.clanName, target.od_identifier)) {
+      emitError(socket, 'transferLeadership', 'server_error', 'Database error');
+      return;
+    }
+    socket.emit('leadershipOfferSent', { clanName: p.clanName, characterId, name: target.name });
+    emitToCharacter(target.od_identifier, 'leadershipOffered', { clanName: p.clanName, fromName: p.name });
+  });
+
+  socket.on('acceptLeadership', async () => {
+    const p = players.get(socket.id);
+    if (!p || !p.clanName) return;
+    
+    const result = await acceptClanLeadership(p.clanName, p.odIdentifier);
+    if (!result.success) {
+      emitError(socket, 'acceptLeadership', 'rejected', result.error);
+      return;
+    }
+    updateOnlineClanMembership(p.odIdentifier, p.clanName, 'leader');
+    const previousLeader = result.previousLeaderId ? await getPlayerForSwitch(result.previousLeaderId) : null;
+    if (result.previousLeaderId) {
+      updateOnlineClanMembership(result.previousLeaderId, p.clanName, 'officer');
+    }
+    emitToClan(p.clanName, 'leadershipTransferred', {
+      clanName: p.clanName,
+      leaderCharacterId: p.characterId,
+      leaderName: p.name,
+      previousLeaderCharacterId: previousLeader ? previousLeader.public_id : null
+    });
+  });
+
+  socket.on('declineLeadership', async () => {
+    const p = players.get(socket.id);
+    if (!p || !p.clanName) return;
+    
+    const clan = await getClan(p.clanName);
+    if (!clan || clan.pending_leader_id !== p.odIdentifier) return;
+    
+    await setPendingLeader(p.clanName, null);
+    const leaderId = await getClanLeader(p.clanName);
+    if (leaderId) emitToCharacter(leaderId, 'leadershipDeclined', { clanName: p.clanName, name: p.name });
+  });
+
   socket.on('claimChallenge', async (challengeType) => {
     const p = players.get(socket.id);
     if (!p) return;
     
-    if (challengeType === 'revenge' && p.dailyRevengeKills >= 3 && !p.challengeRevengeClaimed) {
-      const newPoints = await claimChallengeReward(p.odIdentifier, 'revenge');
+    const rules = rulebook.rulesFor(p.arenaId);
+    const { challenges } = rules;
+    if (challengeType === 'revenge' && p.dailyRevengeKills >= challenges.revengeKills && !p.challengeRevengeClaimed) {
+      const bonus = challenges.revengeReward * rules.pointsMultiplier;
+      const newPoints = await claimChallengeReward(p.odIdentifier, 'revenge', bonus);
       if (newPoints !== null) {
         p.points = newPoints;
         p.challengeRevengeClaimed = true;
-        socket.emit('challengeClaimed', { type: 'revenge', bonus: 5, newPoints });
+        socket.emit('challengeClaimed', { type: 'revenge', bonus, newPoints });
         broadcastState();
       }
-    } else if (challengeType === 'streak' && p.dailyMaxStreak >= 5 && !p.challengeStreakClaimed) {
-      const newPoints = await claimChallengeReward(p.odIdentifier, 'streak');
+    } else if (challengeType === 'streak' && p.dailyMaxStreak >= challenges.streakLength && !p.challengeStreakClaimed) {
+      const bonus = challenges.streakReward * rules.pointsMultiplier;
+      const newPoints = await claimChallengeReward(p.odIdentifier, 'streak', bonus);
       if (newPoints !== null) {
         p.points = newPoints;
         p.challengeStreakClaimed = true;
-        socket.emit('challengeClaimed', { type: 'streak', bonus: 3, newPoints });
+        socket.emit('challengeClaimed', { type: 'streak', bonus, newPoints });
         broadcastState();
       }
     } else {
-      socket.emit('error', { message: 'Challenge not completed or already claimed!' });
+      emitError(socket, 'claimChallenge', 'rejected', 'Challenge not completed or already claimed!');
     }
   });
 
   // Clan Battle Handlers
-  socket.on('challengeClan', async (defenderClanName) => {
+  // Takes the clan name, or { clanName, startsInMinutes } to pick when the war starts
+  socket.on('challengeClan', async (data) => {
     const p = players.get(socket.id);
+    const defenderClanName = typeof data === 'string' ? data : data && data.clanName;
+    const startsInMinutes = parseInt(data && data.startsInMinutes, 10);
     if (!p || !p.clanName) {
-      socket.emit('error', { message: 'You must be in a clan to challenge!' });
+      emitError(socket, 'challengeClan', 'forbidden', 'You must be in a clan to challenge!');
       return;
     }
+    if (!await authorizeClanAction(socket, 'challengeClan', p, 'manageBattles')) return;
     
     if (p.clanName === defenderClanName) {
-      socket.emit('error', { message: 'You cannot challenge your own clan!' });
+      emitError(socket, 'challengeClan', 'rejected', 'You cannot challenge your own clan!');
       return;
     }
     
     // Check defender clan exists and has members
     const defenderMembers = await getClanMembers(defenderClanName);
     if (defenderMembers.length === 0) {
-      socket.emit('error', { message: 'That clan does not exist!' });
+      emitError(socket, 'challengeClan', 'not_found', 'That clan does not exist!');
       return;
     }
     
     // Check for existing battle
     const existingBattle = await getActiveClanBattle(p.clanName);
     if (existingBattle) {
-      socket.emit('error', { message: 'Your clan already has an active battle!' });
+      emitError(socket, 'challengeClan', 'rejected', 'Your clan already has an active battle!');
+      return;
+    }
+    if (await getActiveClanBattle(defenderClanName)) {
+      emitError(socket, 'challengeClan', 'rejected', 'That clan is already at war!');
       return;
     }
     
-    // Create battle
-    const battleId = await createClanBattle(p.clanName, defenderClanName);
-    if (battleId) {
+    // Create battle - the defenders have until the start time (or the challenge TTL, if sooner) to answer
+    const minutes = Number.isFinite(startsInMinutes) ? Math.max(1, Math.min(MAX_CLAN_WAR_START_MINUTES, startsInMinutes)) : config.clanWarStartMinutes;
+    const battleId = await createClanBattle(p.clanName, defenderClanName, minutes, Math.min(minutes, config.clanChallengeTtlMinutes));
+    const battle = battleId && await getClanBattle(battleId);
+    if (battle) {
       // Notify all players about the challenge
-      io.emit('clanBattleChallenge', {
-        battleId,
-        challengerClan: p.clanName,
-        defenderClan: defenderClanName
-      });
-      socket.emit('battleCreated', { battleId, defenderClan: defenderClanName });
+      io.emit('clanBattleChallenge', clanWarSummary(battle));
+      socket.emit('battleCreated', { ...clanWarSummary(battle), defenderClan: defenderClanName });
     }
   });
 
   socket.on('acceptClanBattle', async (battleId) => {
     const p = players.get(socket.id);
-    if (!p || !p.clanName) return;
+    if (!await authorizeClanAction(socket, 'acceptClanBattle', p, 'manageBattles')) return;
     
     const battle = await getActiveClanBattle(p.clanName);
-    if (!battle || battle.id !== battleId || battle.defender_clan !== p.clanName) {
-      socket.emit('error', { message: 'Invalid battle!' });
+    if (!battle || battle.id !== battleId || battle.defender_clan !== p.clanName || battle.status !== 'pending') {
+      emitError(socket, 'acceptClanBattle', 'rejected', 'Invalid battle!');
+      return;
+    }
+    if (!await acceptClanBattle(battleId)) {
+      emitError(socket, 'acceptClanBattle', 'rejected', 'That challenge has expired - ask for a new one!');
       return;
     }
+    battle.status = 'accepted';
     
     // Get member counts
     const challengerMembers = await getClanMembers(battle.challenger_clan);
     const defenderMembers = await getClanMembers(battle.defender_clan);
     
-    await updateClanBattleStatus(battleId, 'accepted');
+    scheduleClanWar(battle);
+    
+    // The lineup phase runs until the scheduled start
     io.emit('clanBattleAccepted', { 
-      battleId, 
-      challengerClan: battle.challenger_clan, 
-      defenderClan: battle.defender_clan,
+      ...clanWarSummary(battle),
       challengerCount: challengerMembers.length,
       defenderCount: defenderMembers.length
     });
   });
 
+  // The war your clan is in, with your side's lineup and who you can pick from
+  socket.on('getClanWar', async () => {
+    const p = players.get(socket.id);
+    if (!p || !p.clanName) return;
+    
+    const battle = await getActiveClanBattle(p.clanName);
+    if (!battle) {
+      socket.emit('clanWar', { battle: null });
+      return;
+    }
+    
+    const side = battle.challenger_clan === p.clanName ? 'challenger' : 'defender';
+    const members = await getClanMembers(p.clanName);
+    const lineup = pickLineup(members, battle[`${side}_lineup`]).map(m => m.public_id);
+    socket.emit('clanWar', {
+      battle: clanWarSummary(battle),
+      lineup,
+      lineupPicked: !!battle[`${side}_lineup`],
+      members: members.map(clanMemberView)
+    });
+  });
+
+  // Pick which members fight and in what order - first fights first, every round
+  socket.on('setClanWarLineup', async (data) => {
+    const p = players.get(socket.id);
+    if (!await authorizeClanAction(socket, 'setClanWarLineup', p, 'pickLineup')) return;
+    
+    const { battleId } = data || {};
+    const battle = await getActiveClanBattle(p.clanName);
+    if (!battle || battle.id !== battleId || !['pending', 'accepted'].includes(battle.status)) {
+      emitError(socket, 'setClanWarLineup', 'rejected', 'The lineup can only be changed before the war starts!');
+      return;
+    }
+    
+    const members = await getClanMembers(p.clanName);
+    const memberIds = new Map(members.map(m => [m.public_id, m.od_identifier]));
+    const lineup = Array.isArray(data.lineup) ? data.lineup.map(id => memberIds.get(id)) : [];
+    if (lineup.length === 0 || new Set(lineup).size !== lineup.length || !lineup.every(Boolean)) {
+      emitError(socket, 'setClanWarLineup', 'rejected', 'Pick at least one fighter, each a member of your clan and listed once!');
+      return;
+    }
+    
+    const side = battle.challenger_clan === p.clanName ? 'challenger' : 'defender';
+    if (!await setClanBattleLineup(battleId, side, lineup)) {
+      emitError(socket, 'setClanWarLineup', 'rejected', 'The lineup can only be changed before the war starts!');
+      return;
+    }
+    
+    // Only your own clan sees the lineup
+    const byId = new Map(members.map(m => [m.od_identifier, m]));
+    emitToClan(p.clanName, 'clanWarLineupSet', {
+      battleId,
+      clanName: p.clanName,
+      lineup: lineup.map(id => ({ characterId: byId.get(id).public_id, name: byId.get(id).name }))
+    });
+  });
+
   socket.on('declineClanBattle', async (battleId) => {
     const p = players.get(socket.id);
-    if (!p || !p.clanName) return;
-    
-    const battle = await getActiveClanBattle(p.clanName);
-    if (!battle || battle.id !== battleId || battle.defender_clan !== p.clanName) return;
+    if (!await authorizeClanAction(socket, 'declineClanBattle', p, 'manageBattles')) return;
+    
+    const battle = await getActiveClanBattle(p.clanName);
+    if (!battle || battle.id !== battleId || battle.defender_clan !== p.clanName) return;
+    
+    if (!await endClanBattle(battleId, 'declined', `Declined by ${p.name}`, ['pending'])) return;
+    io.emit('clanBattleDeclined', { battleId });
+  });
+
+  // The challengers can call a war off any time before it starts
+  socket.on('cancelClanBattle', async (battleId) => {
+    const p = players.get(socket.id);
+    if (!await authorizeClanAction(socket, 'cancelClanBattle', p, 'manageBattles')) return;
+    
+    const battle = await getActiveClanBattle(p.clanName);
+    if (!battle || battle.id !== battleId || battle.challenger_clan !== p.clanName) {
+      emitError(socket, 'cancelClanBattle', 'rejected', 'Invalid battle!');
+      return;
+    }
+    if (battle.tournament_id) {
+      emitError(socket, 'cancelClanBattle', 'rejected', "Tournament wars can't be called off!");
+      return;
+    }
+    
+    const reason = `Cancelled by ${p.name}`;
+    if (!await endClanBattle(battleId, 'cancelled', reason, ['pending', 'accepted'])) {
+      emitError(socket, 'cancelClanBattle', 'rejected', 'The war has already started!');
+      return;
+    }
+    clearTimeout(clanWarTimers.get(battleId));
+    clanWarTimers.delete(battleId);
+    emitToClans(battle, 'clanBattleCancelled', { battleId, reason });
+  });
+
+  // Past wars of a clan (your own by default) with how each one ended
+  socket.on('getClanBattleHistory', async (clanName) => {
+    const p = players.get(socket.id);
+    if (!p) return;
+    
+    const name = typeof clanName === 'string' && clanName ? clanName : p.clanName;
+    if (!name) return;
+    
+    const battles = await getClanBattleHistory(name, 20);
+    socket.emit('clanBattleHistory', { clanName: name, battles: battles.map(clanBattleSummary) });
+  });
+
+  // One battle round by round, for replaying it
+  socket.on('getClanBattle', async (battleId) => {
+    const p = players.get(socket.id);
+    if (!p) return;
+    
+    const details = Number.isInteger(battleId) && await getBattleDetails(battleId);
+    if (!details) {
+      emitError(socket, 'getClanBattle', 'not_found', 'No such clan battle!');
+      return;
+    }
+    socket.emit('clanBattleDetails', details);
+  });
+
+  // Tournaments
+  socket.on('getTournaments', async () => {
+    socket.emit('tournaments', { tournaments: await listTournaments() });
+  });
+
+  socket.on('getTournament', async (tournamentId) => {
+    const details = Number.isInteger(tournamentId) && await getTournamentDetails(tournamentId);
+    if (!details) {
+      emitError(socket, 'getTournament', 'not_found', 'No such tournament!');
+      return;
+    }
+    socket.emit('tournament', details);
+  });
+
+  // Organise a tournament - clans enter until it starts
+  socket.on('createTournament', async (options) => {
+    const p = players.get(socket.id);
+    if (!await authorizeClanAction(socket, 'createTournament', p, 'enterTournaments')) return;
+    
+    const { name, format, maxClans, startsInMinutes } = options || {};
+    if (!TOURNAMENT_FORMATS.includes(format)) {
+      emitError(socket, 'createTournament', 'rejected', 'Unknown tournament format!');
+      return;
+    }
+    const tournamentName = typeof name === 'string' && name.trim() ? name.trim().substring(0, 40) : `${p.clanName} Cup`;
+    const tournamentId = await createTournament({
+      name: tournamentName,
+      format,
+      maxClans: Number.isInteger(maxClans) ? Math.max(MIN_TOURNAMENT_CLANS, Math.min(MAX_TOURNAMENT_CLANS, maxClans)) : 8,
+      rewardPoints: config.tournamentRewardPoints,
+      createdBy: p.odIdentifier,
+      startsInMinutes: Number.isFinite(startsInMinutes)
+        ? Math.max(1, Math.min(MAX_TOURNAMENT_START_MINUTES, startsInMinutes))
+        : config.tournamentRegistrationMinutes
+    });
+    const tournament = tournamentId && await getTournament(tournamentId);
+    if (!tournament) {
+      emitError(socket, 'createTournament', 'server_error', 'Could not create the tournament!');
+      return;
+    }
+    scheduleTournament(tournament);
+    socket.emit('tournamentCreated', { tournamentId });
+    await broadcastTournament(tournamentId);
+  });
+
+  socket.on('enterTournament', async (tournamentId) => {
+    const p = players.get(socket.id);
+    if (!await authorizeClanAction(socket, 'enterTournament', p, 'enterTournaments')) return;
+    
+    const tournament = Number.isInteger(tournamentId) && await getTournament(tournamentId);
+    if (!tournament) {
+      emitError(socket, 'enterTournament', 'not_found', 'No such tournament!');
+      return;
+    }
+    if (!await registerTournamentClan(tournamentId, p.clanName, p.odIdentifier)) {
+      const entries = await getTournamentEntries(tournamentId);
+      emitError(socket, 'enterTournament', 'rejected',
+        tournament.status !== 'registration' ? 'Registration for that tournament has closed!'
+          : entries.some(e => e.clan_name === p.clanName) ? 'Your clan has already entered!'
+          : 'That tournament is full!');
+      return;
+    }
+    await broadcastTournament(tournamentId);
+  });
+
+  socket.on('withdrawFromTournament', async (tournamentId) => {
+    const p = players.get(socket.id);
+    if (!await authorizeClanAction(socket, 'withdrawFromTournament', p, 'enterTournaments')) return;
     
-    await updateClanBattleStatus(battleId, 'declined');
-    io.emit('clanBattleDeclined', { battleId });
+    if (!Number.isInteger(tournamentId) || !await withdrawTournamentClan(tournamentId, p.clanName)) {
+      emitError(socket, 'withdrawFromTournament', 'rejected', "Your clan isn't entered in a tournament that is still taking entries!");
+      return;
+    }
+    await broadcastTournament(tournamentId);
   });
 
-  socket.on('startClanBattle', async (battleId) => {
+  // The organiser can close registration early, or call the tournament off before it starts
+  socket.on('startTournament', async (tournamentId) => {
     const p = players.get(socket.id);
-    if (!p || !p.clanName) return;
-    
-    const battle = await getActiveClanBattle(p.clanName);
-    if (!battle || battle.id !== battleId || battle.status !== 'accepted') {
-      socket.emit('error', { message: 'Battle not ready!' });
+    const tournament = p && Number.isInteger(tournamentId) && await getTournament(tournamentId);
+    if (!tournament || tournament.created_by !== p.odIdentifier || tournament.status !== 'registration') {
+      emitError(socket, 'startTournament', 'forbidden', 'Only the organiser can start a tournament that is taking entries!');
       return;
     }
-    
-    // Get both clans' members - SNAPSHOT at start of battle
-    const clanAMembers = await getClanMembers(battle.challenger_clan);
-    const clanBMembers = await getClanMembers(battle.defender_clan);
-    
-    const clanACreator = await getClanCreator(battle.challenger_clan);
-    const clanBCreator = await getClanCreator(battle.defender_clan);
-    
-    await updateClanBattleStatus(battleId, 'in_progress');
-    
-    // Track all point changes to apply at end
-    const pointChanges = {}; // odIdentifier -> change
-    const pendingCaptures = []; // Characters to capture at end
-    
-    // Best of 3 rounds
-    let clanAWins = 0;
-    let clanBWins = 0;
-    const maxRounds = 3;
-    
-    for (let roundNum = 1; roundNum <= maxRounds; roundNum++) {
-      // Check if battle is already decided
-      if (clanAWins >= 2 || clanBWins >= 2) break;
-      
-      // Execute round - each character battles once
-      const { results } = await executeClanBattleRound(battleId, clanAMembers, clanBMembers);
-      
-      // Count wins this round
-      let roundAWins = 0;
-      let roundBWins = 0;
-      
-      for (const result of results) {
-        const winnerFromClanA = clanAMembers.find(m => m.od_identifier === result.winner.id);
-        
-        if (winnerFromClanA) {
-          roundAWins++;
-        } else {
-          roundBWins++;
-        }
-        
-        // Track point changes
-        pointChanges[result.winner.id] = (pointChanges[result.winner.id] || 0) + 1;
-        pointChanges[result.loser.id] = (pointChanges[result.loser.id] || 0) - 1;
-      }
-      
-      // Determine round winner
-      if (roundAWins > roundBWins) {
-        clanAWins++;
-      } else if (roundBWins > roundAWins) {
-        clanBWins++;
-      }
-      // Tie = no one gets a round win
-      
-      // Emit round results with round winner info
-      io.emit('clanBattleRound', {
-        battleId,
-        round: roundNum,
-        results,
-        roundWinner: roundAWins > roundBWins ? battle.challenger_clan : 
-                     roundBWins > roundAWins ? battle.defender_clan : 'TIE',
-        roundScore: { 
-          [battle.challenger_clan]: roundAWins, 
-          [battle.defender_clan]: roundBWins 
-        },
-        overallScore: {
-          [battle.challenger_clan]: clanAWins,
-          [battle.defender_clan]: clanBWins
-        }
-      });
-      
-      // Delay between rounds for animation
-      await new Promise(resolve => setTimeout(resolve, 2000));
-    }
-    
-    // Determine overall winner
-    const winnerClan = clanAWins >= clanBWins ? battle.challenger_clan : battle.defender_clan;
-    const winnerCreator = clanAWins >= clanBWins ? clanACreator : clanBCreator;
-    const loserClan = winnerClan === battle.challenger_clan ? battle.defender_clan : battle.challenger_clan;
-    
-    // Apply all point changes now
-    for (const [odId, change] of Object.entries(pointChanges)) {
-      if (process.env.DATABASE_URL) {
-        const result = await db.query(
-          'UPDATE players SET points = GREATEST(0, points + $1) WHERE od_identifier = $2 RETURNING points, name, clan_name',
-          [change, odId]
-        );
-        
-        // Check for captures (hit 0 points AND on losing team)
-        if (result.rows.length > 0 && result.rows[0].points <= 0 && result.rows[0].clan_name === loserClan) {
-          pendingCaptures.push({
-            capturedId: odId,
-            capturedName: result.rows[0].name,
-            fromClan: loserClan,
-            newClan: winnerClan
-          });
-        }
-      }
+    clearTimeout(tournamentTimers.get(tournamentId));
+    await beginTournament(tournamentId);
+  });
+
+  socket.on('cancelTournament', async (tournamentId) => {
+    const p = players.get(socket.id);
+    const tournament = p && Number.isInteger(tournamentId) && await getTournament(tournamentId);
+    if (!tournament || tournament.created_by !== p.odIdentifier || tournament.status !== 'registration') {
+      emitError(socket, 'cancelTournament', 'forbidden', 'Only the organiser can call off a tournament before it starts!');
+      return;
     }
-    
-    // Execute captures
-    for (const capture of pendingCaptures) {
-      await captureCharacter(capture.capturedId, winnerClan, winnerCreator);
+    if (await endTournament(tournamentId, 'cancelled', null, `Cancelled by ${p.name}`)) {
+      clearTimeout(tournamentTimers.get(tournamentId));
+      tournamentTimers.delete(tournamentId);
+      await broadcastTournament(tournamentId);
     }
-    
-    await updateClanBattleStatus(battleId, 'completed', winnerClan);
-    
-    io.emit('clanBattleComplete', {
-      battleId,
-      winnerClan,
-      finalScore: {
-        [battle.challenger_clan]: clanAWins,
-        [battle.defender_clan]: clanBWins
-      },
-      totalCaptures: pendingCaptures
-    });
-    
-    broadcastState();
   });
 
   socket.on('getOwnedCharacters', async () => {
@@ -1346,18 +3369,20 @@ io.on('connection', (socket) => {
     if (!p) return;
     
     const characters = await getOwnedCharacters(p.odIdentifier);
-    socket.emit('ownedCharacters', { characters });
+    socket.emit('ownedCharacters', { characters: characters.map(characterView) });
   });
 
-  socket.on('recruitPlayer', async (targetOdIdentifier) => {
+  socket.on('recruitPlayer', async (characterId) => {
     const p = players.get(socket.id);
     if (!p) return;
     
     if (!p.clanName) {
-      socket.emit('error', { message: 'You must be in a clan to recruit!' });
+      emitError(socket, 'recruitPlayer', 'forbidden', 'You must be in a clan to recruit!');
       return;
     }
+    if (!await authorizeClanAction(socket, 'recruitPlayer', p, 'recruit')) return;
     
+    const targetOdIdentifier = await characterOdIdentifier(characterId);
     const result = await recruitPlayer(targetOdIdentifier, p.clanName, p.odIdentifier);
     
     if (result.success) {
@@ -1370,6 +3395,7 @@ io.on('connection', (socket) => {
       for (const [socketId, player] of players.entries()) {
         if (player.odIdentifier === targetOdIdentifier) {
           player.clanName = p.clanName;
+          player.clanRole = 'member';
           io.to(socketId).emit('youWereRecruited', { 
             clanName: p.clanName,
             recruiterName: p.name 
@@ -1380,14 +3406,25 @@ io.on('connection', (socket) => {
       
       broadcastState();
     } else {
-      socket.emit('error', { message: result.error });
+      emitError(socket, 'recruitPlayer', 'rejected', result.error);
     }
   });
 
   // Get available clans for clan wars menu
   socket.on('getAvailableClans', async () => {
+    const p = players.get(socket.id);
     const clans = await getAvailableClans();
-    socket.emit('availableClans', { clans });
+    const ownClan = p && p.clanName && clans.find(c => c.name === p.clanName);
+    socket.emit('availableClans', {
+      clans,
+      myRating: ownClan ? ownClan.rating : null,
+      // Closest-rated opponents make for the fairest wars
+      suggestedOpponents: ownClan ? suggestOpponents(ownClan.name, ownClan.rating, clans).map(c => c.name) : []
+    });
+  });
+
+  socket.on('getClanLadder', async () => {
+    socket.emit('clanLadder', { clans: await getClanLadder(50) });
   });
 
   // Get characters in my clan that I can switch to
@@ -1398,48 +3435,57 @@ io.on('connection', (socket) => {
       return;
     }
     
-    const characters = await getMyClanCharacters(p.odIdentifier, p.clanName);
+    // Characters someone else is playing can't be switched to right now
+    const characters = (await getMyClanCharacters(p.odIdentifier, p.clanName)).map(character => {
+      const controller = getCharacterController(character.od_identifier);
+      return { ...characterView(character), inUse: !!controller && controller !== p };
+    });
     socket.emit('myClanCharacters', { characters });
   });
 
   // Switch to a different character in my clan
-  socket.on('switchCharacter', async (targetOdIdentifier) => {
+  socket.on('switchCharacter', async (characterId) => {
     const p = players.get(socket.id);
     if (!p || !p.clanName) {
-      socket.emit('error', { message: 'You must be in a clan to switch characters!' });
+      emitError(socket, 'switchCharacter', 'forbidden', 'You must be in a clan to switch characters!');
       return;
     }
     
     if (p.inPit) {
-      socket.emit('error', { message: 'Cannot switch while in the pit!' });
+      emitError(socket, 'switchCharacter', 'rejected', 'Cannot switch while in the pit!');
       return;
     }
     
     // Verify the target character is in the same clan and controllable
-    const targetData = await getPlayerForSwitch(targetOdIdentifier);
-    if (!targetData || targetData.clan_name !== p.clanName) {
-      socket.emit('error', { message: 'Cannot switch to that character!' });
+    const targetData = await getClanMember(p.clanName, characterId);
+    if (!targetData) {
+      emitError(socket, 'switchCharacter', 'rejected', 'Cannot switch to that character!');
       return;
     }
     
     // Check if target is owned by this player or has no owner
     if (targetData.owner_id && targetData.owner_id !== p.odIdentifier) {
-      socket.emit('error', { message: 'You do not control that character!' });
+      emitError(socket, 'switchCharacter', 'forbidden', 'You do not control that character!');
+      return;
+    }
+    
+    // One socket per character - a clan mate may already be playing it
+    const controller = getCharacterController(targetData.od_identifier);
+    if (controller && controller !== p) {
+      emitError(socket, 'switchCharacter', 'rejected', `${targetData.name} is being played by someone else right now!`);
       return;
     }
     
     // Update the player's current character
-    p.odIdentifier = targetData.od_identifier;
-    p.name = targetData.name;
-    p.points = targetData.points;
-    p.playerNumber = targetData.player_number;
-    p.characterImage = targetData.character_image || 1;
+    playCharacter(p, targetData);
     
     socket.emit('characterSwitched', {
-      odIdentifier: p.odIdentifier,
+      characterId: p.characterId,
       name: p.name,
       points: p.points,
-      characterImage: p.characterImage
+      characterImage: p.characterImage,
+      clanName: p.clanName,
+      clanRole: p.clanRole
     });
     
     broadcastState();
@@ -1447,22 +3493,129 @@ io.on('connection', (socket) => {
 
   socket.on('changeClanName', async (newClanName) => {
     const p = players.get(socket.id);
-    if (!p || !p.clanName) return;
+    if (!await authorizeClanAction(socket, 'changeClanName', p, 'rename')) return;
+    
+    const oldName = p.clanName;
+    const result = await renameClan(oldName, newClanName, p.odIdentifier);
+    if (!result.success) {
+      emitError(socket, 'changeClanName', 'rejected', result.error);
+      return;
+    }
     
-    const updatedName = await updateClanName(p.odIdentifier, newClanName);
-    p.clanName = updatedName;
-    socket.emit('clanNameChanged', { clanName: updatedName });
+    for (const player of players.values()) {
+      if (player.clanName === oldName) player.clanName = result.name;
+    }
+    emitToClan(result.name, 'clanNameChanged', { clanName: result.name, oldName, renamedBy: p.name });
     broadcastState();
   });
 
+  // Watch an arena ({ arenaId }, the main pit by default) or a clan battle ({ battleId })
+  // without a character. Identifying later turns the spectator into a player.
+  socket.on('spectate', async (data) => {
+    if (players.has(socket.id)) {
+      emitError(socket, 'spectate', 'rejected', 'You are already playing - open the watch link in another tab!');
+      return;
+    }
+    
+    const battleId = data && data.battleId !== undefined ? Number(data.battleId) : null;
+    if (battleId !== null) {
+      const details = Number.isInteger(battleId) && await getBattleDetails(battleId);
+      if (!details) {
+        emitError(socket, 'spectate', 'not_found', 'No such clan battle!');
+        return;
+      }
+      if (players.has(socket.id)) return; // Identified while the battle loaded
+      
+      stopSpectating(socket);
+      spectators.set(socket.id, { id: socket.id, arenaId: null, battleId });
+      socket.join(battleRoom(battleId));
+      socket.emit('spectating', { battle: { ...details, spectatorCount: countBattleSpectators(battleId) } });
+      emitBattleSpectatorCount(battleId);
+      return;
+    }
+    
+    const arena = arenas.get(data && data.arenaId ? String(data.arenaId) : DEFAULT_ARENA_ID);
+    if (!arena) {
+      emitError(socket, 'spectate', 'not_found', 'That arena does not exist!');
+      return;
+    }
+    
+    stopSpectating(socket);
+    spectators.set(socket.id, { id: socket.id, arenaId: arena.id, battleId: null });
+    socket.join(arenaRoom(arena.id));
+    socket.join(arenaSpectatorRoom(arena.id));
+    socket.emit('spectating', {
+      arena: getArenaInfo(arena),
+      leaderboard: getLeaderboard(arena.id),
+      pit: getPitView(arena, null),
+      allTimeLeaderboard: await getAllTimeLeaderboard(),
+      heckles: publicHeckles(arena),
+      heckleOfTheDay
+    });
+    broadcastState(arena.id);
+  });
+
+  // Arenas
+  socket.on('listArenas', () => {
+    const p = players.get(socket.id);
+    const arenaList = Array.from(arenas.values())
+      .filter(a => !a.isPrivate || (p && a.id === p.arenaId))
+      .map(getArenaInfo);
+    socket.emit('arenaList', { arenas: arenaList });
+  });
+
+  socket.on('createArena', (data) => {
+    const p = players.get(socket.id);
+    if (!p) return;
+    
+    const name = data && typeof data.name === 'string' && data.name.trim() ? data.name.trim().substring(0, 30) : `${p.name}'s Pit`;
+    const arena = createArena({
+      name,
+      isPrivate: !!(data && data.isPrivate),
+      createdBy: p.odIdentifier,
+      rules: data || {}
+    });
+    
+    movePlayerToArena(socket, p, arena.id);
+    socket.emit('arenaJoined', { arena: getArenaInfo(arena) });
+    broadcastState(arena.id);
+  });
+
+  // Private arenas are joined by their id, which the creator shares
+  socket.on('joinArena', (arenaId) => {
+    const p = players.get(socket.id);
+    if (!p) return;
+    
+    const arena = arenas.get(arenaId);
+    if (!arena) {
+      emitError(socket, 'joinArena', 'not_found', 'That arena does not exist!');
+      return;
+    }
+    if (arena.id === p.arenaId) return;
+    
+    movePlayerToArena(socket, p, arena.id);
+    socket.emit('arenaJoined', { arena: getArenaInfo(arena) });
+    broadcastState(arena.id);
+  });
+
+  socket.on('leaveArena', () => {
+    const p = players.get(socket.id);
+    if (!p || p.arenaId === DEFAULT_ARENA_ID) return;
+    
+    movePlayerToArena(socket, p, DEFAULT_ARENA_ID);
+    socket.emit('arenaJoined', { arena: getArenaInfo(arenas.get(DEFAULT_ARENA_ID)) });
+    broadcastState(DEFAULT_ARENA_ID);
+  });
+
   socket.on('joinPit', () => {
     const p = players.get(socket.id);
     if (p && !p.inPit) {
-      p.inPit = true;
-      p.action = null;
-      p.actionTarget = null;
-      p.attackType = null;
-      broadcastState();
+      const error = enterPit(p);
+      if (error) {
+        emitError(socket, 'joinPit', 'rejected', error);
+        return;
+      }
+      broadcastState(p.arenaId);
       socket.emit('pitJoined');
     }
   });
@@ -1470,62 +3623,34 @@ io.on('connection', (socket) => {
   socket.on('leavePit', () => {
     const p = players.get(socket.id);
     if (p && p.inPit) {
-      p.inPit = false;
-      p.action = null;
-      p.actionTarget = null;
-      p.attackType = null;
-      broadcastState();
+      leavePit(p);
+      broadcastState(p.arenaId);
       socket.emit('pitLeft');
     }
   });
 
   socket.on('defend', () => {
     const p = players.get(socket.id);
-    if (p && p.inPit && !p.action) {
-      p.action = 'defend';
-      p.actionTime = Date.now();
-      p.attackType = null;
-      broadcastState();
+    if (p && declareDefend(p)) {
+      broadcastState(p.arenaId);
       socket.emit('actionSet', { action: 'defend' });
     }
   });
 
-  socket.on('attack', async (data) => {
-    const targetId = data.targetId;
-    const attackType = data.attackType; // 'distance' or 'melee'
-    
+  socket.on('attack', (data) => {
     const p = players.get(socket.id);
-    const target = players.get(targetId);
-    
-    if (!p || !p.inPit) {
-      socket.emit('error', { message: 'You are not in the pit' });
-      return;
-    }
-    if (!target || !target.inPit) {
-      socket.emit('error', { message: 'Invalid target' });
-      return;
-    }
-    if (targetId === socket.id) {
-      socket.emit('error', { message: 'Cannot attack yourself' });
+    if (!p) {
+      emitError(socket, 'attack', 'rejected', 'You are not in the pit');
       return;
     }
-    if (attackType !== 'distance' && attackType !== 'melee') {
-      socket.emit('error', { message: 'Invalid attack type' });
+    const error = declareAttack(p, data.targetId, data.attackType);
+    if (error) {
+      emitError(socket, 'attack', 'rejected', error);
       return;
     }
-
-    p.action = 'attack';
-    p.actionTarget = targetId;
-    p.actionTime = Date.now();
-    p.attackType = attackType;
-
-    const results = await processAllAttacks();
-    
-    if (results.length > 0) {
-      io.emit('battleResults', results);
-    }
     
-    broadcastState();
+    socket.emit('actionSet', { action: 'attack' });
+    broadcastState(p.arenaId);
   });
 
   socket.on('changeName', async (newName) => {
@@ -1538,61 +3663,456 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('heckle', (message) => {
+  socket.on('heckle', async (message) => {
     const p = players.get(socket.id);
     if (!p || !p.canHeckle) {
-      socket.emit('error', { message: 'You must win a battle to heckle!' });
+      emitError(socket, 'heckle', 'forbidden', 'You must win a battle to heckle!');
+      return;
+    }
+    
+    if (isMuted(p)) {
+      const until = p.mute.until ? ` until ${new Date(p.mute.until).toISOString()}` : '';
+      emitError(socket, 'heckle', 'forbidden', `You are muted${until}${p.mute.reason ? `: ${p.mute.reason}` : ''}`);
       return;
     }
     
-    const cleanMessage = message.trim().substring(0, 100); // Limit to 100 chars
+    let cleanMessage = message.trim().substring(0, 100); // Limit to 100 chars
     if (!cleanMessage) return;
     
-    // Add heckle
-    heckles.unshift({
-      name: p.name,
-      message: cleanMessage,
+    if (wordFilter.check(cleanMessage).length > 0) {
+      if (config.heckleFilterMode === 'reject') {
+        emitError(socket, 'heckle', 'rejected', 'Keep it clean - that heckle has words that are not allowed!');
+        return;
+      }
+      cleanMessage = wordFilter.mask(cleanMessage);
+    }
+    
+    // Remove heckle ability after use - taken before storing, so a double send can't post twice
+    p.canHeckle = false;
+    const arenaId = p.arenaId;
+    const heckle = await createHeckle({
+      arenaId,
+      authorId: p.accountId,
+      authorOdIdentifier: p.odIdentifier,
+      authorName: p.name,
       characterImage: p.characterImage,
-      timestamp: Date.now()
+      message: cleanMessage,
+      ...p.heckleContext
+    });
+    if (!heckle) {
+      p.canHeckle = true;
+      emitError(socket, 'heckle', 'server_error', 'Could not post your heckle. Try again.');
+      return;
+    }
+    p.heckleContext = null;
+    socket.emit('heckleUsed');
+    
+    const arena = arenas.get(arenaId);
+    if (arena) {
+      arena.heckles = [heckle, ...arena.heckles].slice(0, HECKLE_BOARD_SIZE);
+      broadcastState(arenaId);
+    }
+  });
+
+  // Older heckles, newest first ({ arenaId, before, limit }) - pass the previous page's
+  // nextBefore as before to keep going. No arenaId means every arena.
+  socket.on('getHeckleHistory', async (data) => {
+    const options = heckleHistoryOptions(data || {});
+    const heckles = await getHeckles(options);
+    socket.emit('heckleHistory', {
+      arenaId: options.arenaId,
+      heckles: heckles.map(heckleView),
+      nextBefore: heckles.length === options.limit ? heckles[heckles.length - 1].id : null
     });
+  });
+
+  // Upvote a heckle, or take the upvote back ({ heckleId, upvote })
+  socket.on('reactToHeckle', async (data) => {
+    const p = players.get(socket.id);
+    if (!p) return;
     
-    // Keep only last 3
-    while (heckles.length > 3) {
-      heckles.pop();
+    const heckle = await getHeckle(data.heckleId);
+    if (!heckle || heckle.status !== 'visible') {
+      emitError(socket, 'reactToHeckle', 'not_found', 'That heckle is gone!');
+      return;
+    }
+    if (heckle.author_id === p.accountId) {
+      emitError(socket, 'reactToHeckle', 'rejected', 'You cannot upvote your own heckle!');
+      return;
     }
     
-    // Remove heckle ability after use
-    p.canHeckle = false;
-    socket.emit('heckleUsed');
+    const upvotes = await reactToHeckle(heckle.id, p.accountId, data.upvote);
+    if (upvotes === null) {
+      emitError(socket, 'reactToHeckle', 'server_error', 'Could not save your reaction. Try again.');
+      return;
+    }
+    socket.emit('heckleReaction', { heckleId: heckle.id, upvotes, upvoted: data.upvote });
     
-    broadcastState();
+    const arena = arenas.get(heckle.arena_id);
+    const onBoard = arena && arena.heckles.find(h => h.id === heckle.id);
+    if (onBoard) onBoard.upvotes = upvotes;
+    if (await refreshHeckleOfTheDay()) broadcastState();
+    else if (onBoard) broadcastState(arena.id);
+  });
+
+  // Flag a heckle for moderators ({ heckleId, reason }). Enough reports hide it until a moderator decides.
+  socket.on('reportHeckle', async (data) => {
+    const p = players.get(socket.id);
+    if (!p) return;
+    
+    const heckle = await getHeckle(data.heckleId);
+    if (!heckle || heckle.status !== 'visible') {
+      emitError(socket, 'reportHeckle', 'not_found', 'That heckle is gone!');
+      return;
+    }
+    if (heckle.author_id === p.accountId) {
+      emitError(socket, 'reportHeckle', 'rejected', 'You cannot report your own heckle!');
+      return;
+    }
+    
+    const openReports = await reportHeckle({
+      heckleId: heckle.id,
+      arenaId: heckle.arena_id,
+      authorId: heckle.author_id,
+      authorName: heckle.author_name,
+      message: heckle.message,
+      reportedBy: p.accountId,
+      reason: data.reason ? data.reason.trim() : null
+    });
+    if (openReports === null) {
+      emitError(socket, 'reportHeckle', 'rejected', 'You already reported that heckle!');
+      return;
+    }
+    
+    socket.emit('heckleReported', { heckleId: heckle.id });
+    if (openReports >= config.heckleReportHideThreshold) await moderateHeckle(heckle.id, 'hidden', null);
+  });
+
+  // Moderation - open reports, removing heckles, and muting or banning accounts
+  socket.on('getHeckleReports', async () => {
+    if (!authorizeAdmin(socket, 'getHeckleReports')) return;
+    socket.emit('heckleReports', { reports: await getReportedHeckles() });
+  });
+
+  socket.on('deleteHeckle', async (heckleId) => {
+    if (!authorizeAdmin(socket, 'deleteHeckle')) return;
+    
+    if (!await moderateHeckle(heckleId, 'deleted', socket.data.accountId)) {
+      emitError(socket, 'deleteHeckle', 'not_found', 'No such heckle!');
+      return;
+    }
+    await resolveHeckleReports(heckleId, 'actioned', socket.data.accountId);
+    socket.emit('moderationApplied', { action: 'deleteHeckle', heckleId });
+  });
+
+  socket.on('dismissHeckleReports', async (heckleId) => {
+    if (!authorizeAdmin(socket, 'dismissHeckleReports')) return;
+    
+    const resolved = await resolveHeckleReports(heckleId, 'dismissed', socket.data.accountId);
+    if (resolved === 0) {
+      emitError(socket, 'dismissHeckleReports', 'not_found', 'That heckle has no open reports!');
+      return;
+    }
+    
+    // Reports turned out unfounded - a heckle they hid goes back up
+    const heckle = await getHeckle(heckleId);
+    if (heckle && heckle.status === 'hidden') await moderateHeckle(heckleId, 'visible', socket.data.accountId);
+    socket.emit('moderationApplied', { action: 'dismissHeckleReports', heckleId });
+  });
+
+  // { odIdentifier, minutes, reason } - no minutes mutes until lifted
+  socket.on('mutePlayer', async (data) => {
+    if (!authorizeAdmin(socket, 'mutePlayer')) return;
+    
+    const sanction = await addSanction(data.odIdentifier, 'mute', data.reason || null, socket.data.accountId, data.minutes ?? null);
+    if (!sanction) {
+      emitError(socket, 'mutePlayer', 'server_error', 'Could not mute that player. Try again.');
+      return;
+    }
+    
+    const notice = sanctionNotice(sanction);
+    for (const player of getAccountPlayers(data.odIdentifier)) {
+      player.mute = notice;
+      io.to(player.id).emit('muted', notice);
+    }
+    socket.emit('moderationApplied', { action: 'mutePlayer', odIdentifier: data.odIdentifier, ...notice });
+  });
+
+  // { odIdentifier, minutes, reason } - no minutes bans until lifted
+  socket.on('banPlayer', async (data) => {
+    if (!authorizeAdmin(socket, 'banPlayer')) return;
+    if (data.odIdentifier === socket.data.accountId) {
+      emitError(socket, 'banPlayer', 'rejected', 'You cannot ban yourself!');
+      return;
+    }
+    
+    const sanction = await addSanction(data.odIdentifier, 'ban', data.reason || null, socket.data.accountId, data.minutes ?? null);
+    if (!sanction) {
+      emitError(socket, 'banPlayer', 'server_error', 'Could not ban that player. Try again.');
+      return;
+    }
+    
+    const notice = sanctionNotice(sanction);
+    for (const player of getAccountPlayers(data.odIdentifier)) {
+      const playerSocket = io.sockets.sockets.get(player.id);
+      if (!playerSocket) {
+        endSession(player); // Held for a reconnect that won't be let in
+        continue;
+      }
+      playerSocket.emit('banned', notice);
+      playerSocket.disconnect(true);
+    }
+    socket.emit('moderationApplied', { action: 'banPlayer', odIdentifier: data.odIdentifier, ...notice });
+  });
+
+  // { odIdentifier, kind: 'mute' | 'ban' }
+  socket.on('liftSanction', async (data) => {
+    if (!authorizeAdmin(socket, 'liftSanction')) return;
+    
+    const lifted = await liftSanctions(data.odIdentifier, data.kind, socket.data.accountId);
+    if (lifted === 0) {
+      emitError(socket, 'liftSanction', 'not_found', `That player is not under a ${data.kind}!`);
+      return;
+    }
+    
+    if (data.kind === 'mute') {
+      for (const player of getAccountPlayers(data.odIdentifier)) {
+        player.mute = null;
+        io.to(player.id).emit('unmuted');
+      }
+    }
+    socket.emit('moderationApplied', { action: 'liftSanction', odIdentifier: data.odIdentifier, kind: data.kind });
+  });
+
+  // Bots
+  socket.on('getArenaBots', () => {
+    if (!authorizeAdmin(socket, 'getArenaBots')) return;
+    socket.emit('arenaBots', { arenas: getBotSettings(), strategies: ['mixed', ...BOT_STRATEGY_NAMES] });
+  });
+
+  // { arenaId?, count, strategy? } - the admin's own arena when none is given. A new strategy
+  // applies to bots created from now on; lower the count to 0 and back to retrain the lot.
+  socket.on('setArenaBots', (data) => {
+    if (!authorizeAdmin(socket, 'setArenaBots')) return;
+    const p = players.get(socket.id);
+    const arena = arenas.get(data.arenaId || (p && p.arenaId));
+    if (!arena) {
+      emitError(socket, 'setArenaBots', 'not_found', 'That arena does not exist!');
+      return;
+    }
+    
+    arena.bots = { count: data.count, strategy: data.strategy || arena.bots.strategy };
+    if (runArenaBots(arena, Date.now())) broadcastState(arena.id);
+    socket.emit('arenaBots', { arenas: getBotSettings(), strategies: ['mixed', ...BOT_STRATEGY_NAMES] });
   });
 
-  socket.on('disconnect', () => {
+  socket.on('disconnect', (reason) => {
     console.log('Player disconnected:', socket.id);
-    players.delete(socket.id);
-    broadcastState();
+    rateLimiter.forget(`socket:${socket.id}`);
+    stopSpectating(socket);
+    const p = players.get(socket.id);
+    if (!p) return;
+    
+    // A dropped connection gets the grace window to come back - a client that closed
+    // its own connection, or one the server sent away, is gone for good
+    const dropped = reason !== 'client namespace disconnect' && reason !== 'server namespace disconnect';
+    if (dropped && config.reconnectGraceSeconds > 0) holdSession(p);
+    else endSession(p);
   });
 });
 
-// Reset defend action after 10 seconds
+// Reset defend action once the arena's defend timeout passes
 setInterval(() => {
   const now = Date.now();
-  let changed = false;
+  const changedArenas = new Set();
   for (const player of players.values()) {
-    if (player.action === 'defend' && player.actionTime && (now - player.actionTime > 10000)) {
+    const arena = arenas.get(player.arenaId);
+    if (arena && player.action === 'defend' && player.actionTime && (now - player.actionTime > getDefendTimeoutMs(arena))) {
       player.action = null;
       player.actionTime = null;
-      changed = true;
+      changedArenas.add(arena.id);
+    }
+  }
+  for (const arenaId of changedArenas) broadcastState(arenaId);
+}, 1000);
+
+// Expire clan war challenges nobody answered
+setInterval(expireStaleClanBattles, config.clanBattleExpiryCheckMs);
+
+// The heckle of the day moves on at midnight
+setInterval(async () => {
+  if (await refreshHeckleOfTheDay()) broadcastState();
+}, 60000);
+
+// Forget rate limit state for accounts that have gone quiet
+setInterval(() => rateLimiter.prune(), 60000);
+
+// Combat ticks - every arena resolves its declared attacks together
+setInterval(() => {
+  for (const arena of arenas.values()) runCombatTick(arena);
+}, config.combatTickMs);
+
+// Bots look at their pits
+setInterval(() => {
+  const now = Date.now();
+  for (const arena of arenas.values()) {
+    if (runArenaBots(arena, now)) broadcastState(arena.id);
+  }
+}, config.botThinkMs);
+
+// Print applied/pending migrations for `node server.js migrate:status`
+async function printMigrationStatus() {
+  const status = await storage.migrationStatus();
+  if (status.length === 0) {
+    console.log(`No migrations tracked for ${storage.name} storage`);
+    return;
+  }
+  for (const m of status) {
+    const appliedAt = m.appliedAt ? new Date(m.appliedAt).toISOString() : '';
+    console.log(`${String(m.version).padStart(3, '0')}_${m.name}`.padEnd(40) + m.state.padEnd(10) + appliedAt);
+  }
+  const drifted = status.filter(m => m.state === 'modified' || m.state === 'unknown');
+  if (drifted.length > 0) {
+    console.log(`Schema drift: ${drifted.length} migration(s) differ from this codebase`);
+  }
+}
+
+// Re-fight a clan battle from its stored seed and snapshot for `node server.js replay <battleId>`
+async function printBattleReplay(battleId) {
+  const battle = await storage.getClanBattle(battleId);
+  if (!battle) throw new Error(`No clan battle ${battleId}`);
+  if (battle.seed === null || !battle.snapshot) throw new Error(`Clan battle ${battleId} has no seed - it was fought before replays were recorded`);
+  
+  const { rounds, challengerWins, defenderWins } = simulateClanBattle(battle.seed, battle.snapshot);
+  console.log(`${battle.challenger_clan} vs ${battle.defender_clan} (seed ${battle.seed})`);
+  for (const round of rounds) {
+    console.log(`Round ${round.round}: ${round.challengerRoundWins}-${round.defenderRoundWins}`);
+    for (const r of round.results) {
+      console.log(`  ${r.fighterA.name} (${r.fighterA.number}) vs ${r.fighterB.name} (${r.fighterB.number}), ${r.attackType} - ${r.winner.name} wins`);
     }
   }
-  if (changed) broadcastState();
-}, 5000);
+  console.log(`Final: ${challengerWins}-${defenderWins}` + (battle.winner_clan ? `, recorded winner ${battle.winner_clan}` : ''));
+}
+
+// Options for `node server.js simulate` from --name=value flags: --sessions, --ticks, --fighters,
+// --wars, --seed, --strategies (comma-separated bot strategies) and --json for the raw report
+function parseSimulationArgs(args) {
+  const flags = {};
+  for (const arg of args) {
+    const match = /^--([\w-]+)(?:=(.*))?$/.exec(arg);
+    if (!match) throw new Error(`Unknown argument ${arg}`);
+    flags[match[1]] = match[2] === undefined ? true : match[2];
+  }
+  
+  // The main arena's rules as the rules file has them today, on the server's clock
+  const options = {
+    seed: config.rngSeed ?? generateSeed(),
+    rules: rulebook.rulesFor(DEFAULT_ARENA_ID),
+    tickMs: config.combatTickMs,
+    thinkMs: config.botThinkMs
+  };
+  for (const name of ['sessions', 'ticks', 'fighters', 'wars', 'seed']) {
+    if (flags[name] === undefined) continue;
+    const value = parseInt(flags[name], 10);
+    if (!Number.isInteger(value) || value < 0) throw new Error(`--${name} should be a whole number`);
+    options[name] = value;
+  }
+  if (flags.strategies) {
+    options.strategies = String(flags.strategies).split(',').map(name => name.trim());
+    const unknown = options.strategies.filter(name => !BOT_STRATEGY_NAMES.includes(name));
+    if (unknown.length > 0) throw new Error(`Unknown strategies ${unknown.join(', ')} - pick from ${BOT_STRATEGY_NAMES.join(', ')}`);
+  }
+  if (options.fighters !== undefined && options.fighters < 2) throw new Error('--fighters should be at least 2');
+  return { options, json: !!flags.json };
+}
+
+function percent(rate) {
+  return `${(rate * 100).toFixed(1)}%`.padStart(6);
+}
+
+function printWinRates(title, rates) {
+  console.log(title);
+  for (const [key, { wins, fights, winRate }] of Object.entries(rates)) {
+    console.log(`  ${key.padEnd(14)}${percent(winRate)}  (${wins}/${fights})`);
+  }
+}
+
+// Simulate pit sessions and clan wars under the current rules for `node server.js simulate`
+function printSimulation(args) {
+  const { options, json } = parseSimulationArgs(args);
+  const pit = simulatePit(options);
+  const wars = simulateClanWars(options);
+  if (json) {
+    console.log(JSON.stringify({ seed: options.seed, rules: options.rules, pit, wars }, null, 2));
+    return;
+  }
+  
+  const events = rulebook.activeEvents(DEFAULT_ARENA_ID).map(event => event.name);
+  console.log(`Seed ${options.seed}, rules ${config.rulesFile || 'defaults'}${events.length > 0 ? ` with ${events.join(', ')}` : ''}`);
+  console.log(`\nPit: ${pit.sessions} sessions, ${pit.fights} fights (${pit.fightsPerSession.toFixed(1)} a session)`);
+  printWinRates('Win rate by player number', pit.byNumber);
+  printWinRates('Attacker win rate by attack type', pit.byAttackType);
+  printWinRates('Win rate by bot strategy', pit.byStrategy);
+  console.log('How fights were decided');
+  for (const [reason, count] of Object.entries(pit.reasons).sort((a, b) => b[1] - a[1])) {
+    console.log(`  ${reason.padEnd(22)}${percent(count / pit.fights)}  (${count})`);
+  }
+  const streakRuns = Object.values(pit.streaks).reduce((sum, n) => sum + n, 0);
+  console.log('Streaks ended at');
+  for (const [length, count] of Object.entries(pit.streaks)) {
+    console.log(`  ${(length === '10' ? '10+' : length).padEnd(6)}${percent(count / streakRuns)}  (${count})`);
+  }
+  console.log(`Streak kills: ${pit.streakKills} (${percent(pit.streakKillRate).trim()} of streaks got that far)`);
+  console.log(`Revenge kills: ${pit.revengeKills}`);
+  console.log(`Captures: ${pit.captures} (${pit.capturesPerSession.toFixed(2)} a session, ${pit.capturesPerThousandFights.toFixed(1)} per 1000 fights)`);
+  
+  console.log(`\nClan wars: ${wars.wars}`);
+  console.log(`Challenger win rate: ${percent(wars.challengerWinRate).trim()}`);
+  console.log(`Tied rounds: ${percent(wars.tiedRoundRate).trim()}`);
+  console.log(`Rounds fought: ${Object.entries(wars.roundsPlayed).map(([rounds, count]) => `${rounds} rounds ${count}`).join(', ')}`);
+  printWinRates('Win rate by player number', wars.byNumber);
+  printWinRates('Higher number win rate by attack type', wars.byAttackType);
+  console.log(`Captures: ${wars.captures} (${wars.capturesPerWar.toFixed(2)} a war)`);
+}
+
+// CLI commands: `node server.js migrate`, `node server.js migrate:status`, `node server.js replay <battleId>`
+// and `node server.js simulate [--flags]`
+async function runCommand(command) {
+  try {
+    if (command === 'simulate') {
+      printSimulation(process.argv.slice(3));
+    } else if (command === 'replay') {
+      await printBattleReplay(parseInt(process.argv[3], 10));
+    } else if (command === 'migrate') {
+      const applied = await storage.migrate();
+      applied.forEach(m => console.log(`Applied migration ${m.file}`));
+      console.log(applied.length > 0 ? `${applied.length} migration(s) applied` : 'Schema is up to date');
+    } else {
+      await printMigrationStatus();
+    }
+    await storage.close();
+    process.exit(0);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
 
-// Start server
-initDatabase().then(() => {
-  const PORT = process.env.PORT || 3000;
-  server.listen(PORT, () => {
-    console.log(`Rumble Pit running on http://localhost:${PORT}`);
+const command = process.argv[2];
+if (command === 'migrate' || command === 'migrate:status' || command === 'replay' || command === 'simulate') {
+  runCommand(command);
+} else {
+  if (!config.sessionSecret) {
+    console.warn('SESSION_SECRET is not set - using a random secret, sessions will not survive a restart');
+  }
+  
+  // Start server
+  initDatabase().then(resumeClanWars).then(resumeTournaments).then(loadHeckles).then(() => {
+    server.listen(config.port, () => {
+      console.log(`Rumble Pit running on http://localhost:${config.port}`);
+    });
+  }).catch(err => {
+    console.error('Failed to start:', err.message);
+    process.exit(1);
   });
-});
+}
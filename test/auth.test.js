@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signSessionToken, verifySessionToken, generateTransferCode, hashTransferCode } = require('../lib/auth');
+
+const SECRET = 'test-secret';
+
+test('a session token verifies to the character it was issued for', () => {
+  const token = signSessionToken('player_abc', SECRET);
+  assert.equal(verifySessionToken(token, SECRET, 60000), 'player_abc');
+});
+
+test('a token signed with another secret is rejected', () => {
+  const token = signSessionToken('player_abc', 'other-secret');
+  assert.equal(verifySessionToken(token, SECRET, 60000), null);
+});
+
+test('a token whose payload was swapped is rejected', () => {
+  const [, signature] = signSessionToken('player_abc', SECRET).split('.');
+  const [payload] = signSessionToken('player_xyz', 'other-secret').split('.');
+  assert.equal(verifySessionToken(`${payload}.${signature}`, SECRET, 60000), null);
+});
+
+test('malformed tokens are rejected', () => {
+  for (const token of [undefined, null, 42, '', 'nodot', '.sig', 'payload.', 'a.b.c']) {
+    assert.equal(verifySessionToken(token, SECRET, 60000), null, `token ${token}`);
+  }
+});
+
+test('a token older than maxAgeMs is rejected', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+  const token = signSessionToken('player_abc', SECRET);
+  t.mock.timers.tick(60001);
+  assert.equal(verifySessionToken(token, SECRET, 60000), null);
+  assert.equal(verifySessionToken(token, SECRET, 0), 'player_abc'); // No maximum age
+});
+
+test('transfer codes avoid look-alike characters and hash the same however they are typed', () => {
+  const code = generateTransferCode();
+  assert.match(code, /^[A-HJ-NP-Z2-9]{8}$/);
+  assert.equal(hashTransferCode(code.toLowerCase()), hashTransferCode(code));
+  assert.equal(hashTransferCode(`${code.slice(0, 4)}-${code.slice(4)}`), hashTransferCode(code));
+});
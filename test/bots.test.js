@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BOT_STRATEGY_NAMES, pickBotStrategy, decideBotAction } = require('../lib/bots');
+const { createRng } = require('../lib/rng');
+
+const pit = [
+  { id: 'bot', name: 'Bot', points: 10, streak: 0, action: 'idle' },
+  { id: 'idler', name: 'Idler', points: 10, streak: 0, action: 'idle' },
+  { id: 'striker', name: 'Striker', points: 30, streak: 2, action: 'attacking' },
+  { id: 'away', name: 'Away', points: 50, streak: 5, action: 'attacking', disconnected: true }
+];
+
+// A bot's next few decisions, written short: 'targetId:attackType', 'defend' or null
+function decisions(strategy, seed, fighters = pit, turns = 6) {
+  const rng = createRng(seed);
+  return Array.from({ length: turns }, () => {
+    const decision = decideBotAction({ id: 'bot', strategy }, fighters, rng);
+    if (!decision) return null;
+    return decision.action === 'attack' ? `${decision.targetId}:${decision.attackType}` : decision.action;
+  });
+}
+
+test('every strategy decides the same way for the same seed', () => {
+  assert.deepEqual(decisions('random', 42), ['idler:melee', 'idler:melee', 'defend', 'striker:distance', 'defend', 'striker:distance']);
+  assert.deepEqual(decisions('aggressive', 42), ['striker:distance', 'striker:distance', 'striker:melee', 'striker:distance', 'striker:distance', 'striker:distance']);
+  assert.deepEqual(decisions('defensive', 42), ['defend', 'striker:melee', 'striker:distance', 'defend', 'defend', 'striker:melee']);
+  assert.deepEqual(decisions('opportunist', 42), ['striker:distance', 'striker:melee', 'striker:melee', 'striker:melee', 'striker:distance', 'striker:melee']);
+});
+
+test('a bot never targets itself or a disconnected fighter', () => {
+  for (const strategy of BOT_STRATEGY_NAMES) {
+    for (let seed = 1; seed <= 30; seed++) {
+      for (const decision of decisions(strategy, seed)) {
+        assert.ok(decision === null || !/^(bot|away):/.test(decision), `${strategy} seed ${seed}: ${decision}`);
+      }
+    }
+  }
+});
+
+test('an aggressive bot goes after its revenge target before the strongest fighter', () => {
+  const withRevenge = pit.map(p => (p.id === 'idler' ? { ...p, isRevenge: true } : p));
+  assert.ok(decisions('aggressive', 1, withRevenge).every(d => d.startsWith('idler:')));
+});
+
+test('a defensive bot only strikes fighters caught attacking', () => {
+  const calm = pit.map(p => ({ ...p, action: 'idle' }));
+  assert.ok(decisions('defensive', 1, calm, 20).every(d => d === 'defend'));
+});
+
+test('a bot with nobody to fight waits or defends', () => {
+  const alone = [pit[0]];
+  assert.ok(decisions('aggressive', 1, alone).every(d => d === null));
+  assert.ok(decisions('random', 1, alone).every(d => d === 'defend'));
+});
+
+test('mixed and unknown strategies become one of the known ones', () => {
+  const rng = createRng(7);
+  assert.deepEqual([1, 2, 3, 4, 5].map(() => pickBotStrategy('mixed', rng)), ['random', 'random', 'opportunist', 'defensive', 'defensive']);
+  assert.ok(BOT_STRATEGY_NAMES.includes(pickBotStrategy('sneaky', rng)));
+  assert.equal(pickBotStrategy('defensive', rng), 'defensive');
+});
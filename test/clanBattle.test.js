@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pickLineup, snapshotMembers, simulateClanBattle } = require('../lib/clanBattle');
+const { createMemoryStorage } = require('../lib/storage/memory');
+
+function clan(side, numbers) {
+  return numbers.map((number, i) => ({
+    od_identifier: `${side}_${i}`,
+    public_id: `${side}_public_${i}`,
+    name: `${side}${i}`,
+    player_number: number,
+    character_image: 1,
+    points: 10,
+    clan_name: side
+  }));
+}
+
+const snapshot = {
+  challenger: snapshotMembers(clan('a', [12, 55, 80, 3])),
+  defender: snapshotMembers(clan('b', [40, 41, 99]))
+};
+
+test('a snapshot keeps only what the battle needs', () => {
+  assert.deepEqual(Object.keys(snapshot.challenger[0]).sort(), ['character_image', 'name', 'od_identifier', 'player_number', 'public_id']);
+});
+
+test('a battle replays identically from its seed and snapshot', () => {
+  const battle = simulateClanBattle(1234, snapshot);
+  assert.deepEqual(simulateClanBattle(1234, snapshot), battle);
+  assert.deepEqual(simulateClanBattle(1234, JSON.parse(JSON.stringify(snapshot))), battle);
+});
+
+test('a battle is best of three and pairs each fighter at most once a round', () => {
+  for (let seed = 1; seed <= 50; seed++) {
+    const { rounds, challengerWins, defenderWins } = simulateClanBattle(seed, snapshot);
+    assert.ok(rounds.length >= 1 && rounds.length <= 3, `seed ${seed}`);
+    assert.ok(challengerWins <= 2 && defenderWins <= 2, `seed ${seed}`);
+    for (const round of rounds) {
+      assert.equal(round.results.length, 3);
+      const fighters = round.results.flatMap(r => [r.fighterA.id, r.fighterB.id]);
+      assert.equal(new Set(fighters).size, fighters.length);
+    }
+  }
+});
+
+test('different seeds play out differently', () => {
+  const outcomes = new Set();
+  for (let seed = 1; seed <= 20; seed++) outcomes.add(JSON.stringify(simulateClanBattle(seed, snapshot).rounds));
+  assert.ok(outcomes.size > 1);
+});
+
+test('a lineup picks members in order and drops those who left', () => {
+  const members = clan('a', [12, 55, 80]);
+  assert.deepEqual(pickLineup(members, ['a_2', 'gone', 'a_0']).map(m => m.od_identifier), ['a_2', 'a_0']);
+  assert.equal(pickLineup(members, ['gone']), members);
+  assert.equal(pickLineup(members, null), members);
+});
+
+test('an ordered battle pairs lineups first against first every round', () => {
+  const ordered = { ...snapshot, ordered: true };
+  for (let seed = 1; seed <= 20; seed++) {
+    for (const round of simulateClanBattle(seed, ordered).rounds) {
+      assert.deepEqual(round.results.map(r => [r.fighterA.id, r.fighterB.id]), [['a_0', 'b_0'], ['a_1', 'b_1'], ['a_2', 'b_2']]);
+    }
+  }
+});
+
+test('a stored battle replays to the rounds that were fought', async () => {
+  const storage = createMemoryStorage();
+  const battleId = await storage.createClanBattle('a', 'b', 5, 60);
+  const fought = simulateClanBattle(99, snapshot);
+  await storage.acceptClanBattle(battleId);
+  await storage.startClanBattle(battleId, 99, snapshot);
+
+  const stored = await storage.getClanBattle(battleId);
+  assert.equal(stored.status, 'in_progress');
+  assert.deepEqual(simulateClanBattle(stored.seed, stored.snapshot), fought);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { INITIAL_RATING, expectedScore, ratingChanges, suggestOpponents } = require('../lib/clanRating');
+
+const established = rating => ({ rating, rated_battles: 10 });
+
+test('evenly rated clans are expected to win half the time', () => {
+  assert.equal(expectedScore(INITIAL_RATING, INITIAL_RATING), 0.5);
+  assert.ok(Math.abs(expectedScore(1400, 1000) - 10 / 11) < 1e-9);
+});
+
+test('a war between evenly rated clans moves both by half the K factor', () => {
+  assert.deepEqual(ratingChanges(established(1000), established(1000), true), { challenger: 16, defender: -16 });
+  assert.deepEqual(ratingChanges(established(1000), established(1000), false), { challenger: -16, defender: 16 });
+});
+
+test('an upset moves ratings further than the expected result', () => {
+  assert.deepEqual(ratingChanges(established(1200), established(1000), true), { challenger: 8, defender: -8 });
+  assert.deepEqual(ratingChanges(established(1200), established(1000), false), { challenger: -24, defender: 24 });
+});
+
+test('provisional clans move faster than established ones', () => {
+  const fresh = { rating: 1000, rated_battles: 0 };
+  assert.deepEqual(ratingChanges(fresh, established(1000), true), { challenger: 24, defender: -16 });
+});
+
+test('suggests the closest-rated opponents, never the clan itself', () => {
+  const clans = [
+    { name: 'Self', rating: 1000 },
+    { name: 'Far', rating: 1400 },
+    { name: 'Above', rating: 1050 },
+    { name: 'Below', rating: 950 },
+    { name: 'Near', rating: 990 }
+  ];
+  assert.deepEqual(suggestOpponents('Self', 1000, clans).map(c => c.name), ['Near', 'Above', 'Below']);
+  assert.deepEqual(suggestOpponents('Self', 1000, clans, 1).map(c => c.name), ['Near']);
+});
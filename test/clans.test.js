@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CLAN_PERMISSIONS, hasClanPermission, outranks } = require('../lib/clans');
+
+test('only the leader renames, promotes, picks lineups, sets the join policy and hands over the clan', () => {
+  for (const permission of ['rename', 'promote', 'transferLeadership', 'setJoinPolicy', 'pickLineup']) {
+    assert.equal(hasClanPermission('leader', permission), true, permission);
+    assert.equal(hasClanPermission('officer', permission), false, permission);
+    assert.equal(hasClanPermission('member', permission), false, permission);
+  }
+});
+
+test('officers help run wars, tournaments, recruiting and kicks', () => {
+  for (const permission of ['manageBattles', 'enterTournaments', 'recruit', 'kick']) {
+    assert.equal(hasClanPermission('officer', permission), true, permission);
+    assert.equal(hasClanPermission('member', permission), false, permission);
+  }
+});
+
+test('every permission has an error to show', () => {
+  for (const [permission, { error }] of Object.entries(CLAN_PERMISSIONS)) {
+    assert.ok(error && error.length > 0, permission);
+  }
+});
+
+test('roles only act on roles below them', () => {
+  assert.equal(outranks('leader', 'officer'), true);
+  assert.equal(outranks('officer', 'member'), true);
+  assert.equal(outranks('officer', 'officer'), false);
+  assert.equal(outranks('member', 'leader'), false);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { determineWinner, resolveAttacks, settleTick } = require('../lib/combat');
+const { DEFAULT_RULES } = require('../lib/rules');
+
+function fighter(id, playerNumber, fields = {}) {
+  return { id, odIdentifier: `od_${id}`, name: id, playerNumber, action: null, actionTarget: null, attackType: null, streak: 0, ...fields };
+}
+
+function attacking(target, attackType, fields = {}) {
+  return { action: 'attack', actionTarget: target, attackType, ...fields };
+}
+
+test('distance beats melee in a mutual attack', () => {
+  const a = fighter('a', 10, attacking('b', 'distance'));
+  const b = fighter('b', 90, attacking('a', 'melee'));
+  const result = determineWinner(a, b);
+  assert.equal(result.winner, a);
+  assert.equal(result.reason, 'distance beats melee');
+});
+
+test('against a defender, distance wants the higher number and melee the lower', () => {
+  const defender = fighter('d', 50, { action: 'defend' });
+  assert.equal(determineWinner(fighter('a', 60, attacking('d', 'distance')), defender).reason, 'higher number');
+  assert.equal(determineWinner(fighter('a', 40, attacking('d', 'distance')), defender).winner, defender);
+  assert.equal(determineWinner(fighter('a', 40, attacking('d', 'melee')), defender).reason, 'lower number');
+  assert.equal(determineWinner(fighter('a', 50, attacking('d', 'melee')), defender).reason, 'tie - attacker wins');
+});
+
+test('a fighter attacking someone else is caught', () => {
+  const a = fighter('a', 1, attacking('b', 'melee'));
+  const b = fighter('b', 1, attacking('c', 'melee'));
+  assert.equal(determineWinner(a, b).reason, 'caught attacking');
+});
+
+test('a mutual attack is one fight and a gang attack is one per attacker', () => {
+  const a = fighter('a', 10, attacking('b', 'melee'));
+  const b = fighter('b', 20, attacking('a', 'melee'));
+  assert.equal(resolveAttacks([a, b]).length, 1);
+
+  const x = fighter('x', 10, attacking('t', 'melee'));
+  const y = fighter('y', 90, attacking('t', 'melee'));
+  const t = fighter('t', 1, { action: 'defend' });
+  const results = resolveAttacks([t, y, x]);
+  assert.deepEqual(results.map(r => [r.winner.id, r.loser.id, r.reason]), [['x', 't', 'gang attack'], ['y', 't', 'gang attack']]);
+});
+
+test('settleTick pays winners, charges losers and hands out revenge', () => {
+  const a = fighter('a', 60, attacking('b', 'distance', { streak: 2 }));
+  const b = fighter('b', 40, { action: 'defend' });
+  const results = resolveAttacks([a, b]);
+  const revengeTargets = new Map();
+  const { losers, winners } = settleTick(results, DEFAULT_RULES, revengeTargets, 1000);
+
+  assert.deepEqual(losers.map(l => [l.fighter.id, l.winner.id, l.delta]), [['b', 'a', -DEFAULT_RULES.pit.lossPoints]]);
+  assert.deepEqual(winners.map(w => [w.fighter.id, w.delta, w.streak, w.revengeKills]), [['a', DEFAULT_RULES.pit.winPoints, 3, 0]]);
+  assert.deepEqual(revengeTargets.get('od_b'), { odIdentifier: 'od_a', expiresAt: 1000 + DEFAULT_RULES.pit.revengeWindowMinutes * 60000 });
+  assert.equal(a.streak, 2); // Fighters are left to the caller
+});
+
+test('settleTick pays the revenge bonus once and clears the claim', () => {
+  const a = fighter('a', 60, attacking('b', 'distance'));
+  const b = fighter('b', 40);
+  const revengeTargets = new Map([['od_a', { odIdentifier: 'od_b', expiresAt: 5000 }]]);
+  const results = resolveAttacks([a, b]);
+  const { winners } = settleTick(results, DEFAULT_RULES, revengeTargets, 1000);
+  assert.equal(results[0].isRevenge, true);
+  assert.equal(winners[0].delta, DEFAULT_RULES.pit.winPoints + DEFAULT_RULES.pit.revengeBonus);
+  assert.equal(revengeTargets.has('od_a'), false);
+
+  // Expired revenge pays nothing
+  const late = new Map([['od_a', { odIdentifier: 'od_b', expiresAt: 500 }]]);
+  const lateResults = resolveAttacks([fighter('a', 60, attacking('b', 'distance')), fighter('b', 40)]);
+  assert.equal(settleTick(lateResults, DEFAULT_RULES, late, 1000).winners[0].delta, DEFAULT_RULES.pit.winPoints);
+});
+
+test('settleTick marks every win at or past the streak kill length', () => {
+  const streakKill = DEFAULT_RULES.pit.streakKill;
+  for (const [streak, isStreakKill] of [[streakKill - 2, false], [streakKill - 1, true], [streakKill + 3, true]]) {
+    const results = resolveAttacks([fighter('a', 60, attacking('b', 'distance', { streak })), fighter('b', 40)]);
+    settleTick(results, DEFAULT_RULES, new Map(), 0);
+    assert.equal(results[0].isStreakKill, isStreakKill, `streak ${streak}`);
+  }
+});
+
+test('settleTick counts a fighter who won and lost in one tick as a loser only', () => {
+  const a = fighter('a', 10, attacking('b', 'melee'));
+  const b = fighter('b', 50, attacking('c', 'melee'));
+  const c = fighter('c', 90);
+  const { losers, winners } = settleTick(resolveAttacks([a, b, c]), DEFAULT_RULES, new Map(), 0);
+  assert.deepEqual(losers.map(l => l.fighter.id).sort(), ['b', 'c']);
+  assert.deepEqual(winners.map(w => w.fighter.id), ['a']);
+});
+
+test('settleTick scales points by the points multiplier', () => {
+  const rules = { ...DEFAULT_RULES, pointsMultiplier: 3 };
+  const results = resolveAttacks([fighter('a', 60, attacking('b', 'distance')), fighter('b', 40)]);
+  assert.equal(settleTick(results, rules, new Map(), 0).winners[0].delta, DEFAULT_RULES.pit.winPoints * 3);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { asyncRoute, jsonErrorHandler } = require('../lib/http');
+
+// Just enough of an Express response to see what a handler sent
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    headersSent: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      this.headersSent = true;
+      return this;
+    }
+  };
+}
+
+const req = { method: 'GET', originalUrl: '/api/test' };
+
+test('an async route that throws passes the error to next', async () => {
+  const error = new Error('database down');
+  const passed = await new Promise(resolve => asyncRoute(async () => { throw error; })(req, fakeResponse(), resolve));
+  assert.equal(passed, error);
+});
+
+test('a route that throws before awaiting anything also passes the error to next', async () => {
+  const error = new Error('bad');
+  const passed = await new Promise(resolve => asyncRoute(() => { throw error; })(req, fakeResponse(), resolve));
+  assert.equal(passed, error);
+});
+
+test('an async route that answers does not call next', async () => {
+  const res = fakeResponse();
+  let nextCalled = false;
+  asyncRoute(async (req, res) => res.json({ ok: true }))(req, res, () => { nextCalled = true; });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(res.body, { ok: true });
+  assert.equal(nextCalled, false);
+});
+
+test('the error handler answers with a JSON 500, unless the response has already started', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const res = fakeResponse();
+  jsonErrorHandler(new Error('boom'), req, res, () => assert.fail('next should not be called'));
+  assert.equal(res.statusCode, 500);
+  assert.match(res.body.error, /went wrong/);
+  assert.doesNotMatch(res.body.error, /boom/);
+
+  const started = fakeResponse();
+  started.headersSent = true;
+  const error = new Error('late');
+  let passed = null;
+  jsonErrorHandler(error, req, started, err => { passed = err; });
+  assert.equal(passed, error);
+});
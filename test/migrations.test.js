@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadMigrations, runMigrations, getMigrationStatus } = require('../lib/migrations');
+
+function migration(version, sql) {
+  return { version, name: `step${version}`, file: `00${version}_step${version}.sql`, sql, checksum: `sum${version}` };
+}
+
+// Just enough of a pg pool to run migrations against: schema_migrations rows are kept in
+// `applied`, other statements are logged, and a statement containing FAIL throws.
+function fakePool(applied = []) {
+  const log = [];
+  const client = {
+    async query(sql, params) {
+      if (sql.includes('FROM schema_migrations')) return { rows: applied.map(row => ({ ...row, applied_at: null })) };
+      if (sql.startsWith('INSERT INTO schema_migrations')) {
+        applied.push({ version: params[0], name: params[1], checksum: params[2] });
+        return { rows: [] };
+      }
+      if (sql.includes('FAIL')) throw new Error('syntax error');
+      log.push(sql.trim());
+      return { rows: [] };
+    },
+    release() {}
+  };
+  return { applied, log, query: client.query, connect: async () => client };
+}
+
+test('the migration files are numbered without gaps', () => {
+  const migrations = loadMigrations();
+  assert.ok(migrations.length > 0);
+  migrations.forEach((m, i) => assert.equal(m.version, i + 1, m.file));
+});
+
+test('pending migrations run in order, each in a transaction, and are recorded', async () => {
+  const pool = fakePool([{ version: 1, name: 'step1', checksum: 'sum1' }]);
+  const applied = await runMigrations(pool, [migration(1, 'ONE'), migration(2, 'TWO'), migration(3, 'THREE')]);
+  assert.deepEqual(applied.map(m => m.version), [2, 3]);
+  assert.deepEqual(pool.log.filter(sql => !sql.includes('advisory') && !sql.startsWith('CREATE TABLE')),
+    ['BEGIN', 'TWO', 'COMMIT', 'BEGIN', 'THREE', 'COMMIT']);
+  assert.deepEqual(pool.applied.map(row => row.version), [1, 2, 3]);
+});
+
+test('a failing migration is rolled back and stops the ones after it', async () => {
+  const pool = fakePool();
+  await assert.rejects(runMigrations(pool, [migration(1, 'ONE'), migration(2, 'FAIL'), migration(3, 'THREE')]),
+    /Migration 002_step2.sql failed: syntax error/);
+  assert.deepEqual(pool.applied.map(row => row.version), [1]);
+  assert.ok(pool.log.includes('ROLLBACK'));
+  assert.ok(!pool.log.includes('THREE'));
+});
+
+test('status tells applied, pending, modified and unknown migrations apart', async () => {
+  const pool = fakePool([
+    { version: 1, name: 'step1', checksum: 'sum1' },
+    { version: 2, name: 'step2', checksum: 'old' },
+    { version: 9, name: 'gone', checksum: 'sum9' }
+  ]);
+  const status = await getMigrationStatus(pool, [migration(1, 'ONE'), migration(2, 'TWO'), migration(3, 'THREE')]);
+  assert.deepEqual(status.map(s => [s.version, s.state]), [[1, 'applied'], [2, 'modified'], [3, 'pending'], [9, 'unknown']]);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWordFilter } = require('../lib/moderation');
+
+const filter = createWordFilter();
+
+test('finds blocked words whatever their case', () => {
+  assert.deepEqual(filter.check('well SHIT, that hurt'), ['SHIT']);
+  assert.deepEqual(filter.check('a clean heckle'), []);
+});
+
+test('sees through letter swaps and keeps the words as written', () => {
+  assert.deepEqual(filter.check('you @$$'), ['@$$']);
+  assert.deepEqual(filter.check('sh1t happens'), ['sh1t']);
+});
+
+test('matches plain words only on their own', () => {
+  assert.deepEqual(filter.check('the assassin passes the class'), []);
+  assert.deepEqual(filter.check('what an ass!'), ['ass']);
+});
+
+test('matches anything starting with a word ending in *', () => {
+  assert.deepEqual(filter.check('shitty move'), ['shitty']);
+  assert.deepEqual(filter.check('unshitty'), []); // Only at the start of a word
+});
+
+test('masks each blocked word but its first letter', () => {
+  assert.equal(filter.mask('oh sh1t, what an ass'), 'oh s***, what an a**');
+  assert.equal(filter.mask('nothing to hide'), 'nothing to hide');
+});
+
+test('uses a custom word list, and lets everything through with an empty one', () => {
+  const custom = createWordFilter(['noob', ' Scrub* ', '']);
+  assert.deepEqual(custom.check('n00b scrubs, no shit'), ['n00b', 'scrubs']);
+  const none = createWordFilter([]);
+  assert.deepEqual(none.check('shit'), []);
+  assert.equal(none.mask('shit'), 'shit');
+});
@@ -0,0 +1,45 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor, signIn } = require('./support/server');
+
+describe('public character ids', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  it('shows other clients a character by its public id only', async () => {
+    const ann = await signIn(server, 'Ann');
+    const bob = await signIn(server, 'Bob');
+    assert.match(ann.you.characterId, /^[0-9a-f]{16}$/);
+    assert.equal(ann.you.odIdentifier, undefined);
+
+    ann.socket.emit('joinPit');
+    const state = await waitFor(bob.socket, 'gameState', s => s.pit.some(p => p.name === 'Ann'));
+    const seen = state.pit.find(p => p.name === 'Ann');
+    assert.equal(seen.characterId, ann.you.characterId);
+    assert.equal(seen.odIdentifier, undefined);
+  });
+
+  it('finds a clan member by the public id the clan list gave out', async () => {
+    const leader = await signIn(server, 'Lea');
+    leader.socket.emit('createClan', 'Publics');
+    await waitFor(leader.socket, 'clanCreated');
+    const member = await signIn(server, 'Max');
+    member.socket.emit('joinClan', 'Publics');
+    await waitFor(member.socket, 'clanJoined');
+
+    leader.socket.emit('getClanMembers', 'Publics');
+    const { members } = await waitFor(leader.socket, 'clanMembers');
+    const max = members.find(m => m.name === 'Max');
+    assert.equal(max.characterId, member.you.characterId);
+
+    leader.socket.emit('setClanRole', { targetCharacterId: max.characterId, role: 'officer' });
+    const changed = await waitFor(member.socket, 'clanRoleChanged');
+    assert.deepEqual([changed.characterId, changed.role], [member.you.characterId, 'officer']);
+
+    leader.socket.emit('kickClanMember', '0000000000000000');
+    assert.match((await waitFor(leader.socket, 'error')).message, /not in your clan/);
+  });
+});
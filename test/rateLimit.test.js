@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { UNKNOWN_EVENT, validateBudgets, parseBudgets, createRateLimiter } = require('../lib/rateLimit');
+const { startServer } = require('./support/server');
+const { signSessionToken } = require('../lib/auth');
+
+// A limiter on a clock the test moves by hand
+function limiter(options = {}) {
+  const clock = { at: 0 };
+  const rateLimiter = createRateLimiter({ now: () => clock.at, ...options });
+  return { clock, rateLimiter };
+}
+
+test('events within budget are allowed and the next one is rejected', () => {
+  const { rateLimiter } = limiter({ budgets: { attack: { limit: 3, windowMs: 1000 } } });
+  for (let i = 0; i < 3; i++) assert.equal(rateLimiter.consume(['socket:a'], 'attack').allowed, true);
+  const verdict = rateLimiter.consume(['socket:a'], 'attack');
+  assert.equal(verdict.allowed, false);
+  assert.equal(verdict.level, 'warn');
+  assert.ok(verdict.retryAfterMs > 0 && verdict.retryAfterMs <= 1000 / 3 + 1);
+});
+
+test('the budget refills over its window', () => {
+  const { clock, rateLimiter } = limiter({ budgets: { attack: { limit: 2, windowMs: 1000 } } });
+  rateLimiter.consume(['socket:a'], 'attack');
+  rateLimiter.consume(['socket:a'], 'attack');
+  assert.equal(rateLimiter.consume(['socket:a'], 'attack').allowed, false);
+  clock.at += 500;
+  assert.equal(rateLimiter.consume(['socket:a'], 'attack').allowed, true);
+});
+
+test('every key is charged, so a second socket on the same account shares its budget', () => {
+  const { rateLimiter } = limiter({ budgets: { heckle: { limit: 2, windowMs: 10000 } } });
+  assert.equal(rateLimiter.consume(['socket:a', 'account:x'], 'heckle').allowed, true);
+  assert.equal(rateLimiter.consume(['socket:b', 'account:x'], 'heckle').allowed, true);
+  assert.equal(rateLimiter.consume(['socket:c', 'account:x'], 'heckle').allowed, false);
+  assert.equal(rateLimiter.consume(['socket:c', null], 'heckle').allowed, true); // Falsy keys are skipped
+});
+
+test('strikes escalate from warn to throttle to disconnect', () => {
+  const { clock, rateLimiter } = limiter({
+    budgets: { attack: { limit: 1, windowMs: 1000 } },
+    throttleAfter: 2,
+    disconnectAfter: 4,
+    throttleMs: 5000
+  });
+  rateLimiter.consume(['socket:a'], 'attack');
+  const levels = [];
+  for (let i = 0; i < 4; i++) levels.push(rateLimiter.consume(['socket:a'], 'attack').level);
+  assert.deepEqual(levels, ['warn', 'throttle', 'throttle', 'disconnect']);
+
+  // A throttled key is turned down even for events it has budget for
+  clock.at += 1000;
+  const verdict = rateLimiter.consume(['socket:a'], 'joinPit');
+  assert.equal(verdict.allowed, false);
+  assert.ok(verdict.retryAfterMs >= 4000);
+});
+
+test('strikes older than the penalty window are forgiven', () => {
+  const { clock, rateLimiter } = limiter({
+    budgets: { attack: { limit: 1, windowMs: 1000 } },
+    throttleAfter: 2,
+    penaltyWindowMs: 10000
+  });
+  rateLimiter.consume(['socket:a'], 'attack');
+  assert.equal(rateLimiter.consume(['socket:a'], 'attack').level, 'warn');
+  clock.at += 20000;
+  rateLimiter.consume(['socket:a'], 'attack');
+  assert.equal(rateLimiter.consume(['socket:a'], 'attack').level, 'warn');
+});
+
+test('events outside knownEvents share one bucket', () => {
+  const { rateLimiter } = limiter({ knownEvents: ['attack'] });
+  const allowed = [];
+  for (let i = 0; i < 6; i++) allowed.push(rateLimiter.consume(['socket:a'], `madeUp${i}`).allowed);
+  assert.deepEqual(allowed, [true, true, true, true, true, false]);
+  assert.equal(rateLimiter.consume(['socket:a'], 'attack').allowed, true); // Known events keep their own budget
+  assert.deepEqual(Object.keys(rateLimiter.getMetrics().rejectedByEvent), [UNKNOWN_EVENT]);
+});
+
+test('a key never holds more than maxBucketsPerKey buckets of its own', () => {
+  const { rateLimiter } = limiter({ maxBucketsPerKey: 3 });
+  const allowed = [];
+  for (let i = 0; i < 10; i++) allowed.push(rateLimiter.consume(['socket:a'], `event${i}`).allowed);
+  assert.equal(allowed.filter(Boolean).length, 3 + 5); // Three buckets, then the shared one runs dry
+});
+
+test('prune drops idle keys and forget drops a key at once', () => {
+  const { clock, rateLimiter } = limiter({ budgets: { attack: { limit: 1, windowMs: 1000 } }, penaltyWindowMs: 1000 });
+  rateLimiter.consume(['socket:a'], 'attack');
+  rateLimiter.consume(['socket:b'], 'joinPit');
+  rateLimiter.forget('socket:b');
+  assert.equal(rateLimiter.getMetrics().trackedKeys, 1);
+  clock.at += 500;
+  rateLimiter.prune();
+  assert.equal(rateLimiter.getMetrics().trackedKeys, 1);
+  clock.at += 1000;
+  rateLimiter.prune();
+  assert.equal(rateLimiter.getMetrics().trackedKeys, 0);
+});
+
+test('budgets are checked before use', () => {
+  const known = ['attack', 'joinPit'];
+  assert.equal(validateBudgets({ attack: { limit: 8, windowMs: 1000 }, [UNKNOWN_EVENT]: { limit: 2, windowMs: 1000 } }, known), null);
+  assert.equal(validateBudgets([], known), 'budgets should be an object');
+  assert.equal(validateBudgets({ atack: { limit: 8, windowMs: 1000 } }, known), 'atack is not an event');
+  assert.equal(validateBudgets({ attack: { limit: -1, windowMs: 1000 } }, known), 'attack.limit should be at least 1');
+  assert.match(validateBudgets({ attack: { limit: '8', windowMs: 1000 } }, known), /attack\.limit should be a whole number/);
+  assert.equal(validateBudgets({ attack: { limit: 8 } }, known), 'attack.windowMs is required');
+  assert.equal(validateBudgets({ attack: { limit: 8, windowMs: 1000, burst: 2 } }, known), 'attack.burst is not expected');
+  assert.throws(() => createRateLimiter({ budgets: { attack: { limit: 0, windowMs: 1000 } } }), /Invalid rate limit budgets/);
+});
+
+test('RATE_LIMIT_BUDGETS is parsed and checked, naming what is wrong', () => {
+  assert.deepEqual(parseBudgets('{"attack":{"limit":8,"windowMs":1000}}', ['attack']), { attack: { limit: 8, windowMs: 1000 } });
+  assert.throws(() => parseBudgets('{"attack":', ['attack']), /^Error: Could not read RATE_LIMIT_BUDGETS/);
+  assert.throws(() => parseBudgets('{"attack":{"limit":8,"windowMs":"1s"}}', ['attack']), /Invalid RATE_LIMIT_BUDGETS: attack\.windowMs should be a whole number/);
+});
+
+test('the server refuses to start with budgets that don\'t check out', async () => {
+  await assert.rejects(startServer({ RATE_LIMIT_BUDGETS: '{"atack":{"limit":8,"windowMs":1000}}' }), /Invalid RATE_LIMIT_BUDGETS: atack is not an event/);
+  await assert.rejects(startServer({ RATE_LIMIT_BUDGETS: 'attack=8' }), /Could not read RATE_LIMIT_BUDGETS/);
+});
+
+test('only moderators can read the rate limit metrics', async (t) => {
+  const server = await startServer({ ADMIN_IDS: 'moderator-1', SESSION_SECRET: 'metrics-secret' });
+  t.after(() => server.stop());
+  const metrics = token => fetch(`${server.url}/api/metrics/rate-limits`, token ? { headers: { Authorization: `Bearer ${token}` } } : {});
+
+  assert.equal((await metrics(null)).status, 401);
+  assert.equal((await metrics('not-a-token')).status, 401);
+  assert.equal((await metrics(signSessionToken('player-1', 'metrics-secret'))).status, 403);
+  const res = await metrics(signSessionToken('moderator-1', 'metrics-secret'));
+  assert.equal(res.status, 200);
+  assert.deepEqual(Object.keys(await res.json()), ['allowed', 'rejected', 'rejectedByEvent', 'penalties', 'trackedKeys']);
+});
@@ -0,0 +1,82 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor, signIn, signInWithToken } = require('./support/server');
+
+// Lose the connection without saying goodbye, like a dropped network would
+function drop(socket) {
+  socket.io.engine.close();
+}
+
+function pitEntry(state, name) {
+  return state.pit.find(p => p.name === name);
+}
+
+describe('reconnecting', () => {
+  let server;
+  let bob;
+  before(async () => {
+    server = await startServer({ RECONNECT_GRACE_SECONDS: '1', COMBAT_TICK_MS: '1500' });
+    bob = await signIn(server, 'Bob');
+    bob.socket.emit('joinPit');
+    await waitFor(bob.socket, 'pitJoined');
+  });
+  after(() => server.stop());
+
+  it('holds a dropped player\'s place and action until they come back', async () => {
+    const ann = await signIn(server, 'Ann');
+    ann.socket.emit('joinPit');
+    await waitFor(ann.socket, 'pitJoined');
+    ann.socket.emit('defend');
+    await waitFor(ann.socket, 'actionSet');
+
+    const away = waitFor(bob.socket, 'gameState', state => pitEntry(state, 'Ann')?.disconnected);
+    drop(ann.socket);
+    await away;
+    bob.socket.emit('attack', { targetId: ann.you.id, attackType: 'melee' });
+    assert.match((await waitFor(bob.socket, 'error')).message, /lost connection/);
+
+    const back = waitFor(bob.socket, 'gameState', state => pitEntry(state, 'Ann')?.disconnected === false);
+    const { welcome } = await signInWithToken(server, ann.token);
+    assert.equal(welcome.resumed, true);
+    assert.equal(welcome.you.inPit, true);
+    assert.equal(welcome.you.action, 'defend');
+    assert.notEqual(welcome.you.id, ann.you.id);
+    assert.equal(pitEntry(await back, 'Ann').id, welcome.you.id);
+  });
+
+  it('lands an attack declared before the drop on the reconnected player', async () => {
+    const cat = await signIn(server, 'Cat');
+    cat.socket.emit('joinPit');
+    await waitFor(cat.socket, 'pitJoined');
+
+    const fought = waitFor(bob.socket, 'battleResults', ({ results }) => results.some(r => [r.winner.name, r.loser.name].includes('Cat')));
+    bob.socket.emit('attack', { targetId: cat.you.id, attackType: 'distance' });
+    await waitFor(bob.socket, 'actionSet');
+    drop(cat.socket);
+    const { welcome } = await signInWithToken(server, cat.token);
+    assert.equal(welcome.resumed, true);
+    await fought;
+  });
+
+  it('ends a session once the grace window runs out', async () => {
+    const dan = await signIn(server, 'Dan');
+    const away = waitFor(bob.socket, 'gameState', state => state.leaderboard.some(p => p.name === 'Dan' && p.disconnected));
+    drop(dan.socket);
+    await away;
+    await waitFor(bob.socket, 'gameState', state => !state.leaderboard.some(p => p.name === 'Dan'), 4000);
+
+    const { welcome } = await signInWithToken(server, dan.token);
+    assert.equal(welcome.resumed, false);
+    assert.equal(welcome.you.inPit, false);
+  });
+
+  it('ends a session at once when the client leaves', async () => {
+    const eve = await signIn(server, 'Eve');
+    const gone = waitFor(bob.socket, 'gameState', state => !state.leaderboard.some(p => p.name === 'Eve'), 500);
+    eve.socket.disconnect();
+    await gone;
+
+    const { welcome } = await signInWithToken(server, eve.token);
+    assert.equal(welcome.resumed, false);
+  });
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRng, generateSeed } = require('../lib/rng');
+
+function draw(rng, n = 20) {
+  return Array.from({ length: n }, () => rng.next());
+}
+
+test('the same seed gives the same sequence', () => {
+  assert.deepEqual(draw(createRng(42)), draw(createRng(42)));
+  assert.notDeepEqual(draw(createRng(42)), draw(createRng(43)));
+});
+
+test('a known seed keeps its known sequence', () => {
+  const rng = createRng(1);
+  assert.deepEqual([rng.int(100), rng.int(100), rng.int(100), rng.int(100)], [62, 0, 52, 98]);
+});
+
+test('draws stay in range', () => {
+  const rng = createRng(7);
+  for (let i = 0; i < 1000; i++) {
+    const value = rng.next();
+    assert.ok(value >= 0 && value < 1);
+    const n = rng.int(6);
+    assert.ok(Number.isInteger(n) && n >= 0 && n < 6);
+  }
+});
+
+test('shuffle returns a new permutation and leaves its input alone', () => {
+  const items = [1, 2, 3, 4, 5, 6, 7, 8];
+  const shuffled = createRng(5).shuffle(items);
+  assert.deepEqual(items, [1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.deepEqual([...shuffled].sort((a, b) => a - b), items);
+  assert.deepEqual(createRng(5).shuffle(items), shuffled);
+});
+
+test('generated seeds fit a Postgres INTEGER', () => {
+  for (let i = 0; i < 100; i++) {
+    const seed = generateSeed();
+    assert.ok(Number.isInteger(seed) && seed >= 0 && seed <= 0x7fffffff);
+  }
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RULES, validateRulesFile, mergeRules, createRulebook } = require('../lib/rules');
+
+test('an empty rules file gives the defaults everywhere', () => {
+  const rulebook = createRulebook({});
+  assert.deepEqual(rulebook.rulesFor('main'), DEFAULT_RULES);
+  assert.deepEqual(rulebook.rulesFor(null), DEFAULT_RULES);
+});
+
+test('overrides merge section by section', () => {
+  const merged = mergeRules(DEFAULT_RULES, { pit: { revengeBonus: 5 } });
+  assert.equal(merged.pit.revengeBonus, 5);
+  assert.equal(merged.pit.winPoints, DEFAULT_RULES.pit.winPoints);
+  assert.equal(DEFAULT_RULES.pit.revengeBonus, 2); // The base is left alone
+});
+
+test('arena rules apply only in their arena', () => {
+  const rulebook = createRulebook({ rules: { startingPoints: 20 }, arenas: { duel: { pit: { lossPoints: 3 } } } });
+  assert.equal(rulebook.rulesFor('duel').pit.lossPoints, 3);
+  assert.equal(rulebook.rulesFor('duel').startingPoints, 20);
+  assert.equal(rulebook.rulesFor('main').pit.lossPoints, DEFAULT_RULES.pit.lossPoints);
+});
+
+test('events hold between from and until, in the arenas they name', () => {
+  const clock = { at: Date.parse('2026-10-23T12:00:00Z') };
+  const rulebook = createRulebook({
+    events: [{
+      name: 'Double points weekend',
+      from: '2026-10-24T00:00:00Z',
+      until: '2026-10-26T00:00:00Z',
+      arenas: ['main'],
+      rules: { pointsMultiplier: 2 }
+    }]
+  }, () => clock.at);
+
+  assert.equal(rulebook.rulesFor('main').pointsMultiplier, 1);
+  clock.at = Date.parse('2026-10-25T12:00:00Z');
+  assert.equal(rulebook.rulesFor('main').pointsMultiplier, 2);
+  assert.deepEqual(rulebook.activeEvents('main').map(event => event.name), ['Double points weekend']);
+  assert.equal(rulebook.rulesFor('duel').pointsMultiplier, 1);
+  clock.at = Date.parse('2026-10-26T00:00:00Z');
+  assert.equal(rulebook.rulesFor('main').pointsMultiplier, 1);
+});
+
+test('rules files are checked before use', () => {
+  assert.equal(validateRulesFile({ rules: { pit: { winPoints: 2 } } }), null);
+  assert.equal(validateRulesFile([]), 'the file should hold an object');
+  assert.equal(validateRulesFile({ extras: {} }), 'extras is not expected');
+  assert.equal(validateRulesFile({ rules: { clanWars: { rounds: 4 } } }), 'rules.clanWars.rounds should be odd');
+  assert.equal(validateRulesFile({ events: [{ name: 'x', from: 'soon', rules: {} }] }), 'events[0].from is not a date');
+  assert.match(validateRulesFile({ rules: { pit: { bogus: 1 } } }), /rules\.pit\.bogus is not expected/);
+  assert.throws(() => createRulebook({ rules: { startingPoints: -1 } }), /Invalid rules/);
+});
@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor, signIn, signInWithToken } = require('./support/server');
+
+// Sign the owner up with a clan, and a clan mate who joins it
+async function ownerWithClanMate(server, owner, mate, clanName) {
+  const ownerSession = await signIn(server, owner);
+  ownerSession.socket.emit('createClan', clanName);
+  await waitFor(ownerSession.socket, 'clanCreated');
+  const mateSession = await signIn(server, mate);
+  mateSession.socket.emit('joinClan', clanName);
+  await waitFor(mateSession.socket, 'clanJoined');
+  return { owner: ownerSession, mate: mateSession };
+}
+
+// Have the owner leave and their clan mate pick up the owner's character
+async function handOver(owner, mate) {
+  const gone = waitFor(mate.socket, 'gameState', state => !state.leaderboard.some(p => p.name === owner.you.name));
+  owner.socket.disconnect();
+  await gone;
+  mate.socket.emit('switchCharacter', owner.you.characterId);
+  assert.equal((await waitFor(mate.socket, 'characterSwitched')).name, owner.you.name);
+}
+
+describe('one session per character, kick-old', () => {
+  let server;
+  before(async () => {
+    server = await startServer();
+  });
+  after(() => server.stop());
+
+  it('moves a character signing in again to the new tab and sends the old one away', async () => {
+    const first = await signIn(server, 'Tabby');
+    first.socket.emit('joinPit');
+    await waitFor(first.socket, 'pitJoined');
+
+    const replaced = waitFor(first.socket, 'sessionReplaced');
+    const second = await signInWithToken(server, first.token);
+    assert.match((await replaced).message, /somewhere else/);
+    assert.equal(second.welcome.you.inPit, true);
+    assert.equal(second.welcome.you.name, 'Tabby');
+  });
+
+  it('switches a clan mate playing the character back to their own when its owner signs in', async () => {
+    const { owner, mate } = await ownerWithClanMate(server, 'Olga', 'Mick', 'Switchers');
+    await handOver(owner, mate);
+
+    const switched = waitFor(mate.socket, 'characterSwitched');
+    const back = await signInWithToken(server, owner.token);
+    assert.equal(back.welcome.you.name, 'Olga');
+    const { name, reason } = await switched;
+    assert.equal(name, 'Mick');
+    assert.equal(reason, 'Its owner signed in');
+  });
+
+  it('sends a clan mate away when their own character is playing in another tab', async () => {
+    const { owner, mate } = await ownerWithClanMate(server, 'Olive', 'Milo', 'Keepers');
+    await handOver(owner, mate);
+    const mateOtherTab = await signInWithToken(server, mate.token);
+    assert.equal(mateOtherTab.welcome.you.name, 'Milo');
+
+    const sentAway = waitFor(mate.socket, 'sessionReplaced');
+    const left = waitFor(mate.socket, 'disconnect');
+    const back = await signInWithToken(server, owner.token);
+    assert.equal(back.welcome.you.name, 'Olive');
+    assert.match((await sentAway).message, /Olive's owner signed in/);
+    await left;
+
+    // The other tab keeps playing Milo, and nobody else is playing Olive
+    assert.equal(mateOtherTab.socket.connected, true);
+    assert.equal(mateOtherTab.socket.received.some(([event]) => event === 'sessionReplaced'), false);
+    mateOtherTab.socket.emit('listArenas');
+    const { arenas } = await waitFor(mateOtherTab.socket, 'arenaList');
+    assert.ok(arenas.length > 0);
+  });
+});
+
+describe('one session per character, reject-new', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ SESSION_POLICY: 'reject-new' });
+  });
+  after(() => server.stop());
+
+  it('turns down a second sign-in while the character is playing', async () => {
+    const first = await signIn(server, 'Rex');
+    const second = server.connect();
+    await waitFor(second, 'connect');
+    second.emit('identify', { token: first.token });
+    const error = await waitFor(second, 'error');
+    assert.equal(error.code, 'rejected');
+    assert.match(error.message, /already playing/);
+    assert.equal(first.socket.connected, true);
+  });
+});
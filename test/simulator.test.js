@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulatePit, simulateClanWars } = require('../lib/simulator');
+const { DEFAULT_RULES } = require('../lib/rules');
+
+test('the pit simulation reports the same statistics for a fixed seed', () => {
+  const report = simulatePit({ seed: 7, sessions: 20 });
+  assert.deepEqual(simulatePit({ seed: 7, sessions: 20 }), report);
+
+  assert.equal(report.fights, 2151);
+  assert.deepEqual(report.reasons, {
+    'higher number': 882,
+    'caught attacking': 300,
+    'lower number': 669,
+    'gang attack': 207,
+    'distance beats melee': 93
+  });
+  assert.equal(report.streakKills, 150);
+  assert.equal(report.revengeKills, 422);
+  assert.equal(report.captures, 33);
+  assert.deepEqual(report.streaks, { 0: 1088, 1: 481, 2: 256, 3: 102, 4: 45, 5: 28, 6: 11, 7: 11, 8: 6, 9: 2, 10: 4 });
+});
+
+test('the pit simulation tallies every fight once a side', () => {
+  const report = simulatePit({ seed: 3, sessions: 5 });
+  const total = table => Object.values(table).reduce((sum, { fights }) => sum + fights, 0);
+  assert.equal(Object.values(report.reasons).reduce((sum, n) => sum + n, 0), report.fights);
+  assert.equal(total(report.byAttackType), report.fights);
+  assert.equal(total(report.byStrategy), report.fights * 2);
+  assert.equal(total(report.byNumber), report.fights * 2);
+});
+
+test('different seeds give different pit statistics', () => {
+  assert.notDeepEqual(simulatePit({ seed: 1, sessions: 5 }), simulatePit({ seed: 2, sessions: 5 }));
+});
+
+test('the clan war simulation reports the same statistics for a fixed seed', () => {
+  const report = simulateClanWars({ seed: 7, wars: 50 });
+  assert.deepEqual(simulateClanWars({ seed: 7, wars: 50 }), report);
+
+  assert.equal(report.challengerWinRate, 0.58);
+  assert.deepEqual(report.roundsPlayed, { 2: 25, 3: 25 });
+  assert.equal(report.captures, 11);
+  assert.deepEqual(report.byAttackType.distance, { wins: 275, fights: 275, winRate: 1 });
+});
+
+test('the simulation plays by the rules it is given', () => {
+  const rules = { ...DEFAULT_RULES, pit: { ...DEFAULT_RULES.pit, streakKill: 2 } };
+  const defaults = simulatePit({ seed: 7, sessions: 5 });
+  const quickKills = simulatePit({ seed: 7, sessions: 5, rules });
+  assert.equal(quickKills.fights, defaults.fights); // Streak kills don't change who wins
+  assert.ok(quickKills.streakKills > defaults.streakKills);
+
+  const longWars = simulateClanWars({ seed: 7, wars: 20, rules: { ...DEFAULT_RULES, clanWars: { ...DEFAULT_RULES.clanWars, rounds: 5 } } });
+  assert.ok(Object.keys(longWars.roundsPlayed).every(rounds => rounds >= 3 && rounds <= 5));
+});
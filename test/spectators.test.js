@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor, signIn } = require('./support/server');
+
+describe('spectators', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ COMBAT_TICK_MS: '100', CLAN_WAR_START_MINUTES: '0.01', CLAN_WAR_ROUND_MS: '100' });
+  });
+  after(() => server.stop());
+
+  it('watch an arena without a character and see its fights', async () => {
+    const ann = await signIn(server, 'Ann');
+    const bob = await signIn(server, 'Bob');
+    for (const { socket } of [ann, bob]) {
+      socket.emit('joinPit');
+      await waitFor(socket, 'pitJoined');
+    }
+
+    const watcher = server.connect();
+    await waitFor(watcher, 'connect');
+    const counted = waitFor(ann.socket, 'gameState', state => state.arena.spectatorCount === 1);
+    watcher.emit('spectate', {});
+    const view = await waitFor(watcher, 'spectating');
+    assert.equal(view.arena.id, 'main');
+    assert.equal(view.arena.watchUrl, '/watch/arena/main');
+    assert.deepEqual(view.pit.map(p => p.name).sort(), ['Ann', 'Bob']);
+    await counted;
+
+    const results = waitFor(watcher, 'battleResults');
+    ann.socket.emit('attack', { targetId: bob.you.id, attackType: 'melee' });
+    assert.equal((await results).results.length, 1);
+
+    ann.socket.emit('spectate', {});
+    assert.match((await waitFor(ann.socket, 'error')).message, /already playing/);
+    watcher.emit('spectate', { arenaId: 'nope' });
+    assert.match((await waitFor(watcher, 'error')).message, /does not exist/);
+  });
+
+  it('follow a clan battle and see the spectator count change', async () => {
+    const red = await signIn(server, 'Red');
+    const blue = await signIn(server, 'Blue');
+    red.socket.emit('createClan', 'Reds');
+    await waitFor(red.socket, 'clanCreated');
+    blue.socket.emit('createClan', 'Blues');
+    await waitFor(blue.socket, 'clanCreated');
+    red.socket.emit('challengeClan', 'Blues');
+    const { battleId } = await waitFor(red.socket, 'battleCreated');
+
+    const first = server.connect();
+    await waitFor(first, 'connect');
+    first.emit('spectate', { battleId });
+    const view = await waitFor(first, 'spectating');
+    assert.equal(view.battle.status, 'pending');
+    assert.equal(view.battle.watchUrl, `/watch/battle/${battleId}`);
+    assert.equal(view.battle.spectatorCount, 1);
+
+    const second = server.connect();
+    await waitFor(second, 'connect');
+    const joined = waitFor(first, 'spectatorCount', c => c.spectatorCount === 2);
+    second.emit('spectate', { battleId });
+    await joined;
+
+    const complete = waitFor(first, 'clanBattleComplete', () => true, 10000);
+    blue.socket.emit('acceptClanBattle', battleId);
+    assert.ok(['Reds', 'Blues'].includes((await complete).winnerClan));
+
+    const left = waitFor(first, 'spectatorCount', c => c.spectatorCount === 1);
+    second.disconnect();
+    await left;
+
+    first.emit('spectate', { battleId: 99999 });
+    assert.match((await waitFor(first, 'error')).message, /No such clan battle/);
+  });
+
+  it('serve the client at watch links', async () => {
+    for (const link of ['/watch/arena/main', '/watch/battle/1']) {
+      const res = await fetch(server.url + link);
+      assert.equal(res.status, 200, link);
+      assert.match(await res.text(), /<html/i);
+    }
+  });
+});
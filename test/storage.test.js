@@ -0,0 +1,599 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const { createMemoryStorage } = require('../lib/storage/memory');
+const { createPostgresStorage } = require('../lib/storage/postgres');
+const { runMigrations } = require('../lib/migrations');
+
+// The memory backend stands in for Postgres wherever there is no database, so it has to keep
+// the same contract. These run against memory always, and against Postgres too when
+// TEST_DATABASE_URL names a database they may write to.
+
+it('memory storage has every method postgres storage has', () => {
+  const postgres = createPostgresStorage({ connectionString: 'postgres://localhost/unused' }); // Connects lazily
+  const memory = createMemoryStorage();
+  assert.deepEqual(Object.keys(memory).sort(), Object.keys(postgres).sort());
+});
+
+function storageContract(name, createStorage) {
+  describe(`${name} storage`, () => {
+    const run = crypto.randomBytes(4).toString('hex'); // Keeps rows apart in a database that is reused
+    const id = label => `${label}_${run}`;
+    let storage;
+
+    async function createPlayer(label, points = 10) {
+      await storage.createPlayer({ odIdentifier: id(label), name: label, playerNumber: 50, characterImage: 1, points });
+      return id(label);
+    }
+
+    before(async () => {
+      storage = createStorage();
+      await storage.init();
+    });
+
+    after(() => storage.close());
+
+    it('creates a player once and only updates the image when created again', async () => {
+      const od = await createPlayer('ann');
+      await storage.createPlayer({ odIdentifier: od, name: 'other', playerNumber: 1, characterImage: 7, points: 99 });
+      const row = await storage.getPlayer(od);
+      assert.equal(row.name, 'ann');
+      assert.equal(row.points, 10);
+      assert.equal(row.character_image, 7);
+      assert.equal(row.clan_name, null);
+      assert.equal(row.owner_id, null);
+      assert.equal(await storage.getPlayer(id('nobody')), null);
+    });
+
+    it('gives every character its own random public id and finds it by that id', async () => {
+      const od = await createPlayer('public');
+      const publicId = await storage.createPlayer({ odIdentifier: od, name: 'public', playerNumber: 50, characterImage: 2, points: 10 });
+      assert.match(publicId, /^[0-9a-f]{16}$/);
+      assert.equal((await storage.getPlayer(od)).public_id, publicId);
+      assert.equal((await storage.getPlayerByPublicId(publicId)).od_identifier, od);
+      assert.equal(await storage.getPlayerByPublicId('0000000000000000'), null);
+      assert.notEqual((await storage.getPlayer(await createPlayer('other'))).public_id, publicId);
+    });
+
+    it('reads public ids back with the rows clients see', async () => {
+      const author = await createPlayer('shown', 1000000);
+      const target = await createPlayer('target');
+      const { public_id: authorId } = await storage.getPlayer(author);
+      const { public_id: targetId } = await storage.getPlayer(target);
+      assert.equal(await storage.createClan(id('Shown'), author), true);
+      assert.deepEqual((await storage.getClanMembers(id('Shown'))).map(m => m.public_id), [authorId]);
+      assert.deepEqual((await storage.getOwnedCharacters(author)).map(c => c.public_id), [authorId]);
+      assert.deepEqual((await storage.getClanCharacters(id('Shown'), author)).map(c => c.public_id), [authorId]);
+      assert.equal((await storage.getLeaderboard(1000)).find(p => p.od_identifier === author).public_id, authorId);
+
+      const heckle = await storage.createHeckle({
+        arenaId: 'main', authorId: author, authorOdIdentifier: author, authorName: 'shown', characterImage: 1, message: 'hey',
+        targetOdIdentifier: target, targetName: 'target'
+      });
+      assert.deepEqual([heckle.author_public_id, heckle.target_public_id], [authorId, targetId]);
+      assert.equal((await storage.getHeckle(heckle.id)).target_public_id, targetId);
+      const botHeckle = await storage.createHeckle({
+        arenaId: 'main', authorId: author, authorOdIdentifier: author, authorName: 'shown', characterImage: 1, message: 'bot!',
+        targetOdIdentifier: 'bot_1234', targetName: 'Bot'
+      });
+      assert.equal(botHeckle.target_public_id, null);
+
+      const tournamentId = await storage.createTournament({
+        name: id('Shown Cup'), format: 'round_robin', maxClans: 4, rewardPoints: 0, createdBy: author, startsInMinutes: 10
+      });
+      assert.equal((await storage.getTournament(tournamentId)).created_by_public_id, authorId);
+      assert.equal((await storage.getOpenTournaments()).find(t => t.id === tournamentId).created_by_public_id, authorId);
+    });
+
+    it('never lets a character created with a token be claimed by its id', async () => {
+      const od = await createPlayer('tokened');
+      assert.equal(await storage.claimPlayerAuth(od), false);
+      assert.equal(await storage.claimPlayerAuth(id('nobody')), false);
+    });
+
+    it('redeems a transfer code once, and only the latest one', async () => {
+      const od = await createPlayer('mover');
+      await storage.createTransferCode(od, id('old-hash'), 10);
+      await storage.createTransferCode(od, id('new-hash'), 10);
+      assert.equal(await storage.redeemTransferCode(id('old-hash')), null);
+      assert.equal(await storage.redeemTransferCode(id('new-hash')), od);
+      assert.equal(await storage.redeemTransferCode(id('new-hash')), null);
+    });
+
+    it('applies point changes under a floor and reports rows in id order', async () => {
+      const a = await createPlayer('pa', 5);
+      const b = await createPlayer('pb', 1);
+      const rows = await storage.applyPointChanges([
+        { odIdentifier: b, delta: -3 },
+        { odIdentifier: a, delta: 2 }
+      ], { floor: 0 });
+      assert.deepEqual(rows.map(r => [r.od_identifier, r.points, r.captured]), [[a, 7, false], [b, 0, false]]);
+      assert.deepEqual(await storage.applyPointChanges([{ odIdentifier: id('nobody'), delta: 1 }]), []);
+    });
+
+    it('captures a character whose points run out into the winner\'s clan', async () => {
+      const winner = await createPlayer('winner');
+      const loser = await createPlayer('loser', 1);
+      assert.equal(await storage.createClan(id('Crimson'), winner), true);
+
+      const [row] = await storage.applyPointChanges([
+        { odIdentifier: loser, delta: -1, capture: { clanName: id('Crimson'), ownerId: winner } }
+      ], { floor: 0 });
+      assert.equal(row.captured, true);
+      assert.equal(row.clan_name, id('Crimson'));
+      assert.equal(row.clan_role, 'member');
+      assert.equal(row.owner_id, winner);
+      assert.deepEqual((await storage.getOwnedCharacters(winner)).map(c => c.od_identifier).sort(), [loser, winner].sort());
+    });
+
+    it('only captures from the clan named in fromClan', async () => {
+      const target = await createPlayer('target', 1);
+      const [row] = await storage.applyPointChanges([
+        { odIdentifier: target, delta: -1, capture: { clanName: id('Blues'), ownerId: id('x'), fromClan: id('Greens') } }
+      ]);
+      assert.equal(row.captured, false);
+      assert.equal(row.clan_name, null);
+    });
+
+    it('pays a daily challenge reward once', async () => {
+      const od = await createPlayer('claimer', 10);
+      assert.equal(await storage.claimChallengeReward(od, 'streak', 3), 13);
+      assert.equal(await storage.claimChallengeReward(od, 'streak', 3), null);
+      assert.equal(await storage.claimChallengeReward(od, 'revenge', 5), 18);
+    });
+
+    it('lists a captured character under its new owner and clan', async () => {
+      const owner = await createPlayer('owner');
+      const taken = await createPlayer('taken');
+      await storage.createClan(id('Reds'), owner);
+      await storage.transferCharacter(taken, id('Reds'), owner);
+
+      assert.deepEqual((await storage.getOwnedCharacters(owner)).map(c => c.od_identifier).sort(), [owner, taken].sort());
+      assert.deepEqual(await storage.getOwnedCharacters(taken), []);
+      assert.equal(await storage.getClanLeader(id('Reds')), owner);
+      const members = await storage.getClanMembers(id('Reds'));
+      assert.deepEqual(members.map(m => m.od_identifier).sort(), [owner, taken].sort());
+    });
+
+    it('promotes a successor when the leader leaves', async () => {
+      const leader = await createPlayer('leader', 10);
+      const officer = await createPlayer('officer', 1);
+      const member = await createPlayer('member', 50);
+      await storage.createClan(id('Golds'), leader);
+      await storage.setPlayerClan(officer, id('Golds'), 'officer');
+      await storage.setPlayerClan(member, id('Golds'));
+      assert.equal(await storage.createClan(id('Golds'), member), false); // Name in use
+
+      await storage.setPlayerClan(leader, null);
+      assert.equal(await storage.getClanLeader(id('Golds')), officer);
+      const members = await storage.getClanMembers(id('Golds'));
+      assert.deepEqual(members.map(m => [m.od_identifier, m.clan_role]), [[member, 'member'], [officer, 'leader']]);
+    });
+
+    it('hands leadership over only on a pending offer', async () => {
+      const leader = await createPlayer('oldlead');
+      const member = await createPlayer('newlead');
+      await storage.createClan(id('Teal'), leader);
+      await storage.setPlayerClan(member, id('Teal'));
+      assert.equal(await storage.acceptClanLeadership(id('Teal'), member), null);
+
+      await storage.setPendingLeader(id('Teal'), member);
+      assert.deepEqual(await storage.acceptClanLeadership(id('Teal'), member), { previousLeaderId: leader });
+      assert.equal(await storage.getClanLeader(id('Teal')), member);
+      assert.equal((await storage.getPlayer(leader)).clan_role, 'officer');
+      assert.equal((await storage.getClan(id('Teal'))).pending_leader_id, null);
+    });
+
+    it('renames a clan across its members and open battles, keeping the old name in its history', async () => {
+      const leader = await createPlayer('renamer');
+      const member = await createPlayer('renamed');
+      await storage.createClan(id('Old'), leader);
+      await storage.setPlayerClan(member, id('Old'));
+      const open = await storage.createClanBattle(id('Old'), id('Foe'), 5, 60);
+
+      assert.equal(await storage.renameClan(id('Old'), id('New'), leader), 'renamed');
+      assert.deepEqual((await storage.getClanMembers(id('New'))).map(m => m.od_identifier).sort(), [leader, member].sort());
+      assert.deepEqual(await storage.getClanMembers(id('Old')), []);
+      assert.equal((await storage.getClan(id('New'))).name, id('New'));
+      assert.equal(await storage.getClan(id('Old')), null);
+      assert.equal((await storage.getActiveClanBattle(id('New'))).id, open);
+      const history = await storage.getClanNameHistory(id('New'));
+      assert.deepEqual(history.map(h => [h.old_name, h.new_name, h.renamed_by]), [[id('Old'), id('New'), leader]]);
+    });
+
+    it('turns down a rename to a name in use and changes nothing', async () => {
+      await storage.createClan(id('Taken'), await createPlayer('holder'));
+      const leader = await createPlayer('wouldbe');
+      await storage.createClan(id('Mine'), leader);
+
+      assert.equal(await storage.renameClan(id('Mine'), id('Taken'), leader), 'taken');
+      assert.equal((await storage.getPlayer(leader)).clan_name, id('Mine'));
+      assert.deepEqual(await storage.getClanNameHistory(id('Mine')), []);
+      assert.equal(await storage.renameClan(id('Ghost'), id('Other'), leader), 'missing');
+    });
+
+    it('turns down a rename to the name of a clan that has emptied out, and keeps that clan', async () => {
+      const gone = await createPlayer('gone');
+      await storage.createClan(id('Empty'), gone);
+      await storage.setPlayerClan(gone, null);
+      const leader = await createPlayer('eyeing');
+      await storage.createClan(id('Eyeing'), leader);
+
+      assert.equal(await storage.renameClan(id('Eyeing'), id('Empty'), leader), 'taken');
+      assert.equal((await storage.getClan(id('Empty'))).creator_id, gone);
+      assert.equal((await storage.getPlayer(leader)).clan_name, id('Eyeing'));
+    });
+
+    it('turns down a rename while one of the clan\'s wars is being fought', async () => {
+      const leader = await createPlayer('warring');
+      await storage.createClan(id('Fighting'), leader);
+      const battleId = await storage.createClanBattle(id('Fighting'), id('Foe12'), 0, 60);
+      await storage.acceptClanBattle(battleId);
+      await storage.startClanBattle(battleId, 1, { challenger: [], defender: [] });
+
+      assert.equal(await storage.renameClan(id('Fighting'), id('Peaceful'), leader), 'at_war');
+      assert.equal((await storage.getClanBattle(battleId)).challenger_clan, id('Fighting'));
+      assert.deepEqual(await storage.getClanNameHistory(id('Fighting')), []);
+    });
+
+    it('keeps a clan\'s battle history through renames, under the names it fought as', async () => {
+      const leader = await createPlayer('historic');
+      await storage.createClan(id('Before'), leader);
+      const battleId = await storage.createClanBattle(id('Before'), id('Foe13'), 0, 60);
+      await storage.acceptClanBattle(battleId);
+      await storage.startClanBattle(battleId, 1, { challenger: [], defender: [] });
+      await storage.settleClanBattle(battleId, id('Before'), []);
+      assert.equal(await storage.renameClan(id('Before'), id('After'), leader), 'renamed');
+
+      const history = await storage.getClanBattleHistory(id('After'), 10);
+      assert.deepEqual(history.map(b => [b.id, b.challenger_clan, b.winner_clan]), [[battleId, id('Before'), id('Before')]]);
+      assert.deepEqual((await storage.getClanBattleHistory(id('Before'), 10)).map(b => b.id), [battleId]);
+
+      // A new clan that takes up the old name starts with no history of its own
+      await storage.createClan(id('Before'), await createPlayer('newcomer'));
+      assert.deepEqual(await storage.getClanBattleHistory(id('Before'), 10), []);
+    });
+
+    it('lets only one of two renames to the same name through', async () => {
+      const first = await createPlayer('first');
+      const second = await createPlayer('second');
+      await storage.createClan(id('One'), first);
+      await storage.createClan(id('Two'), second);
+      const results = await Promise.all([
+        storage.renameClan(id('One'), id('Both'), first),
+        storage.renameClan(id('Two'), id('Both'), second)
+      ]);
+      assert.deepEqual(results.sort(), ['renamed', 'taken']);
+      assert.equal((await storage.getClanMembers(id('Both'))).length, 1);
+    });
+
+    it('lets an invite be answered once, and lists it until then', async () => {
+      const leader = await createPlayer('inviter');
+      const guest = await createPlayer('guest');
+      await storage.createClan(id('Plum'), leader);
+      await storage.createClanInvite(id('Plum'), guest, leader, 60);
+      const invite = await storage.createClanInvite(id('Plum'), guest, leader, 60); // Replaces the first
+
+      const invites = await storage.getClanInvites(guest);
+      assert.deepEqual(invites.map(i => [i.id, i.clan_name, i.invited_by_name]), [[invite.id, id('Plum'), 'inviter']]);
+      assert.equal(await storage.respondToClanInvite(invite.id, leader, true), null); // Someone else's invite
+      assert.equal(await storage.respondToClanInvite(invite.id, guest, true), id('Plum'));
+      assert.equal(await storage.respondToClanInvite(invite.id, guest, true), null);
+      assert.equal((await storage.getPlayer(guest)).clan_name, id('Plum'));
+      assert.deepEqual(await storage.getClanInvites(guest), []);
+    });
+
+    it('does not let a player in a clan accept an invite to another', async () => {
+      const leader = await createPlayer('poacher');
+      const settled = await createPlayer('settled');
+      await storage.createClan(id('Rival'), leader);
+      await storage.createClan(id('Home'), settled);
+      const invite = await storage.createClanInvite(id('Rival'), settled, leader, 60);
+      assert.equal(await storage.respondToClanInvite(invite.id, settled, true), null);
+      assert.equal(await storage.respondToClanInvite(invite.id, settled, false), id('Rival')); // Declining still works
+      assert.equal((await storage.getPlayer(settled)).clan_name, id('Home'));
+    });
+
+    it('lets officers decide a join request once', async () => {
+      const leader = await createPlayer('gatekeeper');
+      const hopeful = await createPlayer('hopeful');
+      const turnedAway = await createPlayer('turnedaway');
+      await storage.createClan(id('Gate'), leader);
+      await storage.setClanJoinPolicy(id('Gate'), 'request');
+      assert.equal((await storage.getClan(id('Gate'))).join_policy, 'request');
+
+      const approved = await storage.createJoinRequest(id('Gate'), hopeful);
+      const rejected = await storage.createJoinRequest(id('Gate'), turnedAway);
+      assert.deepEqual((await storage.getJoinRequests(id('Gate'))).map(r => r.od_identifier).sort(), [hopeful, turnedAway].sort());
+
+      assert.equal(await storage.decideJoinRequest(approved, id('Gate'), true, leader), hopeful);
+      assert.equal(await storage.decideJoinRequest(approved, id('Gate'), true, leader), null);
+      assert.equal(await storage.decideJoinRequest(rejected, id('Gate'), false, leader), turnedAway);
+      assert.equal((await storage.getPlayer(hopeful)).clan_name, id('Gate'));
+      assert.equal((await storage.getPlayer(turnedAway)).clan_name, null);
+      assert.deepEqual(await storage.getJoinRequests(id('Gate')), []);
+    });
+
+    it('replaces a sanction of the same kind and lifts it', async () => {
+      const od = id('sanctioned');
+      await storage.addSanction({ odIdentifier: od, kind: 'mute', reason: 'spam', createdBy: 'mod', minutes: 10 });
+      await storage.addSanction({ odIdentifier: od, kind: 'mute', reason: 'more spam', createdBy: 'mod', minutes: null });
+      await storage.addSanction({ odIdentifier: od, kind: 'ban', reason: 'cheating', createdBy: 'mod', minutes: 60 });
+      const active = await storage.getActiveSanctions(od);
+      assert.deepEqual(active.map(s => [s.kind, s.reason, s.expires_at === null]).sort(), [['ban', 'cheating', false], ['mute', 'more spam', true]]);
+      assert.equal(await storage.liftSanctions(od, 'mute', 'mod'), 1);
+      assert.deepEqual((await storage.getActiveSanctions(od)).map(s => s.kind), ['ban']);
+    });
+
+    it('takes one report per player on a heckle until a moderator resolves them', async () => {
+      const heckle = await storage.createHeckle({
+        arenaId: 'main', authorId: id('rude'), authorOdIdentifier: id('rude'), authorName: 'rude', characterImage: 1, message: 'boo'
+      });
+      const report = { heckleId: heckle.id, arenaId: 'main', authorId: id('rude'), authorName: 'rude', message: 'boo' };
+      assert.equal(await storage.reportHeckle({ ...report, reportedBy: id('r1'), reason: 'mean' }), 1);
+      assert.equal(await storage.reportHeckle({ ...report, reportedBy: id('r1'), reason: 'mean' }), null);
+      assert.equal(await storage.reportHeckle({ ...report, reportedBy: id('r2'), reason: null }), 2);
+      const open = (await storage.getHeckleReports(1000)).filter(r => r.heckle_id === heckle.id);
+      assert.deepEqual(open.map(r => r.reported_by).sort(), [id('r1'), id('r2')].sort());
+
+      assert.equal(await storage.resolveHeckleReports(heckle.id, 'deleted', 'mod'), 2);
+      assert.equal(await storage.resolveHeckleReports(heckle.id, 'dismissed', 'mod'), 0);
+      assert.equal((await storage.getHeckleReports(1000)).some(r => r.heckle_id === heckle.id), false);
+    });
+
+    it('keeps a heckle\'s fight context and pages through visible heckles newest first', async () => {
+      const arenaId = id('arena');
+      const post = message => storage.createHeckle({
+        arenaId, authorId: id('poster'), authorOdIdentifier: id('poster'), authorName: 'poster', characterImage: 2, message,
+        targetOdIdentifier: id('victim'), targetName: 'victim'
+      });
+      const first = await post('one');
+      const second = await post('two');
+      const third = await post('three');
+      assert.equal(first.target_name, 'victim');
+      assert.equal(first.battle_id, null);
+      assert.equal(first.status, 'visible');
+
+      assert.deepEqual((await storage.getHeckles({ arenaId, limit: 2 })).map(h => h.message), ['three', 'two']);
+      assert.deepEqual((await storage.getHeckles({ arenaId, before: second.id, limit: 2 })).map(h => h.message), ['one']);
+
+      assert.equal(await storage.setHeckleStatus(third.id, 'hidden', 'mod'), true);
+      assert.deepEqual((await storage.getHeckles({ arenaId, limit: 10 })).map(h => h.message), ['two', 'one']);
+      assert.equal((await storage.getHeckle(third.id)).moderated_by, 'mod');
+    });
+
+    it('counts one upvote per player on a heckle', async () => {
+      const heckle = await storage.createHeckle({
+        arenaId: 'main', authorId: id('author'), authorOdIdentifier: id('author'), authorName: 'author', characterImage: 1, message: 'hi'
+      });
+      assert.equal(await storage.reactToHeckle(heckle.id, id('fan'), true), 1);
+      assert.equal(await storage.reactToHeckle(heckle.id, id('fan'), true), 1);
+      assert.equal(await storage.reactToHeckle(heckle.id, id('fan2'), true), 2);
+      assert.equal(await storage.reactToHeckle(heckle.id, id('fan'), false), 1);
+
+      await storage.setHeckleStatus(heckle.id, 'deleted', 'mod');
+      assert.equal(await storage.reactToHeckle(heckle.id, id('fan3'), true), null);
+    });
+
+    it('picks today\'s most upvoted visible heckle as heckle of the day', async () => {
+      const post = message => storage.createHeckle({
+        arenaId: 'main', authorId: id('wit'), authorOdIdentifier: id('wit'), authorName: 'wit', characterImage: 1, message
+      });
+      const best = await post('best');
+      const removed = await post('removed');
+      for (const fan of ['f1', 'f2', 'f3', 'f4', 'f5']) {
+        await storage.reactToHeckle(best.id, id(fan), true);
+        await storage.reactToHeckle(removed.id, id(fan), true);
+      }
+      await storage.reactToHeckle(removed.id, id('f6'), true);
+      await storage.setHeckleStatus(removed.id, 'deleted', 'mod');
+
+      const heckleOfTheDay = await storage.getHeckleOfTheDay();
+      assert.equal(heckleOfTheDay.id, best.id);
+      assert.equal(heckleOfTheDay.upvotes, 5);
+    });
+
+    it('finds a clan\'s open battle until it is over', async () => {
+      const battleId = await storage.createClanBattle(id('Ayes'), id('Noes'), 5, 60);
+      assert.equal((await storage.getActiveClanBattle(id('Noes'))).id, battleId);
+      assert.equal(await storage.endClanBattle(battleId, 'declined', 'Declined by noes', ['pending']), true);
+      assert.equal(await storage.getActiveClanBattle(id('Noes')), null);
+    });
+
+    it('ends a battle only from the statuses it is allowed to leave', async () => {
+      const battleId = await storage.createClanBattle(id('Quit'), id('Foe5'), 5, 60);
+      assert.equal(await storage.acceptClanBattle(battleId), true);
+      assert.equal(await storage.acceptClanBattle(battleId), false);
+      assert.equal(await storage.endClanBattle(battleId, 'declined', 'Too late to decline', ['pending']), false);
+      assert.equal(await storage.endClanBattle(battleId, 'cancelled', 'Called off', ['pending', 'accepted']), true);
+      const battle = await storage.getClanBattle(battleId);
+      assert.equal(battle.status, 'cancelled');
+      assert.equal(battle.end_reason, 'Called off');
+    });
+
+    it('expires unanswered challenges, which can no longer be accepted', async () => {
+      const stale = await storage.createClanBattle(id('Slow'), id('Foe6'), 5, 0);
+      const fresh = await storage.createClanBattle(id('Fast'), id('Foe7'), 5, 60);
+      assert.equal(await storage.acceptClanBattle(stale), false);
+
+      const expired = await storage.expireClanBattles('Not answered in time');
+      assert.deepEqual(expired.filter(b => [stale, fresh].includes(b.id)).map(b => [b.id, b.status]), [[stale, 'expired']]);
+      assert.equal((await storage.getClanBattle(fresh)).status, 'pending');
+      assert.equal(await storage.acceptClanBattle(fresh), true);
+    });
+
+    it('lists a clan\'s finished battles newest first, without open ones', async () => {
+      await storage.createClan(id('Past'), await createPlayer('past'));
+      const first = await storage.createClanBattle(id('Past'), id('Foe8'), 5, 60);
+      const second = await storage.createClanBattle(id('Foe9'), id('Past'), 5, 60);
+      await storage.createClanBattle(id('Past'), id('Foe10'), 5, 60);
+      await storage.endClanBattle(first, 'declined', 'Declined by foe8', ['pending']);
+      await storage.endClanBattle(second, 'cancelled', 'Called off', ['pending']);
+
+      const history = await storage.getClanBattleHistory(id('Past'), 10);
+      assert.deepEqual(history.map(b => [b.id, b.status, b.end_reason]), [[second, 'cancelled', 'Called off'], [first, 'declined', 'Declined by foe8']]);
+      assert.equal((await storage.getClanBattleHistory(id('Past'), 1)).length, 1);
+    });
+
+    it('schedules accepted battles and takes lineups only until they start', async () => {
+      const later = await storage.createClanBattle(id('Late'), id('Foe2'), 30, 60);
+      const sooner = await storage.createClanBattle(id('Soon'), id('Foe3'), 10, 60);
+      assert.equal(await storage.setClanBattleLineup(sooner, 'challenger', [id('s1'), id('s2')]), true);
+      await storage.acceptClanBattle(later);
+      await storage.acceptClanBattle(sooner);
+
+      const scheduled = (await storage.getScheduledClanBattles()).filter(b => [later, sooner].includes(b.id));
+      assert.deepEqual(scheduled.map(b => b.id), [sooner, later]);
+      assert.deepEqual(scheduled[0].challenger_lineup, [id('s1'), id('s2')]);
+      assert.equal(scheduled[0].defender_lineup, null);
+
+      await storage.startClanBattle(sooner, 1, { challenger: [], defender: [] });
+      assert.equal(await storage.setClanBattleLineup(sooner, 'defender', [id('d1')]), false);
+    });
+
+    it('settles a battle and its points once, and only once it is in progress', async () => {
+      const winner = await createPlayer('payee', 10);
+      const loser = await createPlayer('payer', 2);
+      assert.equal(await storage.createClan(id('Ends'), winner), true);
+      assert.equal(await storage.createClan(id('Foe4'), loser), true);
+      const changes = [
+        { odIdentifier: winner, delta: 3 },
+        { odIdentifier: loser, delta: -5, capture: { clanName: id('Ends'), ownerId: winner, fromClan: id('Foe4') } }
+      ];
+
+      const battleId = await storage.createClanBattle(id('Ends'), id('Foe4'), 0, 60);
+      assert.equal(await storage.settleClanBattle(battleId, id('Ends'), changes, { floor: 0 }), null);
+      await storage.acceptClanBattle(battleId);
+      await storage.startClanBattle(battleId, 1, { challenger: [], defender: [] });
+      const rows = await storage.settleClanBattle(battleId, id('Ends'), changes, { floor: 0 });
+      assert.deepEqual(rows.map(r => [r.od_identifier, r.points, r.clan_name, r.captured]).sort(), [
+        [winner, 13, id('Ends'), false],
+        [loser, 0, id('Ends'), true]
+      ].sort());
+      assert.equal(await storage.settleClanBattle(battleId, id('Foe4'), changes, { floor: 0 }), null);
+      assert.equal((await storage.getPlayer(winner)).points, 13); // Not paid twice
+
+      const battle = await storage.getClanBattle(battleId);
+      assert.equal(battle.status, 'completed');
+      assert.equal(battle.winner_clan, id('Ends'));
+      assert.equal((await storage.getScheduledClanBattles()).some(b => b.id === battleId), false);
+    });
+
+    it('records each round\'s matchups once, in order, with the fighters\' names and public ids', async () => {
+      const a = await createPlayer('fa');
+      const b = await createPlayer('fb');
+      const battleId = await storage.createClanBattle(id('Rec'), id('Foe11'), 5, 60);
+      const matchup = { fighter1Id: a, fighter2Id: b, winnerId: a, fighter1Number: 70, fighter2Number: 20, attackType: 'high' };
+      await storage.recordBattleRound(battleId, 2, [{ ...matchup, winnerId: b, attackType: 'low' }]);
+      await storage.recordBattleRound(battleId, 1, [matchup]);
+      await storage.recordBattleRound(battleId, 2, [{ ...matchup, winnerId: b, attackType: 'low' }]); // Retried after a crash
+
+      const rounds = await storage.getBattleRounds(battleId);
+      assert.deepEqual(rounds.map(r => [r.round_number, r.winner_id, r.attack_type]), [[1, a, 'high'], [2, b, 'low']]);
+      assert.equal(rounds[0].fighter1_name, 'fa');
+      assert.equal(rounds[0].fighter2_name, 'fb');
+      assert.equal(rounds[0].fighter1_public_id, (await storage.getPlayer(a)).public_id);
+      assert.equal(rounds[0].fighter2_public_id, (await storage.getPlayer(b)).public_id);
+      assert.equal((await storage.getClanBattle(battleId)).current_round, 2);
+
+      await storage.setClanBattleCaptures(battleId, [{ odIdentifier: b, name: 'fb' }]);
+      assert.deepEqual((await storage.getClanBattle(battleId)).captures, [{ odIdentifier: b, name: 'fb' }]);
+    });
+
+    it('rates a finished battle once and ranks clans on the ladder', async () => {
+      await storage.createClan(id('Up'), await createPlayer('up'));
+      await storage.createClan(id('Down'), await createPlayer('down'));
+      const battleId = await storage.createClanBattle(id('Up'), id('Down'), 0, 60);
+      await storage.acceptClanBattle(battleId);
+      assert.equal(await storage.rateClanBattle(battleId, 24, -24), null); // Not finished yet
+      await storage.startClanBattle(battleId, 1, { challenger: [], defender: [] });
+      await storage.settleClanBattle(battleId, id('Up'), []);
+
+      const rows = await storage.rateClanBattle(battleId, 24, -24);
+      assert.deepEqual(rows.map(r => [r.name, r.rating]).sort(), [[id('Down'), 976], [id('Up'), 1024]].sort());
+      assert.equal(await storage.rateClanBattle(battleId, 24, -24), null);
+
+      const ladder = (await storage.getClanLadder(1000)).filter(c => [id('Up'), id('Down')].includes(c.name));
+      assert.deepEqual(ladder.map(c => [c.name, c.rating, c.rated_battles, c.wins, c.losses]), [
+        [id('Up'), 1024, 1, 1, 0],
+        [id('Down'), 976, 1, 0, 1]
+      ]);
+      const history = await storage.getClanBattleHistory(id('Up'), 1);
+      assert.deepEqual([history[0].challenger_rating_change, history[0].defender_rating_change], [24, -24]);
+    });
+
+    it('takes tournament entries until it is full or started, then plays its matches as battles', async () => {
+      const tournamentId = await storage.createTournament({
+        name: id('Cup'), format: 'single_elimination', maxClans: 2, rewardPoints: 5, createdBy: id('host'), startsInMinutes: 10
+      });
+      assert.equal(await storage.registerTournamentClan(tournamentId, id('T1'), id('host')), true);
+      assert.equal(await storage.registerTournamentClan(tournamentId, id('T1'), id('host')), false);
+      assert.equal(await storage.registerTournamentClan(tournamentId, id('T2'), id('host')), true);
+      assert.equal(await storage.registerTournamentClan(tournamentId, id('T3'), id('host')), false); // Full
+
+      const final = { round: 1, slot: 0, clanA: id('T2'), clanB: id('T1'), status: 'ready', winnerClan: null };
+      assert.equal(await storage.startTournament(tournamentId, [id('T2'), id('T1')], [final]), true);
+      assert.equal(await storage.startTournament(tournamentId, [], []), false);
+      assert.equal(await storage.withdrawTournamentClan(tournamentId, id('T1')), false);
+      assert.deepEqual((await storage.getTournamentEntries(tournamentId)).map(e => [e.clan_name, e.seed]), [[id('T2'), 1], [id('T1'), 2]]);
+
+      const [match] = await storage.getTournamentMatches(tournamentId);
+      const battleId = await storage.scheduleTournamentMatch(match.id, 0);
+      assert.equal(await storage.scheduleTournamentMatch(match.id, 0), null);
+      const battle = await storage.getClanBattle(battleId);
+      assert.equal(battle.status, 'accepted');
+      assert.equal(battle.tournament_id, tournamentId);
+
+      assert.equal(await storage.completeTournamentMatch(match.id, id('T2'), null), true);
+      assert.equal(await storage.completeTournamentMatch(match.id, id('T1'), null), false);
+      assert.equal(await storage.endTournament(tournamentId, 'completed', id('T2'), null), true);
+      const tournament = await storage.getTournament(tournamentId);
+      assert.equal(tournament.status, 'completed');
+      assert.equal(tournament.winner_clan, id('T2'));
+      assert.equal((await storage.getOpenTournaments()).some(t => t.id === tournamentId), false);
+    });
+
+    it('keeps a started battle\'s seed and snapshot for replays', async () => {
+      const battleId = await storage.createClanBattle(id('Left'), id('Right'), 5, 60);
+      const snapshot = { challenger: [{ od_identifier: id('l1'), name: 'l1', player_number: 3, character_image: 1 }], defender: [] };
+      assert.equal(await storage.startClanBattle(battleId, 12345, snapshot), false); // Not accepted yet
+      await storage.acceptClanBattle(battleId);
+      assert.equal(await storage.startClanBattle(battleId, 12345, snapshot), true);
+      assert.equal(await storage.startClanBattle(battleId, 1, snapshot), false); // Only starts once
+      const battle = await storage.getClanBattle(battleId);
+      assert.equal(battle.status, 'in_progress');
+      assert.equal(battle.seed, 12345);
+      assert.deepEqual(battle.snapshot, snapshot);
+      assert.equal(await storage.getClanBattle(2147483647), null);
+    });
+  });
+}
+
+storageContract('memory', createMemoryStorage);
+
+if (process.env.TEST_DATABASE_URL) {
+  storageContract('postgres', () => createPostgresStorage({ connectionString: process.env.TEST_DATABASE_URL }));
+
+  it('postgres storage lets a legacy character be claimed by its id once', async () => {
+    const connectionString = process.env.TEST_DATABASE_URL;
+    const od = `legacy_${crypto.randomBytes(4).toString('hex')}`;
+
+    // A character left by a server from before session tokens, never claimed
+    const db = new Pool({ connectionString });
+    try {
+      await runMigrations(db);
+      await db.query("INSERT INTO players (od_identifier, name, player_number, points) VALUES ($1, 'legacy', 51, 0)", [od]);
+    } finally {
+      await db.end();
+    }
+
+    const storage = createPostgresStorage({ connectionString });
+    try {
+      assert.equal(await storage.claimPlayerAuth(od), true);
+      assert.equal(await storage.claimPlayerAuth(od), false);
+    } finally {
+      await storage.close();
+    }
+  });
+}
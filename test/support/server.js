@@ -0,0 +1,111 @@
+// Runs server.js in a child process, on a free port and in-memory storage, for tests that
+// play through sockets and HTTP like a real client does.
+
+const { spawn } = require('node:child_process');
+const net = require('node:net');
+const path = require('node:path');
+const { io } = require('socket.io-client');
+
+const SERVER = path.join(__dirname, '..', '..', 'server.js');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Start a server with extra environment variables and wait until it is listening
+async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, DATABASE_URL: '', STORAGE_BACKEND: 'memory', PORT: String(port), ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Rumble Pit running on')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+
+  const url = `http://localhost:${port}`;
+  const sockets = [];
+
+  return {
+    url,
+    output: () => output,
+
+    // A socket.io client that remembers every event it got, for waitFor
+    connect(options = {}) {
+      const socket = io(url, { transports: ['websocket'], forceNew: true, reconnection: false, ...options });
+      socket.received = [];
+      socket.onAny((event, payload) => socket.received.push([event, payload]));
+      sockets.push(socket);
+      return socket;
+    },
+
+    async stop() {
+      for (const socket of sockets) socket.disconnect();
+      if (child.exitCode !== null) return;
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+  };
+}
+
+// The next `event` on a socket whose payload passes `match`
+function waitFor(socket, event, match = () => true, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      const seen = socket.received ? socket.received.map(([name]) => name).join(', ') : '';
+      reject(new Error(`Timed out waiting for ${event} (got: ${seen})`));
+    }, timeoutMs);
+    function handler(payload) {
+      if (!match(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(payload);
+    }
+    socket.on(event, handler);
+  });
+}
+
+// Connect as a new player, pick a character and wait for the welcome - resolves to { socket, you, token }
+async function signIn(server, name, { characterImage = 1 } = {}) {
+  const socket = server.connect();
+  await waitFor(socket, 'connect');
+  socket.emit('identify', { name });
+  const selection = await waitFor(socket, 'selectCharacter');
+  socket.emit('confirmCharacter', { name: selection.name, characterImage });
+  const welcome = await waitFor(socket, 'welcome');
+  return { socket, you: welcome.you, token: welcome.token };
+}
+
+// Connect and sign in with a session token - resolves to { socket, welcome }
+async function signInWithToken(server, token) {
+  const socket = server.connect();
+  await waitFor(socket, 'connect');
+  socket.emit('identify', { token });
+  return { socket, welcome: await waitFor(socket, 'welcome') };
+}
+
+module.exports = { startServer, waitFor, signIn, signInWithToken };
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBracket, advanceWinner, roundRobinStandings, playableMatches, tournamentWinner } = require('../lib/tournament');
+
+function play(matches, match, winnerClan) {
+  match.status = 'completed';
+  match.winnerClan = winnerClan;
+  advanceWinner(matches, match);
+}
+
+test('a single-elimination bracket keeps the top seeds apart and gives byes to them', () => {
+  const matches = createBracket('single_elimination', ['A', 'B', 'C']);
+  const firstRound = matches.filter(m => m.round === 1);
+  assert.deepEqual(firstRound.map(m => [m.clanA, m.clanB, m.status]), [['A', null, 'bye'], ['B', 'C', 'ready']]);
+  const final = matches.find(m => m.round === 2);
+  assert.equal(final.clanA, 'A');
+  assert.equal(final.status, 'pending');
+});
+
+test('an eight-clan bracket seeds 1 v 8 and 4 v 5 into the same half', () => {
+  const clans = ['1', '2', '3', '4', '5', '6', '7', '8'];
+  const firstRound = createBracket('single_elimination', clans).filter(m => m.round === 1);
+  assert.deepEqual(firstRound.map(m => `${m.clanA}v${m.clanB}`), ['1v8', '4v5', '2v7', '3v6']);
+});
+
+test('winners advance until the final decides the tournament', () => {
+  const clans = ['A', 'B', 'C', 'D'];
+  const matches = createBracket('single_elimination', clans);
+  assert.equal(playableMatches('single_elimination', matches).length, 2);
+  for (const match of playableMatches('single_elimination', matches)) play(matches, match, match.clanB);
+  assert.equal(tournamentWinner('single_elimination', clans, matches), null);
+
+  const [final] = playableMatches('single_elimination', matches);
+  assert.deepEqual([final.clanA, final.clanB], ['D', 'C']);
+  play(matches, final, 'C');
+  assert.equal(tournamentWinner('single_elimination', clans, matches), 'C');
+});
+
+test('a round robin plays everyone once, one round at a time', () => {
+  const clans = ['A', 'B', 'C', 'D', 'E'];
+  const matches = createBracket('round_robin', clans);
+  assert.equal(matches.length, 10);
+  const pairs = new Set(matches.map(m => [m.clanA, m.clanB].sort().join('')));
+  assert.equal(pairs.size, 10);
+  for (const round of new Set(matches.map(m => m.round))) {
+    const playing = matches.filter(m => m.round === round).flatMap(m => [m.clanA, m.clanB]);
+    assert.equal(new Set(playing).size, playing.length, `round ${round}`);
+  }
+  assert.ok(playableMatches('round_robin', matches).every(m => m.round === 1));
+});
+
+test('round robin standings go by wins, then seed', () => {
+  const clans = ['A', 'B', 'C'];
+  const matches = createBracket('round_robin', clans);
+  for (const match of matches) {
+    match.status = 'completed';
+    match.winnerClan = [match.clanA, match.clanB].includes('C') ? 'C' : 'B';
+  }
+  assert.deepEqual(roundRobinStandings(clans, matches).map(row => [row.clanName, row.wins]), [['C', 2], ['B', 1], ['A', 0]]);
+  assert.equal(tournamentWinner('round_robin', clans, matches), 'C');
+});
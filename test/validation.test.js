@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EVENT_SCHEMAS, validate, validateEvent } = require('../lib/validation');
+
+test('unknown events are turned away', () => {
+  assert.deepEqual(validateEvent('dropTables', {}), { code: 'unknown_event', message: 'Unknown event dropTables' });
+  assert.equal(validateEvent('__proto__', {}).code, 'unknown_event');
+  assert.equal(validateEvent('constructor', {}).code, 'unknown_event');
+});
+
+test('events with no payload reject one', () => {
+  assert.equal(validateEvent('joinPit'), null);
+  assert.equal(validateEvent('joinPit', null), null);
+  assert.deepEqual(validateEvent('joinPit', 'x'), { code: 'invalid_payload', message: 'Invalid joinPit: payload should be empty' });
+});
+
+test('a valid attack passes and each kind of bad one says what is wrong', () => {
+  assert.equal(validateEvent('attack', { targetId: 'abc', attackType: 'melee' }), null);
+  assert.equal(validateEvent('attack', { targetId: 'abc', attackType: 'magic' }).message,
+    'Invalid attack: payload.attackType should be one of distance, melee');
+  assert.equal(validateEvent('attack', { attackType: 'melee' }).message, 'Invalid attack: payload.targetId is required');
+  assert.equal(validateEvent('attack', { targetId: 'abc', attackType: 'melee', extra: 1 }).message,
+    'Invalid attack: payload.extra is not expected');
+  assert.equal(validateEvent('attack', ['abc', 'melee']).message, 'Invalid attack: payload should be an object, not an array');
+});
+
+test('player-chosen names reject markup and control characters', () => {
+  assert.equal(validateEvent('changeName', 'Brave Otter'), null);
+  for (const name of ['<b>x</b>', 'a"b', 'tab\there', '   ']) {
+    assert.equal(validateEvent('changeName', name).code, 'invalid_payload', name);
+  }
+  assert.equal(validateEvent('changeName', 'x'.repeat(21)).message, 'Invalid changeName: payload is longer than 20 characters');
+});
+
+test('integers are checked for range and wholeness', () => {
+  assert.equal(validateEvent('getClanBattle', 3), null);
+  assert.equal(validateEvent('getClanBattle', 0).message, 'Invalid getClanBattle: payload should be at least 1');
+  assert.equal(validateEvent('getClanBattle', 1.5).message, 'Invalid getClanBattle: payload should be a whole number, not a number');
+  assert.equal(validateEvent('getClanBattle', '3').message, 'Invalid getClanBattle: payload should be a whole number, not a string');
+});
+
+test('array items are checked with their index', () => {
+  assert.equal(validateEvent('setClanWarLineup', { battleId: 1, lineup: ['a', 'b'] }), null);
+  assert.equal(validateEvent('setClanWarLineup', { battleId: 1, lineup: ['a', 'b c'] }).message,
+    "Invalid setClanWarLineup: payload.lineup[1] contains characters that aren't allowed");
+  assert.equal(validateEvent('setClanWarLineup', { battleId: 1, lineup: new Array(101).fill('a') }).message,
+    'Invalid setClanWarLineup: payload.lineup has more than 100 entries');
+});
+
+test('anyOf takes a value that fits any option', () => {
+  assert.equal(validateEvent('challengeClan', 'Reds'), null);
+  assert.equal(validateEvent('challengeClan', { clanName: 'Reds', startsInMinutes: 10 }), null);
+  assert.equal(validateEvent('challengeClan', 7).code, 'invalid_payload');
+});
+
+test('optional values may be missing', () => {
+  assert.equal(validateEvent('identify', {}), null);
+  assert.equal(validateEvent('spectate'), null);
+  assert.equal(validateEvent('spectate', { battleId: 2 }), null);
+});
+
+test('every schema uses a type validate knows', () => {
+  for (const [event, schema] of Object.entries(EVENT_SCHEMAS)) {
+    assert.doesNotThrow(() => validate(schema, undefined), event);
+    assert.doesNotThrow(() => validate(schema, 'x'), event);
+  }
+});